@@ -1,14 +1,13 @@
-const fetch = require('node-fetch');
 const DatabaseHelper = require('./wpp/config/databaseHelper');
 const SQLAgent = require('./wpp/config/sqlAgent');
+const ResultContext = require('./wpp/config/resultContext');
+const CustomerClarification = require('./wpp/config/customerClarification');
+const AuditLog = require('./wpp/config/auditLog');
 const MarketingPersonStore = require('./marketingPersonStore');
+const LLMProvider = require('./wpp/config/llmProvider');
 
-// AI Configuration for Sarvam AI
-const AI_CONFIG = {
-  API_KEY: 'sk_sggnlnzm_2TzPY0ameO13qAWYxikieql0',
-  API_URL: 'https://api.sarvam.ai/v1/chat/completions',
-  MODEL: 'sarvam-m',
-  SYSTEM_PROMPT: `You are an AI assistant for Thirupathybright Industries with DIRECT DATABASE ACCESS.
+// System prompt for chat answers (provider and model come from LLMProvider config)
+const SYSTEM_PROMPT = `You are an AI assistant for Thirupathybright Industries with DIRECT DATABASE ACCESS.
 
 IMPORTANT FORMATTING RULES:
 - Do NOT use markdown (no **, *, #, -, backticks, or --- lines)
@@ -51,29 +50,79 @@ STATUS-BASED RULES:
 - IN_PROGRESS: Show material status, expected date, dispatch progress, remaining quantity
 - COMPLETED: Show dispatch details with dates (DO NOT show material status or expected date)
 
-Keep responses simple and concise. Plain text only. No markdown. No emojis.`
-};
+Keep responses simple and concise. Plain text only. No markdown. No emojis.`;
 
-// In-memory chat history store (key: userJid, value: messages array)
+// In-memory chat history store (key: userJid or room|userJid, value: messages array)
 const chatHistory = new Map();
 
 // Maximum messages to keep per user (prevents memory bloat)
 const MAX_HISTORY_PER_USER = 4;
 
+// Result sets with at least this many rows are sent as a report file instead of chat text
+const REPORT_MIN_ROWS = 10;
+
+// Quantity columns that get a total in the report summary
+const REPORT_TOTALS = {
+  quantity_kg: 'Total Ordered',
+  total_dispatched: 'Total Dispatched',
+  remaining_qty: 'Total Remaining',
+  closing_qty: 'Total Closing Qty',
+  qty: 'Total Qty'
+};
+
+/**
+ * Build a file report for a large SQL result
+ * @returns {{ title: string, rows: Object[], summary: string }}
+ */
+function buildResultReport(userMessage, sqlResult) {
+  // Drop internal helper fields, but keep which stock register a row came from
+  const rows = sqlResult.data.map((row) => {
+    const clean = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (!key.startsWith('_')) clean[key] = value;
+    }
+    if (row._stockSource) clean.stock_type = row._stockSource;
+    return clean;
+  });
+
+  let summary = `Found ${sqlResult.count} records for: ${userMessage.trim()}`;
+  const totals = Object.entries(REPORT_TOTALS)
+    .filter(([column]) => rows[0] && rows[0][column] !== undefined)
+    .map(([column, label]) => {
+      const total = rows.reduce((sum, r) => sum + (parseFloat(r[column]) || 0), 0);
+      return `${label}: ${total.toLocaleString()} kg`;
+    });
+  if (totals.length > 0) summary += `\n\n${totals.join('\n')}`;
+  summary += '\n\nThe full list is in the attached report.';
+
+  return { title: userMessage.trim().slice(0, 80), rows, summary };
+}
+
 /**
  * Get AI response for a user message
  * @param {string} userMessage - The message from the user
- * @param {string} userJid - The user's JID (e.g., user@domain.com)
- * @returns {Promise<string>} - AI response
+ * @param {string} userJid - The user's JID (e.g., user@domain.com), used for data restrictions
+ * @param {string} [historyKey] - Conversation key (defaults to userJid; rooms use room + user)
+ * @returns {Promise<{text: string, report: Object|null}>} - AI response; report is set for large
+ *   result sets ({ title, rows, summary }) and text then holds the full plain-text answer as a fallback
  */
-async function getAIResponse(userMessage, userJid) {
+async function getAIResponse(userMessage, userJid, historyKey = userJid) {
+  // Every question is audited: who asked, what ran, what they were told
+  const audit = AuditLog.begin({ channel: 'xmpp', user: userJid, conversation: historyKey, question: userMessage });
+  const response = await answerMessage(userMessage, userJid, historyKey, audit);
+  AuditLog.finish(audit, response.text, { report: !!response.report });
+  return response;
+}
+
+// Answer a message (see getAIResponse); fills in the audit draft along the way
+async function answerMessage(userMessage, userJid, historyKey, audit) {
   try {
-    // Get or initialize chat history for this user
-    if (!chatHistory.has(userJid)) {
-      chatHistory.set(userJid, []);
+    // Get or initialize chat history for this conversation
+    if (!chatHistory.has(historyKey)) {
+      chatHistory.set(historyKey, []);
     }
 
-    const history = chatHistory.get(userJid);
+    const history = chatHistory.get(historyKey);
     const isNewUser = history.length === 0;
 
     // Check if this is a new user greeting
@@ -109,6 +158,7 @@ I'm your AI assistant with direct access to our order management system. I can h
 - Stock for a specific item (e.g., "Stock of item X")
 
 Just ask me anything about your orders or stock, and I'll fetch the real-time information from our database!
+Send /help for the lookups answered instantly.
 
 How can I help you today?`;
 
@@ -122,7 +172,7 @@ How can I help you today?`;
         content: introduction
       });
 
-      return introduction;
+      return { text: introduction, report: null };
     }
 
     let contextMessage = '';
@@ -140,19 +190,44 @@ How can I help you today?`;
     console.log(`🤖 Processing with SQL Agent: "${userMessage}"`);
 
     // Use SQL Agent to automatically generate and execute SQL query
-    // Pass marketing persons array to filter results
-    const sqlResult = await SQLAgent.queryFromNaturalLanguage(userMessage, AI_CONFIG, marketingPersons.length > 0 ? marketingPersons : null);
-
-    // Handle pre-built direct replies (e.g. black bar / bright bar totals)
+    // Pass marketing persons array to filter results, and the conversation key for follow-ups
+    const sqlResult = await SQLAgent.queryFromNaturalLanguage(
+      userMessage,
+      marketingPersons.length > 0 ? marketingPersons : null,
+      { conversationKey: historyKey }
+    );
+    AuditLog.attachResult(audit, sqlResult, marketingPersons);
+
+    // After "which customer did you mean?", the question answered is the original one
+    const question = sqlResult.question || userMessage;
+
+    // Handle pre-built direct replies (commands and lookups from the intent registry)
     if (sqlResult.success && sqlResult._directReply) {
       const directText = sqlResult._directReply.trim();
-      console.log(`📤 Sending pre-built direct reply`);
-      history.push({ role: 'user',      content: userMessage });
+      // Long lists still come with the report file
+      const report = sqlResult.count >= REPORT_MIN_ROWS ? buildResultReport(question, sqlResult) : null;
+      console.log(`📤 Sending pre-built direct reply (intent: ${sqlResult.intent})`);
+      history.push({ role: 'user',      content: question });
       history.push({ role: 'assistant', content: directText });
       if (history.length > MAX_HISTORY_PER_USER) {
         history.splice(0, history.length - MAX_HISTORY_PER_USER);
       }
-      return directText;
+      return { text: directText, report };
+    }
+
+    // Large result sets: send a file with a short summary instead of a wall of messages
+    if (sqlResult.success && sqlResult.count >= REPORT_MIN_ROWS) {
+      const report = buildResultReport(question, sqlResult);
+      const formatted = SQLAgent.formatResultForAI(sqlResult);
+      const match = formatted.match(/\[DIRECT_REPLY:\n([\s\S]*?)\]$/);
+      console.log(`📊 ${sqlResult.count} records - answering with a report file`);
+
+      history.push({ role: 'user',      content: question });
+      history.push({ role: 'assistant', content: report.summary });
+      if (history.length > MAX_HISTORY_PER_USER) {
+        history.splice(0, history.length - MAX_HISTORY_PER_USER);
+      }
+      return { text: match ? match[1].trim() : report.summary, report };
     }
 
     if (sqlResult.success && sqlResult.count > 0) {
@@ -168,12 +243,12 @@ How can I help you today?`;
           const directText = match[1].trim();
           console.log(`📤 Sending direct plain-text reply (${sqlResult.count} records)`);
           // Still add to history so context is preserved
-          history.push({ role: 'user',      content: userMessage });
+          history.push({ role: 'user',      content: question });
           history.push({ role: 'assistant', content: directText });
           if (history.length > MAX_HISTORY_PER_USER) {
             history.splice(0, history.length - MAX_HISTORY_PER_USER);
           }
-          return directText;
+          return { text: directText, report: null };
         }
       }
     } else if (sqlResult.success && sqlResult.count === 0) {
@@ -187,7 +262,7 @@ How can I help you today?`;
     }
 
     // Add user message with context to history
-    const userMessageWithContext = userMessage + contextMessage;
+    const userMessageWithContext = question + contextMessage;
     history.push({
       role: 'user',
       content: userMessageWithContext
@@ -208,7 +283,7 @@ How can I help you today?`;
       // First message - include system prompt
       messagesForAPI.push({
         role: 'user',
-        content: `${AI_CONFIG.SYSTEM_PROMPT}\n\nUser: ${recentHistory[0].content}`
+        content: `${SYSTEM_PROMPT}\n\nUser: ${recentHistory[0].content}`
       });
     } else {
       // Ensure alternating pattern (user -> assistant -> user...)
@@ -243,33 +318,10 @@ How can I help you today?`;
       }
     }
 
-    console.log(`🤖 Sending to Sarvam AI for ${userJid}:`, JSON.stringify(messagesForAPI).substring(0, 500));
-
-    // Call Sarvam AI API
-    const response = await fetch(AI_CONFIG.API_URL, {
-      method: 'POST',
-      headers: {
-        'api-subscription-key': AI_CONFIG.API_KEY,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messages: messagesForAPI,
-        model: AI_CONFIG.MODEL
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Sarvam AI API Error:', errorText);
-      throw new Error(`AI API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    console.log('✅ Sarvam AI Response received');
+    console.log(`🤖 Sending to AI for ${userJid}:`, JSON.stringify(messagesForAPI).substring(0, 500));
 
-    // Extract AI response and strip <think>...</think> blocks (chain-of-thought reasoning)
-    const rawMessage = data.choices?.[0]?.message?.content || 'Sorry, I could not generate a response.';
-    const aiMessage = rawMessage.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+    const completion = await LLMProvider.chat(messagesForAPI, { feature: 'chat' });
+    const aiMessage = completion.text || 'Sorry, I could not generate a response.';
 
     // Add AI response to history
     history.push({
@@ -277,11 +329,12 @@ How can I help you today?`;
       content: aiMessage
     });
 
-    return aiMessage;
+    return { text: aiMessage, report: null };
 
   } catch (error) {
     console.error('❌ AI Error:', error.message);
-    return 'Sorry, I am experiencing technical difficulties. Please try again later.';
+    audit.error = error.message;
+    return { text: 'Sorry, I am experiencing technical difficulties. Please try again later.', report: null };
   }
 }
 
@@ -294,6 +347,8 @@ function clearHistory(userJid) {
     chatHistory.delete(userJid);
     console.log(`🗑️ Cleared history for ${userJid}`);
   }
+  ResultContext.clear(userJid);
+  CustomerClarification.clear(userJid);
 }
 
 /**
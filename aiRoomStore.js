@@ -0,0 +1,84 @@
+// AI Room Store - MUC rooms the AI bot joins persistently
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = path.join(__dirname, 'ai_bot_rooms.json');
+
+const DEFAULT_NICKNAME = 'assistant';
+const DEFAULT_PREFIX = '!ai';
+
+class AIRoomStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ rooms: {} }, null, 2));
+      console.log('✅ AI bot rooms store created');
+    }
+  }
+
+  // Read rooms from file
+  static readRooms() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = fs.readFileSync(STORE_FILE, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('❌ Error reading AI bot rooms:', error);
+      return { rooms: {} };
+    }
+  }
+
+  // Write rooms to file
+  static writeRooms(data) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2));
+      console.log('✅ AI bot rooms saved');
+    } catch (error) {
+      console.error('❌ Error writing AI bot rooms:', error);
+    }
+  }
+
+  // Get all configured rooms as an array
+  static getRooms() {
+    return Object.values(this.readRooms().rooms);
+  }
+
+  // Get a single room config
+  static getRoom(roomJid) {
+    return this.readRooms().rooms[roomJid] || null;
+  }
+
+  // Add or update a room
+  static setRoom(roomJid, nickname, prefix) {
+    const data = this.readRooms();
+    const existing = data.rooms[roomJid];
+
+    data.rooms[roomJid] = {
+      roomJid,
+      nickname: (nickname || '').trim() || DEFAULT_NICKNAME,
+      prefix: (prefix || '').trim() || DEFAULT_PREFIX,
+      addedAt: existing ? existing.addedAt : new Date().toISOString()
+    };
+
+    this.writeRooms(data);
+    return data.rooms[roomJid];
+  }
+
+  // Remove a room
+  static removeRoom(roomJid) {
+    const data = this.readRooms();
+    if (data.rooms[roomJid]) {
+      delete data.rooms[roomJid];
+      this.writeRooms(data);
+      return true;
+    }
+    return false;
+  }
+}
+
+// Initialize on module load
+AIRoomStore.init();
+
+module.exports = AIRoomStore;
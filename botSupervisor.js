@@ -0,0 +1,163 @@
+// Bot Supervisor - Keeps a long-lived @xmpp/client connection healthy
+// - Replaces the client's fixed 1s reconnect with exponential backoff
+// - Keeps XEP-0198 stream management on so short drops resume the same session
+// - Rejoins tracked MUC rooms when a fresh session has to be opened
+// - Exposes connection health for /bots/status
+const { xml } = require("@xmpp/client");
+
+const DEFAULTS = {
+  initialDelay: 1000,
+  maxDelay: 60000,
+  // XEP-0198: drop the socket if the server doesn't ack within this time
+  smTimeout: 60000,
+  smRequestAckInterval: 30000
+};
+
+function superviseClient(xmpp, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const name = config.name || "Bot";
+
+  // Rooms to rejoin after a new session: roomJid -> nickname
+  const rooms = new Map();
+  const health = {
+    attempts: 0,
+    nextReconnectAt: null,
+    lastOnlineAt: null,
+    lastDisconnectAt: null,
+    lastError: null,
+    disconnects: 0,
+    resumes: 0
+  };
+  let timer = null;
+  let stopped = false;
+
+  // Take over reconnection from the client's built-in fixed-delay reconnect
+  xmpp.reconnect.stop();
+
+  // Stream management is negotiated automatically when the server offers it
+  xmpp.streamManagement.timeout = config.smTimeout;
+  xmpp.streamManagement.requestAckInterval = config.smRequestAckInterval;
+
+  function scheduleReconnect() {
+    if (stopped || timer) return;
+
+    const delay = Math.min(config.initialDelay * Math.pow(2, health.attempts), config.maxDelay);
+    health.attempts++;
+    health.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    console.log(`🔄 [${name}] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${health.attempts})`);
+
+    timer = setTimeout(async () => {
+      timer = null;
+      health.nextReconnectAt = null;
+      if (stopped) return;
+
+      try {
+        // connect + open on the same entity, so a stream management session can be resumed
+        await xmpp.reconnect.reconnect();
+      } catch (err) {
+        health.lastError = err?.message || String(err);
+        console.error(`❌ [${name}] Reconnect attempt ${health.attempts} failed:`, health.lastError);
+        scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  function markConnected() {
+    health.attempts = 0;
+    health.nextReconnectAt = null;
+    health.lastOnlineAt = new Date().toISOString();
+  }
+
+  xmpp.on("disconnect", () => {
+    health.disconnects++;
+    health.lastDisconnectAt = new Date().toISOString();
+    if (!stopped) {
+      if (health.attempts === 0) console.warn(`⚠️ [${name}] Connection lost`);
+      scheduleReconnect();
+    }
+  });
+
+  xmpp.on("error", (err) => {
+    health.lastError = err?.message || String(err);
+  });
+
+  // Fresh session: presence is re-sent by the bot's own "online" handler; rooms are rejoined here
+  xmpp.on("online", async () => {
+    markConnected();
+    for (const [roomJid, nickname] of rooms) {
+      try {
+        await xmpp.send(
+          xml("presence", { to: `${roomJid}/${nickname}` },
+            xml("x", { xmlns: "http://jabber.org/protocol/muc" },
+              xml("history", { maxstanzas: "0" })
+            )
+          )
+        );
+        console.log(`🚪 [${name}] Rejoined room ${roomJid}`);
+      } catch (err) {
+        console.error(`❌ [${name}] Failed to rejoin ${roomJid}:`, err.message);
+      }
+    }
+  });
+
+  // Resumed session: presence and room membership survived on the server
+  xmpp.streamManagement.on("resumed", () => {
+    markConnected();
+    health.resumes++;
+    console.log(`✅ [${name}] Stream management session resumed`);
+  });
+
+  return {
+    // Start the connection. A failed first attempt keeps retrying in the background.
+    async start() {
+      stopped = false;
+      try {
+        await xmpp.start();
+      } catch (err) {
+        health.lastError = err?.message || String(err);
+        scheduleReconnect();
+        throw err;
+      }
+    },
+
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      health.nextReconnectAt = null;
+      await xmpp.stop();
+    },
+
+    trackRoom(roomJid, nickname) {
+      rooms.set(roomJid, nickname);
+    },
+
+    untrackRoom(roomJid) {
+      rooms.delete(roomJid);
+    },
+
+    getHealth() {
+      const sm = xmpp.streamManagement;
+      return {
+        status: health.nextReconnectAt ? "reconnecting" : xmpp.status,
+        connected: xmpp.status === "online",
+        streamManagement: {
+          enabled: sm.enabled,
+          resumable: !!sm.id
+        },
+        reconnectAttempts: health.attempts,
+        nextReconnectAt: health.nextReconnectAt,
+        lastOnlineAt: health.lastOnlineAt,
+        lastDisconnectAt: health.lastDisconnectAt,
+        lastError: health.lastError,
+        disconnects: health.disconnects,
+        resumes: health.resumes,
+        rooms: [...rooms.keys()]
+      };
+    }
+  };
+}
+
+module.exports = {
+  superviseClient
+};
@@ -0,0 +1,83 @@
+// Broadcast Report Store - Per-broadcast record of who was sent, skipped or failed
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = path.join(__dirname, 'broadcast_reports.json');
+
+// Only the most recent reports are kept
+const MAX_REPORTS = 200;
+
+class BroadcastReportStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ reports: [] }, null, 2));
+      console.log('✅ Broadcast reports store created');
+    }
+  }
+
+  // Read reports from file
+  static readReports() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = fs.readFileSync(STORE_FILE, 'utf8');
+      return JSON.parse(data).reports || [];
+    } catch (error) {
+      console.error('❌ Error reading broadcast reports:', error);
+      return [];
+    }
+  }
+
+  // Write reports to file
+  static writeReports(reports) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ reports }, null, 2));
+    } catch (error) {
+      console.error('❌ Error writing broadcast reports:', error);
+    }
+  }
+
+  // Save a finished broadcast
+  // report: { text, audience, status, sent: [jid], skipped: [{ jid, reason }], failed: [{ jid, error }], startedAt }
+  static addReport(report) {
+    const reports = this.readReports();
+    const item = {
+      id: `bc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      text: report.text,
+      audience: report.audience,
+      status: report.status || 'completed',
+      counts: {
+        sent: report.sent.length,
+        skipped: report.skipped.length,
+        failed: report.failed.length,
+        total: report.sent.length + report.failed.length
+      },
+      sent: report.sent,
+      skipped: report.skipped,
+      failed: report.failed,
+      startedAt: report.startedAt || new Date().toISOString(),
+      completedAt: new Date().toISOString()
+    };
+
+    reports.unshift(item);
+    this.writeReports(reports.slice(0, MAX_REPORTS));
+    return item;
+  }
+
+  // Get recent reports without the per-recipient lists
+  static getSummaries(limit = 50) {
+    return this.readReports().slice(0, limit).map(({ sent, skipped, failed, ...summary }) => summary);
+  }
+
+  // Get a full report by id
+  static getReport(id) {
+    return this.readReports().find(r => r.id === id) || null;
+  }
+}
+
+// Initialize on module load
+BroadcastReportStore.init();
+
+module.exports = BroadcastReportStore;
@@ -0,0 +1,207 @@
+// Broadcast Schedule Store - One-off and recurring (cron) broadcasts with run history
+const fs = require('fs');
+const path = require('path');
+const { getNextRunTime } = require('./cronHelper');
+
+const STORE_FILE = path.join(__dirname, 'broadcast_schedules.json');
+const MEDIA_DIR = path.join(__dirname, 'schedule_media');
+
+// Run history entries kept per schedule
+const MAX_RUNS = 50;
+
+class BroadcastScheduleStore {
+  // Initialize store file and media directory if they don't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ schedules: [] }, null, 2));
+      console.log('✅ Broadcast schedules store created');
+    }
+    if (!fs.existsSync(MEDIA_DIR)) {
+      fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    }
+  }
+
+  // Read schedules from file
+  static readSchedules() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = fs.readFileSync(STORE_FILE, 'utf8');
+      return JSON.parse(data).schedules || [];
+    } catch (error) {
+      console.error('❌ Error reading broadcast schedules:', error);
+      return [];
+    }
+  }
+
+  // Write schedules to file
+  static writeSchedules(schedules) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ schedules }, null, 2));
+    } catch (error) {
+      console.error('❌ Error writing broadcast schedules:', error);
+    }
+  }
+
+  // Save an image that will be sent with every run of a schedule
+  static saveMedia(buffer, originalName) {
+    this.init();
+    const safeName = (originalName || 'image').replace(/[^a-zA-Z0-9._-]/g, '_');
+    const mediaFile = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}_${safeName}`;
+    fs.writeFileSync(path.join(MEDIA_DIR, mediaFile), buffer);
+    return mediaFile;
+  }
+
+  // Read a saved image (returns null if missing)
+  static readMedia(mediaFile) {
+    try {
+      return fs.readFileSync(path.join(MEDIA_DIR, mediaFile));
+    } catch (error) {
+      console.error(`❌ Error reading schedule media ${mediaFile}:`, error.message);
+      return null;
+    }
+  }
+
+  // Remove a saved image
+  static deleteMedia(mediaFile) {
+    if (!mediaFile) return;
+    try {
+      fs.unlinkSync(path.join(MEDIA_DIR, mediaFile));
+    } catch (error) {
+      // Already gone - nothing to do
+    }
+  }
+
+  // Work out when a schedule should next fire
+  static computeNextRunAt(schedule, from = new Date()) {
+    if (schedule.cron) {
+      return getNextRunTime(schedule.cron, from).toISOString();
+    }
+    return schedule.runAt;
+  }
+
+  // Create a schedule
+  // fields: { name, text, audience, runAt (ISO, one-off) | cron, image: { mediaFile, filename, mimeType } | null }
+  static createSchedule(fields) {
+    const schedules = this.readSchedules();
+    const schedule = {
+      id: `sch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: fields.name,
+      text: fields.text,
+      audience: fields.audience,
+      image: fields.image || null,
+      runAt: fields.cron ? null : fields.runAt,
+      cron: fields.cron || null,
+      status: 'active',
+      nextRunAt: null,
+      lastRunAt: null,
+      runs: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    schedule.nextRunAt = this.computeNextRunAt(schedule);
+
+    schedules.push(schedule);
+    this.writeSchedules(schedules);
+    console.log(`⏰ [SCHEDULE] Created "${schedule.name}" (${schedule.id}), next run ${schedule.nextRunAt}`);
+    return schedule;
+  }
+
+  // Update an active schedule; timing changes recompute the next run
+  static updateSchedule(id, fields) {
+    const schedules = this.readSchedules();
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return null;
+
+    if (fields.image !== undefined && schedule.image && (!fields.image || fields.image.mediaFile !== schedule.image.mediaFile)) {
+      this.deleteMedia(schedule.image.mediaFile);
+    }
+
+    Object.assign(schedule, fields);
+    if (fields.cron) schedule.runAt = null;
+    if (fields.runAt) schedule.cron = null;
+    // Editing a finished or cancelled schedule brings it back
+    schedule.status = 'active';
+    schedule.nextRunAt = this.computeNextRunAt(schedule);
+    schedule.updatedAt = new Date().toISOString();
+
+    this.writeSchedules(schedules);
+    console.log(`⏰ [SCHEDULE] Updated "${schedule.name}" (${schedule.id}), next run ${schedule.nextRunAt}`);
+    return schedule;
+  }
+
+  // Cancel a schedule (kept for its run history)
+  static cancelSchedule(id) {
+    const schedules = this.readSchedules();
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return null;
+
+    schedule.status = 'cancelled';
+    schedule.nextRunAt = null;
+    schedule.updatedAt = new Date().toISOString();
+    this.writeSchedules(schedules);
+    console.log(`⏰ [SCHEDULE] Cancelled "${schedule.name}" (${schedule.id})`);
+    return schedule;
+  }
+
+  // Delete a schedule and its image
+  static deleteSchedule(id) {
+    const schedules = this.readSchedules();
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return false;
+
+    if (schedule.image) this.deleteMedia(schedule.image.mediaFile);
+    this.writeSchedules(schedules.filter(s => s.id !== id));
+    return true;
+  }
+
+  // Get all schedules
+  static getSchedules() {
+    return this.readSchedules();
+  }
+
+  // Get a single schedule
+  static getSchedule(id) {
+    return this.readSchedules().find(s => s.id === id) || null;
+  }
+
+  // Get active schedules whose next run is due
+  static getDueSchedules(now = Date.now()) {
+    return this.readSchedules().filter(s =>
+      s.status === 'active' && s.nextRunAt && new Date(s.nextRunAt).getTime() <= now
+    );
+  }
+
+  // Record a run and advance the schedule
+  // run: { scheduledFor, startedAt, status: 'completed'|'failed'|'missed', sent, failed, skipped, total, reportId, error }
+  // scheduledFor is the nextRunAt the run was started for. A schedule cancelled or edited
+  // while the run was in progress keeps its new status and next run.
+  static recordRun(id, run) {
+    const schedules = this.readSchedules();
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return null;
+
+    schedule.runs.unshift({ ...run, completedAt: new Date().toISOString() });
+    schedule.runs = schedule.runs.slice(0, MAX_RUNS);
+    schedule.lastRunAt = run.startedAt;
+
+    if (schedule.status === 'active' && schedule.nextRunAt === run.scheduledFor) {
+      if (schedule.cron) {
+        schedule.nextRunAt = this.computeNextRunAt(schedule);
+      } else {
+        schedule.status = 'completed';
+        schedule.nextRunAt = null;
+      }
+    }
+    schedule.updatedAt = new Date().toISOString();
+
+    this.writeSchedules(schedules);
+    return schedule;
+  }
+}
+
+// Initialize on module load
+BroadcastScheduleStore.init();
+
+module.exports = BroadcastScheduleStore;
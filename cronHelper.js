@@ -0,0 +1,125 @@
+// Minimal 5-field cron support: "minute hour day-of-month month day-of-week"
+// Supports *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 8-18/2).
+// Times are evaluated in the server's local timezone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function parseField(expr, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepStr}" in ${name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      // "5/10" means "from 5 every 10"
+      end = stepStr === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+// Parse a cron expression, throwing a descriptive error if it is invalid
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: if both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function dayMatches(cron, date) {
+  const domMatch = cron.days.has(date.getDate());
+  const dowMatch = cron.weekdays.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+// Get the next time (strictly after `from`) the expression fires
+function getNextRunTime(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Look at most ~5 years ahead (covers Feb 29 style expressions)
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRunTime
+};
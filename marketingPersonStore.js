@@ -123,7 +123,9 @@ class MarketingPersonStore {
     const data = this.readAssignments();
     const users = [];
     for (const [userJid, mp] of Object.entries(data.assignments)) {
-      if (mp === marketingPerson) {
+      // Assignments may be an array (current) or a single string (old format)
+      const persons = Array.isArray(mp) ? mp : [mp];
+      if (persons.includes(marketingPerson)) {
         users.push(userJid);
       }
     }
@@ -0,0 +1,174 @@
+// Message Status Store - Tracks delivery receipts (XEP-0184) and chat markers (XEP-0333)
+const fs = require('fs');
+const path = require('path');
+
+const STATUS_FILE = path.join(__dirname, 'message_status.json');
+
+// Every sent message is tracked, so the file is kept in memory and written at most
+// once per FLUSH_DELAY_MS instead of on every change (broadcasts send hundreds at once)
+const FLUSH_DELAY_MS = 1000;
+// Oldest records are dropped beyond this, on top of the daily age-based cleanup
+const MAX_RECORDS = 20000;
+
+let cache = null;
+let flushTimer = null;
+
+// Status only moves forward: a late "delivered" never overwrites "displayed"
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  displayed: 3
+};
+
+class MessageStatusStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STATUS_FILE)) {
+      fs.writeFileSync(STATUS_FILE, JSON.stringify({ messages: {} }, null, 2));
+      console.log('✅ Message status store created');
+    }
+  }
+
+  // Read statuses (from file on first use, then from memory)
+  static readStatuses() {
+    if (cache) return cache;
+    try {
+      if (!fs.existsSync(STATUS_FILE)) {
+        this.init();
+      }
+      const data = fs.readFileSync(STATUS_FILE, 'utf8');
+      cache = JSON.parse(data);
+      cache.messages = cache.messages || {};
+    } catch (error) {
+      console.error('❌ Error reading message statuses:', error);
+      cache = { messages: {} };
+    }
+    return cache;
+  }
+
+  // Keep the changes and schedule a write to file
+  static writeStatuses(data) {
+    cache = data;
+    if (!flushTimer) {
+      flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    }
+  }
+
+  // Write pending changes to file now (a no-op when nothing is pending)
+  static flush() {
+    if (!flushTimer) return;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      fs.writeFileSync(STATUS_FILE, JSON.stringify(cache, null, 2));
+    } catch (error) {
+      console.error('❌ Error writing message statuses:', error);
+    }
+  }
+
+  // Drop the oldest records beyond MAX_RECORDS (records are kept in insertion order)
+  static prune(data) {
+    const ids = Object.keys(data.messages);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_RECORDS))) {
+      delete data.messages[id];
+    }
+  }
+
+  // Start tracking a message (called when it is accepted by the API)
+  static track(id, to, options = {}) {
+    const data = this.readStatuses();
+    const existing = data.messages[id];
+
+    data.messages[id] = {
+      id,
+      to,
+      type: options.type || (existing && existing.type) || 'chat',
+      status: existing ? existing.status : 'queued',
+      callbackUrl: options.callbackUrl || (existing && existing.callbackUrl) || null,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      sentAt: existing ? existing.sentAt : null,
+      deliveredAt: existing ? existing.deliveredAt : null,
+      displayedAt: existing ? existing.displayedAt : null,
+      callbacks: existing ? existing.callbacks : []
+    };
+
+    if (!existing) this.prune(data);
+    this.writeStatuses(data);
+    return data.messages[id];
+  }
+
+  // Get status record for a message
+  static getStatus(id) {
+    const data = this.readStatuses();
+    return data.messages[id] || null;
+  }
+
+  // Move a message to a new status. Returns the record if it changed, otherwise null
+  static updateStatus(id, status) {
+    const data = this.readStatuses();
+    const record = data.messages[id];
+    if (!record) return null;
+    if (STATUS_RANK[status] <= STATUS_RANK[record.status]) return null;
+
+    const now = new Date().toISOString();
+    record.status = status;
+    if (status === 'sent') record.sentAt = now;
+    if (status === 'delivered') record.deliveredAt = now;
+    if (status === 'displayed') {
+      // Displayed implies delivered, even if the client never sent a receipt
+      record.deliveredAt = record.deliveredAt || now;
+      record.displayedAt = now;
+    }
+
+    this.writeStatuses(data);
+    return record;
+  }
+
+  // Register (or replace) the callback URL for a message
+  static setCallbackUrl(id, callbackUrl) {
+    const data = this.readStatuses();
+    const record = data.messages[id];
+    if (!record) return null;
+
+    record.callbackUrl = callbackUrl || null;
+    this.writeStatuses(data);
+    return record;
+  }
+
+  // Record the outcome of a callback notification
+  static addCallbackResult(id, result) {
+    const data = this.readStatuses();
+    const record = data.messages[id];
+    if (!record) return;
+
+    record.callbacks.push({ ...result, at: new Date().toISOString() });
+    this.writeStatuses(data);
+  }
+
+  // Remove records older than the given age (default: 7 days)
+  static cleanup(olderThan = 7 * 24 * 60 * 60 * 1000) {
+    const data = this.readStatuses();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [id, record] of Object.entries(data.messages)) {
+      if (now - new Date(record.createdAt).getTime() > olderThan) {
+        delete data.messages[id];
+        removed++;
+      }
+    }
+
+    if (removed > 0) this.writeStatuses(data);
+    return removed;
+  }
+}
+
+// Initialize on module load
+MessageStatusStore.init();
+
+// Write what is still pending when the process exits
+// (server.js also flushes from its SIGINT/SIGTERM handler)
+process.on('exit', () => MessageStatusStore.flush());
+
+module.exports = MessageStatusStore;
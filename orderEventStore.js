@@ -0,0 +1,236 @@
+// Order Event Store - Settings, subscriptions and state of the order/dispatch notifier
+// order_notifications.json holds what the admin configures (events, audiences, templates)
+// and the recent notification history; order_watch_state.json holds the last snapshot of
+// the order register and the keys of notifications already sent, so a restart neither
+// misses changes nor repeats them.
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(__dirname, 'order_notifications.json');
+const STATE_FILE = path.join(__dirname, 'order_watch_state.json');
+
+// A notification key is never sent twice within this window
+const DEDUPE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 300;
+
+const EVENT_TYPES = ['order_status', 'expected_date', 'dispatch_created', 'dispatch_weighed'];
+const AUDIENCES = ['marketing', 'customer'];
+
+// Placeholders: {order_number} {customer_name} {marketing_person} {status} {old_status}
+// {expected_date} {old_expected_date} {despatch_no} {weight}
+const DEFAULT_EVENTS = {
+  order_status: {
+    label: 'Order status changed',
+    // Only notify for these new statuses (empty = any status)
+    statuses: ['in_progress', 'completed', 'cancelled'],
+    marketing: {
+      enabled: true,
+      template: '📦 Order {order_number} ({customer_name}) is now {status} (was {old_status}).'
+    },
+    customer: {
+      enabled: true,
+      template: 'Dear {customer_name}, your order {order_number} is now {status}.'
+    }
+  },
+  expected_date: {
+    label: 'Expected date changed',
+    marketing: {
+      enabled: true,
+      template: '📅 Order {order_number} ({customer_name}): expected date moved from {old_expected_date} to {expected_date}.'
+    },
+    customer: {
+      enabled: true,
+      template: 'Dear {customer_name}, the expected date of your order {order_number} is now {expected_date}.'
+    }
+  },
+  dispatch_created: {
+    label: 'New dispatch',
+    marketing: {
+      enabled: true,
+      template: '🚚 Dispatch {despatch_no} created for order {order_number} ({customer_name}).'
+    },
+    customer: {
+      enabled: false,
+      template: 'Dear {customer_name}, dispatch {despatch_no} has been planned for your order {order_number}.'
+    }
+  },
+  dispatch_weighed: {
+    label: 'Dispatch weighed (loaded)',
+    marketing: {
+      enabled: true,
+      template: '⚖️ Dispatch {despatch_no} for order {order_number} ({customer_name}) weighed {weight} kg.'
+    },
+    customer: {
+      enabled: true,
+      template: 'Dear {customer_name}, dispatch {despatch_no} of your order {order_number} has been loaded ({weight} kg) and is on its way.'
+    }
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  // Off until an admin turns it on, so a deploy does not start messaging customers
+  enabled: false,
+  pollIntervalMinutes: 5,
+  // Orders and dispatches created in this many days are watched
+  lookbackDays: 90
+};
+
+function defaultConfig() {
+  return { settings: { ...DEFAULT_SETTINGS }, events: JSON.parse(JSON.stringify(DEFAULT_EVENTS)), history: [] };
+}
+
+function emptyState() {
+  return { snapshot: null, sent: {} };
+}
+
+function readJson(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback();
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error reading ${path.basename(file)}:`, error);
+    return fallback();
+  }
+}
+
+function writeJson(file, data) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error(`❌ Error writing ${path.basename(file)}:`, error);
+  }
+}
+
+class OrderEventStore {
+  // Initialize config file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(CONFIG_FILE)) {
+      writeJson(CONFIG_FILE, defaultConfig());
+      console.log('✅ Order notifications store created');
+    }
+  }
+
+  static get EVENT_TYPES() {
+    return EVENT_TYPES;
+  }
+
+  // Settings and events, with defaults filled in for anything missing
+  static readConfig() {
+    const data = readJson(CONFIG_FILE, defaultConfig);
+    const events = {};
+    for (const type of EVENT_TYPES) {
+      const saved = (data.events && data.events[type]) || {};
+      const defaults = DEFAULT_EVENTS[type];
+      events[type] = { ...defaults, ...saved };
+      for (const audience of AUDIENCES) {
+        events[type][audience] = { ...defaults[audience], ...saved[audience] };
+      }
+    }
+    return {
+      settings: { ...DEFAULT_SETTINGS, ...data.settings },
+      events,
+      history: Array.isArray(data.history) ? data.history : []
+    };
+  }
+
+  static writeConfig(config) {
+    writeJson(CONFIG_FILE, config);
+  }
+
+  static getSettings() {
+    return this.readConfig().settings;
+  }
+
+  /**
+   * Update settings and event subscriptions.
+   * @param {Object} update
+   * @param {Object} [update.settings] - { enabled, pollIntervalMinutes, lookbackDays }
+   * @param {Object} [update.events] - { [type]: { statuses?, marketing?: { enabled, template },
+   *   customer?: { enabled, template } } }
+   */
+  static updateConfig(update) {
+    const config = this.readConfig();
+    const settings = update.settings || {};
+
+    if ('enabled' in settings) {
+      config.settings.enabled = Boolean(settings.enabled);
+    }
+    if ('pollIntervalMinutes' in settings) {
+      const minutes = parseInt(settings.pollIntervalMinutes, 10);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+        throw new Error('Poll interval must be between 1 and 1440 minutes');
+      }
+      config.settings.pollIntervalMinutes = minutes;
+    }
+    if ('lookbackDays' in settings) {
+      const days = parseInt(settings.lookbackDays, 10);
+      if (!Number.isInteger(days) || days < 1 || days > 730) {
+        throw new Error('Lookback must be between 1 and 730 days');
+      }
+      config.settings.lookbackDays = days;
+    }
+
+    for (const [type, changes] of Object.entries(update.events || {})) {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type: ${type}`);
+      }
+      const event = config.events[type];
+      if (type === 'order_status' && Array.isArray(changes.statuses)) {
+        event.statuses = changes.statuses.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+      }
+      for (const audience of AUDIENCES) {
+        const change = changes[audience];
+        if (!change) continue;
+        if ('enabled' in change) {
+          event[audience].enabled = Boolean(change.enabled);
+        }
+        if (typeof change.template === 'string') {
+          event[audience].template = change.template.trim() || DEFAULT_EVENTS[type][audience].template;
+        }
+      }
+    }
+
+    this.writeConfig(config);
+    return config;
+  }
+
+  // Record queued notifications, newest last
+  static addHistory(entries) {
+    if (entries.length === 0) return;
+    const config = this.readConfig();
+    config.history = config.history.concat(entries).slice(-MAX_HISTORY);
+    this.writeConfig(config);
+  }
+
+  // Recent notifications, newest first
+  static getHistory(limit = 100) {
+    return this.readConfig().history.slice(-limit).reverse();
+  }
+
+  // { snapshot: { takenAt, orders: { id: { status, expectedDate } }, dispatches: { no: weight } } | null,
+  //   sent: { key: timestamp } }
+  static readState() {
+    const state = readJson(STATE_FILE, emptyState);
+    return { snapshot: state.snapshot || null, sent: state.sent || {} };
+  }
+
+  static writeState(state) {
+    // Forget sent keys that are past the dedupe window
+    const cutoff = Date.now() - DEDUPE_WINDOW_MS;
+    for (const [key, sentAt] of Object.entries(state.sent)) {
+      if (sentAt < cutoff) delete state.sent[key];
+    }
+    writeJson(STATE_FILE, state);
+  }
+
+  // Start over from the next poll (it only records the current state, nothing is sent)
+  static resetSnapshot() {
+    const state = this.readState();
+    state.snapshot = null;
+    this.writeState(state);
+  }
+}
+
+OrderEventStore.init();
+
+module.exports = OrderEventStore;
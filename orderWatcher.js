@@ -0,0 +1,252 @@
+// Order Watcher - Turns order register changes into notifications
+// Each poll reads the watched orders and dispatches, compares them with the previous
+// snapshot and, for every change an admin subscribed to, queues a templated message:
+// - over XMPP (outbox) to the users assigned to the order's marketing person
+// - over WhatsApp (queue, feature 'order_updates') to the numbers mapped to the customer
+// Every message has a key (event + recipient) that is sent once; the first poll, or one
+// after a long gap, only records the snapshot.
+const DatabaseHelper = require('./wpp/config/databaseHelper');
+const QueueStore = require('./wpp/config/queueStore');
+const CustomerAccountStore = require('./wpp/config/customerAccountStore');
+const MarketingPersonStore = require('./marketingPersonStore');
+const OutboxStore = require('./outboxStore');
+const OrderEventStore = require('./orderEventStore');
+
+// A snapshot older than this is not diffed (server was down, or the watcher was off):
+// the poll re-baselines instead of sending a burst of stale changes
+const STALE_SNAPSHOT_MS = 24 * 60 * 60 * 1000;
+const WHATSAPP_FEATURE = 'order_updates';
+// Expected-date changes on closed orders are not news to anyone
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// DATE columns come back as local-midnight Date objects: "YYYY-MM-DD"
+function dateKey(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// "in_progress" -> "In Progress"
+function formatStatus(status) {
+  if (!status) return 'Unknown';
+  return String(status).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function formatWeight(weight) {
+  return Number(weight || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+}
+
+function renderTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    vars[name] === undefined || vars[name] === null ? placeholder : String(vars[name])
+  );
+}
+
+function takeSnapshot(orders, dispatches) {
+  const snapshot = { takenAt: new Date().toISOString(), orders: {}, dispatches: {} };
+  for (const order of orders) {
+    snapshot.orders[order.id] = { status: order.status || null, expectedDate: dateKey(order.expected_date) };
+  }
+  for (const dispatch of dispatches) {
+    snapshot.dispatches[dispatch.despatchno] = Number(dispatch.weight) || 0;
+  }
+  return snapshot;
+}
+
+// Fields shared by every event of an order (row from getOrderStates or getRecentDispatches)
+function orderFields(row, orderId) {
+  return {
+    orderId,
+    customerId: row.customer_id,
+    marketingPerson: row.marketing_person,
+    vars: {
+      order_number: row.order_number || '-',
+      customer_name: row.customer_name || 'Customer',
+      marketing_person: row.marketing_person || ''
+    }
+  };
+}
+
+/**
+ * Changes since the previous snapshot.
+ * Orders that are new to the snapshot have nothing to compare against and raise no
+ * event; new dispatches raise dispatch_created (and dispatch_weighed if already weighed).
+ * @returns {{ type: string, key: string, orderId, customerId, marketingPerson,
+ *   status?: string, vars: Object }[]}
+ */
+function detectEvents(previous, orders, dispatches) {
+  const events = [];
+
+  for (const order of orders) {
+    const before = previous.orders[order.id];
+    if (!before) continue;
+    const fields = orderFields(order, order.id);
+
+    const status = order.status || null;
+    if (status && status !== before.status) {
+      events.push({
+        type: 'order_status',
+        key: `order_status:${order.id}:${status}`,
+        status,
+        ...fields,
+        vars: { ...fields.vars, status: formatStatus(status), old_status: formatStatus(before.status) }
+      });
+    }
+
+    const expectedDate = dateKey(order.expected_date);
+    if (expectedDate && expectedDate !== before.expectedDate && !CLOSED_STATUSES.includes(status)) {
+      events.push({
+        type: 'expected_date',
+        key: `expected_date:${order.id}:${expectedDate}`,
+        ...fields,
+        vars: { ...fields.vars, expected_date: expectedDate, old_expected_date: before.expectedDate || 'not set' }
+      });
+    }
+  }
+
+  for (const dispatch of dispatches) {
+    const despatchNo = dispatch.despatchno;
+    const known = Object.prototype.hasOwnProperty.call(previous.dispatches, despatchNo);
+    const weight = Number(dispatch.weight) || 0;
+    const fields = orderFields(dispatch, dispatch.order_id);
+    const vars = { ...fields.vars, despatch_no: despatchNo, weight: formatWeight(weight) };
+
+    if (!known) {
+      events.push({ type: 'dispatch_created', key: `dispatch_created:${despatchNo}`, ...fields, vars });
+    }
+    if (weight > 0 && !(known && previous.dispatches[despatchNo] > 0)) {
+      events.push({ type: 'dispatch_weighed', key: `dispatch_weighed:${despatchNo}`, ...fields, vars });
+    }
+  }
+
+  return events;
+}
+
+// Who gets what: marketing person -> XMPP users, customer id -> WhatsApp numbers
+function buildDirectory() {
+  const marketing = new Map();
+  for (const [jid, assigned] of Object.entries(MarketingPersonStore.getAllAssignments())) {
+    // Assignments may be an array (current) or a single string (old format)
+    for (const person of Array.isArray(assigned) ? assigned : [assigned]) {
+      if (!marketing.has(person)) marketing.set(person, []);
+      marketing.get(person).push(jid);
+    }
+  }
+
+  const customer = new Map();
+  for (const account of CustomerAccountStore.listAccounts()) {
+    for (const { id } of account.customers) {
+      const key = String(id);
+      if (!customer.has(key)) customer.set(key, []);
+      customer.get(key).push(account.phone);
+    }
+  }
+
+  return {
+    recipients(event, audience) {
+      if (audience === 'marketing') {
+        return event.marketingPerson ? marketing.get(event.marketingPerson) || [] : [];
+      }
+      return event.customerId === null || event.customerId === undefined
+        ? []
+        : customer.get(String(event.customerId)) || [];
+    }
+  };
+}
+
+// Queue the subscribed messages for the events; marks them sent in state.sent
+function notify(events, config, state) {
+  const directory = buildDirectory();
+  const history = [];
+
+  for (const event of events) {
+    const subscription = config.events[event.type];
+    if (event.type === 'order_status' && subscription.statuses.length > 0 &&
+        !subscription.statuses.includes(String(event.status).toLowerCase())) {
+      continue;
+    }
+
+    for (const audience of ['marketing', 'customer']) {
+      if (!subscription[audience].enabled) continue;
+      const message = renderTemplate(subscription[audience].template, event.vars);
+
+      for (const recipient of directory.recipients(event, audience)) {
+        const sentKey = `${event.key}|${recipient}`;
+        if (state.sent[sentKey]) continue;
+
+        if (audience === 'marketing') {
+          OutboxStore.addMessage('text', recipient, { message });
+        } else {
+          QueueStore.addMessage(recipient, message, WHATSAPP_FEATURE);
+        }
+        state.sent[sentKey] = Date.now();
+        history.push({
+          at: new Date().toISOString(),
+          type: event.type,
+          channel: audience === 'marketing' ? 'xmpp' : 'whatsapp',
+          recipient,
+          orderNumber: event.vars.order_number,
+          despatchNo: event.vars.despatch_no || null,
+          message
+        });
+      }
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Read the order register, diff it against the last snapshot and queue notifications.
+ * @returns {Promise<{ baseline: boolean, orders: number, dispatches: number,
+ *   events: number, notifications: number }>}
+ */
+async function pollOrderEvents() {
+  const config = OrderEventStore.readConfig();
+  const { lookbackDays } = config.settings;
+
+  const [orderResult, dispatchResult] = await Promise.all([
+    DatabaseHelper.getOrderStates(lookbackDays),
+    DatabaseHelper.getRecentDispatches(lookbackDays)
+  ]);
+  // Never diff against a failed read: every order would look new next time
+  if (!orderResult.success) throw new Error(orderResult.error);
+  if (!dispatchResult.success) throw new Error(dispatchResult.error);
+
+  const { orders } = orderResult;
+  const { dispatches } = dispatchResult;
+  const state = OrderEventStore.readState();
+  const previous = state.snapshot;
+  state.snapshot = takeSnapshot(orders, dispatches);
+
+  const summary = { baseline: false, orders: orders.length, dispatches: dispatches.length, events: 0, notifications: 0 };
+
+  if (!previous || Date.now() - new Date(previous.takenAt).getTime() > STALE_SNAPSHOT_MS) {
+    OrderEventStore.writeState(state);
+    console.log(`📸 [ORDER WATCH] Baseline recorded: ${orders.length} orders, ${dispatches.length} dispatches`);
+    return { ...summary, baseline: true };
+  }
+
+  const events = detectEvents(previous, orders, dispatches);
+  const history = notify(events, config, state);
+  OrderEventStore.writeState(state);
+  OrderEventStore.addHistory(history);
+
+  if (events.length > 0) {
+    console.log(`🔔 [ORDER WATCH] ${events.length} change(s), ${history.length} notification(s) queued`);
+  }
+  return { ...summary, events: events.length, notifications: history.length };
+}
+
+module.exports = {
+  WHATSAPP_FEATURE,
+  detectEvents,
+  renderTemplate,
+  pollOrderEvents
+};
@@ -0,0 +1,232 @@
+// Outbox Store - Durable queue for messages sent through the Message Bot
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_FILE = path.join(__dirname, 'outbox.json');
+const OUTBOX_MEDIA_DIR = path.join(__dirname, 'outbox_media');
+
+// Retry policy: exponential backoff starting at 5s, capped at 10 minutes
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+// How long a claimed message is hidden from other senders; markSent/markFailed end it early,
+// and if the process dies mid-send the message becomes due again after this
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+
+const STATUSES = ['queued', 'sent', 'failed', 'dead-letter'];
+
+class OutboxStore {
+  // Initialize store file and media directory if they don't exist
+  static init() {
+    if (!fs.existsSync(OUTBOX_FILE)) {
+      fs.writeFileSync(OUTBOX_FILE, JSON.stringify({ messages: [] }, null, 2));
+      console.log('✅ Outbox store created');
+    }
+    if (!fs.existsSync(OUTBOX_MEDIA_DIR)) {
+      fs.mkdirSync(OUTBOX_MEDIA_DIR, { recursive: true });
+    }
+  }
+
+  // Read outbox from file
+  static readOutbox() {
+    try {
+      if (!fs.existsSync(OUTBOX_FILE)) {
+        this.init();
+      }
+      const data = fs.readFileSync(OUTBOX_FILE, 'utf8');
+      return JSON.parse(data).messages || [];
+    } catch (error) {
+      console.error('❌ Error reading outbox:', error);
+      return [];
+    }
+  }
+
+  // Write outbox to file
+  static writeOutbox(messages) {
+    try {
+      fs.writeFileSync(OUTBOX_FILE, JSON.stringify({ messages }, null, 2));
+    } catch (error) {
+      console.error('❌ Error writing outbox:', error);
+    }
+  }
+
+  // Add a message to the outbox
+  // kind: 'text' (payload: { message }), 'image' (payload: { imageUrl, imageSize, caption, messageType, mediaFile, filename, mimeType })
+  // or 'file' (payload: { fileUrl, fileSize, caption, messageType, mediaFile, filename, mimeType })
+  static addMessage(kind, to, payload) {
+    const messages = this.readOutbox();
+    const item = {
+      id: `out_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      kind,
+      to,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      sentAt: null
+    };
+
+    messages.push(item);
+    this.writeOutbox(messages);
+    return item;
+  }
+
+  // Save an uploaded file so it can be uploaded later when the bot is back online
+  static saveMedia(buffer, originalName) {
+    this.init();
+    const safeName = (originalName || 'file').replace(/[^a-zA-Z0-9._-]/g, '_');
+    const mediaFile = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}_${safeName}`;
+    fs.writeFileSync(path.join(OUTBOX_MEDIA_DIR, mediaFile), buffer);
+    return mediaFile;
+  }
+
+  // Read a saved media file (returns null if missing)
+  static readMedia(mediaFile) {
+    try {
+      return fs.readFileSync(path.join(OUTBOX_MEDIA_DIR, mediaFile));
+    } catch (error) {
+      console.error(`❌ Error reading outbox media ${mediaFile}:`, error.message);
+      return null;
+    }
+  }
+
+  // Remove a saved media file
+  static deleteMedia(mediaFile) {
+    if (!mediaFile) return;
+    try {
+      fs.unlinkSync(path.join(OUTBOX_MEDIA_DIR, mediaFile));
+    } catch (error) {
+      // Already gone - nothing to do
+    }
+  }
+
+  // Get all messages, optionally filtered by status
+  static getMessages(status = null) {
+    const messages = this.readOutbox();
+    return status ? messages.filter(item => item.status === status) : messages;
+  }
+
+  // Get a single message by id
+  static getMessage(id) {
+    return this.readOutbox().find(item => item.id === id) || null;
+  }
+
+  // Get messages that are due for a delivery attempt
+  static getDueMessages(now = Date.now()) {
+    return this.readOutbox().filter(item =>
+      (item.status === 'queued' || item.status === 'failed') &&
+      (item.nextAttemptAt || 0) <= now
+    );
+  }
+
+  // Claim a due message for one delivery attempt, so the poller and an inline send
+  // cannot both send it. Returns the message, or null if it is not due (e.g. already claimed).
+  static claim(id, now = Date.now()) {
+    const messages = this.readOutbox();
+    const item = messages.find(m => m.id === id);
+    if (!item || !(item.status === 'queued' || item.status === 'failed') || (item.nextAttemptAt || 0) > now) {
+      return null;
+    }
+    item.nextAttemptAt = now + CLAIM_LEASE_MS;
+    item.claimedUntil = now + CLAIM_LEASE_MS;
+    item.updatedAt = new Date(now).toISOString();
+    this.writeOutbox(messages);
+    return item;
+  }
+
+  // Update fields on a message
+  static updateMessage(id, changes) {
+    const messages = this.readOutbox();
+    const index = messages.findIndex(item => item.id === id);
+    if (index < 0) return null;
+
+    messages[index] = { ...messages[index], ...changes, updatedAt: new Date().toISOString() };
+    this.writeOutbox(messages);
+    return messages[index];
+  }
+
+  // Mark a message as delivered
+  static markSent(id) {
+    const item = this.updateMessage(id, { status: 'sent', sentAt: new Date().toISOString(), lastError: null, claimedUntil: null });
+    if (item && item.payload) this.deleteMedia(item.payload.mediaFile);
+    return item;
+  }
+
+  // Record a failed attempt and schedule the next one (or dead-letter it)
+  static markFailed(id, error) {
+    const item = this.getMessage(id);
+    if (!item) return null;
+
+    const attempts = item.attempts + 1;
+    if (attempts >= (item.maxAttempts || MAX_ATTEMPTS)) {
+      console.error(`💀 [OUTBOX] ${id} moved to dead-letter after ${attempts} attempts: ${error}`);
+      return this.updateMessage(id, { status: 'dead-letter', attempts, lastError: error, nextAttemptAt: null, claimedUntil: null });
+    }
+
+    const backoff = Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+    return this.updateMessage(id, {
+      status: 'failed',
+      attempts,
+      lastError: error,
+      nextAttemptAt: Date.now() + backoff,
+      claimedUntil: null
+    });
+  }
+
+  // Put a failed or dead-letter message back in the queue for immediate delivery.
+  // Returns null for queued and sent messages, and while a delivery attempt holds the claim.
+  static retry(id, now = Date.now()) {
+    const item = this.getMessage(id);
+    if (!item || !(item.status === 'failed' || item.status === 'dead-letter')) return null;
+    if ((item.claimedUntil || 0) > now) return null;
+    return this.updateMessage(id, { status: 'queued', attempts: 0, nextAttemptAt: now, claimedUntil: null });
+  }
+
+  // Delete a single message
+  static deleteMessage(id) {
+    const messages = this.readOutbox();
+    const item = messages.find(m => m.id === id);
+    if (!item) return false;
+
+    if (item.payload) this.deleteMedia(item.payload.mediaFile);
+    this.writeOutbox(messages.filter(m => m.id !== id));
+    return true;
+  }
+
+  // Purge messages by status (default: sent and dead-letter), optionally only older than N ms
+  static purge(statuses = ['sent', 'dead-letter'], olderThan = 0) {
+    const messages = this.readOutbox();
+    const now = Date.now();
+
+    const kept = messages.filter(item => {
+      if (!statuses.includes(item.status)) return true;
+      if (olderThan && now - new Date(item.updatedAt).getTime() < olderThan) return true;
+      if (item.payload) this.deleteMedia(item.payload.mediaFile);
+      return false;
+    });
+
+    this.writeOutbox(kept);
+    return messages.length - kept.length; // Number of purged items
+  }
+
+  // Get outbox statistics
+  static getStats() {
+    const messages = this.readOutbox();
+    const stats = { total: messages.length };
+    for (const status of STATUSES) {
+      stats[status] = messages.filter(item => item.status === status).length;
+    }
+    return stats;
+  }
+}
+
+OutboxStore.STATUSES = STATUSES;
+
+// Initialize on module load
+OutboxStore.init();
+
+module.exports = OutboxStore;
@@ -0,0 +1,316 @@
+// Report Helper - Renders query result rows as Excel (.xlsx), CSV or PDF files
+// No external dependencies: the .xlsx is a minimal SpreadsheetML package zipped here,
+// the PDF is a plain monospaced table.
+const zlib = require('zlib');
+
+const FORMATS = {
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' }
+};
+
+// ── Cell values ──
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Dates print as local "YYYY-MM-DD" (or with time when it isn't midnight)
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const date = `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+    if (value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0) return date;
+    return `${date} ${pad2(value.getHours())}:${pad2(value.getMinutes())}:${pad2(value.getSeconds())}`;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Numbers and DECIMAL columns (returned as strings by mysql2) become numeric cells;
+// codes like "000123" stay text so leading zeros survive
+function numericValue(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && /^-?\d+\.\d+$/.test(value)) return Number(value);
+  return null;
+}
+
+function getColumns(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+// ── CSV ──
+
+function buildCsv(rows, columns) {
+  const escape = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const lines = [columns.map(escape).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escape(formatValue(row[c]))).join(','));
+  }
+  // BOM so Excel opens UTF-8 customer names correctly
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+// ── XLSX ──
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function buildSheetXml(rows, columns) {
+  const cell = (value, ref, style) => {
+    const number = numericValue(value);
+    if (number !== null) return `<c r="${ref}"${style}><v>${number}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(formatValue(value))}</t></is></c>`;
+  };
+
+  const xmlRows = [
+    `<row r="1">${columns.map((c, i) => cell(c, `${columnName(i)}1`, ' s="1"')).join('')}</row>`
+  ];
+  rows.forEach((row, r) => {
+    const rowNumber = r + 2;
+    xmlRows.push(`<row r="${rowNumber}">${columns.map((c, i) => cell(row[c], `${columnName(i)}${rowNumber}`, '')).join('')}</row>`);
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${xmlRows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+function buildXlsx(rows, columns, title) {
+  const sheetName = escapeXml((title || 'Report').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Report');
+
+  const files = {
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+    // Style 1 = bold header
+    'xl/styles.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+    'xl/worksheets/sheet1.xml': buildSheetXml(rows, columns)
+  };
+
+  return buildZip(Object.entries(files).map(([name, content]) => ({ name, data: Buffer.from(content, 'utf8') })));
+}
+
+// ── ZIP (deflate, no extras) ──
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildZip(entries) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const compressed = zlib.deflateRawSync(entry.data);
+    const crc = crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDir = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDir, end]);
+}
+
+// ── PDF (landscape A4, Courier table) ──
+
+const PDF_PAGE = { width: 842, height: 595, margin: 30, fontSize: 7, lineHeight: 9 };
+// Courier glyphs are 0.6em wide
+const PDF_MAX_CHARS = Math.floor((PDF_PAGE.width - 2 * PDF_PAGE.margin) / (PDF_PAGE.fontSize * 0.6));
+const PDF_MAX_COLUMN = 24;
+
+function buildPdf(rows, columns, title) {
+  // Standard PDF fonts only cover Latin-1; replace anything else
+  const clean = (text) => text.replace(/[\r\n\t]+/g, ' ').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  const widths = columns.map((c) =>
+    Math.min(PDF_MAX_COLUMN, Math.max(clean(c).length, ...rows.map((r) => clean(formatValue(r[c])).length)))
+  );
+  const line = (values) => values
+    .map((v, i) => clean(v).slice(0, widths[i]).padEnd(widths[i]))
+    .join(' | ')
+    .slice(0, PDF_MAX_CHARS);
+
+  const header = line(columns);
+  const body = rows.map((r) => line(columns.map((c) => formatValue(r[c]))));
+
+  const linesPerPage = Math.floor((PDF_PAGE.height - 2 * PDF_PAGE.margin) / PDF_PAGE.lineHeight) - 4;
+  const pages = [];
+  for (let i = 0; i < Math.max(body.length, 1); i += linesPerPage) {
+    pages.push(body.slice(i, i + linesPerPage));
+  }
+
+  const escapePdf = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+  const objects = [];
+  const pageObjectIds = pages.map((_, i) => 4 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, i) => {
+    const heading = `${clean(title || 'Report')}  (page ${i + 1} of ${pages.length}, ${rows.length} rows)`;
+    const text = [heading, '', header, '-'.repeat(header.length), ...pageLines]
+      .map((l) => `(${escapePdf(l)}) Tj T*`)
+      .join('\n');
+    const stream = `BT /F1 ${PDF_PAGE.fontSize} Tf ${PDF_PAGE.lineHeight} TL ${PDF_PAGE.margin} ${PDF_PAGE.height - PDF_PAGE.margin} Td\n${text}\nET`;
+
+    const pageId = pageObjectIds[i];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Render rows as a downloadable report
+ * @param {Object[]} rows - Result rows (keys become column headers)
+ * @param {string} format - 'xlsx' | 'csv' | 'pdf'
+ * @param {string} title - Used for the file name, sheet name and PDF heading
+ * @returns {{ buffer: Buffer, filename: string, mimeType: string }}
+ */
+function buildReport(rows, format = 'xlsx', title = 'report') {
+  const spec = FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown report format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const columns = getColumns(rows);
+  let buffer;
+  if (format === 'csv') buffer = buildCsv(rows, columns);
+  else if (format === 'pdf') buffer = buildPdf(rows, columns, title);
+  else buffer = buildXlsx(rows, columns, title);
+
+  const now = new Date();
+  const stamp = `${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}_${pad2(now.getHours())}${pad2(now.getMinutes())}`;
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'report';
+
+  return { buffer, filename: `${slug}_${stamp}.${spec.extension}`, mimeType: spec.mimeType };
+}
+
+module.exports = {
+  FORMATS,
+  buildReport
+};
@@ -0,0 +1,89 @@
+// Roster Group Store - Admin-defined named groups of XMPP users (broadcast audiences)
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = path.join(__dirname, 'roster_groups.json');
+
+class RosterGroupStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ groups: {} }, null, 2));
+      console.log('✅ Roster groups store created');
+    }
+  }
+
+  // Read groups from file
+  static readGroups() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = fs.readFileSync(STORE_FILE, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('❌ Error reading roster groups:', error);
+      return { groups: {} };
+    }
+  }
+
+  // Write groups to file
+  static writeGroups(data) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2));
+      console.log('✅ Roster groups saved');
+    } catch (error) {
+      console.error('❌ Error writing roster groups:', error);
+    }
+  }
+
+  // Get all groups
+  static getAllGroups() {
+    return this.readGroups().groups;
+  }
+
+  // Get a single group by name
+  static getGroup(name) {
+    return this.readGroups().groups[name] || null;
+  }
+
+  // Create or replace a group
+  static setGroup(name, members, description = '') {
+    const data = this.readGroups();
+    const existing = data.groups[name];
+
+    // Normalise, drop empties and duplicates
+    const cleanMembers = [...new Set(
+      members.map(m => (m || '').trim().toLowerCase()).filter(Boolean)
+    )];
+
+    data.groups[name] = {
+      name,
+      description,
+      members: cleanMembers,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.writeGroups(data);
+    console.log(`✅ Roster group "${name}" saved with ${cleanMembers.length} member(s)`);
+    return data.groups[name];
+  }
+
+  // Delete a group
+  static deleteGroup(name) {
+    const data = this.readGroups();
+    if (data.groups[name]) {
+      delete data.groups[name];
+      this.writeGroups(data);
+      console.log(`✅ Roster group "${name}" deleted`);
+      return true;
+    }
+    return false;
+  }
+}
+
+// Initialize on module load
+RosterGroupStore.init();
+
+module.exports = RosterGroupStore;
@@ -4,19 +4,35 @@ const { execFileSync } = require("child_process");
 const { client, xml } = require("@xmpp/client");
 const { getAIResponse } = require("./aiHelper");
 const DatabaseHelper = require("./wpp/config/databaseHelper");
+const SQLAgent = require("./wpp/config/sqlAgent");
+const AuditLog = require("./wpp/config/auditLog");
 const MarketingPersonStore = require("./marketingPersonStore");
+const OutboxStore = require("./outboxStore");
+const MessageStatusStore = require("./messageStatusStore");
+const RosterGroupStore = require("./rosterGroupStore");
+const BroadcastReportStore = require("./broadcastReportStore");
+const BroadcastScheduleStore = require("./broadcastScheduleStore");
+const { isValidCron } = require("./cronHelper");
+const { superviseClient } = require("./botSupervisor");
+const AIRoomStore = require("./aiRoomStore");
+const OrderEventStore = require("./orderEventStore");
+const { pollOrderEvents } = require("./orderWatcher");
+const { buildReport } = require("./reportHelper");
 const multer = require("multer");
 const axios = require("axios");
 const FormData = require("form-data");
 const crypto = require("crypto");
+const EventEmitter = require("events");
 
 const app = express();
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json()); // Add JSON body parser for API endpoints
 app.set("view engine", "ejs");
 
-// Configure multer for file uploads
-const upload = multer({ storage: multer.memoryStorage() });
+// Configure multer for file uploads. Files are buffered in memory, so reading stops at a cap:
+// the upload service's own limit for /send-file and /send-image (uploadWithinLimit), else this one
+const FALLBACK_MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: FALLBACK_MAX_UPLOAD_BYTES } });
 
 // ===== CONFIG =====
 const DOMAIN = "chat.thirupathybright.in";
@@ -35,10 +51,25 @@ const MSG_BOT_PASSWORD = "bot123";
 
 const XMPP_SERVICE = `xmpp://${DOMAIN}:5222`;
 
+// Start bots when the server boots (set AUTO_START_AI_BOT=false / AUTO_START_MESSAGE_BOT=false to disable)
+const AUTO_START_AI_BOT = process.env.AUTO_START_AI_BOT !== "false";
+const AUTO_START_MESSAGE_BOT = process.env.AUTO_START_MESSAGE_BOT !== "false";
+
+// File format for large AI answers: xlsx, csv or pdf
+const AI_REPORT_FORMAT = process.env.AI_REPORT_FORMAT || "xlsx";
+
+// Login for admin-only pages (the AI audit log), asked for with HTTP Basic auth.
+// Without DASHBOARD_ADMIN_PASSWORD those pages stay locked.
+const DASHBOARD_ADMIN_USER = process.env.DASHBOARD_ADMIN_USER || "admin";
+const DASHBOARD_ADMIN_PASSWORD = process.env.DASHBOARD_ADMIN_PASSWORD || "";
+
 // AI Bot instance (persistent connection)
 let aiBot = null;
 // Message Bot instance (for sending notifications)
 let messageBot = null;
+// Supervisors keep the bot connections alive (reconnect, stream management, MUC rejoin)
+let aiBotSupervisor = null;
+let messageBotSupervisor = null;
 // ==================
 
 // ---- helpers ----
@@ -77,64 +108,468 @@ function runProsodyctl(command, jid) {
   });
 }
 
-async function sendBroadcast(messageText) {
-  const users = listUsers()
-    .map((u) => `${u}@${DOMAIN}`)
-    // optional: do not send to bot itself
-    .filter((jid) => !jid.startsWith(`${BOT_USERNAME}@`))
-    .filter((jid) => !jid.startsWith(`${MSG_BOT_USERNAME}@`));
+// Split a JID list given as an array or as comma/newline/space separated text
+function parseJidList(value) {
+  if (Array.isArray(value)) return value.map((j) => String(j).trim()).filter(Boolean);
+  return String(value || "")
+    .split(/[\s,;]+/)
+    .map((j) => j.trim())
+    .filter(Boolean);
+}
+
+// Build an audience description from a form/JSON body
+function audienceFromBody(body) {
+  return {
+    type: body.audienceType || "all",
+    jids: body.jids,
+    marketingPerson: (body.marketingPerson || "").trim(),
+    group: (body.group || "").trim()
+  };
+}
 
-  const xmpp = client({
+/**
+ * Resolve a broadcast audience to a recipient list.
+ * audience.type: "all" | "jids" | "marketingPerson" | "group"
+ * Returns { type, label, recipients: [jid], skipped: [{ jid, reason }] }
+ */
+function resolveBroadcastAudience(audience = {}) {
+  const type = audience.type || "all";
+  let candidates;
+  let label;
+
+  switch (type) {
+    case "all":
+      candidates = listUsers().map((u) => `${u}@${DOMAIN}`);
+      label = "All users";
+      break;
+    case "jids":
+      candidates = parseJidList(audience.jids);
+      if (candidates.length === 0) throw new Error("Enter at least one JID.");
+      label = `${candidates.length} selected JID(s)`;
+      break;
+    case "marketingPerson":
+      if (!audience.marketingPerson) throw new Error("Select a marketing person.");
+      candidates = MarketingPersonStore.getUsersByMarketingPerson(audience.marketingPerson);
+      label = `Marketing person: ${audience.marketingPerson}`;
+      break;
+    case "group": {
+      const group = RosterGroupStore.getGroup(audience.group);
+      if (!group) throw new Error(`Roster group "${audience.group}" not found.`);
+      candidates = group.members;
+      label = `Group: ${group.name}`;
+      break;
+    }
+    default:
+      throw new Error(`Unknown audience type: ${type}`);
+  }
+
+  // Existing local accounts, used to skip JIDs that no longer exist
+  let knownJids = null;
+  try {
+    knownJids = new Set(listUsers().map((u) => `${u}@${DOMAIN}`.toLowerCase()));
+  } catch (e) {
+    console.warn("⚠️ [BROADCAST] Cannot read accounts dir, skipping account check:", e.message);
+  }
+
+  const botJids = [`${BOT_USERNAME}@${DOMAIN}`, `${MSG_BOT_USERNAME}@${DOMAIN}`];
+  const recipients = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const raw of candidates) {
+    const jid = raw.trim().toLowerCase();
+    if (seen.has(jid)) {
+      skipped.push({ jid, reason: "Duplicate" });
+      continue;
+    }
+    seen.add(jid);
+
+    if (!/^[^@\s]+@[^@\s]+$/.test(jid)) {
+      skipped.push({ jid, reason: "Invalid JID" });
+    } else if (botJids.includes(jid)) {
+      skipped.push({ jid, reason: "Bot account" });
+    } else if (knownJids && jid.endsWith(`@${DOMAIN}`) && !knownJids.has(jid)) {
+      skipped.push({ jid, reason: "No such account" });
+    } else {
+      recipients.push(jid);
+    }
+  }
+
+  return { type, label, recipients, skipped };
+}
+
+// ===== BROADCAST JOBS =====
+// Broadcasts run one at a time as jobs on a long-lived `broadcast` connection.
+// Progress is published on broadcastEvents and streamed to the dashboard (SSE).
+
+const broadcastEvents = new EventEmitter();
+const broadcastJobs = new Map();
+const broadcastJobQueue = [];
+let broadcastJobRunning = false;
+
+// Long-lived connection for the broadcast account (shared by all jobs)
+let broadcastBot = null;
+
+// Adaptive pacing between messages
+const BROADCAST_PACING = {
+  initialDelay: 150,
+  minDelay: 50,
+  maxDelay: 5000,
+  speedUpEvery: 25, // successful sends before shortening the delay again
+  errorGrace: 2000 // wait for late error stanzas before finishing a job
+};
+// Stanza error conditions that mean "slow down" rather than "recipient failed"
+const RATE_LIMIT_CONDITIONS = ["resource-constraint", "policy-violation"];
+// Finished jobs kept in memory for the dashboard
+const MAX_FINISHED_JOBS = 20;
+
+// Message id -> { job, jid } for stanzas still waiting for a possible error
+const pendingBroadcastMessages = new Map();
+
+async function ensureBroadcastBot() {
+  if (broadcastBot && broadcastBot.status === "online") return broadcastBot;
+
+  if (broadcastBot) {
+    try {
+      await broadcastBot.stop();
+    } catch (e) {
+      // Stale connection - ignore
+    }
+    broadcastBot = null;
+  }
+
+  console.log(`📣 Starting broadcast connection (${BOT_USERNAME}@${DOMAIN})...`);
+  const bot = client({
     service: XMPP_SERVICE,
     domain: DOMAIN,
     username: BOT_USERNAME, // IMPORTANT: username only
     password: BOT_PASSWORD,
   });
 
-  xmpp.on("error", (err) => console.error("XMPP error:", err));
-  xmpp.on("status", (s) => console.log("XMPP status:", s));
+  bot.on("error", (err) => console.error("❌ Broadcast connection error:", err?.message || err));
+  bot.on("status", (status) => console.log(`📣 Broadcast connection status: ${status}`));
+  bot.on("stanza", handleBroadcastErrorStanza);
+  bot.on("online", async () => {
+    // Negative priority: chats to the bare JID keep going to the AI bot resource
+    await bot.send(xml("presence", {}, xml("priority", {}, "-1")));
+  });
+
+  await bot.start();
+  broadcastBot = bot;
+  return broadcastBot;
+}
+
+// Error replies to broadcast messages arrive asynchronously as <message type="error"/>
+function handleBroadcastErrorStanza(stanza) {
+  if (!stanza.is("message") || stanza.attrs.type !== "error") return;
+
+  const pending = pendingBroadcastMessages.get(stanza.attrs.id);
+  if (!pending) return;
+  pendingBroadcastMessages.delete(stanza.attrs.id);
+
+  const { job, jid } = pending;
+  const errorEl = stanza.getChild("error");
+  const condition = errorEl && errorEl.children.find((c) => typeof c !== "string" && c.name !== "text");
+  const conditionName = condition ? condition.name : "unknown-error";
+
+  job.sent = job.sent.filter((j) => j !== jid);
+
+  if (RATE_LIMIT_CONDITIONS.includes(conditionName) && !job.retried.has(jid)) {
+    // Back off and try this recipient again later in the run
+    job.retried.add(jid);
+    job.rateLimited++;
+    job.delayMs = Math.min(job.delayMs * 2, BROADCAST_PACING.maxDelay);
+    job.successStreak = 0;
+    job.remaining.push(jid);
+    console.warn(`⚠️ [BROADCAST] Rate limited (${conditionName}) on ${jid}, delay now ${job.delayMs}ms`);
+  } else {
+    job.failed.push({ jid, error: conditionName });
+  }
+  emitBroadcastJob(job);
+}
+
+// Public view of a job (no internal bookkeeping)
+function broadcastJobSnapshot(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    label: job.label,
+    text: job.text,
+    hasImage: !!job.image,
+    total: job.total,
+    sent: job.sent.length,
+    failed: job.failed.length,
+    skipped: job.skipped.length,
+    processed: job.sent.length + job.failed.length,
+    delayMs: job.delayMs,
+    rateLimited: job.rateLimited,
+    reportId: job.reportId,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function emitBroadcastJob(job) {
+  broadcastEvents.emit("job", broadcastJobSnapshot(job));
+}
+
+/**
+ * Queue a broadcast job. Resolves the audience immediately so bad input fails fast.
+ * image (optional): { url, size } of a file already uploaded via uploadFileToXMPP
+ */
+function createBroadcastJob(messageText, audience = { type: "all" }, image = null) {
+  const { type, label, recipients, skipped } = resolveBroadcastAudience(audience);
+
+  const job = {
+    id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: "queued",
+    text: messageText,
+    image,
+    audience: {
+      type,
+      label,
+      marketingPerson: type === "marketingPerson" ? audience.marketingPerson : undefined,
+      group: type === "group" ? audience.group : undefined
+    },
+    label,
+    total: recipients.length,
+    remaining: [...recipients],
+    sent: [],
+    failed: [],
+    skipped: [...skipped],
+    retried: new Set(),
+    delayMs: BROADCAST_PACING.initialDelay,
+    successStreak: 0,
+    rateLimited: 0,
+    cancelRequested: false,
+    reportId: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  job.done = new Promise((resolve) => { job.resolveDone = resolve; });
+
+  broadcastJobs.set(job.id, job);
+  broadcastJobQueue.push(job);
+  emitBroadcastJob(job);
+  console.log(`📣 [BROADCAST] Job ${job.id} queued for ${job.total} recipient(s) (${label})`);
+
+  processBroadcastJobs();
+  return job;
+}
+
+// Request cancellation. Queued jobs stop immediately; running jobs stop before the next message.
+function cancelBroadcastJob(jobId) {
+  const job = broadcastJobs.get(jobId);
+  if (!job || !["queued", "running"].includes(job.status)) return null;
+
+  job.cancelRequested = true;
+  if (job.status === "queued") {
+    broadcastJobQueue.splice(broadcastJobQueue.indexOf(job), 1);
+    finishBroadcastJob(job, "cancelled");
+  }
+  return job;
+}
+
+function finishBroadcastJob(job, status) {
+  // Anything not delivered yet is reported as skipped
+  for (const jid of job.remaining) {
+    job.skipped.push({ jid, reason: status === "cancelled" ? "Cancelled" : "Not sent" });
+  }
+  job.remaining = [];
+
+  for (const [id, pending] of pendingBroadcastMessages) {
+    if (pending.job === job) pendingBroadcastMessages.delete(id);
+  }
+
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+
+  const report = BroadcastReportStore.addReport({
+    text: job.text || (job.image ? "[image]" : ""),
+    audience: job.audience,
+    status,
+    sent: job.sent,
+    skipped: job.skipped,
+    failed: job.failed,
+    startedAt: job.startedAt || job.createdAt
+  });
+  job.reportId = report.id;
+
+  console.log(`📣 [BROADCAST] Job ${job.id} ${status}. Sent=${job.sent.length}, Failed=${job.failed.length}, Skipped=${job.skipped.length}`);
+  emitBroadcastJob(job);
+  job.resolveDone(job);
 
-  await xmpp.start();
-  await xmpp.send(xml("presence"));
+  // Trim old finished jobs
+  const finished = [...broadcastJobs.values()].filter((j) => j.finishedAt);
+  for (const old of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    broadcastJobs.delete(old.id);
+  }
+}
 
-  let sent = 0;
-  let failed = 0;
+async function runBroadcastJob(job) {
   const delay = (ms) => new Promise((r) => setTimeout(r, ms));
 
-  for (const jid of users) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  emitBroadcastJob(job);
+
+  if (job.remaining.length === 0) {
+    finishBroadcastJob(job, "completed");
+    return;
+  }
+
+  let xmpp;
+  try {
+    xmpp = await ensureBroadcastBot();
+  } catch (e) {
+    job.error = `Broadcast connection failed: ${e?.message || e}`;
+    finishBroadcastJob(job, "failed");
+    return;
+  }
+
+  let index = 0;
+  while (job.remaining.length > 0 && !job.cancelRequested) {
+    const jid = job.remaining.shift();
+    const id = `${job.id}_${index++}`;
+
     try {
-      await xmpp.send(
-        xml("message", { type: "chat", to: jid }, xml("body", {}, messageText))
-      );
-      sent++;
-      await delay(150); // anti-flood
+      const message = job.image
+        ? xml(
+            "message",
+            { type: "chat", to: jid, id },
+            xml("body", {}, buildImageMessageBody(job.image.url, job.image.size, job.text)),
+            xml("x", { xmlns: "jabber:x:oob" }, xml("url", {}, job.image.url))
+          )
+        : xml("message", { type: "chat", to: jid, id }, xml("body", {}, job.text));
+
+      pendingBroadcastMessages.set(id, { job, jid });
+      await xmpp.send(message);
+      job.sent.push(jid);
+
+      // Steadily speed back up after a run of clean sends
+      if (++job.successStreak >= BROADCAST_PACING.speedUpEvery) {
+        job.successStreak = 0;
+        job.delayMs = Math.max(Math.floor(job.delayMs * 0.75), BROADCAST_PACING.minDelay);
+      }
     } catch (e) {
-      failed++;
+      pendingBroadcastMessages.delete(id);
+      job.failed.push({ jid, error: e?.message || String(e) });
       console.error("Failed to send to", jid, e?.message || e);
+
+      // A dead connection fails every remaining send - reconnect once
+      if (xmpp.status !== "online") {
+        try {
+          xmpp = await ensureBroadcastBot();
+        } catch (reconnectError) {
+          job.error = `Broadcast connection lost: ${reconnectError?.message || reconnectError}`;
+          finishBroadcastJob(job, "failed");
+          return;
+        }
+      }
+    }
+
+    emitBroadcastJob(job);
+    await delay(job.delayMs); // anti-flood, adapts to rate limiting
+
+    // Collect late errors (and rate-limit retries) before deciding we're done
+    if (job.remaining.length === 0 && !job.cancelRequested) {
+      await delay(BROADCAST_PACING.errorGrace);
     }
   }
 
-  await xmpp.stop();
-  return { sent, failed, total: users.length };
+  finishBroadcastJob(job, job.cancelRequested ? "cancelled" : "completed");
+}
+
+async function processBroadcastJobs() {
+  if (broadcastJobRunning) return;
+  broadcastJobRunning = true;
+
+  try {
+    while (broadcastJobQueue.length > 0) {
+      const job = broadcastJobQueue.shift();
+      try {
+        await runBroadcastJob(job);
+      } catch (e) {
+        console.error(`❌ [BROADCAST] Job ${job.id} crashed:`, e?.message || e);
+        job.error = e?.message || String(e);
+        if (!job.finishedAt) finishBroadcastJob(job, "failed");
+      }
+    }
+  } finally {
+    broadcastJobRunning = false;
+  }
+}
+
+// Run a broadcast and wait for it to finish (used by the scheduler)
+async function sendBroadcast(messageText, audience = { type: "all" }, image = null) {
+  const job = await createBroadcastJob(messageText, audience, image).done;
+  if (job.status === "failed") throw new Error(job.error || "Broadcast failed");
+
+  return {
+    id: job.reportId,
+    jobId: job.id,
+    sent: job.sent.length,
+    failed: job.failed.length,
+    skipped: job.skipped.length,
+    total: job.total
+  };
+}
+
+// Namespaces for delivery receipts (XEP-0184) and chat markers (XEP-0333)
+const NS_RECEIPTS = "urn:xmpp:receipts";
+const NS_CHAT_MARKERS = "urn:xmpp:chat-markers:0";
+
+function newMessageId() {
+  return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function bareJid(jid) {
+  return (jid || "").split("/")[0].toLowerCase();
+}
+
+// Children that ask the recipient's client to report delivery/display.
+// Receipts are not meaningful in MUC rooms, so groupchat messages get none.
+function receiptRequestElements(type) {
+  if (type === "groupchat") return [];
+  return [
+    xml("request", { xmlns: NS_RECEIPTS }),
+    xml("markable", { xmlns: NS_CHAT_MARKERS })
+  ];
 }
 
 // Send message to specific user via messageBot connection
-async function sendMessageToUser(toJid, messageText) {
+async function sendMessageToUser(toJid, messageText, messageId = null) {
+  const id = messageId || newMessageId();
   try {
     if (!messageBot) {
       throw new Error("Message Bot is not running. Please start the bot first.");
     }
+    if (!isMessageBotOnline()) {
+      throw new Error(`Message Bot is not connected (status: ${messageBot.status}).`);
+    }
 
     console.log(`📤 [MESSAGE BOT] Sending message to ${toJid} from bot@${DOMAIN}`);
     console.log(`📤 [MESSAGE BOT] Message Bot connected: ${messageBot ? 'YES' : 'NO'}`);
     console.log(`📤 [MESSAGE BOT] Using account: ${MSG_BOT_USERNAME}@${DOMAIN}`);
 
     await messageBot.send(
-      xml("message", { type: "chat", to: toJid }, xml("body", {}, messageText))
+      xml(
+        "message",
+        { type: "chat", to: toJid, id },
+        xml("body", {}, messageText),
+        ...receiptRequestElements("chat")
+      )
     );
 
-    console.log(`✅ [MESSAGE BOT] Message sent successfully to ${toJid} from bot@${DOMAIN}`);
-    return { success: true };
+    MessageStatusStore.track(id, toJid, { type: "chat" });
+    MessageStatusStore.updateStatus(id, "sent");
+
+    console.log(`✅ [MESSAGE BOT] Message ${id} sent successfully to ${toJid} from bot@${DOMAIN}`);
+    return { success: true, id };
   } catch (error) {
     console.error(`❌ [MESSAGE BOT] Failed to send message to ${toJid}:`, error.message);
     return { success: false, error: error.message };
@@ -176,39 +611,47 @@ async function joinMucRoom(roomJid) {
       )
     );
   });
+
+  // Rejoin automatically if the connection is re-established while we are in the room
+  messageBotSupervisor.trackRoom(roomJid, nickname);
 }
 
 // Leave a MUC room
 async function leaveMucRoom(roomJid) {
   const roomWithNick = `${roomJid}/${MSG_BOT_USERNAME}`;
+  messageBotSupervisor.untrackRoom(roomJid);
   await messageBot.send(xml("presence", { to: roomWithNick, type: "unavailable" }));
   console.log(`🚪 [MUC] Left room ${roomJid}`);
 }
 
+// Build image message body with format: URL|size|CAPTION:text
+// The size is required for the Android app to use fileParams.url instead of body
+function buildImageMessageBody(imageUrl, imageSize, caption) {
+  if (caption && caption.trim()) {
+    // With caption: body = URL|size|CAPTION:text
+    return imageUrl + "|" + imageSize + "|CAPTION:" + caption.trim();
+  }
+  // Without caption: body = URL|size OR just URL if no size
+  return imageSize ? imageUrl + "|" + imageSize : imageUrl;
+}
+
 // Send image with caption to specific user or group
-async function sendImageWithCaption(toJid, imageUrl, imageSize, caption = "", messageType = "chat") {
+async function sendImageWithCaption(toJid, imageUrl, imageSize, caption = "", messageType = "chat", messageId = null) {
+  const id = messageId || newMessageId();
   try {
     if (!messageBot) {
       throw new Error("Message Bot is not running. Please start the bot first.");
     }
+    if (!isMessageBotOnline()) {
+      throw new Error(`Message Bot is not connected (status: ${messageBot.status}).`);
+    }
 
     const type = messageType === "groupchat" ? "groupchat" : "chat";
     console.log(`📤 [MESSAGE BOT] Sending image with caption to ${toJid} (type: ${type})`);
     console.log(`📤 [MESSAGE BOT] Image URL: ${imageUrl}`);
     console.log(`📤 [MESSAGE BOT] Caption: ${caption}`);
 
-    // Build message body with format: URL|size|CAPTION:text
-    // The size is required for the Android app to use fileParams.url instead of body
-    let messageBody;
-
-    if (caption && caption.trim()) {
-      // With caption: body = URL|size|CAPTION:text
-      messageBody = imageUrl + "|" + imageSize + "|CAPTION:" + caption.trim();
-      console.log(`📤 [MESSAGE BOT] Sending with caption: ${caption.trim()}`);
-    } else {
-      // Without caption: body = URL|size OR just URL if no size
-      messageBody = imageSize ? imageUrl + "|" + imageSize : imageUrl;
-    }
+    const messageBody = buildImageMessageBody(imageUrl, imageSize, caption);
 
     console.log(`📤 [MESSAGE BOT] Message body: ${messageBody}`);
     console.log(`📤 [MESSAGE BOT] OOB URL: ${imageUrl}`);
@@ -222,27 +665,325 @@ async function sendImageWithCaption(toJid, imageUrl, imageSize, caption = "", me
     // OOB always contains just the download URL
     const message = xml(
       "message",
-      { type, to: toJid },
+      { type, to: toJid, id },
       xml("body", {}, messageBody),
-      xml("x", { xmlns: "jabber:x:oob" }, xml("url", {}, imageUrl))
+      xml("x", { xmlns: "jabber:x:oob" }, xml("url", {}, imageUrl)),
+      ...receiptRequestElements(type)
     );
 
     await messageBot.send(message);
 
+    MessageStatusStore.track(id, toJid, { type });
+    MessageStatusStore.updateStatus(id, "sent");
+
     // Leave the room after sending — wait briefly for server to process/deliver
     if (type === "groupchat") {
       await new Promise(r => setTimeout(r, 1500));
       await leaveMucRoom(toJid);
     }
 
-    console.log(`✅ [MESSAGE BOT] Image with caption sent successfully to ${toJid}`);
-    return { success: true };
+    console.log(`✅ [MESSAGE BOT] Image with caption ${id} sent successfully to ${toJid}`);
+    return { success: true, id };
   } catch (error) {
     console.error(`❌ [MESSAGE BOT] Failed to send image to ${toJid}:`, error.message);
     return { success: false, error: error.message };
   }
 }
 
+// OOB + XEP-0447 stateless file sharing elements for an uploaded file
+// file: { url, size, filename, mimeType }
+function fileMessageElements(file, caption = "") {
+  const oob = xml("x", { xmlns: "jabber:x:oob" },
+    xml("url", {}, file.url),
+    caption ? xml("desc", {}, caption) : null
+  );
+
+  const metadata = xml("file", { xmlns: "urn:xmpp:file:metadata:0" },
+    xml("media-type", {}, file.mimeType),
+    xml("name", {}, file.filename),
+    file.size ? xml("size", {}, String(file.size)) : null,
+    caption ? xml("desc", {}, caption) : null
+  );
+
+  const fileSharing = xml("file-sharing", { xmlns: "urn:xmpp:sfs:0", disposition: "attachment" },
+    metadata,
+    xml("sources", {}, xml("url-data", { xmlns: "http://jabber.org/protocol/url-data", target: file.url }))
+  );
+
+  return [oob, fileSharing];
+}
+
+/**
+ * Send an uploaded file (PDF, spreadsheet, ...) to a user or group.
+ * The body is the bare URL so OOB-aware clients render it as an attachment;
+ * filename, type and size go in the file sharing metadata.
+ */
+async function sendFileMessage(toJid, file, caption = "", messageType = "chat", messageId = null) {
+  const id = messageId || newMessageId();
+  try {
+    if (!messageBot) {
+      throw new Error("Message Bot is not running. Please start the bot first.");
+    }
+    if (!isMessageBotOnline()) {
+      throw new Error(`Message Bot is not connected (status: ${messageBot.status}).`);
+    }
+
+    const type = messageType === "groupchat" ? "groupchat" : "chat";
+    console.log(`📤 [MESSAGE BOT] Sending file ${file.filename} to ${toJid} (type: ${type})`);
+
+    if (type === "groupchat") {
+      await joinMucRoom(toJid);
+    }
+
+    const message = xml(
+      "message",
+      { type, to: toJid, id },
+      xml("body", {}, file.url),
+      ...fileMessageElements(file, caption),
+      ...receiptRequestElements(type)
+    );
+
+    await messageBot.send(message);
+
+    MessageStatusStore.track(id, toJid, { type });
+    MessageStatusStore.updateStatus(id, "sent");
+
+    if (type === "groupchat") {
+      await new Promise(r => setTimeout(r, 1500));
+      await leaveMucRoom(toJid);
+    }
+
+    console.log(`✅ [MESSAGE BOT] File ${id} sent successfully to ${toJid}`);
+    return { success: true, id };
+  } catch (error) {
+    console.error(`❌ [MESSAGE BOT] Failed to send file to ${toJid}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// ===== MUC ROOM MANAGEMENT (XEP-0045) =====
+
+const NS_DISCO_ITEMS = "http://jabber.org/protocol/disco#items";
+const NS_DISCO_INFO = "http://jabber.org/protocol/disco#info";
+const NS_MUC = "http://jabber.org/protocol/muc";
+const NS_MUC_USER = "http://jabber.org/protocol/muc#user";
+const NS_MUC_ADMIN = "http://jabber.org/protocol/muc#admin";
+const NS_MUC_OWNER = "http://jabber.org/protocol/muc#owner";
+const NS_DATA = "jabber:x:data";
+const MUC_AFFILIATIONS = ["owner", "admin", "member", "none", "outcast"];
+
+// Cached MUC component JID (e.g. conference.chat.thirupathybright.in)
+let mucServiceJid = null;
+
+// Send an IQ on a bot connection and wait for its result.
+// Rejects with the error condition if the server answers type="error".
+function sendIq(bot, iq, timeoutMs = 10000) {
+  const requestId = iq.attrs.id || `iq_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  iq.attrs.id = requestId;
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      bot.removeListener("stanza", onResponse);
+      reject(new Error(`Timeout waiting for IQ response from ${iq.attrs.to}`));
+    }, timeoutMs);
+
+    function onResponse(stanza) {
+      if (!stanza.is("iq") || stanza.attrs.id !== requestId) return;
+      if (stanza.attrs.type !== "result" && stanza.attrs.type !== "error") return;
+
+      clearTimeout(timeout);
+      bot.removeListener("stanza", onResponse);
+
+      if (stanza.attrs.type === "result") {
+        resolve(stanza);
+      } else {
+        const error = stanza.getChild("error");
+        const condition = error && error.children.find((c) => typeof c !== "string" && c.name !== "text");
+        const text = error && error.getChildText("text");
+        reject(new Error(text || (condition ? condition.name : "IQ request failed")));
+      }
+    }
+
+    bot.on("stanza", onResponse);
+    bot.send(iq).catch((err) => {
+      clearTimeout(timeout);
+      bot.removeListener("stanza", onResponse);
+      reject(err);
+    });
+  });
+}
+
+// Find the MUC component via disco#items + disco#info on the domain
+async function discoverMucService() {
+  if (mucServiceJid) return mucServiceJid;
+
+  try {
+    const items = await sendIq(messageBot, xml("iq", { type: "get", to: DOMAIN }, xml("query", { xmlns: NS_DISCO_ITEMS })));
+    for (const item of items.getChild("query").getChildren("item")) {
+      const info = await sendIq(messageBot, xml("iq", { type: "get", to: item.attrs.jid }, xml("query", { xmlns: NS_DISCO_INFO })));
+      const isMuc = info.getChild("query").getChildren("identity")
+        .some((identity) => identity.attrs.category === "conference");
+      if (isMuc) {
+        mucServiceJid = item.attrs.jid;
+        console.log(`✅ [MUC] Found MUC service: ${mucServiceJid}`);
+        return mucServiceJid;
+      }
+    }
+  } catch (error) {
+    console.error(`❌ [MUC] Discovery failed:`, error.message);
+  }
+
+  // Prosody's conventional component name
+  mucServiceJid = `conference.${DOMAIN}`;
+  console.log(`🔍 [MUC] Falling back to ${mucServiceJid}`);
+  return mucServiceJid;
+}
+
+// Read a field value from a jabber:x:data form
+function dataFormValue(form, varName) {
+  const field = form && form.getChildren("field").find((f) => f.attrs.var === varName);
+  return field ? field.getChildText("value") : null;
+}
+
+// List rooms on the MUC service with their basic configuration
+async function listMucRooms() {
+  const service = await discoverMucService();
+  const result = await sendIq(messageBot, xml("iq", { type: "get", to: service }, xml("query", { xmlns: NS_DISCO_ITEMS })));
+  const items = result.getChild("query").getChildren("item");
+
+  const rooms = [];
+  for (const item of items) {
+    const room = { jid: item.attrs.jid, name: item.attrs.name || item.attrs.jid.split("@")[0] };
+    try {
+      const info = await sendIq(messageBot, xml("iq", { type: "get", to: item.attrs.jid }, xml("query", { xmlns: NS_DISCO_INFO })));
+      const query = info.getChild("query");
+      const features = query.getChildren("feature").map((f) => f.attrs.var);
+      const form = query.getChild("x", NS_DATA);
+      room.description = dataFormValue(form, "muc#roominfo_description") || "";
+      room.occupants = parseInt(dataFormValue(form, "muc#roominfo_occupants"), 10) || 0;
+      room.membersOnly = features.includes("muc_membersonly");
+      room.persistent = features.includes("muc_persistent");
+      room.public = features.includes("muc_public");
+    } catch (error) {
+      room.error = error.message;
+    }
+    rooms.push(room);
+  }
+
+  return { service, rooms };
+}
+
+/**
+ * Create a room and configure it through the owner form.
+ * options: { name (room localpart), title, description, membersOnly, persistent, isPublic }
+ */
+async function createMucRoom(options) {
+  const service = await discoverMucService();
+  const roomJid = `${options.name}@${service}`;
+  const nickname = MSG_BOT_USERNAME;
+
+  console.log(`🏗️ [MUC] Creating room ${roomJid}`);
+
+  // Joining a non-existent room creates it; status 201 confirms a new room
+  const created = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      messageBot.removeListener("stanza", onPresence);
+      reject(new Error("Timeout waiting for room creation"));
+    }, 8000);
+
+    function onPresence(stanza) {
+      if (!stanza.is("presence") || stanza.attrs.from !== `${roomJid}/${nickname}`) return;
+      clearTimeout(timeout);
+      messageBot.removeListener("stanza", onPresence);
+
+      if (stanza.attrs.type === "error") {
+        const error = stanza.getChild("error");
+        const condition = error && error.children.find((c) => typeof c !== "string" && c.name !== "text");
+        reject(new Error(`Cannot create room: ${condition ? condition.name : "unknown error"}`));
+        return;
+      }
+
+      const mucUser = stanza.getChild("x", NS_MUC_USER);
+      const codes = mucUser ? mucUser.getChildren("status").map((st) => st.attrs.code) : [];
+      resolve(codes.includes("201"));
+    }
+
+    messageBot.on("stanza", onPresence);
+    messageBot.send(xml("presence", { to: `${roomJid}/${nickname}` }, xml("x", { xmlns: NS_MUC })));
+  });
+
+  if (!created) {
+    await messageBot.send(xml("presence", { to: `${roomJid}/${nickname}`, type: "unavailable" }));
+    throw new Error(`Room ${roomJid} already exists`);
+  }
+
+  // Fetch the owner form and submit only the fields this server offers
+  const formResult = await sendIq(messageBot, xml("iq", { type: "get", to: roomJid }, xml("query", { xmlns: NS_MUC_OWNER })));
+  const offered = (formResult.getChild("query").getChild("x", NS_DATA) || { getChildren: () => [] })
+    .getChildren("field").map((f) => f.attrs.var);
+
+  const values = {
+    "muc#roomconfig_roomname": options.title || options.name,
+    "muc#roomconfig_roomdesc": options.description || "",
+    "muc#roomconfig_persistentroom": options.persistent ? "1" : "0",
+    "muc#roomconfig_membersonly": options.membersOnly ? "1" : "0",
+    "muc#roomconfig_publicroom": options.isPublic ? "1" : "0"
+  };
+
+  const fields = [xml("field", { var: "FORM_TYPE", type: "hidden" }, xml("value", {}, "http://jabber.org/protocol/muc#roomconfig"))];
+  for (const [name, value] of Object.entries(values)) {
+    if (offered.includes(name)) fields.push(xml("field", { var: name }, xml("value", {}, value)));
+  }
+
+  await sendIq(messageBot, xml("iq", { type: "set", to: roomJid },
+    xml("query", { xmlns: NS_MUC_OWNER }, xml("x", { xmlns: NS_DATA, type: "submit" }, ...fields))
+  ));
+  console.log(`✅ [MUC] Room ${roomJid} created and configured`);
+
+  if (options.persistent) {
+    await messageBot.send(xml("presence", { to: `${roomJid}/${nickname}`, type: "unavailable" }));
+  } else {
+    // A temporary room is destroyed when its last occupant leaves, so the bot stays
+    messageBotSupervisor.trackRoom(roomJid, nickname);
+  }
+
+  return { roomJid, persistent: !!options.persistent };
+}
+
+// List owners/admins/members/outcasts of a room
+async function getMucAffiliations(roomJid) {
+  const affiliations = {};
+  for (const affiliation of ["owner", "admin", "member", "outcast"]) {
+    try {
+      const result = await sendIq(messageBot, xml("iq", { type: "get", to: roomJid },
+        xml("query", { xmlns: NS_MUC_ADMIN }, xml("item", { affiliation }))
+      ));
+      affiliations[affiliation] = result.getChild("query").getChildren("item").map((item) => item.attrs.jid);
+    } catch (error) {
+      // Non-owners may not be allowed to list every affiliation
+      affiliations[affiliation] = [];
+    }
+  }
+  return affiliations;
+}
+
+async function setMucAffiliation(roomJid, userJid, affiliation, reason = "") {
+  await sendIq(messageBot, xml("iq", { type: "set", to: roomJid },
+    xml("query", { xmlns: NS_MUC_ADMIN },
+      xml("item", { affiliation, jid: userJid }, reason ? xml("reason", {}, reason) : null)
+    )
+  ));
+  console.log(`✅ [MUC] ${userJid} is now ${affiliation} of ${roomJid}`);
+}
+
+// Direct invitation (XEP-0249) - works without the bot being in the room
+async function inviteToMucRoom(roomJid, userJid, reason = "") {
+  const attrs = { xmlns: "jabber:x:conference", jid: roomJid };
+  if (reason) attrs.reason = reason;
+  await messageBot.send(xml("message", { to: userJid }, xml("x", attrs)));
+  console.log(`📨 [MUC] Invited ${userJid} to ${roomJid}`);
+}
+
 // Discover HTTP upload service
 async function discoverUploadService() {
   try {
@@ -311,12 +1052,66 @@ async function discoverUploadService() {
   }
 }
 
-// Upload file to XMPP HTTP upload service
-async function uploadFileToXMPP(fileBuffer, filename, mimeType) {
+// Upload size limit advertised by the upload service (XEP-0363 disco#info max-file-size)
+// undefined = not looked up yet, null = service doesn't advertise one
+let uploadMaxFileSize;
+
+async function getUploadMaxFileSize(bot = messageBot) {
+  if (uploadMaxFileSize !== undefined) return uploadMaxFileSize;
+
+  try {
+    const info = await sendIq(bot, xml("iq", { type: "get", to: DOMAIN }, xml("query", { xmlns: NS_DISCO_INFO })));
+    const form = info.getChild("query").getChildren("x", NS_DATA)
+      .find((x) => dataFormValue(x, "FORM_TYPE") === "urn:xmpp:http:upload:0");
+    const maxSize = parseInt(dataFormValue(form, "max-file-size"), 10);
+    uploadMaxFileSize = Number.isFinite(maxSize) ? maxSize : null;
+    console.log(`🔍 [FILE UPLOAD] Max file size: ${uploadMaxFileSize ? uploadMaxFileSize + " bytes" : "not advertised"}`);
+  } catch (error) {
+    // Look again next time rather than caching a failed lookup
+    console.error(`❌ [FILE UPLOAD] Could not read upload limits:`, error.message);
+    return null;
+  }
+  return uploadMaxFileSize;
+}
+
+// Single-file upload that stops reading once the file passes the upload service's limit,
+// instead of buffering all of it before the size check (413 JSON error)
+function uploadWithinLimit(field) {
+  return async (req, res, next) => {
+    const knownLimit = isMessageBotOnline() ? await getUploadMaxFileSize() : uploadMaxFileSize;
+    const maxFileSize = knownLimit || FALLBACK_MAX_UPLOAD_BYTES;
+    const limitedUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxFileSize } });
+
+    limitedUpload.single(field)(req, res, (err) => {
+      if (err && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          success: false,
+          error: `File is larger than the upload limit of ${formatBytes(maxFileSize)}`,
+          maxFileSize
+        });
+      }
+      next(err);
+    });
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+}
+
+// Upload file to XMPP HTTP upload service (on the Message Bot connection unless another bot is given)
+async function uploadFileToXMPP(fileBuffer, filename, mimeType, bot = messageBot) {
   try {
     console.log(`📤 [FILE UPLOAD] Requesting upload slot for ${filename}`);
     console.log(`📤 [FILE UPLOAD] File size: ${fileBuffer.length} bytes, MIME: ${mimeType}`);
 
+    const maxFileSize = await getUploadMaxFileSize(bot);
+    if (maxFileSize && fileBuffer.length > maxFileSize) {
+      throw new Error(`File is ${formatBytes(fileBuffer.length)}, the upload limit is ${formatBytes(maxFileSize)}`);
+    }
+
     // Use the main domain for upload requests (not a subdomain)
     const uploadService = DOMAIN;
     console.log(`📤 [FILE UPLOAD] Using upload service: ${uploadService}`);
@@ -344,7 +1139,7 @@ async function uploadFileToXMPP(fileBuffer, filename, mimeType) {
     // Send request and wait for response
     const slotPromise = new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
-        messageBot.removeListener("stanza", onSlotResponse);
+        bot.removeListener("stanza", onSlotResponse);
         reject(new Error("Timeout waiting for upload slot (10s)"));
       }, 10000);
 
@@ -368,16 +1163,16 @@ async function uploadFileToXMPP(fileBuffer, filename, mimeType) {
                 console.log(`📥 [FILE UPLOAD] GET URL: ${getUrl}`);
 
                 clearTimeout(timeout);
-                messageBot.removeListener("stanza", onSlotResponse);
+                bot.removeListener("stanza", onSlotResponse);
                 resolve({ uploadUrl, getUrl });
               } else {
                 clearTimeout(timeout);
-                messageBot.removeListener("stanza", onSlotResponse);
+                bot.removeListener("stanza", onSlotResponse);
                 reject(new Error("Invalid slot response - missing put/get URLs"));
               }
             } else {
               clearTimeout(timeout);
-              messageBot.removeListener("stanza", onSlotResponse);
+              bot.removeListener("stanza", onSlotResponse);
               reject(new Error("Invalid slot response - missing slot element"));
             }
           } else if (stanza.attrs.type === "error") {
@@ -386,16 +1181,16 @@ async function uploadFileToXMPP(fileBuffer, filename, mimeType) {
             console.error(`❌ [FILE UPLOAD] Error response:`, errorText);
 
             clearTimeout(timeout);
-            messageBot.removeListener("stanza", onSlotResponse);
+            bot.removeListener("stanza", onSlotResponse);
             reject(new Error(`Upload slot request failed: ${errorText}`));
           }
         }
       }
 
-      messageBot.on("stanza", onSlotResponse);
+      bot.on("stanza", onSlotResponse);
     });
 
-    await messageBot.send(slotRequest);
+    await bot.send(slotRequest);
     const { uploadUrl: putUrl, getUrl: downloadUrl } = await slotPromise;
 
     console.log(`📤 [FILE UPLOAD] Uploading file to PUT URL...`);
@@ -425,44 +1220,353 @@ async function uploadFileToXMPP(fileBuffer, filename, mimeType) {
   }
 }
 
-// Initialize Message bot for sending notifications
-async function startMessageBot() {
-  if (messageBot) {
-    console.log("⚠️ Message Bot already running");
-    return;
-  }
+// ===== OUTBOX (durable delivery for Message Bot sends) =====
 
-  console.log("📨 Starting Message Bot...");
-  console.log(`📨 Account: ${MSG_BOT_USERNAME}@${DOMAIN}`);
-  console.log(`📨 Password: ${MSG_BOT_PASSWORD.replace(/./g, '*')}`);
+// How often due/failed outbox entries are re-checked
+const OUTBOX_POLL_INTERVAL = 15000;
+let outboxProcessing = false;
 
-  messageBot = client({
-    service: XMPP_SERVICE,
-    domain: DOMAIN,
-    username: MSG_BOT_USERNAME,
-    password: MSG_BOT_PASSWORD,
-  });
+function isMessageBotOnline() {
+  return messageBot !== null && messageBot.status === "online";
+}
 
-  messageBot.on("error", (err) => {
-    console.error("❌ Message Bot error:", err);
-  });
+// Attempt delivery of one outbox entry. Returns { success, error }
+async function deliverOutboxItem(item) {
+  if (item.kind === "text") {
+    return await sendMessageToUser(item.to, item.payload.message, item.id);
+  }
+
+  if (item.kind === "image") {
+    let { imageUrl, imageSize } = item.payload;
+
+    // File was accepted while the bot was offline - upload it first
+    if (!imageUrl) {
+      const buffer = OutboxStore.readMedia(item.payload.mediaFile);
+      if (!buffer) {
+        return { success: false, error: "Queued media file is missing" };
+      }
+      const uploadResult = await uploadFileToXMPP(buffer, item.payload.filename, item.payload.mimeType);
+      if (!uploadResult.success) {
+        return { success: false, error: `File upload failed: ${uploadResult.error}` };
+      }
+      imageUrl = uploadResult.url;
+      imageSize = uploadResult.size;
+      // Remember the URL so a later retry does not upload again
+      OutboxStore.updateMessage(item.id, { payload: { ...item.payload, imageUrl, imageSize } });
+    }
+
+    return await sendImageWithCaption(item.to, imageUrl, imageSize, item.payload.caption || "", item.payload.messageType, item.id);
+  }
+
+  if (item.kind === "file") {
+    let { fileUrl, fileSize } = item.payload;
+
+    if (!fileUrl) {
+      const buffer = OutboxStore.readMedia(item.payload.mediaFile);
+      if (!buffer) {
+        return { success: false, error: "Queued media file is missing" };
+      }
+      const uploadResult = await uploadFileToXMPP(buffer, item.payload.filename, item.payload.mimeType);
+      if (!uploadResult.success) {
+        return { success: false, error: `File upload failed: ${uploadResult.error}` };
+      }
+      fileUrl = uploadResult.url;
+      fileSize = uploadResult.size;
+      OutboxStore.updateMessage(item.id, { payload: { ...item.payload, fileUrl, fileSize } });
+    }
+
+    return await sendFileMessage(item.to, {
+      url: fileUrl,
+      size: fileSize,
+      filename: item.payload.filename,
+      mimeType: item.payload.mimeType
+    }, item.payload.caption || "", item.payload.messageType, item.id);
+  }
+
+  return { success: false, error: `Unknown outbox entry kind: ${item.kind}` };
+}
+
+// Deliver an entry and record the outcome in the store
+async function attemptOutboxItem(item) {
+  // Claim it first: the inline send in the route handlers and the poller must not both send it
+  const claimed = OutboxStore.claim(item.id);
+  if (!claimed) {
+    return { success: false, error: "Already being delivered" };
+  }
+
+  const result = await deliverOutboxItem(claimed);
+  if (result.success) {
+    OutboxStore.markSent(item.id);
+  } else {
+    OutboxStore.markFailed(item.id, result.error || "Unknown error");
+  }
+  return result;
+}
+
+// Deliver every due entry while the Message Bot is online
+async function processOutbox() {
+  if (outboxProcessing || !isMessageBotOnline()) return;
+  outboxProcessing = true;
+
+  try {
+    const due = OutboxStore.getDueMessages();
+    if (due.length > 0) {
+      console.log(`📬 [OUTBOX] Processing ${due.length} queued message(s)`);
+    }
+
+    for (const item of due) {
+      // Stop early if the bot drops mid-flush; remaining entries stay queued
+      if (!isMessageBotOnline()) break;
+      await attemptOutboxItem(item);
+      await new Promise(r => setTimeout(r, 150)); // anti-flood
+    }
+  } catch (error) {
+    console.error("❌ [OUTBOX] Processing error:", error.message);
+  } finally {
+    outboxProcessing = false;
+  }
+}
+
+setInterval(processOutbox, OUTBOX_POLL_INTERVAL);
+
+// ===== BROADCAST SCHEDULER =====
+
+const SCHEDULE_CHECK_INTERVAL = 30000;
+// Runs missed by more than this (e.g. server was down) are skipped, not sent late
+const SCHEDULE_MISFIRE_GRACE = 15 * 60 * 1000;
+let scheduleProcessing = false;
+
+async function runScheduledBroadcast(schedule) {
+  const scheduledFor = schedule.nextRunAt;
+  const startedAt = new Date().toISOString();
+  console.log(`⏰ [SCHEDULE] Running "${schedule.name}" (${schedule.id})`);
+
+  try {
+    // Upload the image fresh for every run; upload links may expire
+    let image = null;
+    if (schedule.image) {
+      if (!isMessageBotOnline()) throw new Error("Message bot is offline, cannot upload image");
+      const buffer = BroadcastScheduleStore.readMedia(schedule.image.mediaFile);
+      if (!buffer) throw new Error("Scheduled image file is missing");
+      const uploadResult = await uploadFileToXMPP(buffer, schedule.image.filename, schedule.image.mimeType);
+      if (!uploadResult.success) throw new Error(`File upload failed: ${uploadResult.error}`);
+      image = { url: uploadResult.url, size: uploadResult.size };
+    }
+
+    const result = await sendBroadcast(schedule.text, schedule.audience, image);
+    BroadcastScheduleStore.recordRun(schedule.id, {
+      scheduledFor,
+      startedAt,
+      status: "completed",
+      sent: result.sent,
+      failed: result.failed,
+      skipped: result.skipped,
+      total: result.total,
+      reportId: result.id
+    });
+    console.log(`✅ [SCHEDULE] "${schedule.name}" done. Sent=${result.sent}, Failed=${result.failed}`);
+  } catch (error) {
+    console.error(`❌ [SCHEDULE] "${schedule.name}" failed:`, error.message);
+    BroadcastScheduleStore.recordRun(schedule.id, {
+      scheduledFor,
+      startedAt,
+      status: "failed",
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      total: 0,
+      error: error.message
+    });
+  }
+}
+
+async function processBroadcastSchedules() {
+  if (scheduleProcessing) return;
+  scheduleProcessing = true;
+
+  try {
+    for (const schedule of BroadcastScheduleStore.getDueSchedules()) {
+      const lateBy = Date.now() - new Date(schedule.nextRunAt).getTime();
+      if (lateBy > SCHEDULE_MISFIRE_GRACE) {
+        console.warn(`⚠️ [SCHEDULE] "${schedule.name}" missed its run at ${schedule.nextRunAt}, skipping`);
+        BroadcastScheduleStore.recordRun(schedule.id, {
+          scheduledFor: schedule.nextRunAt,
+          startedAt: new Date().toISOString(),
+          status: "missed",
+          sent: 0,
+          failed: 0,
+          skipped: 0,
+          total: 0,
+          error: `Missed by ${Math.round(lateBy / 60000)} minute(s)`
+        });
+        continue;
+      }
+      await runScheduledBroadcast(schedule);
+    }
+  } catch (error) {
+    console.error("❌ [SCHEDULE] Processing error:", error.message);
+  } finally {
+    scheduleProcessing = false;
+  }
+}
+
+setInterval(processBroadcastSchedules, SCHEDULE_CHECK_INTERVAL);
+
+// ===== ORDER EVENT WATCHER =====
+// Polls the order register for status, expected-date and dispatch changes and queues
+// notifications (see orderWatcher.js). Interval and subscriptions live in OrderEventStore.
+
+const ORDER_WATCH_CHECK_INTERVAL = 30000;
+let orderWatchProcessing = false;
+let orderWatchLastRunAt = 0;
+let orderWatchLastResult = null;
+
+async function runOrderWatch() {
+  orderWatchProcessing = true;
+  orderWatchLastRunAt = Date.now();
+  try {
+    const result = await pollOrderEvents();
+    orderWatchLastResult = { at: new Date().toISOString(), ...result };
+    return orderWatchLastResult;
+  } catch (error) {
+    console.error("❌ [ORDER WATCH] Poll failed:", error.message);
+    orderWatchLastResult = { at: new Date().toISOString(), error: error.message };
+    throw error;
+  } finally {
+    orderWatchProcessing = false;
+  }
+}
+
+async function processOrderWatch() {
+  if (orderWatchProcessing) return;
+  const { enabled, pollIntervalMinutes } = OrderEventStore.getSettings();
+  if (!enabled || Date.now() - orderWatchLastRunAt < pollIntervalMinutes * 60000) return;
+  // Errors are logged and kept in orderWatchLastResult; the next interval retries
+  await runOrderWatch().catch(() => {});
+}
+
+setInterval(processOrderWatch, ORDER_WATCH_CHECK_INTERVAL);
+
+// ===== DELIVERY RECEIPTS / CHAT MARKERS =====
+
+// POST the new status to the caller's callback URL (best effort, 3 attempts)
+async function notifyStatusCallback(record) {
+  if (!record || !record.callbackUrl) return;
+
+  const payload = {
+    id: record.id,
+    to: record.to,
+    status: record.status,
+    sentAt: record.sentAt,
+    deliveredAt: record.deliveredAt,
+    displayedAt: record.displayedAt
+  };
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    try {
+      const response = await axios.post(record.callbackUrl, payload, { timeout: 10000 });
+      console.log(`🔔 [RECEIPTS] Callback for ${record.id} (${record.status}) -> ${response.status}`);
+      MessageStatusStore.addCallbackResult(record.id, { status: record.status, ok: true, httpStatus: response.status });
+      return;
+    } catch (error) {
+      console.error(`❌ [RECEIPTS] Callback attempt ${attempt} for ${record.id} failed:`, error.message);
+      if (attempt === 3) {
+        MessageStatusStore.addCallbackResult(record.id, { status: record.status, ok: false, error: error.message });
+      } else {
+        await new Promise(r => setTimeout(r, attempt * 2000));
+      }
+    }
+  }
+}
+
+// Handle incoming <received/> receipts and <received/>/<displayed/>/<acknowledged/> markers
+function handleReceiptStanza(stanza) {
+  if (!stanza.is("message")) return;
+
+  const updates = [];
+  const receipt = stanza.getChild("received", NS_RECEIPTS);
+  if (receipt && receipt.attrs.id) updates.push([receipt.attrs.id, "delivered"]);
+
+  const markerReceived = stanza.getChild("received", NS_CHAT_MARKERS);
+  if (markerReceived && markerReceived.attrs.id) updates.push([markerReceived.attrs.id, "delivered"]);
+
+  // "acknowledged" implies the message was displayed
+  for (const name of ["displayed", "acknowledged"]) {
+    const marker = stanza.getChild(name, NS_CHAT_MARKERS);
+    if (marker && marker.attrs.id) updates.push([marker.attrs.id, "displayed"]);
+  }
+
+  for (const [id, status] of updates) {
+    const record = MessageStatusStore.getStatus(id);
+    // Only the original recipient may report on a message
+    if (!record || bareJid(record.to) !== bareJid(stanza.attrs.from)) continue;
+
+    const changed = MessageStatusStore.updateStatus(id, status);
+    if (changed) {
+      console.log(`📬 [RECEIPTS] ${id} ${status} by ${stanza.attrs.from}`);
+      notifyStatusCallback(changed);
+    }
+  }
+}
+
+// Drop status records older than a week, once a day
+setInterval(() => MessageStatusStore.cleanup(), 24 * 60 * 60 * 1000);
+
+// Initialize Message bot for sending notifications
+async function startMessageBot() {
+  if (messageBot) {
+    console.log("⚠️ Message Bot already running");
+    return;
+  }
+
+  console.log("📨 Starting Message Bot...");
+  console.log(`📨 Account: ${MSG_BOT_USERNAME}@${DOMAIN}`);
+  console.log(`📨 Password: ${MSG_BOT_PASSWORD.replace(/./g, '*')}`);
+
+  messageBot = client({
+    service: XMPP_SERVICE,
+    domain: DOMAIN,
+    username: MSG_BOT_USERNAME,
+    password: MSG_BOT_PASSWORD,
+  });
+
+  messageBotSupervisor = superviseClient(messageBot, { name: "Message Bot" });
+
+  messageBot.on("error", (err) => {
+    console.error("❌ Message Bot error:", err);
+  });
 
   messageBot.on("status", (status) => {
     console.log(`📨 Message Bot status: ${status}`);
   });
 
+  messageBot.on("stanza", handleReceiptStanza);
+
   messageBot.on("online", async () => {
     console.log(`✅ Message Bot (${MSG_BOT_USERNAME}@${DOMAIN}) is online and ready to send messages`);
     await messageBot.send(xml("presence"));
+    // Flush anything that was queued while the bot was offline
+    processOutbox();
+  });
+
+  // A resumed stream keeps presence, but the outbox may have waited on the reconnect
+  messageBot.streamManagement.on("resumed", () => processOutbox());
+
+  // Stanzas the server never acknowledged were lost with the old session - retry them
+  messageBot.streamManagement.on("fail", (stanza) => {
+    if (stanza.is("message") && stanza.attrs.id && OutboxStore.getMessage(stanza.attrs.id)) {
+      console.warn(`⚠️ [OUTBOX] ${stanza.attrs.id} was not acknowledged by the server, re-queueing`);
+      OutboxStore.markFailed(stanza.attrs.id, "Not acknowledged by server (connection lost)");
+    }
   });
 
   try {
-    await messageBot.start();
+    await messageBotSupervisor.start();
     console.log(`📨 Message Bot (${MSG_BOT_USERNAME}@${DOMAIN}) started successfully`);
   } catch (error) {
+    // The supervisor keeps retrying with backoff; use Stop to give up
     console.error("❌ Failed to start Message Bot:", error);
-    messageBot = null;
-    throw error;
+    throw new Error(`Message Bot could not connect (${error.message}). Retrying in the background.`);
   }
 }
 
@@ -471,8 +1575,9 @@ async function stopMessageBot() {
   if (messageBot) {
     console.log("🛑 Stopping Message Bot...");
     try {
-      await messageBot.stop();
+      await messageBotSupervisor.stop();
       messageBot = null;
+      messageBotSupervisor = null;
       console.log("✅ Message Bot stopped");
     } catch (error) {
       console.error("❌ Error stopping Message Bot:", error);
@@ -523,6 +1628,218 @@ function markdownToPlainText(text) {
   return out.trim();
 }
 
+// Occupants of the AI bot's rooms: roomJid -> Map(nickname -> real bare JID or null)
+const aiRoomOccupants = new Map();
+
+// Send an AI answer as plain text, split into chunks to avoid XMPP stanza size limits
+async function sendAIReply(to, type, text) {
+  const plainResponse = markdownToPlainText(text);
+  const MAX_CHUNK = 3000;
+
+  if (plainResponse.length <= MAX_CHUNK) {
+    await aiBot.send(xml("message", { type, to }, xml("body", {}, plainResponse)));
+    return;
+  }
+
+  // Split on line boundaries to keep records intact
+  const lines = plainResponse.split('\n');
+  let chunk = '';
+  for (const line of lines) {
+    if (chunk.length + line.length + 1 > MAX_CHUNK) {
+      await aiBot.send(xml("message", { type, to }, xml("body", {}, chunk.trim())));
+      chunk = line + '\n';
+    } else {
+      chunk += line + '\n';
+    }
+  }
+  if (chunk.trim()) {
+    await aiBot.send(xml("message", { type, to }, xml("body", {}, chunk.trim())));
+  }
+}
+
+// Send a large AI answer as a report file: summary text, then the uploaded file.
+// Returns false if the file could not be built or uploaded, so the caller can fall back to text.
+async function sendAIReport(to, type, report, prefix = "") {
+  let file;
+  try {
+    file = buildReport(report.rows, AI_REPORT_FORMAT, report.title);
+  } catch (error) {
+    console.error(`❌ [AI REPORT] Could not build report:`, error.message);
+    return false;
+  }
+
+  const uploadResult = await uploadFileToXMPP(file.buffer, file.filename, file.mimeType, aiBot);
+  if (!uploadResult.success) {
+    console.error(`❌ [AI REPORT] Upload failed, sending text instead:`, uploadResult.error);
+    return false;
+  }
+
+  await sendAIReply(to, type, `${prefix}${report.summary}`);
+  await aiBot.send(
+    xml("message", { type, to },
+      xml("body", {}, uploadResult.url),
+      ...fileMessageElements({ ...file, url: uploadResult.url, size: uploadResult.size }, report.title)
+    )
+  );
+  console.log(`📊 [AI REPORT] Sent ${file.filename} (${report.rows.length} rows) to ${to}`);
+  return true;
+}
+
+// 1:1 chat with the AI bot
+async function handleAIChatMessage(stanza) {
+  const messageText = stanza.getChildText("body");
+
+  // Skip empty messages
+  if (!messageText || !messageText.trim()) {
+    return;
+  }
+
+  // Extract sender JID (remove resource)
+  const senderJid = stanza.attrs.from.split("/")[0];
+
+  // Skip messages from the bot itself
+  if (senderJid.startsWith(`${BOT_USERNAME}@`)) {
+    return;
+  }
+
+  console.log(`📩 Message from ${senderJid}: ${messageText}`);
+
+  try {
+    // Get AI response
+    console.log(`🤖 Processing with AI...`);
+    const aiResponse = await getAIResponse(messageText, senderJid);
+    if (!(aiResponse.report && await sendAIReport(senderJid, "chat", aiResponse.report))) {
+      await sendAIReply(senderJid, "chat", aiResponse.text);
+    }
+    console.log(`✅ AI response sent to ${senderJid}`);
+  } catch (error) {
+    console.error(`❌ Failed to process message from ${senderJid}:`, error.message);
+
+    // Send error message to user
+    try {
+      await aiBot.send(
+        xml(
+          "message",
+          { type: "chat", to: senderJid },
+          xml("body", {}, "Sorry, I encountered an error processing your message. Please try again.")
+        )
+      );
+    } catch (sendError) {
+      console.error(`❌ Failed to send error message:`, sendError.message);
+    }
+  }
+}
+
+// Return the question if the message is addressed to the bot (command prefix or
+// nickname mention), otherwise null
+function extractRoomQuestion(body, room) {
+  const text = body.trim();
+
+  if (text.toLowerCase().startsWith(room.prefix.toLowerCase())) {
+    return text.slice(room.prefix.length).trim() || null;
+  }
+
+  const escapedNick = room.nickname.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const mention = new RegExp(`(^|\\s)@?${escapedNick}(?=$|[\\s:,.!?])[:,]?`, "i");
+  if (mention.test(text)) {
+    return text.replace(mention, " ").replace(/\s+/g, " ").trim() || null;
+  }
+
+  return null;
+}
+
+// Remember each occupant's real JID from MUC presence (muc#user item jid)
+function trackAIRoomOccupant(stanza) {
+  const [roomJid, nickname] = (stanza.attrs.from || "").split("/");
+  const occupants = aiRoomOccupants.get(roomJid);
+  if (!nickname || !occupants) return;
+
+  if (stanza.attrs.type === "unavailable") {
+    occupants.delete(nickname);
+    return;
+  }
+
+  const mucUser = stanza.getChild("x", "http://jabber.org/protocol/muc#user");
+  const item = mucUser && mucUser.getChild("item");
+  // In anonymous rooms the real JID is hidden from non-moderators
+  occupants.set(nickname, item && item.attrs.jid ? bareJid(item.attrs.jid) : null);
+}
+
+// Message in one of the AI bot's rooms
+async function handleAIRoomMessage(stanza) {
+  const [roomJid, nickname] = (stanza.attrs.from || "").split("/");
+  const messageText = stanza.getChildText("body");
+  const room = AIRoomStore.getRoom(roomJid);
+
+  if (!room || !nickname || !messageText || !messageText.trim()) return;
+  // Our own echo, or history replayed on join
+  if (nickname === room.nickname) return;
+  if (stanza.getChild("delay", "urn:xmpp:delay")) return;
+
+  const question = extractRoomQuestion(messageText, room);
+  if (!question) return;
+
+  // Data restrictions follow the asking occupant, never the room
+  const occupants = aiRoomOccupants.get(roomJid);
+  const realJid = occupants ? occupants.get(nickname) : null;
+  if (!realJid) {
+    console.warn(`⚠️ [AI ROOM] Cannot see real JID of ${nickname} in ${roomJid}, refusing`);
+    await sendAIReply(
+      roomJid,
+      "groupchat",
+      `${nickname}: I can't see your account in this room, so I can't check which data you may access. ` +
+        `Ask an admin to make the room non-anonymous (or give me moderator rights), or message me directly.`
+    );
+    return;
+  }
+  if (realJid.startsWith(`${BOT_USERNAME}@`)) return;
+
+  console.log(`📩 [AI ROOM] ${roomJid} ${nickname} (${realJid}): ${question}`);
+
+  try {
+    const aiResponse = await getAIResponse(question, realJid, `${roomJid}|${realJid}`);
+    if (!(aiResponse.report && await sendAIReport(roomJid, "groupchat", aiResponse.report, `${nickname}: `))) {
+      await sendAIReply(roomJid, "groupchat", `${nickname}: ${aiResponse.text}`);
+    }
+    console.log(`✅ [AI ROOM] Response sent to ${roomJid} for ${nickname}`);
+  } catch (error) {
+    console.error(`❌ [AI ROOM] Failed to process message from ${nickname} in ${roomJid}:`, error.message);
+    try {
+      await sendAIReply(roomJid, "groupchat", `${nickname}: Sorry, I encountered an error processing your message. Please try again.`);
+    } catch (sendError) {
+      console.error(`❌ Failed to send error message:`, sendError.message);
+    }
+  }
+}
+
+// Join a configured room now (if online) and keep rejoining it after reconnects
+function joinAIRoom(room) {
+  aiRoomOccupants.set(room.roomJid, new Map());
+  aiBotSupervisor.trackRoom(room.roomJid, room.nickname);
+
+  if (aiBot.status === "online") {
+    aiBot.send(
+      xml("presence", { to: `${room.roomJid}/${room.nickname}` },
+        xml("x", { xmlns: "http://jabber.org/protocol/muc" },
+          xml("history", { maxstanzas: "0" })
+        )
+      )
+    ).catch((err) => console.error(`❌ [AI ROOM] Failed to join ${room.roomJid}:`, err.message));
+    console.log(`🚪 [AI ROOM] Joining ${room.roomJid} as ${room.nickname}`);
+  }
+}
+
+function leaveAIRoom(room) {
+  aiRoomOccupants.delete(room.roomJid);
+  aiBotSupervisor.untrackRoom(room.roomJid);
+
+  if (aiBot.status === "online") {
+    aiBot.send(xml("presence", { to: `${room.roomJid}/${room.nickname}`, type: "unavailable" }))
+      .catch((err) => console.error(`❌ [AI ROOM] Failed to leave ${room.roomJid}:`, err.message));
+    console.log(`🚪 [AI ROOM] Left ${room.roomJid}`);
+  }
+}
+
 // Initialize AI bot to listen for incoming messages
 async function startAIBot() {
   if (aiBot) {
@@ -539,6 +1856,8 @@ async function startAIBot() {
     password: BOT_PASSWORD,
   });
 
+  aiBotSupervisor = superviseClient(aiBot, { name: "AI Bot" });
+
   aiBot.on("error", (err) => {
     console.error("❌ AI Bot error:", err);
   });
@@ -552,97 +1871,33 @@ async function startAIBot() {
     await aiBot.send(xml("presence"));
   });
 
+  // Track room occupants' real JIDs (needed for per-user data restrictions)
+  aiBot.on("stanza", (stanza) => {
+    if (stanza.is("presence")) trackAIRoomOccupant(stanza);
+  });
+
   // Listen for incoming messages
   aiBot.on("stanza", async (stanza) => {
-    // Only process message stanzas
-    if (stanza.is("message")) {
-      const from = stanza.attrs.from;
-      const type = stanza.attrs.type;
-      const bodyElement = stanza.getChild("body");
-
-      // Only respond to chat messages with body content
-      if (type === "chat" && bodyElement) {
-        const messageText = bodyElement.text();
-
-        // Skip empty messages
-        if (!messageText || !messageText.trim()) {
-          return;
-        }
-
-        // Extract sender JID (remove resource)
-        const senderJid = from.split("/")[0];
+    if (!stanza.is("message")) return;
 
-        // Skip messages from the bot itself
-        if (senderJid.startsWith(`${BOT_USERNAME}@`)) {
-          return;
-        }
-
-        console.log(`📩 Message from ${senderJid}: ${messageText}`);
-
-        try {
-          // Get AI response
-          console.log(`🤖 Processing with AI...`);
-          const aiResponse = await getAIResponse(messageText, senderJid);
-
-          // Convert markdown formatting to plain text for XMPP chat
-          const plainResponse = markdownToPlainText(aiResponse);
-
-          // Split large responses into chunks to avoid XMPP stanza size limits
-          const MAX_CHUNK = 3000;
-          if (plainResponse.length <= MAX_CHUNK) {
-            await aiBot.send(
-              xml("message", { type: "chat", to: senderJid }, xml("body", {}, plainResponse))
-            );
-          } else {
-            // Split on double-newline (record boundaries) to keep items intact
-            const lines = plainResponse.split('\n');
-            let chunk = '';
-            let chunkIndex = 0;
-            for (const line of lines) {
-              if (chunk.length + line.length + 1 > MAX_CHUNK) {
-                await aiBot.send(
-                  xml("message", { type: "chat", to: senderJid }, xml("body", {}, chunk.trim()))
-                );
-                chunkIndex++;
-                chunk = line + '\n';
-              } else {
-                chunk += line + '\n';
-              }
-            }
-            if (chunk.trim()) {
-              await aiBot.send(
-                xml("message", { type: "chat", to: senderJid }, xml("body", {}, chunk.trim()))
-              );
-            }
-          }
-
-          console.log(`✅ AI response sent to ${senderJid}`);
-        } catch (error) {
-          console.error(`❌ Failed to process message from ${senderJid}:`, error.message);
-
-          // Send error message to user
-          try {
-            await aiBot.send(
-              xml(
-                "message",
-                { type: "chat", to: senderJid },
-                xml("body", {}, "Sorry, I encountered an error processing your message. Please try again.")
-              )
-            );
-          } catch (sendError) {
-            console.error(`❌ Failed to send error message:`, sendError.message);
-          }
-        }
-      }
+    if (stanza.attrs.type === "chat") {
+      await handleAIChatMessage(stanza);
+    } else if (stanza.attrs.type === "groupchat") {
+      await handleAIRoomMessage(stanza);
     }
   });
 
+  // Configured rooms are joined by the supervisor each time a session comes online
+  for (const room of AIRoomStore.getRooms()) {
+    joinAIRoom(room);
+  }
+
   try {
-    await aiBot.start();
+    await aiBotSupervisor.start();
     console.log("🤖 AI Bot started successfully");
   } catch (error) {
-    console.error("❌ Failed to start AI Bot:", error);
-    aiBot = null;
+    // The supervisor keeps retrying with backoff; use Stop to give up
+    console.error("❌ Failed to start AI Bot, retrying in the background:", error.message);
   }
 }
 
@@ -651,8 +1906,10 @@ async function stopAIBot() {
   if (aiBot) {
     console.log("🛑 Stopping AI Bot...");
     try {
-      await aiBot.stop();
+      await aiBotSupervisor.stop();
       aiBot = null;
+      aiBotSupervisor = null;
+      aiRoomOccupants.clear();
       console.log("✅ AI Bot stopped");
     } catch (error) {
       console.error("❌ Error stopping AI Bot:", error);
@@ -890,16 +2147,26 @@ app.post("/users/delete", (req, res) => {
   }
 });
 
-app.post("/broadcast", async (req, res) => {
+// Upload an optional broadcast image once; every recipient gets the same link
+async function uploadBroadcastImage(file) {
+  if (!file) return null;
+  if (!isMessageBotOnline()) throw new Error("Message bot must be running to upload the image.");
+  const uploadResult = await uploadFileToXMPP(file.buffer, file.originalname, file.mimetype);
+  if (!uploadResult.success) throw new Error(`File upload failed: ${uploadResult.error}`);
+  return { url: uploadResult.url, size: uploadResult.size };
+}
+
+app.post("/broadcast", upload.single("image"), async (req, res) => {
   try {
     const text = (req.body.text || "").trim();
-    if (!text) throw new Error("Broadcast message cannot be empty.");
+    if (!text && !req.file) throw new Error("Broadcast message cannot be empty.");
 
-    const result = await sendBroadcast(text);
+    const image = await uploadBroadcastImage(req.file);
+    const job = createBroadcastJob(text, audienceFromBody(req.body), image);
     res.redirect(
       "/?msg=" +
         encodeURIComponent(
-          `📣 Broadcast done. Sent=${result.sent}, Failed=${result.failed}, Total=${result.total}`
+          `📣 Broadcast started for ${job.total} recipient(s) (job ${job.id}). Follow progress in the Broadcast tab.`
         )
     );
   } catch (e) {
@@ -907,16 +2174,320 @@ app.post("/broadcast", async (req, res) => {
   }
 });
 
+/**
+ * Preview who a broadcast would reach, without sending
+ * POST /broadcast/preview
+ * Body: { "audienceType": "all|jids|marketingPerson|group", "jids": "...", "marketingPerson": "...", "group": "..." }
+ */
+app.post("/broadcast/preview", (req, res) => {
+  try {
+    const { label, recipients, skipped } = resolveBroadcastAudience(audienceFromBody(req.body || {}));
+    res.json({
+      success: true,
+      label,
+      total: recipients.length,
+      recipients,
+      skipped
+    });
+  } catch (e) {
+    res.status(400).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// ===== BROADCAST JOB ENDPOINTS =====
+
+/**
+ * Start a broadcast job
+ * POST /broadcast/jobs
+ * Body: multipart/form-data or JSON with fields: text, image (optional file),
+ *       audienceType/jids/marketingPerson/group (as /broadcast)
+ */
+app.post("/broadcast/jobs", upload.single("image"), async (req, res) => {
+  try {
+    const text = (req.body.text || "").trim();
+    if (!text && !req.file) throw new Error("Broadcast message cannot be empty.");
+
+    const image = await uploadBroadcastImage(req.file);
+    const job = createBroadcastJob(text, audienceFromBody(req.body), image);
+    res.json({ success: true, job: broadcastJobSnapshot(job) });
+  } catch (e) {
+    res.status(400).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// List running, queued and recently finished jobs
+app.get("/broadcast/jobs", (req, res) => {
+  const jobs = [...broadcastJobs.values()].reverse().map(broadcastJobSnapshot);
+  res.json({ success: true, jobs });
+});
+
+/**
+ * Live job progress as Server-Sent Events
+ * GET /broadcast/jobs/events
+ * Each event is a JSON job snapshot (same shape as GET /broadcast/jobs)
+ */
+app.get("/broadcast/jobs/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  const send = (snapshot) => res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+  for (const job of broadcastJobs.values()) send(broadcastJobSnapshot(job));
+
+  // Comment line keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), 25000);
+  broadcastEvents.on("job", send);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    broadcastEvents.removeListener("job", send);
+  });
+});
+
+app.get("/broadcast/jobs/:id", (req, res) => {
+  const job = broadcastJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  res.json({ success: true, job: broadcastJobSnapshot(job) });
+});
+
+// Cancel a queued or running job (remaining recipients are reported as skipped)
+app.post("/broadcast/jobs/:id/cancel", (req, res) => {
+  const job = cancelBroadcastJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found or already finished" });
+  }
+  res.json({ success: true, job: broadcastJobSnapshot(job) });
+});
+
+// ===== SCHEDULED BROADCASTS =====
+
+// Read one-off (runAt) or recurring (cron) timing from a request body
+function scheduleTimingFromBody(body) {
+  if (body.when === "recurring") {
+    const cron = (body.cron || "").trim();
+    if (!isValidCron(cron)) {
+      throw new Error("Invalid cron expression. Use 5 fields: minute hour day-of-month month day-of-week (e.g. 0 8 * * *).");
+    }
+    return { cron };
+  }
+
+  const runAt = new Date(body.runAt);
+  if (!body.runAt || isNaN(runAt.getTime())) throw new Error("A valid run time is required.");
+  if (runAt.getTime() <= Date.now()) throw new Error("Run time must be in the future.");
+  return { runAt: runAt.toISOString() };
+}
+
+/**
+ * List scheduled broadcasts
+ * GET /broadcast/schedules
+ */
+app.get("/broadcast/schedules", (req, res) => {
+  res.json({ success: true, schedules: BroadcastScheduleStore.getSchedules() });
+});
+
+// Get a single schedule with its run history
+app.get("/broadcast/schedules/:id", (req, res) => {
+  const schedule = BroadcastScheduleStore.getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: "Schedule not found" });
+  }
+  res.json({ success: true, schedule });
+});
+
+/**
+ * Create a scheduled broadcast
+ * POST /broadcast/schedules
+ * Body: multipart/form-data with fields: name, text, image (optional file),
+ *       audienceType/jids/marketingPerson/group (as /broadcast),
+ *       when ("once" | "recurring"), runAt (ISO time) or cron ("0 8 * * *")
+ */
+app.post("/broadcast/schedules", upload.single("image"), (req, res) => {
+  try {
+    const text = (req.body.text || "").trim();
+    if (!text && !req.file) throw new Error("Broadcast message cannot be empty.");
+
+    const timing = scheduleTimingFromBody(req.body);
+    const audience = audienceFromBody(req.body);
+    // Fail fast on unknown groups / empty JID lists
+    resolveBroadcastAudience(audience);
+
+    const image = req.file
+      ? {
+          mediaFile: BroadcastScheduleStore.saveMedia(req.file.buffer, req.file.originalname),
+          filename: req.file.originalname,
+          mimeType: req.file.mimetype
+        }
+      : null;
+
+    const schedule = BroadcastScheduleStore.createSchedule({
+      name: (req.body.name || "").trim() || text.slice(0, 40) || "Image broadcast",
+      text,
+      audience,
+      image,
+      ...timing
+    });
+    res.json({ success: true, schedule });
+  } catch (e) {
+    res.status(400).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Edit a scheduled broadcast (re-activates cancelled/completed ones)
+ * POST /broadcast/schedules/:id
+ * Body: same as create, plus removeImage=true to drop the current image
+ */
+app.post("/broadcast/schedules/:id", upload.single("image"), (req, res) => {
+  try {
+    const existing = BroadcastScheduleStore.getSchedule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Schedule not found" });
+    }
+
+    const text = (req.body.text || "").trim();
+    const removeImage = req.body.removeImage === "true" || req.body.removeImage === "on";
+    const keepsImage = existing.image && !removeImage;
+    if (!text && !req.file && !keepsImage) throw new Error("Broadcast message cannot be empty.");
+
+    const timing = scheduleTimingFromBody(req.body);
+    const audience = audienceFromBody(req.body);
+    resolveBroadcastAudience(audience);
+
+    const fields = {
+      name: (req.body.name || "").trim() || existing.name,
+      text,
+      audience,
+      ...timing
+    };
+    if (req.file) {
+      fields.image = {
+        mediaFile: BroadcastScheduleStore.saveMedia(req.file.buffer, req.file.originalname),
+        filename: req.file.originalname,
+        mimeType: req.file.mimetype
+      };
+    } else if (removeImage) {
+      fields.image = null;
+    }
+
+    const schedule = BroadcastScheduleStore.updateSchedule(req.params.id, fields);
+    res.json({ success: true, schedule });
+  } catch (e) {
+    res.status(400).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// Cancel a scheduled broadcast (history is kept)
+app.post("/broadcast/schedules/:id/cancel", (req, res) => {
+  const schedule = BroadcastScheduleStore.cancelSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: "Schedule not found" });
+  }
+  res.json({ success: true, schedule });
+});
+
+// Delete a scheduled broadcast and its history
+app.delete("/broadcast/schedules/:id", (req, res) => {
+  if (!BroadcastScheduleStore.deleteSchedule(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Schedule not found" });
+  }
+  res.json({ success: true });
+});
+
+// List recent broadcast reports (summaries only)
+app.get("/broadcast/reports", (req, res) => {
+  res.json({ success: true, reports: BroadcastReportStore.getSummaries() });
+});
+
+// Get a full broadcast report with sent/skipped/failed recipients
+app.get("/broadcast/reports/:id", (req, res) => {
+  const report = BroadcastReportStore.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ success: false, error: "Report not found" });
+  }
+  res.json({ success: true, report });
+});
+
+// ===== ROSTER GROUP ENDPOINTS =====
+
+// List roster groups
+app.get("/roster-groups", (req, res) => {
+  res.json({ success: true, groups: Object.values(RosterGroupStore.getAllGroups()) });
+});
+
+/**
+ * Create or replace a roster group
+ * POST /roster-groups
+ * Body: { "name": "Drivers", "members": ["a@domain", ...] or "a@domain, b@domain", "description": "..." }
+ */
+app.post("/roster-groups", (req, res) => {
+  try {
+    const name = (req.body.name || "").trim();
+    if (!/^[a-zA-Z0-9 ._-]{1,50}$/.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid group name. Use letters/numbers/space/._- only (max 50)."
+      });
+    }
+
+    const members = parseJidList(req.body.members);
+    const invalid = members.filter((j) => !j.includes("@"));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid JID(s): ${invalid.join(", ")}`
+      });
+    }
+
+    const group = RosterGroupStore.setGroup(name, members, (req.body.description || "").trim());
+    res.json({ success: true, group });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Delete a roster group
+ * POST /roster-groups/delete
+ * Body: { "name": "Drivers" }
+ */
+app.post("/roster-groups/delete", (req, res) => {
+  const name = (req.body.name || "").trim();
+  if (!RosterGroupStore.deleteGroup(name)) {
+    return res.status(404).json({ success: false, error: "Group not found" });
+  }
+  res.json({ success: true });
+});
+
 // ===== NEW API ENDPOINTS FOR SENDING MESSAGES AND IMAGES =====
 
 /**
  * Send image with caption to a specific user
  * POST /send-image
- * Body: multipart/form-data with fields: to, image (file), caption
+ * Body: multipart/form-data with fields: to, image (file), caption, messageType, callbackUrl (optional)
  */
-app.post("/send-image", upload.single("image"), async (req, res) => {
+app.post("/send-image", uploadWithinLimit("image"), async (req, res) => {
   try {
-    const { to, caption, messageType } = req.body;
+    const { to, caption, messageType, callbackUrl } = req.body;
     const imageFile = req.file;
 
     if (!to || !imageFile) {
@@ -934,16 +2505,36 @@ app.post("/send-image", upload.single("image"), async (req, res) => {
       });
     }
 
-    // Check if message bot is running
-    if (!messageBot) {
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
       return res.status(400).json({
         success: false,
-        error: "Message bot is not running. Please start the bot first."
+        error: "Invalid callbackUrl. Expected an http(s) URL"
       });
     }
 
     const type = messageType === "groupchat" ? "groupchat" : "chat";
 
+    // Bot offline - keep the file and queue the send for when it reconnects
+    if (!isMessageBotOnline()) {
+      const mediaFile = OutboxStore.saveMedia(imageFile.buffer, imageFile.originalname);
+      const item = OutboxStore.addMessage("image", to, {
+        caption: caption || "",
+        messageType: type,
+        mediaFile,
+        filename: imageFile.originalname,
+        mimeType: imageFile.mimetype
+      });
+      MessageStatusStore.track(item.id, to, { type, callbackUrl });
+      console.log(`📬 [OUTBOX] Message bot offline, queued image for ${to} (${item.id})`);
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        id: item.id,
+        status: item.status,
+        message: `Message bot is offline. Image queued for ${to}`
+      });
+    }
+
     // Upload file to XMPP HTTP upload service
     console.log(`📤 Uploading ${imageFile.originalname} (${imageFile.size} bytes, ${imageFile.mimetype})`);
     const uploadResult = await uploadFileToXMPP(imageFile.buffer, imageFile.originalname, imageFile.mimetype);
@@ -955,24 +2546,302 @@ app.post("/send-image", upload.single("image"), async (req, res) => {
       });
     }
 
-    // Send image with caption
-    const sendResult = await sendImageWithCaption(to, uploadResult.url, uploadResult.size, caption || "", type);
+    // Send image with caption through the outbox so transient failures are retried
+    const item = OutboxStore.addMessage("image", to, {
+      imageUrl: uploadResult.url,
+      imageSize: uploadResult.size,
+      caption: caption || "",
+      messageType: type
+    });
+    MessageStatusStore.track(item.id, to, { type, callbackUrl });
+    const sendResult = await attemptOutboxItem(item);
 
     if (sendResult.success) {
       res.json({
         success: true,
+        id: item.id,
         message: `Image sent to ${to}`,
         imageUrl: uploadResult.url,
         caption: caption || ""
       });
     } else {
-      res.status(500).json({
+      res.status(202).json({
+        success: true,
+        queued: true,
+        id: item.id,
+        status: OutboxStore.getMessage(item.id).status,
+        error: sendResult.error || "Failed to send image",
+        message: `Image queued for retry to ${to}`
+      });
+    }
+  } catch (e) {
+    console.error("Error in /send-image:", e);
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Send a file (PDF, Excel, ...) to a user or group
+ * POST /send-file
+ * Body: multipart/form-data with fields: to, file (file), caption (optional), messageType ("chat" | "groupchat"), callbackUrl (optional)
+ */
+app.post("/send-file", uploadWithinLimit("file"), async (req, res) => {
+  try {
+    const { to, caption, messageType, callbackUrl } = req.body;
+    const file = req.file;
+
+    if (!to || !file) {
+      return res.status(400).json({
+        success: false,
+        error: "Both 'to' and 'file' are required"
+      });
+    }
+
+    if (!to.includes("@")) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JID format. Expected format: username@domain"
+      });
+    }
+
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid callbackUrl. Expected an http(s) URL"
+      });
+    }
+
+    // Reject oversized files up front (uses the last known limit while the bot is offline)
+    const maxFileSize = isMessageBotOnline() ? await getUploadMaxFileSize() : uploadMaxFileSize;
+    if (maxFileSize && file.size > maxFileSize) {
+      return res.status(413).json({
+        success: false,
+        error: `File is ${formatBytes(file.size)}, the upload limit is ${formatBytes(maxFileSize)}`,
+        maxFileSize
+      });
+    }
+
+    const type = messageType === "groupchat" ? "groupchat" : "chat";
+    const mimeType = file.mimetype || "application/octet-stream";
+
+    // Bot offline - keep the file and queue the send for when it reconnects
+    if (!isMessageBotOnline()) {
+      const mediaFile = OutboxStore.saveMedia(file.buffer, file.originalname);
+      const item = OutboxStore.addMessage("file", to, {
+        caption: caption || "",
+        messageType: type,
+        mediaFile,
+        filename: file.originalname,
+        mimeType
+      });
+      MessageStatusStore.track(item.id, to, { type, callbackUrl });
+      console.log(`📬 [OUTBOX] Message bot offline, queued file for ${to} (${item.id})`);
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        id: item.id,
+        status: item.status,
+        message: `Message bot is offline. File queued for ${to}`
+      });
+    }
+
+    console.log(`📤 Uploading ${file.originalname} (${file.size} bytes, ${mimeType})`);
+    const uploadResult = await uploadFileToXMPP(file.buffer, file.originalname, mimeType);
+
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: `File upload failed: ${uploadResult.error}`
+      });
+    }
+
+    const item = OutboxStore.addMessage("file", to, {
+      fileUrl: uploadResult.url,
+      fileSize: uploadResult.size,
+      filename: file.originalname,
+      mimeType,
+      caption: caption || "",
+      messageType: type
+    });
+    MessageStatusStore.track(item.id, to, { type, callbackUrl });
+    const sendResult = await attemptOutboxItem(item);
+
+    if (sendResult.success) {
+      res.json({
+        success: true,
+        id: item.id,
+        message: `File sent to ${to}`,
+        fileUrl: uploadResult.url,
+        filename: file.originalname,
+        size: uploadResult.size
+      });
+    } else {
+      res.status(202).json({
+        success: true,
+        queued: true,
+        id: item.id,
+        status: OutboxStore.getMessage(item.id).status,
+        error: sendResult.error || "Failed to send file",
+        message: `File queued for retry to ${to}`
+      });
+    }
+  } catch (e) {
+    console.error("Error in /send-file:", e);
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// Upload limits for the dashboard's file form
+app.get("/send-file/limits", async (req, res) => {
+  const maxFileSize = isMessageBotOnline() ? await getUploadMaxFileSize() : uploadMaxFileSize;
+  res.json({ success: true, maxFileSize: maxFileSize || null });
+});
+
+/**
+ * Send message to a specific user via XMPP
+ * POST /send-message
+ * Body: { "to": "7550300724@chat.thirupathybright.in", "message": "Hello!", "callbackUrl": "https://..." (optional) }
+ */
+app.post("/send-message", async (req, res) => {
+  try {
+    const { to, message, callbackUrl } = req.body;
+
+    if (!to || !message) {
+      return res.status(400).json({
+        success: false,
+        error: "Both 'to' and 'message' are required"
+      });
+    }
+
+    // Validate JID format (should contain @)
+    if (!to.includes("@")) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid JID format. Expected format: username@domain"
+      });
+    }
+
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid callbackUrl. Expected an http(s) URL"
+      });
+    }
+
+    // Every message goes through the outbox so it survives bot downtime
+    const item = OutboxStore.addMessage("text", to, { message });
+    MessageStatusStore.track(item.id, to, { type: "chat", callbackUrl });
+
+    if (!isMessageBotOnline()) {
+      console.log(`📬 [OUTBOX] Message bot offline, queued message for ${to} (${item.id})`);
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        id: item.id,
+        status: item.status,
+        message: `Message bot is offline. Message queued for ${to}`
+      });
+    }
+
+    // Send message
+    const result = await attemptOutboxItem(item);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        id: item.id,
+        message: `Message sent to ${to}`
+      });
+    } else {
+      res.status(202).json({
+        success: true,
+        queued: true,
+        id: item.id,
+        status: OutboxStore.getMessage(item.id).status,
+        error: result.error || "Failed to send message",
+        message: `Message queued for retry to ${to}`
+      });
+    }
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// ===== MESSAGE STATUS ENDPOINTS =====
+
+function isValidCallbackUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Delivery status of a message sent via /send-message or /send-image
+ * GET /messages/:id/status
+ */
+app.get("/messages/:id/status", (req, res) => {
+  const record = MessageStatusStore.getStatus(req.params.id);
+  const outboxItem = OutboxStore.getMessage(req.params.id);
+
+  if (!record && !outboxItem) {
+    return res.status(404).json({ success: false, error: "Message not found" });
+  }
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    to: record ? record.to : outboxItem.to,
+    status: record ? record.status : "queued",
+    sentAt: record ? record.sentAt : null,
+    deliveredAt: record ? record.deliveredAt : null,
+    displayedAt: record ? record.displayedAt : null,
+    callbackUrl: record ? record.callbackUrl : null,
+    callbacks: record ? record.callbacks : [],
+    outbox: outboxItem
+      ? { status: outboxItem.status, attempts: outboxItem.attempts, lastError: outboxItem.lastError }
+      : null
+  });
+});
+
+/**
+ * Register a callback URL notified when the message is delivered/displayed
+ * POST /messages/:id/callback
+ * Body: { "callbackUrl": "https://erp.example.com/xmpp-status" }
+ */
+app.post("/messages/:id/callback", (req, res) => {
+  try {
+    const { callbackUrl } = req.body || {};
+    if (!callbackUrl || !isValidCallbackUrl(callbackUrl)) {
+      return res.status(400).json({
         success: false,
-        error: sendResult.error || "Failed to send image"
+        error: "A valid http(s) 'callbackUrl' is required"
       });
     }
+
+    const record = MessageStatusStore.setCallbackUrl(req.params.id, callbackUrl);
+    if (!record) {
+      return res.status(404).json({ success: false, error: "Message not found" });
+    }
+
+    // Already delivered/displayed - notify right away so the caller doesn't miss it
+    if (record.status === "delivered" || record.status === "displayed") {
+      notifyStatusCallback(record);
+    }
+
+    res.json({ success: true, id: record.id, status: record.status, callbackUrl: record.callbackUrl });
   } catch (e) {
-    console.error("Error in /send-image:", e);
     res.status(500).json({
       success: false,
       error: e?.message || String(e)
@@ -980,52 +2849,88 @@ app.post("/send-image", upload.single("image"), async (req, res) => {
   }
 });
 
+// ===== OUTBOX ENDPOINTS =====
+
 /**
- * Send message to a specific user via XMPP
- * POST /send-message
- * Body: { "to": "7550300724@chat.thirupathybright.in", "message": "Hello!" }
+ * List outbox entries
+ * GET /outbox?status=queued|sent|failed|dead-letter
  */
-app.post("/send-message", async (req, res) => {
+app.get("/outbox", (req, res) => {
   try {
-    const { to, message } = req.body;
-
-    if (!to || !message) {
+    const { status } = req.query;
+    if (status && !OutboxStore.STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: "Both 'to' and 'message' are required"
+        error: `Invalid status. Use one of: ${OutboxStore.STATUSES.join(", ")}`
       });
     }
 
-    // Validate JID format (should contain @)
-    if (!to.includes("@")) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid JID format. Expected format: username@domain"
-      });
-    }
+    res.json({
+      success: true,
+      stats: OutboxStore.getStats(),
+      messages: OutboxStore.getMessages(status || null)
+    });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
 
-    // Check if message bot is running
-    if (!messageBot) {
-      return res.status(503).json({
-        success: false,
-        error: "Message bot is not running. Please start the bot first."
-      });
-    }
+// Get a single outbox entry
+app.get("/outbox/:id", (req, res) => {
+  const item = OutboxStore.getMessage(req.params.id);
+  if (!item) {
+    return res.status(404).json({ success: false, error: "Outbox entry not found" });
+  }
+  res.json({ success: true, entry: item });
+});
 
-    // Send message
-    const result = await sendMessageToUser(to, message);
+/**
+ * Re-queue a failed or dead-letter entry for immediate delivery
+ * POST /outbox/:id/retry
+ */
+app.post("/outbox/:id/retry", (req, res) => {
+  if (!OutboxStore.getMessage(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Outbox entry not found" });
+  }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: `Message sent to ${to}`
-      });
-    } else {
-      res.status(500).json({
+  // Queued and sent entries, and one a delivery attempt is still working on, are left alone
+  const item = OutboxStore.retry(req.params.id);
+  if (!item) {
+    return res.status(409).json({
+      success: false,
+      error: "Only failed or dead-letter entries that are not being delivered can be retried"
+    });
+  }
+
+  processOutbox();
+  res.json({ success: true, entry: item });
+});
+
+/**
+ * Purge outbox entries
+ * POST /outbox/purge
+ * Body: { "statuses": ["sent", "dead-letter"], "olderThanMinutes": 60 }  (both optional)
+ */
+app.post("/outbox/purge", (req, res) => {
+  try {
+    const body = req.body || {};
+    const statuses = Array.isArray(body.statuses) && body.statuses.length > 0
+      ? body.statuses
+      : ["sent", "dead-letter"];
+    const invalid = statuses.filter(s => !OutboxStore.STATUSES.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: result.error || "Failed to send message"
+        error: `Invalid status: ${invalid.join(", ")}`
       });
     }
+
+    const olderThan = (parseInt(body.olderThanMinutes, 10) || 0) * 60000;
+    const purged = OutboxStore.purge(statuses, olderThan);
+    res.json({ success: true, purged, stats: OutboxStore.getStats() });
   } catch (e) {
     res.status(500).json({
       success: false,
@@ -1034,6 +2939,14 @@ app.post("/send-message", async (req, res) => {
   }
 });
 
+// Delete a single outbox entry
+app.delete("/outbox/:id", (req, res) => {
+  if (!OutboxStore.deleteMessage(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Outbox entry not found" });
+  }
+  res.json({ success: true });
+});
+
 // Get list of users (API endpoint)
 app.get("/users/list", (req, res) => {
   try {
@@ -1219,10 +3132,401 @@ app.post("/ai-bot/stop", async (req, res) => {
 
 // Get AI Bot status
 app.get("/ai-bot/status", (req, res) => {
-  res.json({
-    running: aiBot !== null,
-    status: aiBot ? "online" : "offline"
+  res.json(botHealth(aiBot, aiBotSupervisor));
+});
+
+// ===== AI BOT ROOMS =====
+
+// List rooms the AI bot is configured to join
+app.get("/ai-bot/rooms", (req, res) => {
+  const online = aiBot !== null && aiBot.status === "online";
+  const rooms = AIRoomStore.getRooms().map((room) => {
+    const occupants = aiRoomOccupants.get(room.roomJid);
+    return {
+      ...room,
+      joined: online && !!occupants && occupants.has(room.nickname),
+      occupants: occupants ? occupants.size : 0,
+      // Occupants whose real JID we can see (others are refused for data questions)
+      identifiedOccupants: occupants ? [...occupants.values()].filter(Boolean).length : 0
+    };
   });
+  res.json({ success: true, rooms });
+});
+
+/**
+ * Add or update an AI bot room
+ * POST /ai-bot/rooms
+ * Body: { "roomJid": "sales@conference.chat.thirupathybright.in", "nickname": "assistant", "prefix": "!ai" }
+ */
+app.post("/ai-bot/rooms", (req, res) => {
+  try {
+    const roomJid = (req.body.roomJid || "").trim().toLowerCase();
+    if (!/^[^@\s/]+@[^@\s/]+$/.test(roomJid)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room JID. Expected format: room@conference.domain"
+      });
+    }
+
+    const previous = AIRoomStore.getRoom(roomJid);
+    const room = AIRoomStore.setRoom(roomJid, req.body.nickname, req.body.prefix);
+
+    if (aiBot) {
+      // Rejoin so a nickname change takes effect
+      if (previous) leaveAIRoom(previous);
+      joinAIRoom(room);
+    }
+
+    res.json({ success: true, room });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Remove an AI bot room (the bot leaves it)
+ * POST /ai-bot/rooms/remove
+ * Body: { "roomJid": "sales@conference.chat.thirupathybright.in" }
+ */
+app.post("/ai-bot/rooms/remove", (req, res) => {
+  const roomJid = (req.body.roomJid || "").trim().toLowerCase();
+  const room = AIRoomStore.getRoom(roomJid);
+  if (!room) {
+    return res.status(404).json({ success: false, error: "Room not found" });
+  }
+
+  if (aiBot) leaveAIRoom(room);
+  AIRoomStore.removeRoom(roomJid);
+  res.json({ success: true });
+});
+
+// ===== AI SCHEMA CACHE =====
+
+// Status of the cached database schema used in AI prompts
+app.get("/ai-bot/schema", (req, res) => {
+  res.json({ success: true, schema: SQLAgent.getSchemaStatus() });
+});
+
+/**
+ * Re-read the database schema now (the AI prompt is rebuilt if columns changed)
+ * POST /ai-bot/schema/refresh
+ */
+app.post("/ai-bot/schema/refresh", async (req, res) => {
+  try {
+    const cached = await SQLAgent.getSchema({ forceRefresh: true });
+    if (!cached) {
+      return res.status(503).json({ success: false, error: "Database schema could not be read" });
+    }
+    res.json({ success: true, schema: SQLAgent.getSchemaStatus() });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// ===== AI AUDIT LOG =====
+
+// Constant-time string comparison (hashing first evens out the lengths)
+function safeEqual(a, b) {
+  const hash = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Admin check for the audit endpoints: the browser asks for the dashboard admin login once
+// and sends it with every later request, including the export download
+function requireDashboardAdmin(req, res, next) {
+  if (!DASHBOARD_ADMIN_PASSWORD) {
+    return res.status(503).json({
+      success: false,
+      error: "The audit log is locked. Set DASHBOARD_ADMIN_PASSWORD to open it to admins."
+    });
+  }
+
+  const [scheme, encoded] = (req.get("Authorization") || "").split(" ");
+  const [user, ...rest] = scheme === "Basic" && encoded
+    ? Buffer.from(encoded, "base64").toString("utf8").split(":")
+    : [];
+  // Both compared every time, so timing does not tell which one was wrong
+  const userOk = safeEqual(user || "", DASHBOARD_ADMIN_USER);
+  const passwordOk = safeEqual(rest.join(":"), DASHBOARD_ADMIN_PASSWORD);
+  if (user === undefined || !userOk || !passwordOk) {
+    res.set("WWW-Authenticate", 'Basic realm="XMPP Dashboard admin", charset="UTF-8"');
+    return res.status(401).json({ success: false, error: "Admin login required" });
+  }
+  next();
+}
+
+// Filters shared by the list and export endpoints
+function auditFilters(query) {
+  return {
+    from: query.from || undefined,
+    to: query.to || undefined,
+    user: query.user || undefined,
+    channel: query.channel || undefined,
+    intent: query.intent || undefined,
+    search: query.search || undefined
+  };
+}
+
+/**
+ * Search the AI audit log (XMPP and WhatsApp questions), newest first
+ * GET /ai-audit?from=2026-10-01&to=2026-10-19&user=ravi&channel=xmpp&intent=llm&search=ORD-&limit=100&offset=0
+ */
+app.get("/ai-audit", requireDashboardAdmin, (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { entries, total } = AuditLog.query({ ...auditFilters(req.query), limit, offset });
+    res.json({ success: true, entries, total, limit, offset });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Download the matching audit entries as a file
+ * GET /ai-audit/export?format=csv|xlsx|pdf (same filters as /ai-audit)
+ */
+app.get("/ai-audit/export", requireDashboardAdmin, (req, res) => {
+  try {
+    const { entries } = AuditLog.query({ ...auditFilters(req.query), limit: 0 });
+    const report = buildReport(AuditLog.toReportRows(entries), req.query.format || "csv", "ai_audit");
+    res.setHeader("Content-Type", report.mimeType);
+    res.setHeader("Content-Disposition", `attachment; filename="${report.filename}"`);
+    res.send(report.buffer);
+  } catch (e) {
+    res.status(400).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+// One audit entry, with the full SQL and answer
+app.get("/ai-audit/:id", requireDashboardAdmin, (req, res) => {
+  const entry = AuditLog.getEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: "Audit entry not found" });
+  }
+  res.json({ success: true, entry });
+});
+
+// ===== ORDER NOTIFICATIONS =====
+
+/**
+ * Order watcher settings, event subscriptions, last poll and recent notifications
+ * GET /order-notifications?limit=100
+ */
+app.get("/order-notifications", (req, res) => {
+  try {
+    const { settings, events } = OrderEventStore.readConfig();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 300);
+    res.json({
+      success: true,
+      settings,
+      events,
+      running: orderWatchProcessing,
+      lastRun: orderWatchLastResult,
+      history: OrderEventStore.getHistory(limit)
+    });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Update the watcher settings and subscriptions (partial updates allowed)
+ * POST /order-notifications
+ * Body: {
+ *   "settings": { "enabled": true, "pollIntervalMinutes": 5, "lookbackDays": 90 },
+ *   "events": {
+ *     "order_status": { "statuses": ["completed"], "marketing": { "enabled": true, "template": "..." },
+ *                       "customer": { "enabled": false } }
+ *   }
+ * }
+ * Events: order_status, expected_date, dispatch_created, dispatch_weighed
+ */
+app.post("/order-notifications", (req, res) => {
+  try {
+    const { settings, events } = OrderEventStore.updateConfig(req.body || {});
+    res.json({ success: true, settings, events });
+  } catch (e) {
+    res.status(400).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Poll the order register now (even when the watcher is switched off)
+ * POST /order-notifications/run
+ */
+app.post("/order-notifications/run", async (req, res) => {
+  if (orderWatchProcessing) {
+    return res.status(409).json({ success: false, error: "A poll is already running" });
+  }
+  try {
+    const result = await runOrderWatch();
+    res.json({ success: true, result });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e?.message || String(e)
+    });
+  }
+});
+
+/**
+ * Forget the snapshot: the next poll records the current state without notifying
+ * POST /order-notifications/reset
+ */
+app.post("/order-notifications/reset", (req, res) => {
+  OrderEventStore.resetSnapshot();
+  res.json({ success: true });
+});
+
+// ===== MUC ROOM MANAGEMENT =====
+
+// Accept either a Prosody username or a full JID
+function toUserJid(value) {
+  const user = String(value || "").trim().toLowerCase();
+  return user.includes("@") ? user : `${user}@${DOMAIN}`;
+}
+
+function requireMessageBot(res) {
+  if (isMessageBotOnline()) return true;
+  res.status(503).json({ success: false, error: "Message Bot is not running. Start it first." });
+  return false;
+}
+
+// List rooms on the MUC service
+app.get("/muc/rooms", async (req, res) => {
+  if (!requireMessageBot(res)) return;
+  try {
+    const { service, rooms } = await listMucRooms();
+    res.json({ success: true, service, rooms });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e?.message || String(e) });
+  }
+});
+
+/**
+ * Create a room
+ * POST /muc/rooms
+ * Body: { "name": "sales", "title": "Sales Team", "description": "...", "membersOnly": true, "persistent": true, "public": false }
+ */
+app.post("/muc/rooms", async (req, res) => {
+  if (!requireMessageBot(res)) return;
+  try {
+    const name = (req.body.name || "").trim().toLowerCase();
+    if (!/^[a-z0-9._-]+$/.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: "Room name may only contain letters, numbers, dots, dashes and underscores"
+      });
+    }
+
+    const flag = (value) => value === true || value === "true" || value === "on" || value === "1";
+    const room = await createMucRoom({
+      name,
+      title: (req.body.title || "").trim(),
+      description: (req.body.description || "").trim(),
+      membersOnly: flag(req.body.membersOnly),
+      persistent: flag(req.body.persistent),
+      isPublic: flag(req.body.public)
+    });
+
+    res.json({ success: true, room });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e?.message || String(e) });
+  }
+});
+
+// List owners, admins, members and outcasts of a room
+app.get("/muc/rooms/:roomJid/affiliations", async (req, res) => {
+  if (!requireMessageBot(res)) return;
+  try {
+    const affiliations = await getMucAffiliations(req.params.roomJid);
+    res.json({ success: true, roomJid: req.params.roomJid, affiliations });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e?.message || String(e) });
+  }
+});
+
+/**
+ * Set a user's affiliation in a room
+ * POST /muc/rooms/affiliation
+ * Body: { "roomJid": "sales@conference.chat.thirupathybright.in", "user": "john", "affiliation": "member" }
+ * Use affiliation "none" to remove a user's affiliation.
+ */
+app.post("/muc/rooms/affiliation", async (req, res) => {
+  if (!requireMessageBot(res)) return;
+  try {
+    const roomJid = (req.body.roomJid || "").trim().toLowerCase();
+    const affiliation = (req.body.affiliation || "").trim();
+    if (!roomJid || !req.body.user) {
+      return res.status(400).json({ success: false, error: "roomJid and user are required" });
+    }
+    if (!MUC_AFFILIATIONS.includes(affiliation)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid affiliation. Use one of: ${MUC_AFFILIATIONS.join(", ")}`
+      });
+    }
+
+    const userJid = toUserJid(req.body.user);
+    await setMucAffiliation(roomJid, userJid, affiliation, (req.body.reason || "").trim());
+    res.json({ success: true, roomJid, userJid, affiliation });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e?.message || String(e) });
+  }
+});
+
+/**
+ * Invite users to a room
+ * POST /muc/rooms/invite
+ * Body: { "roomJid": "sales@conference.chat.thirupathybright.in", "users": ["john", "mary@chat.thirupathybright.in"], "reason": "...", "grantMembership": true }
+ * grantMembership makes each user a member first, so they can enter members-only rooms.
+ */
+app.post("/muc/rooms/invite", async (req, res) => {
+  if (!requireMessageBot(res)) return;
+  try {
+    const roomJid = (req.body.roomJid || "").trim().toLowerCase();
+    const users = parseJidList(req.body.users).map(toUserJid);
+    if (!roomJid || users.length === 0) {
+      return res.status(400).json({ success: false, error: "roomJid and at least one user are required" });
+    }
+
+    const grantMembership = req.body.grantMembership === true || req.body.grantMembership === "true";
+    const reason = (req.body.reason || "").trim();
+    const results = [];
+
+    for (const userJid of users) {
+      try {
+        if (grantMembership) await setMucAffiliation(roomJid, userJid, "member");
+        await inviteToMucRoom(roomJid, userJid, reason);
+        results.push({ userJid, success: true });
+      } catch (error) {
+        results.push({ userJid, success: false, error: error.message });
+      }
+    }
+
+    res.json({ success: results.every((r) => r.success), roomJid, results });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e?.message || String(e) });
+  }
 });
 
 // Start Message Bot route
@@ -1247,22 +3551,27 @@ app.post("/message-bot/stop", async (req, res) => {
 
 // Get Message Bot status
 app.get("/message-bot/status", (req, res) => {
-  res.json({
-    running: messageBot !== null,
-    status: messageBot ? "online" : "offline"
-  });
+  res.json(botHealth(messageBot, messageBotSupervisor));
 });
 
+// Connection health for a supervised bot. "running" means started (and supervised),
+// "connected" means the XMPP session is actually online right now.
+function botHealth(bot, supervisor) {
+  if (!bot || !supervisor) {
+    return { running: false, connected: false, status: "offline" };
+  }
+  return { running: true, ...supervisor.getHealth() };
+}
+
 // Get both bots status
 app.get("/bots/status", (req, res) => {
   res.json({
-    aiBot: {
-      running: aiBot !== null,
-      status: aiBot ? "online" : "offline"
-    },
-    messageBot: {
-      running: messageBot !== null,
-      status: messageBot ? "online" : "offline"
+    aiBot: botHealth(aiBot, aiBotSupervisor),
+    messageBot: botHealth(messageBot, messageBotSupervisor),
+    broadcastBot: {
+      running: broadcastBot !== null,
+      status: broadcastBot ? broadcastBot.status : "offline",
+      activeJobs: [...broadcastJobs.values()].filter((j) => !j.finishedAt).length
     }
   });
 });
@@ -1481,15 +3790,25 @@ app.post("/users/nickname/with-reset", async (req, res) => {
 // Health check
 app.get("/health", (req, res) => res.json({ ok: true }));
 
+// Shutdown: write buffered message statuses before exiting
+function shutdown(signal) {
+  console.log(`🧹 ${signal} received, shutting down...`);
+  MessageStatusStore.flush();
+  process.exit(0);
+}
+
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
+
 app.listen(3005, () => {
   console.log("✅ XMPP Admin Dashboard: http://0.0.0.0:3005");
 
-  // Auto-start both bots on server start
+  // Auto-start bots on server start (see AUTO_START_* in CONFIG)
   Promise.all([
-    startAIBot().catch(err => {
+    AUTO_START_AI_BOT && startAIBot().catch(err => {
       console.error("❌ Failed to auto-start AI Bot:", err.message);
     }),
-    startMessageBot().catch(err => {
+    AUTO_START_MESSAGE_BOT && startMessageBot().catch(err => {
       console.error("❌ Failed to auto-start Message Bot:", err.message);
     })
   ]).then(() => {
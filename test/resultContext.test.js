@@ -0,0 +1,45 @@
+// Follow-up detection: only questions that point back at the last answer are scoped to it
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ResultContext = require('../wpp/config/resultContext');
+
+test('finds positions in follow-up questions', () => {
+  assert.equal(ResultContext.findPosition('show the second one'), 2);
+  assert.equal(ResultContext.findPosition('the 2nd one'), 2);
+  assert.equal(ResultContext.findPosition('invoice of the 3rd order'), 3);
+  assert.equal(ResultContext.findPosition('what about the 2nd'), 2);
+  assert.equal(ResultContext.findPosition('#4'), 4);
+  assert.equal(ResultContext.findPosition('the last one'), -1);
+});
+
+test('does not read dates or counts as positions', () => {
+  for (const question of [
+    'dispatches on 15th',
+    'dispatches on the 15th',
+    'orders from 1st march',
+    'the 2nd of june',
+    'orders dated 3rd',
+    'orders between 1st and 5th',
+    'the first 10 orders'
+  ]) {
+    assert.equal(ResultContext.findPosition(question), null, question);
+  }
+});
+
+test('bare pronouns are not references', () => {
+  assert.equal(ResultContext.isReference('is it dispatched'), false);
+  assert.equal(ResultContext.isReference('Sri Balaji orders and their invoices'), false);
+  assert.equal(ResultContext.isReference('that order'), true);
+  assert.equal(ResultContext.isReference('show them'), true);
+});
+
+test('a question naming its own order is not a follow-up', () => {
+  ResultContext.remember('test-user', 'pending orders', [{ order_number: 'ORD-2506-0001', id: 1 }]);
+  assert.equal(ResultContext.resolve('test-user', 'ORD-2506-0738 and its dispatches'), null);
+  assert.equal(ResultContext.resolve('test-user', 'order no 2506-0738 dispatches'), null);
+  assert.equal(ResultContext.resolve('test-user', 'dispatches on 15th'), null);
+
+  const followUp = ResultContext.resolve('test-user', 'invoice for that order');
+  assert.equal(followUp.orderPredicate, "order_number IN ('ORD-2506-0001')");
+  ResultContext.clear('test-user');
+});
@@ -0,0 +1,191 @@
+// Row-level security: every read of an order table must go through the scoped derived
+// table, however the query reaches it. The checks below count table references in the
+// rewritten SQL directly instead of trusting RowLevelSecurity.verifyScoped.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Parser } = require('node-sql-parser');
+const RowLevelSecurity = require('../wpp/config/rowLevelSecurity');
+
+const parser = new Parser();
+const PARSER_OPTIONS = { database: 'MySQL' };
+const MARKETING_PREDICATE = "`marketing_person` IN ('Ravi')";
+
+function scoped(sql) {
+  return RowLevelSecurity.applyMarketingPersonFilter(sql, ['Ravi']).sql;
+}
+
+// Every FROM/JOIN reference to the table in the output must be the scoped SELECT
+function assertOrdersScoped(sql, table = 'Database_orderregister', predicate = MARKETING_PREDICATE) {
+  const references = sql.match(new RegExp(`\\b(?:FROM|JOIN)\\s+(?:\`\\w+\`\\.)?\`${table}\``, 'gi')) || [];
+  const scopedReads = sql.match(new RegExp(
+    `\\bFROM \`thirupathybright\`\\.\`${table}\` WHERE ${predicate.replace(/[()]/g, '\\$&')}`, 'gi')) || [];
+  assert.ok(references.length > 0, `expected ${table} in: ${sql}`);
+  assert.equal(scopedReads.length, references.length, `unscoped ${table} read in: ${sql}`);
+  // The rewritten SQL must still be valid
+  assert.doesNotThrow(() => parser.astify(sql, PARSER_OPTIONS));
+}
+
+test('scopes a plain SELECT and keeps the table name usable as a qualifier', () => {
+  const sql = scoped('SELECT Database_orderregister.order_no FROM Database_orderregister WHERE Database_orderregister.id = 1');
+  assertOrdersScoped(sql);
+  assert.match(sql, /AS `Database_orderregister` WHERE `Database_orderregister`\.`id` = 1/);
+});
+
+test('scopes both sides of a join and keeps their aliases', () => {
+  const sql = scoped(
+    'SELECT o.order_no, d.despatchno FROM Database_orderregister o ' +
+    'JOIN Database_despatch AS d ON d.order_no_id = o.id'
+  );
+  assertOrdersScoped(sql);
+  assert.match(sql, /FROM `thirupathybright`\.`Database_despatch` WHERE `order_no_id` IN \(SELECT `id` FROM/);
+  assert.match(sql, /AS `o` INNER JOIN/);
+  assert.match(sql, /AS `d` ON `d`\.`order_no_id` = `o`\.`id`/);
+});
+
+test('scopes dependent tables through their order', () => {
+  for (const table of ['Database_despatch', 'Database_weightment', 'Database_despatchinvoice']) {
+    const sql = scoped(`SELECT * FROM ${table}`);
+    assertOrdersScoped(sql);
+    assert.match(sql, new RegExp(`FROM \`thirupathybright\`\\.\`${table}\` WHERE`));
+  }
+});
+
+test('matches table names case-insensitively', () => {
+  for (const table of ['database_orderregister', 'DATABASE_ORDERREGISTER', 'dAtAbAsE_OrderRegister']) {
+    assertOrdersScoped(scoped(`SELECT * FROM ${table}`), table);
+  }
+  assertOrdersScoped(scoped('SELECT * FROM THIRUPATHYBRIGHT.Database_orderregister'));
+});
+
+test('scopes tables inside CTEs', () => {
+  const sql = scoped(
+    'WITH mine AS (SELECT * FROM Database_orderregister WHERE status = 1), ' +
+    'sent AS (SELECT * FROM Database_despatch) SELECT * FROM mine JOIN sent ON sent.order_no_id = mine.id'
+  );
+  assertOrdersScoped(sql);
+  assert.match(sql, /FROM `thirupathybright`\.`Database_despatch` WHERE/);
+});
+
+test('a CTE named after an order table does not hide the real table', () => {
+  const sql = scoped(
+    'WITH Database_orderregister AS (SELECT * FROM mastercustomer) SELECT * FROM Database_orderregister'
+  );
+  assertOrdersScoped(sql);
+});
+
+test('scopes every UNION branch', () => {
+  const sql = scoped(
+    'SELECT order_no FROM Database_orderregister WHERE id = 1 ' +
+    'UNION SELECT order_no FROM database_ORDERREGISTER ' +
+    'UNION ALL SELECT order_no FROM thirupathybright.Database_orderregister'
+  );
+  assertOrdersScoped(sql, 'Database_orderregister');
+  assert.equal((sql.match(/WHERE `marketing_person` IN \('Ravi'\)/g) || []).length, 3);
+});
+
+test('scopes subqueries in the select list, WHERE, HAVING and derived tables', () => {
+  assertOrdersScoped(scoped('SELECT (SELECT COUNT(*) FROM Database_orderregister) AS total FROM mastercustomer'));
+  assertOrdersScoped(scoped('SELECT * FROM mastercustomer WHERE id IN (SELECT customer_id FROM Database_orderregister)'));
+  assertOrdersScoped(scoped(
+    'SELECT * FROM mastercustomer c WHERE EXISTS (SELECT 1 FROM Database_orderregister o WHERE o.customer_id = c.id)'
+  ));
+  assertOrdersScoped(scoped(
+    'SELECT customer_id FROM mastercustomer GROUP BY customer_id ' +
+    'HAVING COUNT(*) > (SELECT COUNT(*) FROM Database_orderregister)'
+  ));
+  assertOrdersScoped(scoped('SELECT * FROM (SELECT * FROM (SELECT * FROM Database_orderregister) a) b'));
+});
+
+test('scopes subqueries in a JOIN ... ON clause', () => {
+  const sql = scoped(
+    'SELECT m.name FROM mastercustomer m JOIN Database_grade g ' +
+    'ON g.id IN (SELECT grade_id FROM Database_orderregister WHERE customer_id = m.id)'
+  );
+  assertOrdersScoped(sql);
+});
+
+test('drops comments, including MySQL executable comments', () => {
+  const executable = scoped('SELECT * FROM mastercustomer /*! UNION SELECT * FROM Database_orderregister */');
+  assert.doesNotMatch(executable, /\/\*|Database_orderregister/i);
+
+  const versioned = scoped('SELECT * FROM Database_orderregister /*!50000 WHERE 1 = 1 OR 1 = 1 */');
+  assert.doesNotMatch(versioned, /\/\*/);
+  assertOrdersScoped(versioned);
+
+  const lineComment = scoped('SELECT * FROM Database_orderregister -- WHERE marketing_person IS NOT NULL\n');
+  assert.doesNotMatch(lineComment, /--/);
+  assertOrdersScoped(lineComment);
+
+  const hashComment = scoped('SELECT * FROM Database_orderregister # anything\n');
+  assert.doesNotMatch(hashComment, /#/);
+  assertOrdersScoped(hashComment);
+});
+
+test('quotes marketing persons as string literals', () => {
+  const quoted = RowLevelSecurity.applyMarketingPersonFilter('SELECT * FROM Database_orderregister', ["O'Neil"]).sql;
+  assert.match(quoted, /IN \('O''Neil'\)/);
+
+  const injected = RowLevelSecurity.applyMarketingPersonFilter(
+    'SELECT * FROM Database_orderregister', ["x\\' OR 1=1 -- "]
+  ).sql;
+  assert.doesNotMatch(injected, /OR 1 = 1/);
+  assert.equal(parser.astify(injected, PARSER_OPTIONS).from[0].expr.ast.where.right.value.length, 1);
+});
+
+test('leaves tables outside the scope alone', () => {
+  const sql = scoped('SELECT * FROM mastercustomer m JOIN Database_grade g ON g.id = m.id');
+  assert.equal(sql, 'SELECT * FROM `mastercustomer` AS `m` INNER JOIN `Database_grade` AS `g` ON `g`.`id` = `m`.`id`');
+});
+
+test('applyScope restricts customer tables to the account', () => {
+  const scope = { orderPredicate: RowLevelSecurity.customerPredicate(['42']), customerIds: ['42'] };
+  const sql = RowLevelSecurity.applyScope(
+    'SELECT c.name, p.id, t.id FROM mastercustomer c ' +
+    'JOIN Database_production p ON p.customer_id = c.id ' +
+    'JOIN Database_tripsheet t ON t.production_reference_id = p.id ' +
+    'WHERE c.id IN (SELECT customer_id FROM Database_orderregister)',
+    scope
+  );
+  assertOrdersScoped(sql.sql, 'Database_orderregister', "`customer_id` IN ('42')");
+  assertOrdersScoped(sql.sql, 'mastercustomer', "`id` IN ('42')");
+  assertOrdersScoped(sql.sql, 'Database_production', "`customer_id` IN ('42')");
+  assert.match(sql.sql, /FROM `thirupathybright`\.`Database_tripsheet` WHERE `production_reference_id` IN \(SELECT/);
+  assert.deepEqual(sql.scopedTables.sort(),
+    ['database_orderregister', 'database_production', 'database_tripsheet', 'mastercustomer']);
+});
+
+test('customer tables are not touched by an order-only scope', () => {
+  const { sql, scopedTables } = RowLevelSecurity.applyOrderFilter('SELECT * FROM Database_production', "status = 'x'");
+  assert.equal(sql, 'SELECT * FROM `Database_production`');
+  assert.deepEqual(scopedTables, []);
+});
+
+test('rejects anything that is not a single parseable SELECT', () => {
+  const predicate = RowLevelSecurity.marketingPersonPredicate(['Ravi']);
+  for (const sql of [
+    'DELETE FROM Database_orderregister',
+    "UPDATE Database_orderregister SET marketing_person = 'Ravi'",
+    'SELECT * FROM mastercustomer; SELECT * FROM Database_orderregister',
+    'SELEC * FROM Database_orderregister',
+    'SELECT * FROM Database_orderregister WHERE'
+  ]) {
+    assert.throws(() => RowLevelSecurity.applyOrderFilter(sql, predicate), /SELECT|verified/, sql);
+  }
+});
+
+test('rejects empty scopes', () => {
+  assert.throws(() => RowLevelSecurity.marketingPersonPredicate([]), /marketing person/);
+  assert.throws(() => RowLevelSecurity.customerPredicate([]), /customer id/);
+  assert.throws(() => RowLevelSecurity.applyScope('SELECT 1', { customerIds: [] }), /customer id/);
+});
+
+test('verifyScoped rejects SQL that reads an order table directly', () => {
+  const scope = { orderPredicate: RowLevelSecurity.marketingPersonPredicate(['Ravi']) };
+  for (const sql of [
+    'SELECT * FROM Database_orderregister',
+    "SELECT * FROM (SELECT * FROM thirupathybright.Database_orderregister WHERE marketing_person IN ('Other')) AS o",
+    "SELECT * FROM (SELECT * FROM thirupathybright.Database_orderregister, mastercustomer WHERE marketing_person IN ('Ravi')) AS o"
+  ]) {
+    assert.throws(() => RowLevelSecurity.verifyScoped(parser.astify(sql, PARSER_OPTIONS), scope), /verified/, sql);
+  }
+});
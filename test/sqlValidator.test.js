@@ -0,0 +1,144 @@
+// SQL validator: only a single SELECT over the allow-list runs, and what runs is the
+// re-generated SQL with a row cap and execution time hint, never the original text.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SQLValidator = require('../wpp/config/sqlValidator');
+
+const schema = {
+  tables: {
+    Database_orderregister: { columns: [{ name: 'id' }, { name: 'order_no' }, { name: 'customer_id' }, { name: 'grade_id' }] },
+    mastercustomer: { columns: [{ name: 'id' }, { name: 'name' }] },
+    Database_despatch: { columns: [{ name: 'despatchno' }, { name: 'order_no_id' }] },
+    Database_grade: { columns: [{ name: 'id' }, { name: 'grade' }] }
+  }
+};
+
+function rejects(sql, pattern, options = { schema }) {
+  assert.throws(() => SQLValidator.validate(sql, options), (error) => {
+    assert.equal(error.code, 'SQL_VALIDATION', sql);
+    assert.match(error.message, pattern, sql);
+    return true;
+  });
+}
+
+test('adds the row cap and execution time hint', () => {
+  const { sql, maxRows } = SQLValidator.validate('SELECT order_no FROM Database_orderregister', { schema });
+  assert.equal(maxRows, 1000);
+  assert.equal(sql, 'SELECT /*+ MAX_EXECUTION_TIME(10000) */ `order_no` FROM `Database_orderregister` LIMIT 1001');
+
+  const custom = SQLValidator.validate('SELECT 1', { maxRows: 50, timeoutMs: 2500 });
+  assert.equal(custom.sql, 'SELECT /*+ MAX_EXECUTION_TIME(2500) */ 1 LIMIT 51');
+});
+
+test('keeps a smaller LIMIT and caps a larger one', () => {
+  assert.match(SQLValidator.validate('SELECT * FROM Database_orderregister LIMIT 5').sql, /LIMIT 5$/);
+  assert.match(SQLValidator.validate('SELECT * FROM Database_orderregister LIMIT 5000').sql, /LIMIT 1001$/);
+  assert.match(SQLValidator.validate('SELECT * FROM Database_orderregister LIMIT 10, 5000').sql, /LIMIT 10, 1001$/);
+  assert.match(SQLValidator.validate('SELECT * FROM Database_orderregister LIMIT 5000 OFFSET 10').sql, /LIMIT 1001 OFFSET 10$/);
+  // The cap applies to the whole UNION, not just its first branch
+  assert.match(
+    SQLValidator.validate('SELECT id FROM mastercustomer UNION SELECT id FROM Database_grade').sql,
+    /UNION SELECT `id` FROM `Database_grade` LIMIT 1001$/
+  );
+});
+
+test('accepts allow-listed tables in any case', () => {
+  for (const table of ['Database_orderregister', 'database_orderregister', 'DATABASE_ORDERREGISTER', 'thirupathybright.Database_orderregister']) {
+    assert.doesNotThrow(() => SQLValidator.validate(`SELECT * FROM ${table}`, { schema }), table);
+  }
+});
+
+test('rejects anything but a single SELECT', () => {
+  rejects("UPDATE Database_orderregister SET order_no = 'x'", /Only SELECT/);
+  rejects('DELETE FROM Database_orderregister', /Only SELECT/);
+  rejects('DROP TABLE Database_orderregister', /Only SELECT/);
+  rejects("INSERT INTO mastercustomer (name) VALUES ('x')", /Only SELECT/);
+  rejects('SELECT 1; SELECT 2', /single SELECT/);
+  rejects('SELECT * FROM mastercustomer; DROP TABLE mastercustomer', /single SELECT/);
+  rejects('SELEC * FROM mastercustomer', /could not be parsed/);
+});
+
+test('rejects tables outside the allow-list wherever they appear', () => {
+  rejects('SELECT * FROM users', /users is not available/);
+  rejects('SELECT * FROM mastercustomer m JOIN users u ON u.id = m.id', /users is not available/);
+  rejects('SELECT id FROM mastercustomer UNION SELECT id FROM users', /users is not available/);
+  rejects('SELECT id FROM mastercustomer UNION ALL SELECT id FROM mastercustomer UNION SELECT id FROM users', /users is not available/);
+  rejects('SELECT (SELECT COUNT(*) FROM users) AS c FROM mastercustomer', /users is not available/);
+  rejects('SELECT * FROM mastercustomer WHERE id IN (SELECT id FROM users)', /users is not available/);
+  rejects('SELECT * FROM (SELECT * FROM users) AS t', /users is not available/);
+  rejects(
+    'SELECT m.id FROM mastercustomer m JOIN Database_orderregister o ON o.customer_id IN (SELECT id FROM users)',
+    /users is not available/
+  );
+  rejects('WITH u AS (SELECT * FROM users) SELECT * FROM u', /users is not available/);
+});
+
+test('a CTE name only shadows unqualified references', () => {
+  assert.doesNotThrow(() => SQLValidator.validate(
+    'WITH o AS (SELECT * FROM Database_orderregister) SELECT o.order_no FROM o', { schema }
+  ));
+  rejects('WITH users AS (SELECT * FROM mastercustomer) SELECT * FROM thirupathybright.users', /users is not available/);
+});
+
+test('rejects other schemas', () => {
+  rejects('SELECT * FROM mysql.user', /Cross-schema/);
+  rejects('SELECT * FROM information_schema.tables', /Cross-schema/);
+  rejects('SELECT * FROM mastercustomer WHERE id IN (SELECT id FROM performance_schema.threads)', /Cross-schema/);
+  rejects('SELECT other.mastercustomer.id FROM mastercustomer', /Cross-schema/);
+});
+
+test('rejects dangerous functions in any case and position', () => {
+  rejects('SELECT SLEEP(5)', /SLEEP\(\) is not allowed/);
+  rejects('SELECT sLeEp(5)', /SLEEP\(\) is not allowed/);
+  rejects('SELECT * FROM mastercustomer WHERE id = (SELECT BENCHMARK(1000000, MD5(1)))', /BENCHMARK/);
+  rejects("SELECT LOAD_FILE('/etc/passwd')", /LOAD_FILE/);
+  rejects('SELECT * FROM mastercustomer m JOIN Database_grade g ON g.id = m.id AND SLEEP(1) = 0', /SLEEP/);
+  rejects('SELECT id FROM mastercustomer UNION SELECT VERSION()', /VERSION/);
+  rejects("SELECT GET_LOCK('x', 10)", /GET_LOCK/);
+});
+
+test('rejects variables, INTO and locking reads', () => {
+  rejects('SELECT @@version', /Variables/);
+  rejects('SELECT @x := 1', /Variables|parsed/);
+  rejects("SELECT * FROM mastercustomer INTO OUTFILE '/tmp/customers'", /INTO/);
+  rejects('SELECT * FROM mastercustomer FOR UPDATE', /Locking reads/);
+  rejects('SELECT * FROM mastercustomer LOCK IN SHARE MODE', /Locking reads/);
+});
+
+test('drops comments, including MySQL executable comments', () => {
+  const executable = SQLValidator.validate('SELECT 1 /*! , SLEEP(5) */ FROM mastercustomer').sql;
+  assert.doesNotMatch(executable, /SLEEP|\/\*!/);
+
+  const union = SQLValidator.validate('SELECT id FROM mastercustomer /*!50000 UNION SELECT id FROM users */').sql;
+  assert.doesNotMatch(union, /users|\/\*!/);
+
+  const line = SQLValidator.validate('SELECT id FROM mastercustomer -- ; DROP TABLE mastercustomer\n').sql;
+  assert.doesNotMatch(line, /DROP|--/);
+
+  // Only the hint the validator adds is left
+  assert.equal((executable.match(/\/\*/g) || []).length, 1);
+});
+
+test('checks columns against the schema', () => {
+  rejects('SELECT bogus FROM Database_orderregister', /Unknown column bogus/);
+  rejects('SELECT o.bogus FROM Database_orderregister o', /Unknown column o.bogus/);
+  rejects('SELECT x.id FROM Database_orderregister o', /Unknown table or alias x/);
+  rejects('SELECT o.id FROM Database_orderregister o JOIN mastercustomer c ON c.bogus = o.customer_id', /Unknown column c.bogus/);
+
+  for (const sql of [
+    'SELECT o.order_no, c.name FROM Database_orderregister o JOIN mastercustomer c ON c.id = o.customer_id',
+    'SELECT DATABASE_ORDERREGISTER.ORDER_NO FROM database_orderregister',
+    'SELECT order_no AS n FROM Database_orderregister ORDER BY n',
+    'SELECT t.c FROM (SELECT COUNT(*) AS c FROM Database_orderregister) AS t',
+    'WITH o AS (SELECT order_no AS num FROM Database_orderregister) SELECT o.num FROM o'
+  ]) {
+    assert.doesNotThrow(() => SQLValidator.validate(sql, { schema }), sql);
+  }
+});
+
+test('a narrower table list limits customer accounts', () => {
+  const options = { schema, tables: SQLValidator.CUSTOMER_TABLES };
+  assert.doesNotThrow(() => SQLValidator.validate('SELECT * FROM Database_orderregister', options));
+  rejects('SELECT * FROM Database_sku', /Database_sku is not available/, options);
+  rejects('SELECT * FROM Database_orderregister WHERE id IN (SELECT id FROM Database_stockregister)', /Database_stockregister/, options);
+});
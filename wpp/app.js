@@ -2,7 +2,7 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
@@ -15,6 +15,17 @@ const QueueStore = require('./config/queueStore');
 const ChatMemoryStore = require('./config/chatMemoryStore');
 const DatabaseHelper = require('./config/databaseHelper');
 const SQLAgent = require('./config/sqlAgent');
+const ResultContext = require('./config/resultContext');
+const CustomerClarification = require('./config/customerClarification');
+const CustomerAccountStore = require('./config/customerAccountStore');
+const AuditLog = require('./config/auditLog');
+const LLMProvider = require('./config/llmProvider');
+const PromptProfileStore = require('./config/promptProfileStore');
+const ApiClientStore = require('./config/apiClientStore');
+const MediaStore = require('./config/mediaStore');
+const UserRoleStore = require('./config/userRoleStore');
+const authRoutes = require('./routes/auth');
+const { requireRole, requireApiClientOrRole, socketAuth } = require('./middlewares/authMiddleware');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,50 +35,6 @@ const io = new Server(server, {
 
 const port = 3000;
 
-// AI Configuration
-const AI_CONFIG = {
-  API_KEY: 'sk_sggnlnzm_2TzPY0ameO13qAWYxikieql0',
-  API_URL: 'https://api.sarvam.ai/v1/chat/completions',
-  MODEL: 'sarvam-m',
-  SYSTEM_PROMPT: `You are an AI assistant for Thirupathybright Industries with DIRECT DATABASE ACCESS.
-
-CAPABILITIES:
-- Real-time access to company database
-- Automatic SQL query generation for orders, customers, dispatches, invoices, weightments
-- You will receive actual data from the database - present it clearly and concisely
-
-WHEN PRESENTING ORDER INFORMATION, SHOW ONLY:
-
-Order Number: [order_number]
-Status: [status]
-Material Status: [material_status] (only for pending/in_progress)
-
-PO Number: [po_number]
-PO Date: [po_date]
-Expected Delivery Date: [expected_date] (only for pending/in_progress)
-
-Customer Name: [customer_name]
-
-Material: [material]
-Quantity: [quantity_kg] kg
-Rate: [rate]
-Payment Terms: [payment_terms]
-Delivery Address: [delivery_address]
-
-Current Status:
-Total Dispatched: [total_dispatched] kg
-Remaining: [remaining_qty] kg
-
-(If dispatches exist, list each dispatch with weight and completion date)
-
-STATUS-BASED RULES:
-- PENDING: Show "Production is yet to begin" if material_status is empty
-- IN_PROGRESS: Show material status, expected date, dispatch progress, remaining quantity
-- COMPLETED: Show dispatch details with dates (DO NOT show material status or expected date)
-
-Keep responses simple and concise. No extra formatting, emojis, or verbose explanations.`
-};
-
 // Anti-ban rate limiting
 const sessionUsage = new Map();
 
@@ -102,6 +69,9 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Login / registration; every API route below needs a token (see requireRole)
+app.use('/auth', authRoutes);
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -317,15 +287,44 @@ function broadcastSessions() {
       usage: sessionUsage.get(id)
     };
   });
-  io.emit('sessions', sessionList);
+  io.to('operators').emit('sessions', sessionList);
+  io.to('viewers').emit('sessions', sessionList.map(({ qrCode, ...session }) => session));
 }
 
 // ========== AI CHATBOT FUNCTIONS ==========
 
-async function getAIResponse(userMessage, phoneNumber) {
+// sessionId picks the prompt profile bound to the WhatsApp number that received the message
+// Returns the reply text, or null when nothing should be sent
+async function getAIResponse(userMessage, phoneNumber, sessionId = null) {
+  const profile = PromptProfileStore.resolvePrompt(sessionId);
+  // Every question is audited: who asked, what ran, what they were told
+  const audit = AuditLog.begin({
+    channel: 'whatsapp',
+    user: phoneNumber,
+    question: userMessage,
+    promptProfile: profile.profileId ? { id: profile.profileId, name: profile.name, version: profile.version } : null
+  });
+  const answer = await answerMessage(userMessage, phoneNumber, audit, profile.prompt);
+  AuditLog.finish(audit, answer);
+  return answer;
+}
+
+// Answer a message (see getAIResponse); fills in the audit draft along the way
+async function answerMessage(userMessage, phoneNumber, audit, systemPrompt = PromptProfileStore.DEFAULT_PROMPT) {
   try {
     let contextMessage = '';
 
+    // Self-service: only numbers mapped to a customer account are answered, about that account only
+    const account = CustomerAccountStore.getAccount(phoneNumber);
+    if (!account) {
+      console.log(`🚫 ${phoneNumber} is not mapped to a customer account`);
+      // Listed for the admin to map; the registration message is not repeated on every message
+      return CustomerAccountStore.recordRequest(phoneNumber, userMessage)
+        ? CustomerAccountStore.unknownNumberReply()
+        : null;
+    }
+    audit.customerIds = account.customers.map(c => c.id);
+
     // Check if this is a new user (no chat history)
     const existingHistory = ChatMemoryStore.getHistory(phoneNumber);
     const isNewUser = !existingHistory || existingHistory.length === 0;
@@ -335,29 +334,27 @@ async function getAIResponse(userMessage, phoneNumber) {
       console.log(`👋 New user detected: ${phoneNumber}`);
       const introduction = `Hello! Welcome to Thirupathybright Industries.
 
-I'm your AI assistant with direct access to our order management system. I can help you with:
+I'm your AI assistant for ${account.customers.map(c => c.customer_name).join(', ')}. I can help you with:
 
 📦 Order Status & Details
 - Check order status by order number (e.g., "ORD-2506-0738")
 - View material status and expected delivery dates
 - Track dispatch progress and remaining quantities
 
-👥 Customer Information
-- View all orders for a customer (e.g., "Show SSPL orders")
-- Filter by pending, in-progress, or completed status
-- See customer order history
-
 🚚 Dispatch Tracking
 - Get dispatch details by number (e.g., "DSP-2506-0347")
 - Check dispatch weights and completion dates
-- View which customer received a dispatch
 
-📊 Order Queries
-- List all pending orders
+🧾 Invoices
+- Find the invoice for a dispatch
+
+📊 Your Orders
+- List your pending orders
 - Show completed orders
-- Check orders by status, customer, or date
+- Check orders by status or date
 
-Just ask me anything about your orders, and I'll fetch the real-time information from our database!
+Just ask me anything about your orders, and I'll fetch the real-time information for you!
+Send /help for the lookups answered instantly.
 
 How can I help you today?`;
 
@@ -372,7 +369,25 @@ How can I help you today?`;
     console.log(`🤖 Processing with SQL Agent: "${userMessage}"`);
 
     // Use SQL Agent to automatically generate and execute SQL query
-    const sqlResult = await SQLAgent.queryFromNaturalLanguage(userMessage, AI_CONFIG);
+    // (follow-ups like "the second one" resolve against this number's previous answer;
+    // every query is restricted to the number's customer account)
+    const sqlResult = await SQLAgent.queryFromNaturalLanguage(userMessage, null, {
+      conversationKey: phoneNumber,
+      customerAccount: account
+    });
+    AuditLog.attachResult(audit, sqlResult);
+
+    // After "which customer did you mean?", the question answered is the original one
+    const question = sqlResult.question || userMessage;
+
+    // Commands and exact lookups (order/dispatch numbers, /help, ...) are answered as-is
+    if (sqlResult.success && sqlResult._directReply) {
+      const directText = sqlResult._directReply.trim();
+      console.log(`📤 Sending direct reply (intent: ${sqlResult.intent})`);
+      ChatMemoryStore.addMessage(phoneNumber, 'user', question);
+      ChatMemoryStore.addMessage(phoneNumber, 'assistant', directText);
+      return directText;
+    }
 
     if (sqlResult.success && sqlResult.count > 0) {
       // Data found - format it for AI to present
@@ -389,7 +404,7 @@ How can I help you today?`;
     }
 
     // Add user message with context to history
-    const userMessageWithContext = userMessage + contextMessage;
+    const userMessageWithContext = question + contextMessage;
     const updatedHistory = ChatMemoryStore.addMessage(phoneNumber, 'user', userMessageWithContext);
 
     // Keep only last 10 messages (5 exchanges) to prevent memory bloat
@@ -405,7 +420,7 @@ How can I help you today?`;
     if (isNewConversation) {
       messagesForAPI.push({
         role: 'user',
-        content: `${AI_CONFIG.SYSTEM_PROMPT}\n\nUser: ${recentHistory[0].content}`
+        content: `${systemPrompt}\n\nUser: ${recentHistory[0].content}`
       });
     } else {
       // Ensure alternating pattern - only include valid alternating messages
@@ -435,34 +450,16 @@ How can I help you today?`;
       if (messagesForAPI[messagesForAPI.length - 1].role !== 'user') {
         messagesForAPI.push(recentHistory[recentHistory.length - 1]);
       }
-    }
-
-    console.log('📤 Sending to AI API:', JSON.stringify(messagesForAPI, null, 2).substring(0, 500));
 
-    // Call Sarvam AI API
-    const response = await fetch(AI_CONFIG.API_URL, {
-      method: 'POST',
-      headers: {
-        'api-subscription-key': AI_CONFIG.API_KEY,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messages: messagesForAPI,
-        model: AI_CONFIG.MODEL
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ AI API Error Response:', errorText);
-      throw new Error(`AI API error: ${response.status} ${response.statusText} - ${errorText}`);
+      // Keep the session's prompt in front of later turns too, so a profile (or a new
+      // version of it) applies to ongoing conversations and not only to new ones
+      messagesForAPI[0] = { role: 'user', content: `${systemPrompt}\n\nUser: ${messagesForAPI[0].content}` };
     }
 
-    const data = await response.json();
-    console.log('✅ AI API Response:', JSON.stringify(data).substring(0, 200));
+    console.log('📤 Sending to AI API:', JSON.stringify(messagesForAPI, null, 2).substring(0, 500));
 
-    // Extract AI response
-    const aiMessage = data.choices?.[0]?.message?.content || 'Sorry, I could not generate a response.';
+    const completion = await LLMProvider.chat(messagesForAPI, { feature: 'chat' });
+    const aiMessage = completion.text || 'Sorry, I could not generate a response.';
 
     // Add AI response to history
     ChatMemoryStore.addMessage(phoneNumber, 'assistant', aiMessage);
@@ -471,12 +468,15 @@ How can I help you today?`;
 
   } catch (error) {
     console.error('❌ AI Error:', error);
+    audit.error = error.message;
     return 'Sorry, I am experiencing technical difficulties. Please try again later.';
   }
 }
 
 function clearConversationHistory(phoneNumber) {
   ChatMemoryStore.clearHistory(phoneNumber);
+  ResultContext.clear(phoneNumber);
+  CustomerClarification.clear(phoneNumber);
   console.log(`🗑️ Cleared conversation history for ${phoneNumber}`);
 }
 
@@ -569,7 +569,7 @@ async function createClient(sessionId) {
       };
 
       // Emit to socket - send raw QR string
-      io.emit('qr', { sessionId, qrCode: qr, qrRaw: qr });
+      io.to('operators').emit('qr', { sessionId, qrCode: qr, qrRaw: qr });
       broadcastSessions();
     });
 
@@ -821,8 +821,9 @@ async function createClient(sessionId) {
           console.log(`⌨️ Simulating typing...`);
           await new Promise(resolve => setTimeout(resolve, 2000));
 
-          // Get AI response
-          const aiResponse = await getAIResponse(text, phone);
+          // Get AI response (null: an unregistered number that was already told how to register)
+          const aiResponse = await getAIResponse(text, phone, sessionId);
+          if (!aiResponse) return;
 
           // Simulate typing delay based on response length
           const typingDelay = Math.min(3000, aiResponse.length * 30); // 30ms per character, max 3s
@@ -1044,7 +1045,8 @@ async function sendMessageDirect(client, chatId, messageText) {
 }
 
 // Send message safely - with LID fix for newer WhatsApp versions
-async function sendMessageSafely(client, phone, message) {
+// media: attachment from MediaStore.readAttachment (with its buffer), or null for a text message
+async function sendMessageSafely(client, phone, message, media = null) {
   try {
     // Clean phone number - remove any non-numeric characters
     let cleanPhone = phone.replace(/[^0-9]/g, '');
@@ -1084,6 +1086,20 @@ async function sendMessageSafely(client, phone, message) {
       numberExists = true; // Proceed optimistically
     }
 
+    // Attachments go through the whatsapp-web.js API; the text is the caption of images and
+    // documents, and follows audio as its own message
+    if (media) {
+      const attachment = new MessageMedia(media.mimetype, media.buffer.toString('base64'), media.filename);
+      const options = media.type === 'audio'
+        ? { sendAudioAsVoice: !!media.voiceNote }
+        : { caption: message || undefined };
+      await client.sendMessage(chatId, attachment, options);
+      console.log(`✅ ${media.type} sent to ${phone}`);
+      if (media.type !== 'audio' || !message) {
+        return true;
+      }
+    }
+
     // Method 2: Use WhatsApp Web URL to open chat and send message
     // This bypasses the need to create chat object - WhatsApp does it for us
     try {
@@ -1366,8 +1382,12 @@ async function processMessageQueue() {
 }
 
 // Socket.IO connection handling
+// Only logged-in dashboards get the feed; QR codes go to operators and admins only
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-  console.log('🔌 Client connected');
+  console.log(`🔌 Client connected (${socket.data.user.name}, ${socket.data.user.role})`);
+  socket.join(UserRoleStore.hasRole(socket.data.user.role, 'operator') ? 'operators' : 'viewers');
   broadcastSessions();
 
   socket.on('disconnect', () => {
@@ -1378,7 +1398,7 @@ io.on('connection', (socket) => {
 // API Routes
 
 // Start new session
-app.post('/start-session', async (req, res) => {
+app.post('/start-session', requireRole('operator'), async (req, res) => {
   try {
     const sessionId = generateSessionId();
     console.log(`🚀 Starting new session: ${sessionId}`);
@@ -1398,7 +1418,7 @@ app.post('/start-session', async (req, res) => {
 });
 
 // Get all sessions
-app.get('/sessions', async (req, res) => {
+app.get('/sessions', requireRole('read-only'), async (req, res) => {
   try {
     const jsonSessions = SessionStore.getAllSessions();
 
@@ -1455,7 +1475,7 @@ app.get('/sessions', async (req, res) => {
 });
 
 // Get QR code for session
-app.get('/qr/:sessionId', (req, res) => {
+app.get('/qr/:sessionId', requireRole('operator'), (req, res) => {
   const { sessionId } = req.params;
   const session = sessions.get(sessionId);
 
@@ -1472,7 +1492,7 @@ app.get('/qr/:sessionId', (req, res) => {
 
 // Send message - DISABLED: Use /send-flag-message instead
 // All messages must be sent with a valid flag for proper session routing and rate limiting
-app.post('/send-message', async (req, res) => {
+app.post('/send-message', requireRole('operator'), async (req, res) => {
   return res.status(403).json({
     status: 'error',
     message: 'Direct messaging is disabled. Use /send-flag-message with a valid flag instead.',
@@ -1608,7 +1628,7 @@ async function processFlagMessageQueue() {
     flagMessageQueue.shift(); // Remove from queue
 
     try {
-      const success = await sendMessageSafely(bestSession.sessionData.client, job.phone, job.message);
+      const success = await sendMessageSafely(bestSession.sessionData.client, job.phone, job.message, job.media);
 
       if (success) {
         // Update rate limit for this session
@@ -1635,9 +1655,24 @@ async function processFlagMessageQueue() {
 }
 
 // API: Send message with flag-based routing and rate limiting
-app.post('/send-flag-message', async (req, res) => {
+// Integrations authenticate with an API key (X-API-Key header): the flag must be on the
+// key's allow-list and every phone number counts against its hourly quota.
+// Attachments: multipart/form-data with the file in `file`, or JSON
+// `media: { data: "<base64>", filename, mimetype }` (see /send-message in apps.js).
+app.post('/send-flag-message', requireApiClientOrRole('operator'), upload.single('file'), async (req, res) => {
   try {
-    const { flag, phone, phones, message } = req.body;
+    const { flag, phone, message } = req.body;
+    let { phones } = req.body;
+
+    let media;
+    try {
+      media = MediaStore.readAttachment(req);
+      if (typeof phones === 'string') {
+        phones = phones.trim().startsWith('[') ? JSON.parse(phones) : phones.split(',').map(p => p.trim()).filter(Boolean);
+      }
+    } catch (error) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
 
     // Validate flag
     const validFlags = ['ot_message', 'checkin_checkout', 'group_message', 'pc_automation',
@@ -1650,8 +1685,8 @@ app.post('/send-flag-message', async (req, res) => {
       });
     }
 
-    if (!message) {
-      return res.status(400).json({ status: 'error', message: 'Message is required' });
+    if (!message && !media) {
+      return res.status(400).json({ status: 'error', message: 'Message or attachment is required' });
     }
 
     const targetPhones = phones || (phone ? [phone] : []);
@@ -1690,7 +1725,15 @@ app.post('/send-flag-message', async (req, res) => {
       });
     }
 
-    console.log(`\n📨 Flag message request: flag=${flag}, phones=${targetPhones.length}, message=${message.substring(0, 50)}...`);
+    const client = req.apiClient ? { id: req.apiClient.id, name: req.apiClient.name } : null;
+    if (client) {
+      const access = ApiClientStore.consume(client.id, flag, targetPhones.length);
+      if (!access.allowed) {
+        return res.status(access.statusCode).json({ status: 'error', message: access.message });
+      }
+    }
+
+    console.log(`\n📨 Flag message request: flag=${flag}, phones=${targetPhones.length}${client ? `, client=${client.name}` : ''}${media ? `, ${media.type}=${media.filename}` : ''}, message=${(message || '').substring(0, 50)}...`);
 
     const results = [];
 
@@ -1705,7 +1748,9 @@ app.post('/send-flag-message', async (req, res) => {
         flagMessageQueue.push({
           flag,
           phone: targetPhone,
-          message,
+          message: message || '',
+          media,
+          client,
           resolve,
           reject,
           addedAt: Date.now()
@@ -1720,6 +1765,9 @@ app.post('/send-flag-message', async (req, res) => {
 
     // Wait for all to complete
     const outcomes = await Promise.allSettled(results);
+    if (client) {
+      outcomes.forEach(outcome => ApiClientStore.recordDelivery(client.id, outcome.status === 'fulfilled'));
+    }
 
     res.json({
       status: 'completed',
@@ -1738,7 +1786,7 @@ app.post('/send-flag-message', async (req, res) => {
 });
 
 // API: Get rate limit status for all sessions
-app.get('/rate-limits', (_req, res) => {
+app.get('/rate-limits', requireRole('read-only'), (_req, res) => {
   const limits = [];
   const now = Date.now();
 
@@ -1781,7 +1829,7 @@ app.get('/rate-limits', (_req, res) => {
 });
 
 // Logout session
-app.post('/logout-session/:sessionId', async (req, res) => {
+app.post('/logout-session/:sessionId', requireRole('operator'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = sessions.get(sessionId);
@@ -1855,7 +1903,7 @@ app.post('/logout-session/:sessionId', async (req, res) => {
 });
 
 // Delete session
-app.delete('/session/:sessionId', async (req, res) => {
+app.delete('/session/:sessionId', requireRole('admin'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = sessions.get(sessionId);
@@ -1924,7 +1972,7 @@ app.delete('/session/:sessionId', async (req, res) => {
 });
 
 // Update session assignments
-app.post('/session/:sessionId/assignments', async (req, res) => {
+app.post('/session/:sessionId/assignments', requireRole('operator'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const assignments = req.body;
@@ -1957,7 +2005,7 @@ app.post('/session/:sessionId/assignments', async (req, res) => {
 });
 
 // Clear AI conversation history for a specific user
-app.post('/ai/clear-history/:phone', (req, res) => {
+app.post('/ai/clear-history/:phone', requireRole('operator'), (req, res) => {
   try {
     const { phone } = req.params;
     clearConversationHistory(phone);
@@ -1972,7 +2020,7 @@ app.post('/ai/clear-history/:phone', (req, res) => {
 });
 
 // Get AI conversation history stats
-app.get('/ai/stats', (req, res) => {
+app.get('/ai/stats', requireRole('read-only'), (req, res) => {
   try {
     const stats = ChatMemoryStore.getStats();
 
@@ -1987,7 +2035,7 @@ app.get('/ai/stats', (req, res) => {
 });
 
 // Get conversation details for a specific user
-app.get('/ai/conversation/:phone', (req, res) => {
+app.get('/ai/conversation/:phone', requireRole('read-only'), (req, res) => {
   try {
     const { phone } = req.params;
     const conversation = ChatMemoryStore.getConversation(phone);
@@ -2005,7 +2053,7 @@ app.get('/ai/conversation/:phone', (req, res) => {
 });
 
 // Clear all AI conversation history
-app.post('/ai/clear-all-history', (req, res) => {
+app.post('/ai/clear-all-history', requireRole('admin'), (req, res) => {
   try {
     ChatMemoryStore.clearAllHistory();
     res.json({
@@ -2019,7 +2067,7 @@ app.post('/ai/clear-all-history', (req, res) => {
 });
 
 // Cleanup old AI conversations
-app.post('/ai/cleanup', (req, res) => {
+app.post('/ai/cleanup', requireRole('operator'), (req, res) => {
   try {
     const { days } = req.body;
     const olderThan = days || 7; // Default 7 days
@@ -2036,7 +2084,7 @@ app.post('/ai/cleanup', (req, res) => {
 });
 
 // Test database connection
-app.get('/db/test', async (req, res) => {
+app.get('/db/test', requireRole('read-only'), async (req, res) => {
   try {
     const isConnected = await DatabaseHelper.testConnection();
     res.json({
@@ -2051,7 +2099,7 @@ app.get('/db/test', async (req, res) => {
 });
 
 // Get order status by order number
-app.get('/db/order/:orderNumber', async (req, res) => {
+app.get('/db/order/:orderNumber', requireRole('read-only'), async (req, res) => {
   try {
     const { orderNumber } = req.params;
     const result = await DatabaseHelper.getOrderStatus(orderNumber);
@@ -2076,7 +2124,7 @@ app.get('/db/order/:orderNumber', async (req, res) => {
 });
 
 // Get table structure (for debugging)
-app.get('/db/structure', async (req, res) => {
+app.get('/db/structure', requireRole('admin'), async (req, res) => {
   try {
     const structure = await DatabaseHelper.getTableStructure();
     res.json({
@@ -2089,8 +2137,27 @@ app.get('/db/structure', async (req, res) => {
   }
 });
 
+// Status of the cached schema used by the SQL agent
+app.get('/db/schema', requireRole('admin'), (req, res) => {
+  res.json({ status: 'success', schema: SQLAgent.getSchemaStatus() });
+});
+
+// Re-read the database schema now (the AI prompt is rebuilt if columns changed)
+app.post('/db/schema/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const cached = await SQLAgent.getSchema({ forceRefresh: true });
+    if (!cached) {
+      return res.status(503).json({ status: 'error', message: 'Database schema could not be read' });
+    }
+    res.json({ status: 'success', schema: SQLAgent.getSchemaStatus() });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // Get sample orders (for debugging)
-app.get('/db/sample', async (req, res) => {
+app.get('/db/sample', requireRole('admin'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 5;
     const samples = await DatabaseHelper.getSampleOrders(limit);
@@ -2106,7 +2173,7 @@ app.get('/db/sample', async (req, res) => {
 });
 
 // Test send methods endpoint
-app.post('/test-send-methods', async (req, res) => {
+app.post('/test-send-methods', requireRole('admin'), async (req, res) => {
   try {
     const { phone } = req.body;
     if (!phone) {
@@ -22,6 +22,19 @@ const QueueStore = require('./config/queueStore');
 const ChatMemoryStore = require('./config/chatMemoryStore');
 const DatabaseHelper = require('./config/databaseHelper');
 const SQLAgent = require('./config/sqlAgent');
+const ResultContext = require('./config/resultContext');
+const CustomerClarification = require('./config/customerClarification');
+const CustomerAccountStore = require('./config/customerAccountStore');
+const AuditLog = require('./config/auditLog');
+const LLMProvider = require('./config/llmProvider');
+const PromptProfileStore = require('./config/promptProfileStore');
+const ApiClientStore = require('./config/apiClientStore');
+const MediaStore = require('./config/mediaStore');
+const WebhookStore = require('./config/webhookStore');
+const WebhookDispatcher = require('./config/webhookDispatcher');
+const UserRoleStore = require('./config/userRoleStore');
+const authRoutes = require('./routes/auth');
+const { requireRole, requireApiClientOrRole, socketAuth } = require('./middlewares/authMiddleware');
 
 const app = express();
 const server = http.createServer(app);
@@ -35,6 +48,9 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Login / registration; every API route below needs a token (see requireRole)
+app.use('/auth', authRoutes);
+
 // Logger
 const logger = pino({ level: 'silent' });
 
@@ -114,50 +130,6 @@ function getRandomDelay(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-// AI Configuration
-const AI_CONFIG = {
-  API_KEY: 'sk_sggnlnzm_2TzPY0ameO13qAWYxikieql0',
-  API_URL: 'https://api.sarvam.ai/v1/chat/completions',
-  MODEL: 'sarvam-m',
-  SYSTEM_PROMPT: `You are an AI assistant for Thirupathybright Industries with DIRECT DATABASE ACCESS.
-
-CAPABILITIES:
-- Real-time access to company database
-- Automatic SQL query generation for orders, customers, dispatches, invoices, weightments
-- You will receive actual data from the database - present it clearly and concisely
-
-WHEN PRESENTING ORDER INFORMATION, SHOW ONLY:
-
-Order Number: [order_number]
-Status: [status]
-Material Status: [material_status] (only for pending/in_progress)
-
-PO Number: [po_number]
-PO Date: [po_date]
-Expected Delivery Date: [expected_date] (only for pending/in_progress)
-
-Customer Name: [customer_name]
-
-Material: [material]
-Quantity: [quantity_kg] kg
-Rate: [rate]
-Payment Terms: [payment_terms]
-Delivery Address: [delivery_address]
-
-Current Status:
-Total Dispatched: [total_dispatched] kg
-Remaining: [remaining_qty] kg
-
-(If dispatches exist, list each dispatch with weight and completion date)
-
-STATUS-BASED RULES:
-- PENDING: Show "Production is yet to begin" if material_status is empty
-- IN_PROGRESS: Show material status, expected date, dispatch progress, remaining quantity
-- COMPLETED: Show dispatch details with dates (DO NOT show material status or expected date)
-
-Keep responses simple and concise. No extra formatting, emojis, or verbose explanations.`
-};
-
 // ========== HELPER FUNCTIONS ==========
 
 function generateSessionId() {
@@ -289,9 +261,53 @@ function broadcastSessions() {
 
 // ========== AI CHATBOT FUNCTIONS ==========
 
-async function getAIResponse(userMessage, phoneNumber) {
+// Returns the reply text, or null when nothing should be sent
+// sessionId picks the prompt profile bound to the WhatsApp number that received the message
+async function getAIResponse(userMessage, phoneNumber, sessionId = null) {
+  const profile = PromptProfileStore.resolvePrompt(sessionId);
+  // Every question is audited: who asked, what ran, what they were told
+  const audit = AuditLog.begin({
+    channel: 'whatsapp',
+    user: phoneNumber,
+    question: userMessage,
+    promptProfile: profile.profileId ? { id: profile.profileId, name: profile.name, version: profile.version } : null
+  });
+  const answer = await answerMessage(userMessage, phoneNumber, audit, profile.prompt);
+  AuditLog.finish(audit, answer);
+  return answer;
+}
+
+// Data found by the SQL agent, appended to the user's message for the LLM
+function sqlContext(sqlResult) {
+  if (sqlResult.success && sqlResult.count > 0) {
+    // Data found - format it for AI to present
+    console.log(`✅ SQL Agent found ${sqlResult.count} results`);
+    return SQLAgent.formatResultForAI(sqlResult);
+  }
+  if (sqlResult.success && sqlResult.count === 0) {
+    // Query succeeded but no data
+    console.log(`⚠️ SQL Agent: No results found`);
+    return `\n\n[SYSTEM: No data found. The database query executed successfully but returned no results. Have a normal conversation and help the customer.]`;
+  }
+  // Not a database query or query failed - have normal conversation
+  console.log(`💬 Normal conversation mode (not a database query or query failed)`);
+  return '';
+}
+
+// Answer a message (see getAIResponse); fills in the audit draft along the way
+async function answerMessage(userMessage, phoneNumber, audit, systemPrompt = PromptProfileStore.DEFAULT_PROMPT) {
   try {
-    let contextMessage = '';
+
+    // Self-service: only numbers mapped to a customer account are answered, about that account only
+    const account = CustomerAccountStore.getAccount(phoneNumber);
+    if (!account) {
+      console.log(`🚫 ${phoneNumber} is not mapped to a customer account`);
+      // Listed for the admin to map; the registration message is not repeated on every message
+      return CustomerAccountStore.recordRequest(phoneNumber, userMessage)
+        ? CustomerAccountStore.unknownNumberReply()
+        : null;
+    }
+    audit.customerIds = account.customers.map(c => c.id);
 
     // Check if this is a new user (no chat history)
     const existingHistory = ChatMemoryStore.getHistory(phoneNumber);
@@ -302,29 +318,27 @@ async function getAIResponse(userMessage, phoneNumber) {
       console.log(`👋 New user detected: ${phoneNumber}`);
       const introduction = `Hello! Welcome to Thirupathybright Industries.
 
-I'm your AI assistant with direct access to our order management system. I can help you with:
+I'm your AI assistant for ${account.customers.map(c => c.customer_name).join(', ')}. I can help you with:
 
 📦 Order Status & Details
 - Check order status by order number (e.g., "ORD-2506-0738")
 - View material status and expected delivery dates
 - Track dispatch progress and remaining quantities
 
-👥 Customer Information
-- View all orders for a customer (e.g., "Show SSPL orders")
-- Filter by pending, in-progress, or completed status
-- See customer order history
-
 🚚 Dispatch Tracking
 - Get dispatch details by number (e.g., "DSP-2506-0347")
 - Check dispatch weights and completion dates
-- View which customer received a dispatch
 
-📊 Order Queries
-- List all pending orders
+🧾 Invoices
+- Find the invoice for a dispatch
+
+📊 Your Orders
+- List your pending orders
 - Show completed orders
-- Check orders by status, customer, or date
+- Check orders by status or date
 
-Just ask me anything about your orders, and I'll fetch the real-time information from our database!
+Just ask me anything about your orders, and I'll fetch the real-time information for you!
+Send /help for the lookups answered instantly.
 
 How can I help you today?`;
 
@@ -339,24 +353,28 @@ How can I help you today?`;
     console.log(`🤖 Processing with SQL Agent: "${userMessage}"`);
 
     // Use SQL Agent to automatically generate and execute SQL query
-    const sqlResult = await SQLAgent.queryFromNaturalLanguage(userMessage, AI_CONFIG);
-
-    if (sqlResult.success && sqlResult.count > 0) {
-      // Data found - format it for AI to present
-      contextMessage = SQLAgent.formatResultForAI(sqlResult);
-      console.log(`✅ SQL Agent found ${sqlResult.count} results`);
-    } else if (sqlResult.success && sqlResult.count === 0) {
-      // Query succeeded but no data
-      contextMessage = `\n\n[SYSTEM: No data found. The database query executed successfully but returned no results. Have a normal conversation and help the customer.]`;
-      console.log(`⚠️ SQL Agent: No results found`);
-    } else {
-      // Not a database query or query failed - have normal conversation
-      contextMessage = '';
-      console.log(`💬 Normal conversation mode (not a database query or query failed)`);
+    // (follow-ups like "the second one" resolve against this number's previous answer;
+    // every query is restricted to the number's customer account)
+    const sqlResult = await SQLAgent.queryFromNaturalLanguage(userMessage, null, {
+      conversationKey: phoneNumber,
+      customerAccount: account
+    });
+    AuditLog.attachResult(audit, sqlResult);
+
+    // After "which customer did you mean?", the question answered is the original one
+    const question = sqlResult.question || userMessage;
+
+    // Commands and exact lookups (order/dispatch numbers, /help, ...) are answered as-is
+    if (sqlResult.success && sqlResult._directReply) {
+      const directText = sqlResult._directReply.trim();
+      console.log(`📤 Sending direct reply (intent: ${sqlResult.intent})`);
+      ChatMemoryStore.addMessage(phoneNumber, 'user', question);
+      ChatMemoryStore.addMessage(phoneNumber, 'assistant', directText);
+      return directText;
     }
 
     // Add user message with context to history
-    const userMessageWithContext = userMessage + contextMessage;
+    const userMessageWithContext = question + sqlContext(sqlResult);
     const updatedHistory = ChatMemoryStore.addMessage(phoneNumber, 'user', userMessageWithContext);
 
     // Keep only last 6 messages (3 user + 3 assistant) to maintain conversation context
@@ -373,7 +391,7 @@ How can I help you today?`;
     if (isNewConversation) {
       messagesForAPI.push({
         role: 'user',
-        content: `${AI_CONFIG.SYSTEM_PROMPT}\n\nUser: ${recentHistory[0].content}`
+        content: `${systemPrompt}\n\nUser: ${recentHistory[0].content}`
       });
     } else {
       // Ensure alternating pattern - only include valid alternating messages
@@ -406,34 +424,16 @@ How can I help you today?`;
       if (messagesForAPI[messagesForAPI.length - 1].role !== 'user') {
         messagesForAPI.push(recentHistory[recentHistory.length - 1]);
       }
-    }
 
-    console.log('📤 Sending to AI API:', JSON.stringify(messagesForAPI, null, 2).substring(0, 500));
-
-    // Call Sarvam AI API
-    const response = await fetch(AI_CONFIG.API_URL, {
-      method: 'POST',
-      headers: {
-        'api-subscription-key': AI_CONFIG.API_KEY,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messages: messagesForAPI,
-        model: AI_CONFIG.MODEL
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ AI API Error Response:', errorText);
-      throw new Error(`AI API error: ${response.status} ${response.statusText} - ${errorText}`);
+      // Keep the session's prompt in front of later turns too, so a profile (or a new
+      // version of it) applies to ongoing conversations and not only to new ones
+      messagesForAPI[0] = { role: 'user', content: `${systemPrompt}\n\nUser: ${messagesForAPI[0].content}` };
     }
 
-    const data = await response.json();
-    console.log('✅ AI API Response:', JSON.stringify(data).substring(0, 200));
+    console.log('📤 Sending to AI API:', JSON.stringify(messagesForAPI, null, 2).substring(0, 500));
 
-    // Extract AI response
-    const aiMessage = data.choices?.[0]?.message?.content || 'Sorry, I could not generate a response.';
+    const completion = await LLMProvider.chat(messagesForAPI, { feature: 'chat' });
+    const aiMessage = completion.text || 'Sorry, I could not generate a response.';
 
     // Add AI response to history
     ChatMemoryStore.addMessage(phoneNumber, 'assistant', aiMessage);
@@ -442,17 +442,133 @@ How can I help you today?`;
 
   } catch (error) {
     console.error('❌ AI Error:', error);
+    audit.error = error.message;
     return 'Sorry, I am experiencing technical difficulties. Please try again later.';
   }
 }
 
 function clearConversationHistory(phoneNumber) {
   ChatMemoryStore.clearHistory(phoneNumber);
+  ResultContext.clear(phoneNumber);
+  CustomerClarification.clear(phoneNumber);
   console.log(`🗑️ Cleared conversation history for ${phoneNumber}`);
 }
 
+// Try a prompt without touching chat history (prompt profile test console)
+// phone: a mapped number whose data the test may use; without one only the prompt is tried
+// audit: draft from AuditLog.begin, filled in with the customer and query like a real answer
+async function previewAnswer(systemPrompt, message, phone, audit) {
+  let sqlResult = null;
+  let contextMessage = '';
+
+  if (phone) {
+    const account = CustomerAccountStore.getAccount(phone);
+    if (!account) {
+      throw new Error(`${phone} is not mapped to a customer account`);
+    }
+    audit.customerIds = account.customers.map(c => c.id);
+    sqlResult = await SQLAgent.queryFromNaturalLanguage(message, null, {
+      conversationKey: `prompt-test:${account.phone}`,
+      customerAccount: account
+    });
+    AuditLog.attachResult(audit, sqlResult);
+    contextMessage = sqlContext(sqlResult);
+  }
+
+  const details = {
+    intent: sqlResult ? sqlResult.intent || (sqlResult.query ? 'llm' : null) : null,
+    sql: sqlResult ? sqlResult.executedSql || sqlResult.query || null : null,
+    rowCount: sqlResult ? sqlResult.count || 0 : 0,
+    error: sqlResult ? sqlResult.error || null : null
+  };
+
+  // Commands and exact lookups are answered without the prompt, as in AI mode
+  if (sqlResult && sqlResult.success && sqlResult._directReply) {
+    return { reply: sqlResult._directReply.trim(), direct: true, ...details };
+  }
+
+  const completion = await LLMProvider.chat([
+    { role: 'user', content: `${systemPrompt}\n\nUser: ${message}${contextMessage}` }
+  ], { feature: 'chat' });
+  return { reply: completion.text || 'Sorry, I could not generate a response.', direct: false, ...details };
+}
+
 // ========== CREATE BAILEYS SOCKET ==========
 
+// ========== WEBHOOK EVENTS ==========
+
+// Baileys message status codes (proto.WebMessageInfo.Status)
+const MESSAGE_STATUS = ['error', 'pending', 'sent', 'delivered', 'read', 'played'];
+
+// Type, text and attachment details of an incoming message, for the message.received webhook
+function describeIncoming(msg) {
+  let content = msg.message || {};
+  // Disappearing and view-once messages wrap the real content
+  content = content.ephemeralMessage?.message || content.viewOnceMessage?.message ||
+    content.viewOnceMessageV2?.message || content;
+
+  if (content.conversation !== undefined || content.extendedTextMessage) {
+    return { type: 'text', text: content.conversation || content.extendedTextMessage?.text || '' };
+  }
+  if (content.imageMessage) {
+    return { type: 'image', text: content.imageMessage.caption || '', mimetype: content.imageMessage.mimetype };
+  }
+  if (content.videoMessage) {
+    return { type: 'video', text: content.videoMessage.caption || '', mimetype: content.videoMessage.mimetype };
+  }
+  if (content.documentMessage) {
+    const doc = content.documentMessage;
+    return { type: 'document', text: doc.caption || '', mimetype: doc.mimetype, filename: doc.fileName || null };
+  }
+  if (content.audioMessage) {
+    return { type: 'audio', text: '', mimetype: content.audioMessage.mimetype, voiceNote: !!content.audioMessage.ptt };
+  }
+  if (content.locationMessage) {
+    const loc = content.locationMessage;
+    return { type: 'location', text: loc.name || '', latitude: loc.degreesLatitude, longitude: loc.degreesLongitude };
+  }
+  if (content.buttonsResponseMessage) {
+    const reply = content.buttonsResponseMessage;
+    return { type: 'button_reply', text: reply.selectedDisplayText || '', buttonId: reply.selectedButtonId };
+  }
+  if (content.listResponseMessage) {
+    const reply = content.listResponseMessage;
+    return { type: 'list_reply', text: reply.title || '', rowId: reply.singleSelectReply?.selectedRowId || null };
+  }
+  if (content.reactionMessage) {
+    return { type: 'reaction', text: content.reactionMessage.text || '', reactedTo: content.reactionMessage.key?.id || null };
+  }
+  if (content.stickerMessage) return { type: 'sticker', text: '' };
+  if (content.contactMessage) return { type: 'contact', text: content.contactMessage.displayName || '' };
+  return { type: 'other', text: '', messageTypes: Object.keys(content) };
+}
+
+function emitConnectionUpdate(sessionData, state, extra = {}) {
+  WebhookDispatcher.emit('connection.update', { state, ...extra }, {
+    sessionId: sessionData.sessionId,
+    sessionNumber: sessionData.status.number,
+    sessionRecord: sessionData.dbData
+  });
+}
+
+// message.status 'failed' for a queued message that could not be sent (WhatsApp sends no receipt for it)
+function emitSendFailed(session, job, error) {
+  WebhookDispatcher.emit('message.status', {
+    messageId: null,
+    to: job.phone,
+    status: 'failed',
+    error,
+    queueId: job.id,
+    feature: job.feature,
+    client: job.client || null
+  }, {
+    sessionId: session.sessionId,
+    sessionNumber: session.status.number,
+    sessionRecord: session.dbData,
+    features: job.feature ? [job.feature] : null
+  });
+}
+
 async function createSocket(sessionId) {
   const sessionFolder = path.join(authDir, sessionId);
   if (!fs.existsSync(sessionFolder)) fs.mkdirSync(sessionFolder, { recursive: true });
@@ -505,7 +621,7 @@ async function createSocket(sessionId) {
 
         sessionData.qrCode = qrBase64Only;
         sessionData.status = { status: 'QR_RECEIVED', isLoggedIn: false, number: null };
-        io.emit('qr', { sessionId, qrCode: qrBase64Only });
+        io.to('operators').emit('qr', { sessionId, qrCode: qrBase64Only });
         broadcastSessions();
       }
 
@@ -524,6 +640,7 @@ async function createSocket(sessionId) {
         setTimeout(() => loadGroups(sessionId), 5000);
 
         broadcastSessions();
+        emitConnectionUpdate(sessionData, 'connected');
 
         // Trigger queue
         if (!isProcessingQueue && QueueStore.getQueueLength() > 0) {
@@ -532,7 +649,12 @@ async function createSocket(sessionId) {
       }
 
       if (connection === 'close') {
-        const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+        emitConnectionUpdate(sessionData, shouldReconnect ? 'reconnecting' : 'logged_out', {
+          reason: lastDisconnect?.error?.message || null,
+          statusCode: statusCode || null
+        });
 
         if (shouldReconnect) {
           console.log(`🔄 Reconnecting ${sessionId}...`);
@@ -557,7 +679,7 @@ async function createSocket(sessionId) {
     // NOTE: This handler ONLY processes INCOMING messages for auto-replies.
     // Manual messages sent via /send-message API are NOT affected by this logic.
     // Any message can be sent via the API regardless of these auto-reply features.
-    sock.ev.on('messages.upsert', async ({ messages }) => {
+    sock.ev.on('messages.upsert', async ({ messages, type }) => {
       for (const msg of messages) {
         if (!msg.key.fromMe && msg.message) {
           const text = msg.message.conversation || msg.message.extendedTextMessage?.text || '';
@@ -568,6 +690,27 @@ async function createSocket(sessionId) {
           // Skip group messages for AI mode (only respond to direct messages)
           const isGroup = senderJid.endsWith('@g.us');
 
+          // Webhooks: new messages only ('append' is history synced on connect)
+          if (type === 'notify' && senderJid !== 'status@broadcast') {
+            let handledBy = null;
+            if (dbData && dbData.ai_mode_enabled && !isGroup && text.trim()) {
+              handledBy = 'ai_mode';
+            } else if (dbData && dbData.ot_message_enabled && text.trim().toUpperCase() === 'OT') {
+              handledBy = 'ot_message';
+            }
+            WebhookDispatcher.emit('message.received', {
+              messageId: msg.key.id,
+              from: isGroup ? extractPhone(msg.key.participant || '') : phone,
+              chatId: senderJid,
+              isGroup,
+              pushName: msg.pushName || null,
+              sentAt: msg.messageTimestamp ? new Date(Number(msg.messageTimestamp) * 1000).toISOString() : null,
+              // Auto-reply that answers this message, if any
+              handledBy,
+              ...describeIncoming(msg)
+            }, { sessionId, sessionNumber: sessionData.status.number, sessionRecord: dbData });
+          }
+
           // AI MODE - Auto-reply with AI chatbot (only for direct messages)
           // IMPORTANT: AI responses are sent IMMEDIATELY from the SAME session that received the message
           // - No queue: Messages bypass the queue system entirely
@@ -579,18 +722,21 @@ async function createSocket(sessionId) {
             try {
               await sock.sendPresenceUpdate('composing', senderJid);
 
-              // Get AI response
-              const aiResponse = await getAIResponse(text, phone);
+              // Get AI response (null: an unregistered number that was already told how to register)
+              const aiResponse = await getAIResponse(text, phone, sessionId);
 
-              // Simulate typing delay based on response length
-              const typingDelay = Math.min(3000, aiResponse.length * 30); // 30ms per character, max 3s
-              await delay(typingDelay);
+              if (aiResponse) {
+                // Simulate typing delay based on response length
+                const typingDelay = Math.min(3000, aiResponse.length * 30); // 30ms per character, max 3s
+                await delay(typingDelay);
+              }
 
               await sock.sendPresenceUpdate('paused', senderJid);
-              // Send directly from this session (bypasses queue and rate limits)
-              await sock.sendMessage(senderJid, { text: aiResponse });
-
-              console.log(`✅ AI response sent to ${phone} from ${sessionId}`);
+              if (aiResponse) {
+                // Send directly from this session (bypasses queue and rate limits)
+                await sock.sendMessage(senderJid, { text: aiResponse });
+                console.log(`✅ AI response sent to ${phone} from ${sessionId}`);
+              }
             } catch (err) {
               console.error(`❌ AI error:`, err.message);
             }
@@ -647,6 +793,27 @@ async function createSocket(sessionId) {
       }
     });
 
+    // Delivery / read receipts of the messages this session sent
+    sock.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates) {
+        if (!key.fromMe || update.status === undefined || update.status === null) continue;
+        const tracked = WebhookDispatcher.getOutgoing(key.id);
+        WebhookDispatcher.emit('message.status', {
+          messageId: key.id,
+          to: extractPhone(key.remoteJid),
+          status: MESSAGE_STATUS[update.status] || String(update.status),
+          queueId: tracked ? tracked.queueId : null,
+          feature: tracked ? tracked.feature : null,
+          client: tracked ? tracked.client : null
+        }, {
+          sessionId,
+          sessionNumber: sessionData.status.number,
+          sessionRecord: sessionData.dbData,
+          features: tracked && tracked.feature ? [tracked.feature] : null
+        });
+      }
+    });
+
     return sock;
 
   } catch (error) {
@@ -728,8 +895,25 @@ async function loadExistingSessions() {
 
 // ========== MESSAGE SENDING ==========
 
-async function sendMessage(sock, phone, message) {
+// Baileys content for a text or media message; the text is the caption of images and documents
+// (voice notes play best as audio/ogg with the opus codec)
+function buildMessageContent(message, media) {
+  if (!media) return { text: message };
+  if (media.type === 'image') {
+    return { image: media.buffer, mimetype: media.mimetype, caption: message || undefined };
+  }
+  if (media.type === 'document') {
+    return { document: media.buffer, mimetype: media.mimetype, fileName: media.filename, caption: message || undefined };
+  }
+  return { audio: media.buffer, mimetype: media.mimetype, ptt: !!media.voiceNote };
+}
+
+// media: attachment from MediaStore.load (with its buffer), or null for a text message
+// Returns the WhatsApp message id (true if none was reported), or false if sending failed
+async function sendMessage(sock, phone, message, media = null) {
   const jid = formatPhone(phone);
+  // Recipients see "recording audio..." before a voice note
+  const presence = media && media.voiceNote ? 'recording' : 'composing';
 
   try {
     // Advanced anti-ban: Simulate reading the message first (mark as read)
@@ -751,12 +935,12 @@ async function sendMessage(sock, phone, message) {
     }
 
     // Show typing indicator
-    await sock.sendPresenceUpdate('composing', jid);
+    await sock.sendPresenceUpdate(presence, jid);
 
     // Human-like behavior: Random typing duration (2-8 seconds)
     // Longer messages = longer typing time (more realistic)
     const baseTypingDelay = getRandomDelay(ANTI_BAN.MIN_TYPING_MS, ANTI_BAN.MAX_TYPING_MS);
-    const messageLength = message.length;
+    const messageLength = (message || '').length;
     let typingDelay = Math.min(baseTypingDelay + (messageLength * 20), 15000); // Max 15 seconds
 
     // Advanced: Add random pauses while typing (simulates thinking/corrections)
@@ -769,7 +953,7 @@ async function sendMessage(sock, phone, message) {
       await delay(ANTI_BAN.TYPING_PAUSE_DURATION_MS);
 
       // Resume typing
-      await sock.sendPresenceUpdate('composing', jid);
+      await sock.sendPresenceUpdate(presence, jid);
       await delay(halfTyping);
     } else {
       await delay(typingDelay);
@@ -782,7 +966,12 @@ async function sendMessage(sock, phone, message) {
     await delay(getRandomDelay(100, 500));
 
     // Send the message
-    await sock.sendMessage(jid, { text: message });
+    const sent = await sock.sendMessage(jid, buildMessageContent(message, media));
+    // Audio has no caption: the text follows as its own message
+    if (media && media.type === 'audio' && message) {
+      await delay(getRandomDelay(500, 1500));
+      await sock.sendMessage(jid, { text: message });
+    }
 
     // Random chance to go "offline" briefly after sending (natural behavior)
     if (Math.random() < 0.1) { // 10% chance
@@ -791,8 +980,8 @@ async function sendMessage(sock, phone, message) {
     }
 
     const totalTime = ((readingDelay + typingDelay) / 1000).toFixed(1);
-    console.log(`✅ Sent to ${phone} (took ${totalTime}s - human-like with pauses)`);
-    return true;
+    console.log(`✅ Sent ${media ? media.type + ' ' : ''}to ${phone} (took ${totalTime}s - human-like with pauses)`);
+    return sent?.key?.id || true;
   } catch (error) {
     console.error(`❌ Send failed:`, error.message);
     return false;
@@ -965,18 +1154,23 @@ async function processQueue() {
     try {
       console.log(`📤 Sending via ${session.sessionId} (${session.status.number})`);
 
-      const success = await sendMessage(session.sock, job.phone, job.message);
+      const success = await sendMessage(session.sock, job.phone, job.message, job.media ? MediaStore.load(job.media) : null);
 
       if (success) {
         // Mark as completed and delete from queue
+        const messageId = typeof success === 'string' ? success : null;
         const result = {
           status: 'success',
           sentFrom: session.status.number,
           sessionId: session.sessionId,
+          messageId,
           sentAt: new Date().toISOString()
         };
+        // message.status webhooks name the queue item, feature and API client of this message
+        WebhookDispatcher.trackOutgoing(messageId, { queueId: job.id, feature: job.feature, client: job.client || null });
 
         QueueStore.updateMessageStatus(job.id, 'completed', result);
+        if (job.client) ApiClientStore.recordDelivery(job.client.id, true);
 
         // Don't increment usage for AI mode (AI has no rate limits)
         if (job.feature !== 'ai_mode') {
@@ -1006,6 +1200,8 @@ async function processQueue() {
       } else {
         console.log(`⚠️ Send failed, marking as failed...`);
         QueueStore.updateMessageStatus(job.id, 'failed', { error: 'Send failed' });
+        if (job.client) ApiClientStore.recordDelivery(job.client.id, false);
+        emitSendFailed(session, job, 'Send failed');
 
         // Reject promise if exists
         const resolver = queueResolvers.get(job.id);
@@ -1025,6 +1221,8 @@ async function processQueue() {
     } catch (error) {
       console.error('❌ Queue error:', error);
       QueueStore.updateMessageStatus(job.id, 'failed', { error: error.message });
+      if (job.client) ApiClientStore.recordDelivery(job.client.id, false);
+      emitSendFailed(session, job, error.message);
 
       // Reject promise if exists
       const resolver = queueResolvers.get(job.id);
@@ -1061,11 +1259,14 @@ async function processQueue() {
   }
 }
 
-function queueMessage(phone, message, feature = null) {
+// client: { id, name } of the API client that submitted the message, if any
+// attachment: from MediaStore.readAttachment; each queued message gets its own copy of the file
+function queueMessage(phone, message, feature = null, client = null, attachment = null) {
   return new Promise((resolve, reject) => {
     // Add to JSON-based queue
-    const queueItem = QueueStore.addMessage(phone, message, feature);
-    console.log(`📥 Queued for ${phone} (feature: ${feature || 'general'}) - ID: ${queueItem.id}`);
+    const media = attachment ? MediaStore.save(attachment) : null;
+    const queueItem = QueueStore.addMessage(phone, message, feature, client, media);
+    console.log(`📥 Queued ${media ? media.type + ' ' : ''}for ${phone} (feature: ${feature || 'general'}${client ? `, client: ${client.name}` : ''}) - ID: ${queueItem.id}`);
 
     // Store promise resolvers
     queueResolvers.set(queueItem.id, { resolve, reject });
@@ -1079,7 +1280,7 @@ function queueMessage(phone, message, feature = null) {
 
 // ========== API ENDPOINTS ==========
 
-app.post('/start-session', async (req, res) => {
+app.post('/start-session', requireRole('operator'), async (req, res) => {
   try {
     const sessionId = generateSessionId();
     console.log(`🚀 Starting session: ${sessionId}`);
@@ -1094,7 +1295,7 @@ app.post('/start-session', async (req, res) => {
   }
 });
 
-app.post('/logout-session/:sessionId', async (req, res) => {
+app.post('/logout-session/:sessionId', requireRole('operator'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = sessions.get(sessionId);
@@ -1125,7 +1326,7 @@ app.post('/logout-session/:sessionId', async (req, res) => {
   }
 });
 
-app.get('/sessions', async (req, res) => {
+app.get('/sessions', requireRole('read-only'), async (req, res) => {
   try {
     const jsonSessions = SessionStore.getAllSessions();
 
@@ -1164,7 +1365,8 @@ app.get('/sessions', async (req, res) => {
           pc_automation_enabled: Boolean(db.pc_automation_enabled),
           delegation_enabled: Boolean(db.delegation_enabled),
           helpticket_enabled: Boolean(db.helpticket_enabled),
-          ai_mode_enabled: Boolean(db.ai_mode_enabled)
+          ai_mode_enabled: Boolean(db.ai_mode_enabled),
+          order_updates_enabled: Boolean(db.order_updates_enabled)
         },
         usageStats: usageStats
       };
@@ -1178,7 +1380,7 @@ app.get('/sessions', async (req, res) => {
 });
 
 // Update session assignments
-app.post('/session/:sessionId/assignments', async (req, res) => {
+app.post('/session/:sessionId/assignments', requireRole('operator'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const assignments = req.body;
@@ -1211,17 +1413,32 @@ app.post('/session/:sessionId/assignments', async (req, res) => {
 // - 'helpticket' - Help Ticket Messages
 // - 'ai_mode' - AI Chatbot Mode
 // General messages without a feature are NOT allowed.
-app.post('/send-message', async (req, res) => {
+// Integrations authenticate with an API key (X-API-Key header): the feature must be on the
+// key's allow-list and every phone number counts against its hourly quota.
+// Attachments (image, PDF/office document, audio): multipart/form-data with the file in `file`,
+// or JSON `media: { data: "<base64>", filename, mimetype }`. `message` is then the caption and
+// may be empty; `voiceNote: true` sends audio as a voice note. In a multipart form, `phones`
+// is a JSON array or a comma-separated list.
+app.post('/send-message', requireApiClientOrRole('operator'), upload.single('file'), async (req, res) => {
   let { phone, message, phones, feature } = req.body;
 
+  let attachment;
+  try {
+    attachment = MediaStore.readAttachment(req);
+    if (typeof phones === 'string') {
+      phones = phones.trim().startsWith('[') ? JSON.parse(phones) : phones.split(',').map(p => p.trim()).filter(Boolean);
+    }
+  } catch (error) {
+    return res.status(400).json({ status: 'error', message: error.message });
+  }
   if (!phones && phone) phones = [phone];
 
   if (!phones || !Array.isArray(phones) || phones.length === 0) {
     return res.status(400).json({ status: 'error', message: 'Phone number(s) required' });
   }
 
-  if (!message) {
-    return res.status(400).json({ status: 'error', message: 'Message required' });
+  if (!message && !attachment) {
+    return res.status(400).json({ status: 'error', message: 'Message or attachment required' });
   }
 
   // VALIDATE FEATURE - Only allow specific features
@@ -1244,12 +1461,20 @@ app.post('/send-message', async (req, res) => {
     });
   }
 
+  const client = req.apiClient ? { id: req.apiClient.id, name: req.apiClient.name } : null;
+  if (client) {
+    const access = ApiClientStore.consume(client.id, feature, phones.length);
+    if (!access.allowed) {
+      return res.status(access.statusCode).json({ status: 'error', message: access.message });
+    }
+  }
+
   try {
     const results = [];
 
     for (const phoneNumber of phones) {
       try {
-        const result = await queueMessage(phoneNumber, message, feature);
+        const result = await queueMessage(phoneNumber, message || '', feature, client, attachment);
         results.push({ phone: phoneNumber, ...result });
       } catch (error) {
         results.push({ phone: phoneNumber, status: 'error', message: error.message });
@@ -1272,7 +1497,7 @@ app.post('/send-message', async (req, res) => {
 });
 
 // Get all groups
-app.get('/all-groups', (req, res) => {
+app.get('/all-groups', requireRole('read-only'), (req, res) => {
   const allGroups = [];
 
   sessions.forEach((session) => {
@@ -1291,7 +1516,7 @@ app.get('/all-groups', (req, res) => {
 });
 
 // Connection status
-app.get('/connection-status', (req, res) => {
+app.get('/connection-status', requireRole('read-only'), (req, res) => {
   const connectedCount = Array.from(sessions.values())
     .filter(s => s.sock && s.status.isLoggedIn).length;
 
@@ -1304,7 +1529,7 @@ app.get('/connection-status', (req, res) => {
 });
 
 // Queue status
-app.get('/queue-status', (req, res) => {
+app.get('/queue-status', requireRole('read-only'), (req, res) => {
   const available = Array.from(sessions.values())
     .filter(s => s.sock && s.status.isLoggedIn)
     .map(s => ({
@@ -1324,6 +1549,8 @@ app.get('/queue-status', (req, res) => {
     queueMessages: pendingMessages.map(msg => ({
       phone: msg.phone,
       feature: msg.feature,
+      client: msg.client ? msg.client.name : null,
+      media: msg.media ? msg.media.type : null,
       status: msg.status,
       queuedAt: msg.queuedAt,
       message: msg.message
@@ -1332,7 +1559,7 @@ app.get('/queue-status', (req, res) => {
 });
 
 // Get queue details
-app.get('/queue-details', (req, res) => {
+app.get('/queue-details', requireRole('read-only'), (req, res) => {
   try {
     const stats = QueueStore.getStats();
     const pending = QueueStore.getPendingMessages();
@@ -1349,7 +1576,7 @@ app.get('/queue-details', (req, res) => {
 });
 
 // Clear completed/failed messages
-app.post('/queue-cleanup', (req, res) => {
+app.post('/queue-cleanup', requireRole('operator'), (req, res) => {
   try {
     const deleted = QueueStore.cleanup();
     res.json({
@@ -1363,7 +1590,7 @@ app.post('/queue-cleanup', (req, res) => {
 });
 
 // Clear AI conversation history for a specific user
-app.post('/ai/clear-history/:phone', (req, res) => {
+app.post('/ai/clear-history/:phone', requireRole('operator'), (req, res) => {
   try {
     const { phone } = req.params;
     clearConversationHistory(phone);
@@ -1378,7 +1605,7 @@ app.post('/ai/clear-history/:phone', (req, res) => {
 });
 
 // Get AI conversation history stats
-app.get('/ai/stats', (req, res) => {
+app.get('/ai/stats', requireRole('read-only'), (req, res) => {
   try {
     const stats = ChatMemoryStore.getStats();
 
@@ -1393,7 +1620,7 @@ app.get('/ai/stats', (req, res) => {
 });
 
 // Get conversation details for a specific user
-app.get('/ai/conversation/:phone', (req, res) => {
+app.get('/ai/conversation/:phone', requireRole('read-only'), (req, res) => {
   try {
     const { phone } = req.params;
     const conversation = ChatMemoryStore.getConversation(phone);
@@ -1411,7 +1638,7 @@ app.get('/ai/conversation/:phone', (req, res) => {
 });
 
 // Clear all AI conversation history
-app.post('/ai/clear-all-history', (req, res) => {
+app.post('/ai/clear-all-history', requireRole('admin'), (req, res) => {
   try {
     ChatMemoryStore.clearAllHistory();
     res.json({
@@ -1425,7 +1652,7 @@ app.post('/ai/clear-all-history', (req, res) => {
 });
 
 // Cleanup old AI conversations
-app.post('/ai/cleanup', (req, res) => {
+app.post('/ai/cleanup', requireRole('operator'), (req, res) => {
   try {
     const { days } = req.body;
     const olderThan = days || 7; // Default 7 days
@@ -1441,8 +1668,407 @@ app.post('/ai/cleanup', (req, res) => {
   }
 });
 
+// ========== API CLIENTS (machine-to-machine senders) ==========
+
+// Clients with their allow-lists, quotas, usage and pending messages
+app.get('/api-clients', requireRole('admin'), (req, res) => {
+  try {
+    const pending = QueueStore.countPendingByClient();
+    res.json({
+      status: 'success',
+      scopes: ApiClientStore.SCOPES,
+      clients: ApiClientStore.listClients().map(client => ({ ...client, pending: pending[client.id] || 0 }))
+    });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Create a client; the key is only returned here
+// Body: { name: "ERP", allowed: ["delegation", "pc_automation"], quotaPerHour: 200 }
+app.post('/api-clients', requireRole('admin'), (req, res) => {
+  try {
+    const { name, allowed, quotaPerHour } = req.body;
+    const { client, key } = ApiClientStore.createClient({ name, allowed, quotaPerHour, createdBy: req.user.name });
+    res.json({ status: 'success', message: 'API client created. Copy the key now, it is not shown again.', client, key });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Change a client's allow-list or quota
+// Body: { name?, allowed: [...], quotaPerHour }
+app.put('/api-clients/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { name, allowed, quotaPerHour } = req.body;
+    const client = ApiClientStore.updateClient(req.params.id, { name, allowed, quotaPerHour });
+    res.json({ status: 'success', message: 'API client updated', client });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Replace a client's key (the old key stops working)
+app.post('/api-clients/:id/rotate', requireRole('admin'), (req, res) => {
+  try {
+    const { client, key } = ApiClientStore.rotateKey(req.params.id);
+    res.json({ status: 'success', message: 'New key created. Copy it now, it is not shown again.', client, key });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Revoke a client's key
+// Body: { dropPending: true } also removes its messages still waiting in the queue
+app.post('/api-clients/:id/revoke', requireRole('admin'), (req, res) => {
+  try {
+    const client = ApiClientStore.revokeClient(req.params.id, req.user.name);
+    let dropped = 0;
+    if (req.body.dropPending) {
+      const removed = QueueStore.removePendingForClient(client.id);
+      for (const item of removed) {
+        const resolver = queueResolvers.get(item.id);
+        if (resolver) {
+          resolver.reject(new Error('API client revoked'));
+          queueResolvers.delete(item.id);
+        }
+      }
+      dropped = removed.length;
+    }
+    res.json({
+      status: 'success',
+      message: `API client "${client.name}" revoked${dropped > 0 ? `, ${dropped} pending message(s) removed` : ''}`,
+      client
+    });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// ========== WEBHOOKS (incoming messages, delivery status, connection state) ==========
+
+// Webhooks (secrets masked), the events they can subscribe to, and recent deliveries
+app.get('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      events: WebhookStore.EVENTS,
+      webhooks: WebhookStore.listWebhooks(),
+      deliveries: WebhookStore.getDeliveries()
+    });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Create a webhook; the signing secret is only returned in full here and on rotate
+// Body: { name: "Helpdesk", url: "https://...", events: ["message.received"],
+//         sessions: [] (all), features: ["helpticket"] (any session when empty) }
+app.post('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const webhook = WebhookStore.createWebhook(req.body, req.user.name);
+    res.json({ status: 'success', message: 'Webhook created. Copy the secret now, it is not shown again.', webhook });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Change a webhook's URL, events, filters, or switch it on/off
+// Body: { name, url, events, sessions, features, enabled? }
+app.put('/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const webhook = WebhookStore.updateWebhook(req.params.id, req.body);
+    if (webhook.enabled) WebhookDispatcher.processDeliveries();
+    res.json({ status: 'success', message: 'Webhook updated', webhook });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// New signing secret (requests are signed with it from now on)
+app.post('/webhooks/:id/rotate-secret', requireRole('admin'), (req, res) => {
+  try {
+    const webhook = WebhookStore.rotateSecret(req.params.id);
+    res.json({ status: 'success', message: 'New secret created. Copy it now, it is not shown again.', webhook });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Send a signed webhook.test event and report the response
+app.post('/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  const webhook = WebhookStore.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+  }
+  const outcome = await WebhookDispatcher.sendTest(webhook);
+  res.json({
+    status: outcome.ok ? 'success' : 'error',
+    message: outcome.ok ? `Test delivered (HTTP ${outcome.status})` : `Test failed: ${outcome.error}`
+  });
+});
+
+// Queue a failed delivery again
+app.post('/webhooks/deliveries/:id/retry', requireRole('admin'), (req, res) => {
+  try {
+    WebhookStore.retryFailed(req.params.id);
+    WebhookDispatcher.processDeliveries();
+    res.json({ status: 'success', message: 'Delivery queued again' });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Delete a webhook and its pending deliveries
+app.delete('/webhooks/:id', requireRole('admin'), (req, res) => {
+  if (!WebhookStore.deleteWebhook(req.params.id)) {
+    return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+  }
+  res.json({ status: 'success', message: 'Webhook deleted' });
+});
+
+// ========== PROMPT PROFILES (per-session AI personas) ==========
+
+// Profiles, the session each is bound to, and the default prompt
+app.get('/prompt-profiles', requireRole('read-only'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      profiles: PromptProfileStore.listProfiles(),
+      bindings: PromptProfileStore.getBindings(),
+      defaultPrompt: PromptProfileStore.DEFAULT_PROMPT
+    });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Try a prompt: nothing is sent to WhatsApp or kept in chat history, but the run is audited
+// Body: { message, profileId?, version?, prompt?, phone? }
+// - prompt (unsaved text) wins over profileId + version (default: the active version);
+//   with neither, the default prompt is used
+// - phone: a mapped number, to answer with that customer's data
+app.post('/prompt-profiles/test', requireRole('operator'), async (req, res) => {
+  try {
+    const { message, profileId, version, prompt, phone } = req.body;
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Message required' });
+    }
+
+    let systemPrompt = PromptProfileStore.DEFAULT_PROMPT;
+    let promptProfile = null;
+    if (prompt && String(prompt).trim()) {
+      systemPrompt = String(prompt).trim();
+    } else if (profileId) {
+      const profile = PromptProfileStore.getProfile(profileId);
+      if (!profile) {
+        return res.status(404).json({ status: 'error', message: 'Prompt profile not found' });
+      }
+      const selected = PromptProfileStore.getVersion(profile, version || profile.activeVersion);
+      if (!selected) {
+        return res.status(404).json({ status: 'error', message: `Version ${version} not found` });
+      }
+      systemPrompt = selected.prompt;
+      promptProfile = { id: profile.id, name: profile.name, version: selected.version };
+    }
+
+    // Test runs read real customer data, so they are audited like WhatsApp answers
+    // (user is the number tested as; conversation is the dashboard user who ran it)
+    const question = String(message).trim();
+    const audit = AuditLog.begin({
+      channel: 'prompt-test',
+      user: phone || req.user.name,
+      conversation: req.user.name,
+      question,
+      promptProfile
+    });
+    let result;
+    try {
+      result = await previewAnswer(systemPrompt, question, phone || null, audit);
+    } catch (error) {
+      audit.error = error.message;
+      AuditLog.finish(audit, '');
+      throw error;
+    }
+    AuditLog.finish(audit, result.reply);
+    res.json({ status: 'success', ...result });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// One profile with its version history
+app.get('/prompt-profiles/:id', requireRole('read-only'), (req, res) => {
+  const profile = PromptProfileStore.getProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ status: 'error', message: 'Prompt profile not found' });
+  }
+  res.json({ status: 'success', profile });
+});
+
+// Create a profile
+// Body: { name: "Sales", description: "Sales enquiries number", prompt: "You are ..." }
+app.post('/prompt-profiles', requireRole('admin'), (req, res) => {
+  try {
+    const { name, description, prompt } = req.body;
+    const profile = PromptProfileStore.createProfile({ name, description, prompt, createdBy: req.user.name });
+    res.json({ status: 'success', message: 'Profile created', profile });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Save a new version of the prompt; it is used from the next message on
+// Body: { prompt, note?, name?, description? }
+app.post('/prompt-profiles/:id/versions', requireRole('admin'), (req, res) => {
+  try {
+    const { prompt, note, name, description } = req.body;
+    const profile = PromptProfileStore.saveVersion(req.params.id, { prompt, note, name, description, createdBy: req.user.name });
+    res.json({ status: 'success', message: `Saved as version ${profile.activeVersion}`, profile });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Make an earlier version active again
+// Body: { version: 3 }
+app.post('/prompt-profiles/:id/rollback', requireRole('admin'), (req, res) => {
+  try {
+    const profile = PromptProfileStore.rollback(req.params.id, req.body.version);
+    res.json({ status: 'success', message: `Version ${profile.activeVersion} is active`, profile });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Delete a profile (its sessions go back to the default prompt)
+app.delete('/prompt-profiles/:id', requireRole('admin'), (req, res) => {
+  if (!PromptProfileStore.deleteProfile(req.params.id)) {
+    return res.status(404).json({ status: 'error', message: 'Prompt profile not found' });
+  }
+  res.json({ status: 'success', message: 'Profile deleted' });
+});
+
+// Bind a session's AI mode to a profile
+// Body: { profileId: "prompt_..." } (null for the default prompt)
+app.post('/session/:sessionId/prompt-profile', requireRole('admin'), (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!SessionStore.getSession(sessionId)) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+    const profileId = PromptProfileStore.bindSession(sessionId, req.body.profileId || null);
+    res.json({ status: 'success', message: profileId ? 'Profile bound' : 'Using the default prompt', profileId });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// ========== CUSTOMER ACCOUNTS (WhatsApp self-service) ==========
+
+// Mapped numbers, unmapped numbers that wrote in, and the registration message
+app.get('/customer-accounts', requireRole('read-only'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      accounts: CustomerAccountStore.listAccounts(),
+      requests: CustomerAccountStore.listRequests(),
+      settings: CustomerAccountStore.getSettings()
+    });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Search mastercustomer by name for the mapping form
+// GET /customer-accounts/customers?q=bright
+app.get('/customer-accounts/customers', requireRole('read-only'), async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.status(400).json({ status: 'error', message: 'Enter at least 2 characters' });
+    }
+    const customers = await SQLAgent.lookupCustomerIds(q);
+    res.json({ status: 'success', customers });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Map a WhatsApp number to one or more customers (replaces an existing mapping)
+// Body: { phone: "919876543210", customerIds: [1929], contactName: "Ravi (Purchase)" }
+app.post('/customer-accounts', requireRole('operator'), async (req, res) => {
+  try {
+    const { phone, customerIds, contactName } = req.body;
+    const ids = [...new Set((Array.isArray(customerIds) ? customerIds : [customerIds]).map(Number))]
+      .filter(id => Number.isInteger(id) && id > 0);
+    if (!phone || ids.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'phone and customerIds are required' });
+    }
+
+    const customers = await SQLAgent.getCustomersByIds(ids);
+    const missing = ids.filter(id => !customers.some(c => Number(c.id) === id));
+    if (missing.length > 0) {
+      return res.status(400).json({ status: 'error', message: `Unknown customer id(s): ${missing.join(', ')}` });
+    }
+
+    const account = CustomerAccountStore.setAccount(phone, customers, contactName);
+    // Anything remembered for this number was answered under the old mapping
+    clearConversationHistory(account.phone);
+    res.json({ status: 'success', account });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+});
+
+// Remove a mapping (the number goes back to the registration message)
+app.delete('/customer-accounts/:phone', requireRole('operator'), (req, res) => {
+  try {
+    if (!CustomerAccountStore.removeAccount(req.params.phone)) {
+      return res.status(404).json({ status: 'error', message: 'Mapping not found' });
+    }
+    clearConversationHistory(CustomerAccountStore.normalizePhone(req.params.phone));
+    res.json({ status: 'success', message: 'Mapping removed' });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Dismiss an unmapped number from the request list
+app.delete('/customer-accounts/requests/:phone', requireRole('operator'), (req, res) => {
+  try {
+    if (!CustomerAccountStore.dismissRequest(req.params.phone)) {
+      return res.status(404).json({ status: 'error', message: 'Request not found' });
+    }
+    res.json({ status: 'success', message: 'Request dismissed' });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Message for unmapped numbers
+// Body: { unknownMessage: "...", handoffContact: "+91 98765 43210 (Sales)" }
+app.post('/customer-accounts/settings', requireRole('admin'), (req, res) => {
+  try {
+    const settings = CustomerAccountStore.updateSettings(req.body || {});
+    res.json({ status: 'success', settings });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // Test database connection
-app.get('/db/test', async (req, res) => {
+app.get('/db/test', requireRole('read-only'), async (req, res) => {
   try {
     const isConnected = await DatabaseHelper.testConnection();
     res.json({
@@ -1457,7 +2083,7 @@ app.get('/db/test', async (req, res) => {
 });
 
 // Get order status by order number
-app.get('/db/order/:orderNumber', async (req, res) => {
+app.get('/db/order/:orderNumber', requireRole('read-only'), async (req, res) => {
   try {
     const { orderNumber } = req.params;
     const result = await DatabaseHelper.getOrderStatus(orderNumber);
@@ -1482,7 +2108,7 @@ app.get('/db/order/:orderNumber', async (req, res) => {
 });
 
 // Get table structure (for debugging)
-app.get('/db/structure', async (req, res) => {
+app.get('/db/structure', requireRole('admin'), async (req, res) => {
   try {
     const structure = await DatabaseHelper.getTableStructure();
     res.json({
@@ -1495,8 +2121,27 @@ app.get('/db/structure', async (req, res) => {
   }
 });
 
+// Status of the cached schema used by the SQL agent
+app.get('/db/schema', requireRole('admin'), (req, res) => {
+  res.json({ status: 'success', schema: SQLAgent.getSchemaStatus() });
+});
+
+// Re-read the database schema now (the AI prompt is rebuilt if columns changed)
+app.post('/db/schema/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const cached = await SQLAgent.getSchema({ forceRefresh: true });
+    if (!cached) {
+      return res.status(503).json({ status: 'error', message: 'Database schema could not be read' });
+    }
+    res.json({ status: 'success', schema: SQLAgent.getSchemaStatus() });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // Get sample orders (for debugging)
-app.get('/db/sample', async (req, res) => {
+app.get('/db/sample', requireRole('admin'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 5;
     const samples = await DatabaseHelper.getSampleOrders(limit);
@@ -1512,8 +2157,14 @@ app.get('/db/sample', async (req, res) => {
 });
 
 // Socket.io
+// Only logged-in dashboards get the feed; QR codes go to operators and admins only
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-  console.log('🔌 Socket connected');
+  console.log(`🔌 Socket connected (${socket.data.user.name}, ${socket.data.user.role})`);
+  if (UserRoleStore.hasRole(socket.data.user.role, 'operator')) {
+    socket.join('operators');
+  }
   broadcastSessions();
 
   socket.on('disconnect', () => {
@@ -1557,6 +2208,19 @@ setInterval(() => {
   }
 }, 3600000); // 1 hour
 
+// Pick up messages other processes wrote straight to the queue file (order and
+// dispatch notifications from the XMPP server) (every 1 minute)
+setInterval(() => {
+  if (!isProcessingQueue) {
+    processQueue();
+  }
+}, 60000);
+
+// Webhook deliveries due for a retry (every 15 seconds)
+setInterval(() => {
+  WebhookDispatcher.processDeliveries();
+}, 15000);
+
 // Periodic AI chat memory cleanup (every 24 hours)
 setInterval(() => {
   const deleted = ChatMemoryStore.cleanup(7); // Clean conversations older than 7 days
@@ -1581,8 +2245,11 @@ server.listen(port, () => {
   console.log(`   ✅ Delegation - Dedicated session for delegation messages (1/min)`);
   console.log(`   ✅ Help Ticket - Dedicated session for help ticket messages (1/min)`);
   console.log(`   🤖 AI Mode - Auto-reply with AI chatbot (Sarvam AI)`);
+  console.log(`   🚚 Order Updates - Order and dispatch notifications to mapped customers`);
   console.log(`\n🔒 SECURITY: Messages can ONLY be sent through assigned features!`);
   console.log(`📝 General messages without a valid feature are BLOCKED!`);
+  console.log(`🔑 API and Socket.IO need a login token (roles: read-only, operator, admin)`);
+  console.log(`🪝 Webhooks: ${WebhookStore.listWebhooks().filter(w => w.enabled).length} enabled, ${WebhookStore.getPendingCount()} deliveries pending`);
   console.log(`${'='.repeat(70)}\n`);
 
   setTimeout(() => {
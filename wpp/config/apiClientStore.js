@@ -0,0 +1,262 @@
+// API Client Store - Keys for the systems that send WhatsApp messages (ERP, HR check-in, helpdesk)
+// Each client has a name, a key, the features/flags it may send and an hourly quota.
+// Only a SHA-256 hash of the key is stored: the key itself is shown once, when it is
+// created or rotated. A revoked client's key stops working at once; the client and its
+// usage stay listed so the history is not lost.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_FILE = path.join(__dirname, '..', 'api_clients.json');
+
+// Features (/send-message) and flags (/send-flag-message) a client can be allowed
+const SCOPES = [
+  'ot_message',
+  'checkin_checkout',
+  'group_message',
+  'pc_automation',
+  'delegation',
+  'helpticket',
+  'ai_mode',
+  'ncr'
+];
+
+const DEFAULT_QUOTA_PER_HOUR = 100;
+const MAX_QUOTA_PER_HOUR = 10000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function emptyUsage() {
+  return { accepted: 0, rejected: 0, delivered: 0, failed: 0, byScope: {}, hourStart: null, hourCount: 0 };
+}
+
+// Client without its key hash
+function toPublic(client) {
+  const { keyHash, ...rest } = client;
+  const hourActive = client.usage.hourStart && Date.now() - client.usage.hourStart < HOUR_MS;
+  return { ...rest, usedThisHour: hourActive ? client.usage.hourCount : 0 };
+}
+
+class ApiClientStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ clients: {} }, null, 2));
+      console.log('📄 Created api_clients.json file');
+    }
+  }
+
+  static read() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      return JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).clients || {};
+    } catch (error) {
+      console.error('Error reading api_clients.json:', error);
+      return {};
+    }
+  }
+
+  static write(clients) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ clients }, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error writing api_clients.json:', error);
+    }
+  }
+
+  static get SCOPES() {
+    return SCOPES;
+  }
+
+  static generateKey() {
+    return `wak_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // Checked allow-list and quota, for create and update
+  static validateSettings({ allowed, quotaPerHour }) {
+    if (!Array.isArray(allowed) || allowed.length === 0) {
+      throw new Error('Allow at least one feature or flag');
+    }
+    const unknown = allowed.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown feature/flag: ${unknown.join(', ')}. Valid: ${SCOPES.join(', ')}`);
+    }
+    const quota = quotaPerHour === undefined || quotaPerHour === null || quotaPerHour === ''
+      ? DEFAULT_QUOTA_PER_HOUR
+      : Number(quotaPerHour);
+    if (!Number.isInteger(quota) || quota < 1 || quota > MAX_QUOTA_PER_HOUR) {
+      throw new Error(`Quota must be a whole number of messages per hour between 1 and ${MAX_QUOTA_PER_HOUR}`);
+    }
+    return { allowed: [...new Set(allowed)], quotaPerHour: quota };
+  }
+
+  static listClients() {
+    return Object.values(this.read())
+      .map(toPublic)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static getClient(clientId) {
+    const client = this.read()[clientId];
+    return client ? toPublic(client) : null;
+  }
+
+  /**
+   * Create a client.
+   * @returns {{ client: Object, key: string }} the key is not stored and cannot be shown again
+   */
+  static createClient({ name, allowed, quotaPerHour, createdBy = null }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Client name is required');
+    }
+    const settings = this.validateSettings({ allowed, quotaPerHour });
+    const clients = this.read();
+    const trimmedName = String(name).trim();
+    if (Object.values(clients).some(c => c.name.toLowerCase() === trimmedName.toLowerCase())) {
+      throw new Error(`A client named "${trimmedName}" already exists`);
+    }
+
+    const key = this.generateKey();
+    const client = {
+      id: `client_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: trimmedName,
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, 12),
+      ...settings,
+      status: 'active',
+      createdBy,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      revokedBy: null,
+      lastUsedAt: null,
+      usage: emptyUsage()
+    };
+    clients[client.id] = client;
+    this.write(clients);
+    console.log(`🔑 API client "${client.name}" created`);
+    return { client: toPublic(client), key };
+  }
+
+  static updateClient(clientId, { name, allowed, quotaPerHour }) {
+    const clients = this.read();
+    const client = clients[clientId];
+    if (!client) {
+      throw new Error('API client not found');
+    }
+    Object.assign(client, this.validateSettings({ allowed, quotaPerHour }));
+    if (name && String(name).trim()) client.name = String(name).trim();
+    this.write(clients);
+    return toPublic(client);
+  }
+
+  // New key for the client; the old key stops working
+  static rotateKey(clientId) {
+    const clients = this.read();
+    const client = clients[clientId];
+    if (!client) {
+      throw new Error('API client not found');
+    }
+    if (client.status === 'revoked') {
+      throw new Error('Client is revoked');
+    }
+    const key = this.generateKey();
+    client.keyHash = hashKey(key);
+    client.keyPrefix = key.slice(0, 12);
+    this.write(clients);
+    console.log(`🔑 API client "${client.name}" key rotated`);
+    return { client: toPublic(client), key };
+  }
+
+  static revokeClient(clientId, revokedBy = null) {
+    const clients = this.read();
+    const client = clients[clientId];
+    if (!client) {
+      throw new Error('API client not found');
+    }
+    client.status = 'revoked';
+    client.revokedAt = new Date().toISOString();
+    client.revokedBy = revokedBy;
+    this.write(clients);
+    console.log(`⛔ API client "${client.name}" revoked`);
+    return toPublic(client);
+  }
+
+  // Active client for a key, or null for an unknown or revoked key
+  static authenticate(key) {
+    if (!key) return null;
+    const keyHash = hashKey(key);
+    const client = Object.values(this.read()).find(c =>
+      c.keyHash.length === keyHash.length &&
+      crypto.timingSafeEqual(Buffer.from(c.keyHash), Buffer.from(keyHash))
+    );
+    return client && client.status === 'active' ? toPublic(client) : null;
+  }
+
+  /**
+   * Check a send against the client's allow-list and hourly quota, and count it.
+   * @param {string} scope - feature or flag
+   * @param {number} count - messages in the request (one per phone number)
+   * @returns {{ allowed: boolean, statusCode?: number, message?: string, remaining?: number }}
+   */
+  static consume(clientId, scope, count = 1) {
+    const clients = this.read();
+    const client = clients[clientId];
+    if (!client || client.status !== 'active') {
+      return { allowed: false, statusCode: 401, message: 'API key revoked' };
+    }
+
+    const usage = client.usage;
+    const now = Date.now();
+    if (!usage.hourStart || now - usage.hourStart >= HOUR_MS) {
+      usage.hourStart = now;
+      usage.hourCount = 0;
+    }
+
+    let result;
+    if (!client.allowed.includes(scope)) {
+      result = { allowed: false, statusCode: 403, message: `This API key may not send '${scope}'. Allowed: ${client.allowed.join(', ')}` };
+    } else if (usage.hourCount + count > client.quotaPerHour) {
+      const resetsAt = new Date(usage.hourStart + HOUR_MS).toISOString();
+      result = {
+        allowed: false,
+        statusCode: 429,
+        message: `Hourly quota of ${client.quotaPerHour} messages reached (${usage.hourCount} used). Resets at ${resetsAt}`
+      };
+    } else {
+      usage.hourCount += count;
+      usage.accepted += count;
+      usage.byScope[scope] = (usage.byScope[scope] || 0) + count;
+      result = { allowed: true, remaining: client.quotaPerHour - usage.hourCount };
+    }
+
+    if (!result.allowed) {
+      usage.rejected += count;
+      console.log(`🚫 API client "${client.name}": ${result.message}`);
+    }
+    client.lastUsedAt = new Date(now).toISOString();
+    this.write(clients);
+    return result;
+  }
+
+  // Count a queued message of the client as sent or failed
+  static recordDelivery(clientId, delivered) {
+    const clients = this.read();
+    const client = clients[clientId];
+    if (!client) return;
+    if (delivered) {
+      client.usage.delivered += 1;
+    } else {
+      client.usage.failed += 1;
+    }
+    this.write(clients);
+  }
+}
+
+ApiClientStore.init();
+
+module.exports = ApiClientStore;
@@ -0,0 +1,197 @@
+// AI Audit Log - Who asked the assistant what, which SQL ran and what was answered
+// One JSON line per question, appended to a file per month (ai_audit/2026-10.jsonl).
+// Appends are safe across the XMPP server and the WhatsApp apps writing at once, and
+// entries are never rewritten.
+const fs = require('fs');
+const path = require('path');
+const ResultContext = require('./resultContext');
+
+const AUDIT_DIR = path.join(__dirname, '..', 'ai_audit');
+
+// Keep entries readable: the answer text and the per-record ids are capped
+const MAX_ANSWER_LENGTH = 20000;
+const MAX_RECORDS = 200;
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+class AuditLog {
+  // Start timing a question
+  // draft: { channel: 'xmpp' | 'whatsapp' | 'prompt-test', user, conversation, question, promptProfile? };
+  // set draft.error if answering fails, and draft.customerIds for a customer account
+  static begin(draft) {
+    return {
+      id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      startedAt: Date.now(),
+      marketingPersons: null,
+      customerIds: null,
+      promptProfile: null,
+      sqlResult: null,
+      ...draft
+    };
+  }
+
+  // Note the SQL agent result (and the row-level security filter it ran under)
+  static attachResult(draft, sqlResult, marketingPersons = null) {
+    draft.sqlResult = sqlResult;
+    draft.marketingPersons = marketingPersons && marketingPersons.length > 0 ? marketingPersons : null;
+  }
+
+  /**
+   * Write the entry for a finished question.
+   * @param {Object} draft - From begin()
+   * @param {string} answer - Text sent back to the user
+   * @param {Object} [extra] - { report: true } when a report file was attached
+   */
+  static finish(draft, answer, extra = {}) {
+    const result = draft.sqlResult || {};
+    const error = draft.error || result.error || null;
+    const rows = Array.isArray(result.data) ? result.data : [];
+    const text = String(answer || '');
+
+    const entry = {
+      id: draft.id,
+      timestamp: new Date(draft.startedAt).toISOString(),
+      channel: draft.channel,
+      user: draft.user,
+      conversation: draft.conversation && draft.conversation !== draft.user ? draft.conversation : null,
+      question: draft.question,
+      // Intent name for registry answers, "llm" for generated SQL, null when no query ran
+      intent: result.intent || (result.query ? 'llm' : null),
+      followUp: !!result.followUp,
+      sql: result.query || null,
+      executedSql: result.executedSql || null,
+      rowCount: result.count || 0,
+      truncated: !!result.truncated,
+      records: rows.slice(0, MAX_RECORDS).map(row => ResultContext.extractItem(row)).filter(Boolean),
+      marketingPersons: draft.marketingPersons,
+      customerIds: draft.customerIds,
+      // { id, name, version } of the WhatsApp prompt profile that answered, null for the default
+      promptProfile: draft.promptProfile,
+      success: result.success !== false && !draft.error,
+      error,
+      latencyMs: Date.now() - draft.startedAt,
+      report: !!extra.report,
+      answer: text.length > MAX_ANSWER_LENGTH ? text.slice(0, MAX_ANSWER_LENGTH) : text,
+      answerTruncated: text.length > MAX_ANSWER_LENGTH
+    };
+
+    try {
+      if (!fs.existsSync(AUDIT_DIR)) {
+        fs.mkdirSync(AUDIT_DIR, { recursive: true });
+      }
+      fs.appendFileSync(path.join(AUDIT_DIR, `${monthKey(new Date(draft.startedAt))}.jsonl`), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error('❌ Error writing AI audit log:', error.message);
+    }
+    return entry;
+  }
+
+  // Month files covering [from, to], oldest first
+  static listFiles(from, to) {
+    if (!fs.existsSync(AUDIT_DIR)) return [];
+    const fromKey = from ? monthKey(from) : '0000-00';
+    const toKey = to ? monthKey(to) : '9999-99';
+    return fs.readdirSync(AUDIT_DIR)
+      .filter(name => /^\d{4}-\d{2}\.jsonl$/.test(name))
+      .map(name => name.slice(0, 7))
+      .filter(key => key >= fromKey && key <= toKey)
+      .sort()
+      .map(key => path.join(AUDIT_DIR, `${key}.jsonl`));
+  }
+
+  static readFile(file) {
+    try {
+      return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash mid-append
+          return null;
+        }
+      }).filter(Boolean);
+    } catch (error) {
+      console.error(`❌ Error reading ${file}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Search entries, newest first.
+   * @param {Object} [filters]
+   * @param {string} [filters.from] - ISO date/time (inclusive)
+   * @param {string} [filters.to] - ISO date/time (inclusive; a bare date covers the whole day)
+   * @param {string} [filters.user] - Substring of the JID / phone number
+   * @param {string} [filters.channel] - 'xmpp' | 'whatsapp' | 'prompt-test'
+   * @param {string} [filters.intent] - Intent name, or 'llm'
+   * @param {string} [filters.search] - Substring of the question, SQL or answer
+   * @param {number} [filters.limit] - Page size (default 100, 0 for all)
+   * @param {number} [filters.offset]
+   * @returns {{ entries: Object[], total: number }}
+   */
+  static query(filters = {}) {
+    const from = filters.from ? new Date(filters.from) : null;
+    let to = filters.to ? new Date(filters.to) : null;
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+      to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+    const user = (filters.user || '').toLowerCase();
+    const search = (filters.search || '').toLowerCase();
+
+    const matches = [];
+    for (const file of this.listFiles(from, to)) {
+      for (const entry of this.readFile(file)) {
+        const time = new Date(entry.timestamp);
+        if (from && time < from) continue;
+        if (to && time > to) continue;
+        if (filters.channel && entry.channel !== filters.channel) continue;
+        if (filters.intent && entry.intent !== filters.intent) continue;
+        if (user && !String(entry.user).toLowerCase().includes(user)) continue;
+        if (search && ![entry.question, entry.sql, entry.answer].some(v => v && v.toLowerCase().includes(search))) continue;
+        matches.push(entry);
+      }
+    }
+
+    matches.reverse();
+    const offset = Number(filters.offset) || 0;
+    const limit = filters.limit === undefined ? 100 : Number(filters.limit);
+    return {
+      entries: limit > 0 ? matches.slice(offset, offset + limit) : matches.slice(offset),
+      total: matches.length
+    };
+  }
+
+  static getEntry(id) {
+    const match = /^audit_(\d+)_/.exec(String(id));
+    if (!match) return null;
+    const date = new Date(Number(match[1]));
+    for (const file of this.listFiles(date, date)) {
+      const entry = this.readFile(file).find(e => e.id === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  // Flat rows for a CSV / Excel / PDF export
+  static toReportRows(entries) {
+    return entries.map(e => ({
+      time: e.timestamp,
+      channel: e.channel,
+      user: e.user,
+      question: e.question,
+      intent: e.intent || '',
+      sql: e.executedSql || e.sql || '',
+      rows: e.rowCount,
+      records: e.records.map(r => r.orderNumber || r.despatchNo || r.customerName || r.customerId).filter(Boolean).join(', '),
+      marketing_filter: e.marketingPersons ? e.marketingPersons.join(', ') : '',
+      customer_filter: e.customerIds ? e.customerIds.join(', ') : '',
+      prompt_profile: e.promptProfile ? `${e.promptProfile.name} v${e.promptProfile.version}` : '',
+      latency_ms: e.latencyMs,
+      success: e.success ? 'yes' : 'no',
+      answer: e.answer
+    }));
+  }
+}
+
+module.exports = AuditLog;
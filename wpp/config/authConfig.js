@@ -0,0 +1,72 @@
+// Auth Config - JWT secret and token lifetime for the dashboard login
+// The secret comes from the JWT_SECRET environment variable, or auth_config.json.
+// When neither is set a random secret is generated once and saved to auth_config.json,
+// so tokens stay valid across restarts.
+// The first admin is named in configuration: ADMIN_EMAIL (comma-separated for several),
+// or "adminEmail" in auth_config.json. Without it nobody is made admin automatically.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'auth_config.json');
+
+const DEFAULT_TOKEN_EXPIRES_IN = '7d';
+
+let cached = null;
+
+class AuthConfig {
+  static read() {
+    try {
+      if (fs.existsSync(CONFIG_FILE)) {
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error reading auth_config.json:', error);
+    }
+    return {};
+  }
+
+  static load() {
+    if (cached) return cached;
+
+    const file = this.read();
+    let jwtSecret = process.env.JWT_SECRET || file.jwtSecret;
+    if (!jwtSecret) {
+      jwtSecret = crypto.randomBytes(48).toString('hex');
+      try {
+        fs.writeFileSync(CONFIG_FILE, JSON.stringify({ ...file, jwtSecret }, null, 2), { mode: 0o600 });
+        console.warn('⚠️ No JWT_SECRET configured, generated one in auth_config.json');
+      } catch (error) {
+        // Still usable, but every restart logs everyone out
+        console.error('❌ Could not save the generated JWT secret:', error.message);
+      }
+    }
+
+    const adminEmail = process.env.ADMIN_EMAIL || file.adminEmail || '';
+    cached = {
+      jwtSecret,
+      tokenExpiresIn: process.env.JWT_EXPIRES_IN || file.tokenExpiresIn || DEFAULT_TOKEN_EXPIRES_IN,
+      adminEmails: String(adminEmail).split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+    };
+    if (cached.adminEmails.length === 0) {
+      console.warn('⚠️ No ADMIN_EMAIL configured: set it to let the admin register or log in as admin');
+    }
+    return cached;
+  }
+
+  static getJwtSecret() {
+    return this.load().jwtSecret;
+  }
+
+  static getTokenExpiresIn() {
+    return this.load().tokenExpiresIn;
+  }
+
+  // True if the email is configured as an admin's (ADMIN_EMAIL)
+  static isAdminEmail(email) {
+    if (!email) return false;
+    return this.load().adminEmails.includes(String(email).trim().toLowerCase());
+  }
+}
+
+module.exports = AuthConfig;
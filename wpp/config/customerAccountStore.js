@@ -0,0 +1,214 @@
+// Customer Account Store - Maps WhatsApp numbers to mastercustomer accounts
+// A mapped number talks to the AI about its own orders, dispatches and invoices only.
+// Unknown numbers get a registration / handoff message and are listed as requests,
+// so an admin can map them from the dashboard.
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = path.join(__dirname, '..', 'customer_accounts.json');
+
+// An unknown number gets the registration message at most this often
+const UNKNOWN_REPLY_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const MAX_REQUESTS = 500;
+
+const DEFAULT_SETTINGS = {
+  unknownMessage: `Hello! Thank you for contacting Thirupathybright Industries.
+
+This number is not yet registered for order updates. Please share your company name and our team will link it to your account.`,
+  handoffContact: ''
+};
+
+function emptyStore() {
+  return { accounts: {}, requests: {}, settings: { ...DEFAULT_SETTINGS } };
+}
+
+class CustomerAccountStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(emptyStore(), null, 2));
+      console.log('📄 Created customer_accounts.json file');
+    }
+  }
+
+  static read() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+      return {
+        accounts: data.accounts || {},
+        requests: data.requests || {},
+        settings: { ...DEFAULT_SETTINGS, ...data.settings }
+      };
+    } catch (error) {
+      console.error('Error reading customer_accounts.json:', error);
+      return emptyStore();
+    }
+  }
+
+  static write(data) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Error writing customer_accounts.json:', error);
+    }
+  }
+
+  // Digits only ("+91 98765-43210", "919876543210:12" -> "919876543210")
+  static normalizePhone(phone) {
+    return String(phone || '').split(':')[0].replace(/\D/g, '');
+  }
+
+  // Same number with or without the country code (the shorter one needs 10+ digits)
+  static samePhone(a, b) {
+    if (a === b) return true;
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    return shorter.length >= 10 && longer.endsWith(shorter);
+  }
+
+  static findKey(collection, phone) {
+    const normalized = this.normalizePhone(phone);
+    if (!normalized) return null;
+    if (collection[normalized]) return normalized;
+    return Object.keys(collection).find(key => this.samePhone(key, normalized)) || null;
+  }
+
+  /**
+   * Account for a WhatsApp number.
+   * @returns {{ phone: string, customers: { id: number, customer_name: string }[],
+   *   contactName: string|null, createdAt: string, updatedAt: string } | null}
+   */
+  static getAccount(phone) {
+    const data = this.read();
+    const key = this.findKey(data.accounts, phone);
+    return key ? data.accounts[key] : null;
+  }
+
+  static listAccounts() {
+    return Object.values(this.read().accounts)
+      .sort((a, b) => a.phone.localeCompare(b.phone));
+  }
+
+  /**
+   * Create or update a mapping (and drop the number's pending request).
+   * @param {string} phone - WhatsApp number, with country code
+   * @param {{ id: number, customer_name: string }[]} customers - mastercustomer rows
+   * @param {string} [contactName]
+   */
+  static setAccount(phone, customers, contactName = null) {
+    const normalized = this.normalizePhone(phone);
+    if (normalized.length < 10) {
+      throw new Error('Phone number must have at least 10 digits');
+    }
+    if (!Array.isArray(customers) || customers.length === 0) {
+      throw new Error('At least one customer is required');
+    }
+
+    const data = this.read();
+    const key = this.findKey(data.accounts, normalized) || normalized;
+    const existing = data.accounts[key];
+    const now = new Date().toISOString();
+    data.accounts[key] = {
+      phone: key,
+      customers: customers.map(c => ({ id: c.id, customer_name: c.customer_name })),
+      contactName: contactName || null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    const requestKey = this.findKey(data.requests, key);
+    if (requestKey) delete data.requests[requestKey];
+
+    this.write(data);
+    console.log(`✅ Mapped ${key} to ${customers.map(c => c.customer_name).join(', ')}`);
+    return data.accounts[key];
+  }
+
+  static removeAccount(phone) {
+    const data = this.read();
+    const key = this.findKey(data.accounts, phone);
+    if (!key) return false;
+    delete data.accounts[key];
+    this.write(data);
+    console.log(`🗑️ Removed customer mapping for ${key}`);
+    return true;
+  }
+
+  /**
+   * Note a message from an unmapped number.
+   * @returns {boolean} true if the registration message should be sent now
+   */
+  static recordRequest(phone, message) {
+    const normalized = this.normalizePhone(phone);
+    if (!normalized) return false;
+
+    const data = this.read();
+    const now = Date.now();
+    const request = data.requests[normalized] || {
+      phone: normalized,
+      firstMessage: message,
+      firstSeen: new Date(now).toISOString(),
+      count: 0,
+      lastRepliedAt: null
+    };
+    request.lastMessage = message;
+    request.lastSeen = new Date(now).toISOString();
+    request.count++;
+
+    const reply = !request.lastRepliedAt || now - new Date(request.lastRepliedAt).getTime() > UNKNOWN_REPLY_INTERVAL_MS;
+    if (reply) request.lastRepliedAt = new Date(now).toISOString();
+
+    // Re-insert so the most recent request is last; drop the oldest beyond the cap
+    delete data.requests[normalized];
+    data.requests[normalized] = request;
+    const keys = Object.keys(data.requests);
+    keys.slice(0, Math.max(0, keys.length - MAX_REQUESTS)).forEach(key => delete data.requests[key]);
+
+    this.write(data);
+    return reply;
+  }
+
+  // Unmapped numbers that wrote in, most recent first
+  static listRequests() {
+    return Object.values(this.read().requests)
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  static dismissRequest(phone) {
+    const data = this.read();
+    const key = this.findKey(data.requests, phone);
+    if (!key) return false;
+    delete data.requests[key];
+    this.write(data);
+    return true;
+  }
+
+  static getSettings() {
+    return this.read().settings;
+  }
+
+  // settings: { unknownMessage, handoffContact }
+  static updateSettings(settings) {
+    const data = this.read();
+    if (typeof settings.unknownMessage === 'string') {
+      data.settings.unknownMessage = settings.unknownMessage.trim() || DEFAULT_SETTINGS.unknownMessage;
+    }
+    if (typeof settings.handoffContact === 'string') {
+      data.settings.handoffContact = settings.handoffContact.trim();
+    }
+    this.write(data);
+    return data.settings;
+  }
+
+  // Reply for a number that is not mapped to a customer
+  static unknownNumberReply() {
+    const { unknownMessage, handoffContact } = this.getSettings();
+    return handoffContact
+      ? `${unknownMessage}\n\nYou can also reach our team directly at ${handoffContact}.`
+      : unknownMessage;
+  }
+}
+
+module.exports = CustomerAccountStore;
@@ -0,0 +1,124 @@
+// Customer Clarification - "Which customer did you mean?" when a name matches several
+// The bot replies with a numbered list of candidates and keeps the original question;
+// the user's next message ("2", or a more specific name) picks the customer and the
+// original question is answered for it.
+// Kept in memory only: a restart (or the timeout) drops the pending question.
+const TTL_MS = 10 * 60 * 1000;
+const MAX_CONVERSATIONS = 500;
+
+// conversation key -> { question, keyword, customers, askedAt }
+const pending = new Map();
+
+class CustomerClarification {
+  /**
+   * True when a customer lookup matched more than one distinct customer.
+   * Several ids with the same name (duplicate master records) count as one customer.
+   * @param {{ keyword: string, customers: Object[] }} match - From SQLAgent.findCustomerInQuestion
+   */
+  static isAmbiguous(match) {
+    if (!match || match.customers.length < 2) return false;
+    const names = new Set(match.customers.map(c => String(c.customer_name).trim().toLowerCase()));
+    return names.size > 1;
+  }
+
+  // Distinct candidates, one entry per name with all of its ids
+  static groupByName(customers) {
+    const groups = new Map();
+    for (const customer of customers) {
+      const name = String(customer.customer_name).trim();
+      const key = name.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { name, customers: [] });
+      groups.get(key).customers.push(customer);
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Remember the question and build the numbered list to send back.
+   * @param {string} key - Conversation key (user JID or phone number)
+   * @param {string} question - The question to answer once the customer is known
+   * @param {{ keyword: string, customers: Object[], limited?: boolean }} match
+   * @returns {string} Reply text
+   */
+  static ask(key, question, match) {
+    const candidates = this.groupByName(match.customers);
+    if (key) {
+      pending.delete(key);
+      pending.set(key, { question, keyword: match.keyword, candidates, askedAt: Date.now() });
+      // Drop the oldest pending question
+      if (pending.size > MAX_CONVERSATIONS) {
+        pending.delete(pending.keys().next().value);
+      }
+    }
+
+    const lines = candidates.map((candidate, i) => `${i + 1}. ${candidate.name}`);
+    return `"${match.keyword}" matches ${candidates.length}${match.limited ? '+' : ''} customers. Which one did you mean?
+
+${lines.join('\n')}
+${match.limited ? '\nOnly the first matches are listed - a more specific name narrows it down.\n' : ''}
+Reply with the number or a more specific name, or "all" for every customer above.`;
+  }
+
+  static get(key) {
+    const entry = pending.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.askedAt > TTL_MS) {
+      pending.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  static clear(key) {
+    pending.delete(key);
+  }
+
+  /**
+   * Read the user's answer to a pending clarification.
+   * @param {string} key - Conversation key
+   * @param {string} reply - The user's message
+   * @returns {{ question: string, keyword: string, customers: Object[], names: string[] }
+   *   | { question: string, keyword: string, ambiguous: true, customers: Object[] } | null}
+   *   - the original question and the chosen customers; ambiguous when the reply only
+   *     narrowed the list; null (and the pending question is dropped) when the message
+   *     is not an answer, i.e. the user asked something else
+   */
+  static resolve(key, reply) {
+    if (!key || !reply) return null;
+    const entry = this.get(key);
+    if (!entry) return null;
+    pending.delete(key);
+
+    const text = reply.trim().replace(/[.)]$/, '').trim();
+    const { question, keyword, candidates } = entry;
+    const chosen = list => ({
+      question,
+      keyword,
+      customers: list.flatMap(candidate => candidate.customers),
+      names: list.map(candidate => candidate.name)
+    });
+
+    // "2", "#2", "no 2", "option 2"
+    const number = text.match(/^(?:#|no\.?\s*|number\s+|option\s+)?(\d{1,2})$/i);
+    if (number) {
+      const position = Number(number[1]);
+      return position >= 1 && position <= candidates.length ? chosen([candidates[position - 1]]) : null;
+    }
+    if (/^(all|all of them|every one|everyone|any)$/i.test(text)) {
+      return chosen(candidates);
+    }
+
+    // A more specific name: every word must appear in the customer name
+    const words = text.toLowerCase().split(/\s+/).map(w => w.replace(/[^a-z0-9&]/g, '')).filter(Boolean);
+    if (words.length === 0 || words.length > 6) return null;
+    const exact = candidates.filter(candidate => candidate.name.toLowerCase() === text.toLowerCase());
+    const matches = exact.length > 0
+      ? exact
+      : candidates.filter(candidate => words.every(word => candidate.name.toLowerCase().includes(word)));
+    if (matches.length === 0) return null;
+    if (matches.length === 1) return chosen(matches);
+    return { ...chosen(matches), ambiguous: true };
+  }
+}
+
+module.exports = CustomerClarification;
@@ -532,6 +532,57 @@ class DatabaseHelper {
     }
   }
 
+  // Status and expected date of orders created in the last `days` days (order watcher)
+  static async getOrderStates(days) {
+    try {
+      if (!pool) {
+        throw new Error('Database pool not initialized');
+      }
+
+      const query = `
+        SELECT
+          o.id, o.order_number, o.status, o.expected_date,
+          o.marketing_person, o.customer_id, c.customer_name
+        FROM thirupathybright.database_orderregister o
+        LEFT JOIN thirupathybright.mastercustomer c ON o.customer_id = c.id
+        WHERE o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+      `;
+      const [rows] = await pool.execute(query, [String(days)]);
+      return { success: true, orders: rows };
+    } catch (error) {
+      console.error('❌ Error getting order states:', error.message);
+      return { success: false, error: error.message, orders: [] };
+    }
+  }
+
+  // Dispatches created in the last `days` days with their order and weighed weight
+  static async getRecentDispatches(days) {
+    try {
+      if (!pool) {
+        throw new Error('Database pool not initialized');
+      }
+
+      const query = `
+        SELECT
+          d.despatchno, d.created_at,
+          o.id AS order_id, o.order_number, o.marketing_person, o.customer_id,
+          c.customer_name,
+          (SELECT COALESCE(SUM(w.weightment_weight), 0)
+             FROM thirupathybright.database_weightment w
+            WHERE w.despatch_no = d.despatchno) AS weight
+        FROM thirupathybright.database_despatch d
+        LEFT JOIN thirupathybright.database_orderregister o ON d.order_no_id = o.id
+        LEFT JOIN thirupathybright.mastercustomer c ON o.customer_id = c.id
+        WHERE d.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+      `;
+      const [rows] = await pool.execute(query, [String(days)]);
+      return { success: true, dispatches: rows };
+    } catch (error) {
+      console.error('❌ Error getting recent dispatches:', error.message);
+      return { success: false, error: error.message, dispatches: [] };
+    }
+  }
+
   // Close database pool (for cleanup)
   static async close() {
     try {
@@ -6,7 +6,11 @@ const db = mysql.createConnection({
   database: 'wpp'
 });
 db.connect(err => {
-  if (err) throw err;
+  // Only login/registration use this connection: log instead of taking the WhatsApp manager down
+  if (err) {
+    console.error('❌ wpp users database connection failed:', err.message);
+    return;
+  }
   console.log('? MySQL connected');
 });
 module.exports = db;
@@ -0,0 +1,155 @@
+// Intent Registry - Deterministic commands and common lookups, answered without the LLM
+// Each intent has a pattern, a parameterised SQL template and a formatter. The SQL agent
+// runs the first intent that matches a question; anything else goes to the LLM.
+// Built-in intents live in intents.js; more can be added with IntentRegistry.register().
+//
+// Intent definition:
+//   name        - unique id (re-registering a name replaces it)
+//   description - one line for /help
+//   examples    - sample questions for /help
+//   staffOnly   - true for internal data (stock, tanks): never offered to customer accounts
+//   pattern     - RegExp (or array of RegExp) tested against the question, or
+//   match(question) - returns params, or null when the intent does not apply
+//   params(match, question) - named parameters from the pattern match (optional)
+//   prepare(params, ctx)    - async lookups before the query; returning null hands the
+//                             question to the LLM instead (optional)
+//   sql         - template with ? placeholders: a string, { name: string } for several
+//                 queries run in parallel, or a function of params returning either (optional)
+//   args(params, name)      - values for the placeholders (optional)
+//   format(results, params, ctx) - reply text; results are the rows of a single query,
+//                 or { name: rows } for several. May return { reply, rows } to choose the
+//                 answer's records (default: the first query's rows)
+//
+// ctx is { question, agent, registry, audience, execute(sql, args), findCustomer(), clarifyCustomer(match) }
+// - execute applies the caller's row-level security and the SQL validator, like every other
+// query; findCustomer() is the customer named in the question (or the one the user just
+// picked), and clarifyCustomer(match) returns a "which customer?" reply when it is ambiguous.
+// audience is 'staff', or 'customer' for a customer account.
+const builtInIntents = require('./intents');
+
+const DEFAULT_PRIORITY = 100;
+
+// name -> intent, in registration order
+const intents = new Map();
+
+class IntentRegistry {
+  /**
+   * Add (or replace) an intent.
+   * @param {Object} intent - See the definition above
+   * @param {number} [intent.priority] - Lower runs first (default 100, ties keep registration order)
+   */
+  static register(intent) {
+    if (!intent || !intent.name) {
+      throw new Error('Intent needs a name');
+    }
+    if (!intent.pattern && typeof intent.match !== 'function') {
+      throw new Error(`Intent "${intent.name}" needs a pattern or a match function`);
+    }
+    if (typeof intent.format !== 'function') {
+      throw new Error(`Intent "${intent.name}" needs a format function`);
+    }
+    intents.delete(intent.name);
+    intents.set(intent.name, { priority: DEFAULT_PRIORITY, examples: [], ...intent });
+  }
+
+  static unregister(name) {
+    return intents.delete(name);
+  }
+
+  // Intents in the order they are tried ('customer' leaves out staff-only intents)
+  static list(audience = 'staff') {
+    return [...intents.values()]
+      .filter(intent => audience !== 'customer' || !intent.staffOnly)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  // Params for the question if the intent applies, otherwise null
+  static matchIntent(intent, question) {
+    if (typeof intent.match === 'function') {
+      return intent.match(question) || null;
+    }
+    const patterns = Array.isArray(intent.pattern) ? intent.pattern : [intent.pattern];
+    for (const pattern of patterns) {
+      const match = question.match(pattern);
+      if (match) {
+        return intent.params ? intent.params(match, question) : { match };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * First intent that matches the question.
+   * @param {string} question
+   * @param {string} [audience] - 'staff' (default) or 'customer'
+   * @returns {{ intent: Object, params: Object } | null}
+   */
+  static match(question, audience = 'staff') {
+    for (const intent of this.list(audience)) {
+      const params = this.matchIntent(intent, question);
+      if (params) return { intent, params };
+    }
+    return null;
+  }
+
+  /**
+   * Answer a question with the first matching intent.
+   * @param {string} question
+   * @param {Object} ctx - { agent, audience, execute(sql, args), findCustomer(), clarifyCustomer(match) }
+   * @returns {Promise<{ intent: string, success: boolean, reply: string|null, rows: Object[],
+   *   query: string|null, executedSql?: string, error: string|null } | null>} - null when no intent handles it
+   */
+  static async run(question, ctx) {
+    const matched = this.match(question, ctx.audience);
+    if (!matched) return null;
+
+    const { intent } = matched;
+    const runCtx = { ...ctx, question, registry: this };
+    let params = matched.params;
+    if (intent.prepare) {
+      params = await intent.prepare(params, runCtx);
+      if (!params) {
+        console.log(`⏭️ Intent "${intent.name}" declined, using the SQL agent`);
+        return null;
+      }
+    }
+    console.log(`⚡ Intent "${intent.name}" matched`);
+
+    const templates = typeof intent.sql === 'function' ? intent.sql(params) : intent.sql;
+    if (!templates) {
+      return { intent: intent.name, success: true, reply: intent.format(null, params, runCtx), rows: [], query: null, error: null };
+    }
+
+    const single = typeof templates === 'string';
+    const named = single ? { rows: templates } : templates;
+    const names = Object.keys(named);
+    const results = await Promise.all(names.map(name =>
+      ctx.execute(named[name], intent.args ? intent.args(params, name) : [])
+    ));
+
+    const failed = results.find(result => !result.success);
+    if (failed) {
+      return { intent: intent.name, success: false, reply: null, rows: [], query: named[names[0]], error: failed.error };
+    }
+
+    const rowsByName = {};
+    names.forEach((name, i) => { rowsByName[name] = results[i].rows; });
+    const formatted = intent.format(single ? rowsByName.rows : rowsByName, params, runCtx);
+    const custom = formatted && typeof formatted === 'object';
+
+    return {
+      intent: intent.name,
+      success: true,
+      reply: custom ? formatted.reply : formatted,
+      // The answer's records, used for reports and follow-up questions
+      rows: custom ? formatted.rows : results[0].rows,
+      query: named[names[0]],
+      executedSql: results.map(result => result.executedSql).filter(Boolean).join(';\n'),
+      error: null
+    };
+  }
+}
+
+builtInIntents.forEach(intent => IntentRegistry.register(intent));
+
+module.exports = IntentRegistry;
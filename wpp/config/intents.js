@@ -0,0 +1,511 @@
+// Built-in intents for the SQL agent (see intentRegistry.js for the definition format)
+// Order matters: earlier intents win when several patterns match a question.
+
+const LINE = '─'.repeat(30);
+
+// Dates come back from mysql2 as Date objects
+function formatDate(value) {
+  if (!value) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+}
+
+function formatQty(value) {
+  return Number(value || 0).toLocaleString();
+}
+
+// "ORD 2506 0738" / "ord-2506-0738" -> "ORD-2506-0738"
+function normaliseNumber(prefix, match) {
+  return `${prefix}-${match[1]}-${match[2]}`;
+}
+
+// Reply text for rows the SQL agent's result formatter already knows how to present
+function agentReply(ctx, data, flags) {
+  return ctx.agent.directReply({ success: true, data, count: data.length, ...flags });
+}
+
+const PRODUCTION_COLUMNS = `
+  p.id, p.ppno, p.ppnoreference, p.status AS production_status,
+  p.quantity_kg, p.expected_date, p.length, p.notes, p.customer_id,
+  p.grade_id, p.condition_id, p.shape_id, p.finish_metal_size_id,
+  p.created_at, p.updated_at,
+  c.customer_name,
+  CONCAT(g.name, ' - ', cond.name, ' - ', sh.name, ' - ', sz.name) AS sku,
+  t.tripsheetno AS tripsheetno,
+  t.status AS tripsheet_status`;
+
+const PRODUCTION_JOINS = `
+LEFT JOIN thirupathybright.mastercustomer c ON p.customer_id = c.id
+LEFT JOIN thirupathybright.Database_grade g ON p.grade_id = g.id
+LEFT JOIN thirupathybright.Database_condition cond ON p.condition_id = cond.id
+LEFT JOIN thirupathybright.Database_shape sh ON p.shape_id = sh.id
+LEFT JOIN thirupathybright.Database_size sz ON p.finish_metal_size_id = sz.id`;
+
+// Dispatch weight is summed in a subquery so several weightments don't duplicate rows
+const DISPATCH_WEIGHT = `(SELECT COALESCE(SUM(w.weightment_weight), 0) FROM thirupathybright.Database_weightment w WHERE w.despatch_no = d.despatchno)`;
+
+const STOCK_TABLES = {
+  regular: 'Database_stockregister',
+  rejected: 'Database_rejectedstock',
+  quarantine: 'Database_quarantinestock'
+};
+
+// Stock fast-path: a bare SKU code, optionally with "stock" before or after it.
+// Natural language sentences like "What is the stock" must NOT match.
+const NATURAL_LANGUAGE_WORDS = new Set([
+  'what', 'whats', 'how', 'show', 'list', 'give', 'get', 'find', 'fetch',
+  'tell', 'is', 'are', 'the', 'a', 'an', 'of', 'for', 'in', 'all', 'me',
+  'check', 'any', 'current', 'available', 'total', 'remaining',
+  // order-related words — prevent order queries from hitting stock fast-path
+  'order', 'orders', 'pending', 'completed', 'progress', 'inprogress',
+  'dispatch', 'dispatches', 'invoice', 'invoices', 'status', 'customer',
+  // production-related words — prevent production queries from hitting stock fast-path
+  'production', 'plan', 'data', 'number', 'pp', 'tripsheet', 'ts',
+  // company name words — "Poly Hose India Pvt Ltd" should NOT be a SKU
+  'pvt', 'ltd', 'private', 'limited', 'india', 'industries', 'company',
+  'corp', 'corporation', 'enterprises', 'solutions', 'services', 'group',
+  'hose', 'pipe', 'steel', 'metals', 'forging', 'casting', 'engineering',
+]);
+
+module.exports = [
+  // ── /help: what the bot can answer instantly ──
+  {
+    name: 'help',
+    description: 'List the commands answered instantly',
+    examples: ['/help'],
+    pattern: /^\s*\/(help|commands)\s*$/i,
+    format(results, params, ctx) {
+      let out = 'Instant answers:\n';
+      out += LINE + '\n';
+      ctx.registry.list(ctx.audience)
+        .filter(intent => intent.name !== 'help' && intent.description)
+        .forEach((intent, i) => {
+          out += `${i + 1}. ${intent.description}\n`;
+          if (intent.examples.length > 0) out += `   e.g. ${intent.examples.join(', ')}\n`;
+        });
+      out += LINE + '\n';
+      out += 'Anything else is answered by the AI assistant.';
+      return out;
+    }
+  },
+
+  // ── Order number (e.g. "ORD-2506-0738 status") ──
+  {
+    name: 'order-number',
+    description: 'Order details and dispatches by order number',
+    examples: ['ORD-2506-0738'],
+    pattern: /\bORD[-\s]?(\d{4})[-\s]?(\d+)\b/i,
+    params: match => ({ orderNumber: normaliseNumber('ORD', match) }),
+    sql: {
+      order: `
+SELECT
+  o.*,
+  c.customer_name,
+  CONCAT(g.name, ' - ', cond.name, ' - ', sh.name, ' - ', sz.name) AS sku,
+  COALESCE(SUM(w.weightment_weight), 0) AS total_dispatched,
+  (o.quantity_kg - COALESCE(SUM(w.weightment_weight), 0)) AS remaining_qty,
+  COUNT(DISTINCT d.despatchno) AS dispatch_count
+FROM thirupathybright.Database_orderregister o
+LEFT JOIN thirupathybright.mastercustomer c ON o.customer_id = c.id
+LEFT JOIN thirupathybright.Database_grade g ON o.grade_id = g.id
+LEFT JOIN thirupathybright.Database_condition cond ON o.condition_id = cond.id
+LEFT JOIN thirupathybright.Database_shape sh ON o.shape_id = sh.id
+LEFT JOIN thirupathybright.Database_size sz ON o.size_id = sz.id
+LEFT JOIN thirupathybright.Database_despatch d ON d.order_no_id = o.id
+LEFT JOIN thirupathybright.Database_weightment w ON w.despatch_no = d.despatchno
+WHERE UPPER(o.order_number) = ?
+GROUP BY o.id`.trim(),
+      dispatches: `
+SELECT
+  d.despatchno,
+  ${DISPATCH_WEIGHT} AS weight,
+  i.status AS invoice_status,
+  i.actual_time AS invoiced_at
+FROM thirupathybright.Database_despatch d
+JOIN thirupathybright.Database_orderregister o ON d.order_no_id = o.id
+LEFT JOIN thirupathybright.Database_despatchinvoice i ON i.despatch_no = d.despatchno
+WHERE UPPER(o.order_number) = ?
+ORDER BY d.despatchno`.trim()
+    },
+    args: params => [params.orderNumber],
+    format({ order, dispatches }, params) {
+      if (order.length === 0) {
+        return `Order ${params.orderNumber} not found.\nPlease check the order number and try again.`;
+      }
+      const o = order[0];
+      let out = `Order ${o.order_number}`;
+      if (o.customer_name) out += ` | ${o.customer_name}`;
+      out += '\n' + LINE + '\n';
+      if (o.sku)        out += `SKU        : ${o.sku}\n`;
+      if (o.material)   out += `Material   : ${o.material}\n`;
+      out += `Ordered    : ${formatQty(o.quantity_kg)} kg\n`;
+      out += `Dispatched : ${formatQty(o.total_dispatched)} kg\n`;
+      out += `Remaining  : ${formatQty(o.remaining_qty)} kg\n`;
+      if (o.status)     out += `Status     : ${o.status}\n`;
+      if (o.material_status && o.status !== 'completed') out += `Mat.Status : ${o.material_status}\n`;
+      if (o.expected_date && o.status !== 'completed')   out += `Expected   : ${formatDate(o.expected_date)}\n`;
+      if (o.po_number)  out += `PO Number  : ${o.po_number}${o.po_date ? ` (${formatDate(o.po_date)})` : ''}\n`;
+      if (o.rate)       out += `Rate       : ${o.rate}\n`;
+      if (o.payment_terms) out += `Payment    : ${o.payment_terms}\n`;
+
+      out += '\n';
+      if (dispatches.length === 0) {
+        out += 'No dispatches yet.\n';
+      } else {
+        out += `Dispatches (${dispatches.length}):\n`;
+        dispatches.forEach((d, i) => {
+          out += `  ${i + 1}. ${d.despatchno} | ${formatQty(d.weight)} kg`;
+          out += d.invoice_status ? ` | Invoice ${d.invoice_status}` : ' | Not invoiced';
+          if (d.invoiced_at) out += ` (${formatDate(d.invoiced_at)})`;
+          out += '\n';
+        });
+      }
+      return out;
+    }
+  },
+
+  // ── Dispatch number (e.g. "DSP-2506-0347") ──
+  {
+    name: 'dispatch-number',
+    description: 'Dispatch weight, order and invoice by dispatch number',
+    examples: ['DSP-2506-0347'],
+    pattern: /\bDSP[-\s]?(\d{4})[-\s]?(\d+)\b/i,
+    params: match => ({ despatchNo: normaliseNumber('DSP', match) }),
+    sql: `
+SELECT
+  d.*,
+  ${DISPATCH_WEIGHT} AS weight,
+  o.order_number,
+  o.customer_id,
+  c.customer_name,
+  i.status AS invoice_status,
+  i.actual_time AS invoiced_at
+FROM thirupathybright.Database_despatch d
+LEFT JOIN thirupathybright.Database_orderregister o ON d.order_no_id = o.id
+LEFT JOIN thirupathybright.mastercustomer c ON o.customer_id = c.id
+LEFT JOIN thirupathybright.Database_despatchinvoice i ON i.despatch_no = d.despatchno
+WHERE UPPER(d.despatchno) = ?`.trim(),
+    args: params => [params.despatchNo],
+    format(rows, params) {
+      if (rows.length === 0) {
+        return `Dispatch ${params.despatchNo} not found.\nPlease check the dispatch number and try again.`;
+      }
+      const d = rows[0];
+      let out = `Dispatch ${d.despatchno}\n`;
+      out += LINE + '\n';
+      if (d.order_number)  out += `Order      : ${d.order_number}\n`;
+      if (d.customer_name) out += `Customer   : ${d.customer_name}\n`;
+      out += `Weight     : ${formatQty(d.weight)} kg\n`;
+      if (d.status)        out += `Status     : ${d.status}\n`;
+      if (d.created_at)    out += `Created    : ${formatDate(d.created_at)}\n`;
+      out += `Invoice    : ${d.invoice_status || 'Not invoiced'}`;
+      if (d.invoiced_at)   out += ` (${formatDate(d.invoiced_at)})`;
+      out += '\n';
+      return out;
+    }
+  },
+
+  // ── Invoice number (e.g. "invoice INV-1024", "invoice no 1024") ──
+  // The invoice number column is taken from the live schema; without one the LLM answers.
+  {
+    name: 'invoice-number',
+    description: 'Invoice status, dispatch and order by invoice number',
+    examples: ['invoice INV-1024'],
+    pattern: [
+      /\b(INV[-/]?\d[\w/-]*)/i,
+      /\binvoice\s*(?:no\.?|number|#)\s*:?\s*([A-Z0-9][\w/-]*)/i
+    ],
+    params: match => ({ invoiceNo: match[1].toUpperCase() }),
+    async prepare(params, ctx) {
+      const schema = await ctx.agent.getSchema().catch(() => null);
+      const columns = schema?.schema?.tables?.Database_despatchinvoice?.columns || [];
+      const column = columns.find(col => /^invoice_?(no|number|num)$/i.test(col.name));
+      if (!column) return null;
+      return { ...params, column: column.name };
+    },
+    sql: params => `
+SELECT
+  i.*,
+  d.order_no_id,
+  ${DISPATCH_WEIGHT} AS weight,
+  o.order_number,
+  o.customer_id,
+  c.customer_name
+FROM thirupathybright.Database_despatchinvoice i
+LEFT JOIN thirupathybright.Database_despatch d ON d.despatchno = i.despatch_no
+LEFT JOIN thirupathybright.Database_orderregister o ON d.order_no_id = o.id
+LEFT JOIN thirupathybright.mastercustomer c ON o.customer_id = c.id
+WHERE UPPER(i.\`${params.column}\`) = ?`.trim(),
+    args: params => [params.invoiceNo],
+    format(rows, params) {
+      if (rows.length === 0) {
+        return `Invoice ${params.invoiceNo} not found.\nPlease check the invoice number and try again.`;
+      }
+      const inv = rows[0];
+      let out = `Invoice ${inv[params.column]}\n`;
+      out += LINE + '\n';
+      if (inv.despatch_no)   out += `Dispatch   : ${inv.despatch_no}\n`;
+      if (inv.order_number)  out += `Order      : ${inv.order_number}\n`;
+      if (inv.customer_name) out += `Customer   : ${inv.customer_name}\n`;
+      out += `Weight     : ${formatQty(inv.weight)} kg\n`;
+      if (inv.status)        out += `Status     : ${inv.status}\n`;
+      if (inv.actual_time)   out += `Completed  : ${formatDate(inv.actual_time)}\n`;
+      return out;
+    }
+  },
+
+  // ── Bar type / grand total stock ──
+  {
+    name: 'bar-stock-total',
+    description: 'Black bar / bright bar stock totals',
+    staffOnly: true,
+    examples: ['black bar stock', 'total stock'],
+    match(question) {
+      const hasBlackBar  = /black\s*bar/i.test(question);
+      const hasBrightBar = /bright\s*bar/i.test(question);
+      // "total stock", "all stock", "grand total" without bar type = grand total
+      const isGrandTotal = !hasBlackBar && !hasBrightBar &&
+        /\b(total|grand|all)\b.*\bstock\b|\bstock\b.*\b(total|grand|all)\b/i.test(question);
+      if (!hasBlackBar && !hasBrightBar && !isGrandTotal) return null;
+      return { grandTotal: isGrandTotal || (hasBlackBar && hasBrightBar), blackBar: hasBlackBar };
+    },
+    // Closing quantity per bar flag, for each stock register
+    sql: Object.fromEntries(Object.entries(STOCK_TABLES).map(([source, table]) => [source, `
+SELECT sk.is_blackbar, COALESCE(SUM(s.closing_qty), 0) AS closing_qty
+FROM thirupathybright.${table} s
+LEFT JOIN thirupathybright.Database_sku sk ON s.sku_id = sk.id
+WHERE sk.is_blackbar IN (0, 1)
+GROUP BY sk.is_blackbar`.trim()])),
+    format(results, params) {
+      const totals = barFlag => {
+        const sum = rows => rows
+          .filter(r => Number(r.is_blackbar) === barFlag)
+          .reduce((acc, r) => acc + parseFloat(r.closing_qty || 0), 0);
+        return { reg: sum(results.regular), rej: sum(results.rejected), quar: sum(results.quarantine) };
+      };
+
+      let out = '';
+      if (params.grandTotal) {
+        const black  = totals(1);
+        const bright = totals(0);
+        const blackTotal  = black.reg  + black.rej  + black.quar;
+        const brightTotal = bright.reg + bright.rej + bright.quar;
+        const grandTotal  = blackTotal + brightTotal;
+
+        out  = `Total Stock Summary:\n`;
+        out += LINE + '\n\n';
+        out += `Black Bar:\n`;
+        out += `  Regular Stock    : ${black.reg.toLocaleString()}\n`;
+        out += `  Rejected Stock   : ${black.rej.toLocaleString()}\n`;
+        out += `  Quarantine Stock : ${black.quar.toLocaleString()}\n`;
+        out += `  Sub-Total        : ${blackTotal.toLocaleString()}\n\n`;
+        out += `Bright Bar:\n`;
+        out += `  Regular Stock    : ${bright.reg.toLocaleString()}\n`;
+        out += `  Rejected Stock   : ${bright.rej.toLocaleString()}\n`;
+        out += `  Quarantine Stock : ${bright.quar.toLocaleString()}\n`;
+        out += `  Sub-Total        : ${brightTotal.toLocaleString()}\n\n`;
+        out += LINE + '\n';
+        out += `Grand Total        : ${grandTotal.toLocaleString()}\n`;
+      } else {
+        const barLabel = params.blackBar ? 'Black Bar' : 'Bright Bar';
+        const t = totals(params.blackBar ? 1 : 0);
+        const total = t.reg + t.rej + t.quar;
+
+        out  = `${barLabel} Stock Summary:\n`;
+        out += LINE + '\n\n';
+        out += `Regular Stock    : ${t.reg.toLocaleString()}\n`;
+        out += `Rejected Stock   : ${t.rej.toLocaleString()}\n`;
+        out += `Quarantine Stock : ${t.quar.toLocaleString()}\n`;
+        out += LINE + '\n';
+        out += `Total Stock      : ${total.toLocaleString()}\n`;
+      }
+      return out;
+    }
+  },
+
+  // ── RM tank pending ──
+  // "rm tank", "rm tank pending", "available tripsheet", "loading pending",
+  // "tripsheet pending loading", "rm pending", "rm available" etc.
+  {
+    name: 'rm-tank-pending',
+    description: 'Completed tripsheets waiting for RM loading',
+    staffOnly: true,
+    examples: ['rm tank pending'],
+    pattern: [
+      /\brm\s*tank\b/i,
+      /\brm\s*(pending|available)\b/i,
+      /\bavailable\s*tripsheet\b/i,
+      /\btripsheet\s*(pending|available)\b/i,
+      /\bpending\s*(rm|raw\s*material|loading)\b/i,
+      /\bloading\s*pending\b/i
+    ],
+    params: () => ({}),
+    sql: `
+SELECT
+    ts.tripsheetno                                      AS tripsheet_number,
+    CONCAT(
+        gr.name, '-',
+        cond.name, '-',
+        sh.name, '-',
+        sz.name
+    )                                                   AS raw_sku,
+    prod.quantity_kg                                    AS qty,
+    cust.customer_name                                  AS customer_name
+FROM thirupathybright.Database_tripsheet ts
+INNER JOIN thirupathybright.Database_production prod
+    ON ts.production_reference_id = prod.id
+LEFT JOIN thirupathybright.Database_productionapproval pa
+    ON pa.production_id = prod.id
+INNER JOIN thirupathybright.mastercustomer cust
+    ON prod.customer_id = cust.id
+INNER JOIN thirupathybright.Database_grade gr
+    ON prod.grade_id = gr.id
+INNER JOIN thirupathybright.Database_condition cond
+    ON prod.condition_id = cond.id
+INNER JOIN thirupathybright.Database_shape sh
+    ON prod.shape_id = sh.id
+INNER JOIN thirupathybright.Database_size sz
+    ON prod.raw_metal_size_id = sz.id
+WHERE ts.status = 'completed'
+  AND ts.id NOT IN (
+      SELECT ls.tripsheetno_id
+      FROM thirupathybright.Database_loadingsupervisor ls
+      WHERE ls.status != 'pending'
+  )
+ORDER BY ts.created_at DESC`.trim(),
+    format(rows, params, ctx) {
+      if (rows.length === 0) {
+        return `No pending RM tank items found.\nAll approved tripsheets have been loaded.`;
+      }
+      return agentReply(ctx, rows, { _isRmTankQuery: true });
+    }
+  },
+
+  // ── Tripsheet number (e.g. "TS-2602-001 production plan") ──
+  {
+    name: 'tripsheet-number',
+    description: 'Production plan linked to a tripsheet number',
+    examples: ['TS-2602-001'],
+    pattern: /\b(TS[-\s]\d{4}[-\s]\d+)\b/i,
+    params: match => {
+      const tsno = match[1].replace(/\s/g, '-').toUpperCase();
+      return { tsno, tsnoLike: `%${tsno.replace(/^TS[-\s]/i, '')}%` };
+    },
+    sql: `
+SELECT${PRODUCTION_COLUMNS}
+FROM thirupathybright.Database_tripsheet t
+JOIN thirupathybright.Database_production p ON t.production_reference_id = p.id${PRODUCTION_JOINS}
+WHERE UPPER(t.tripsheetno) = ? OR UPPER(t.tripsheetno) LIKE ?`.trim(),
+    args: params => [params.tsno, params.tsnoLike],
+    format(rows, params, ctx) {
+      if (rows.length === 0) {
+        return `Tripsheet ${params.tsno} not found.\nPlease check the tripsheet number and try again.`;
+      }
+      return agentReply(ctx, rows, { _isProductionQuery: true });
+    }
+  },
+
+  // ── PP number (e.g. "Pp-2602-1595 production plan data") ──
+  {
+    name: 'production-plan-number',
+    description: 'Production plan by PP number',
+    examples: ['PP-2602-1595'],
+    pattern: /\b(PP[-\s]\d{4}[-\s]\d+)\b/i,
+    params: match => {
+      // Normalise to "PP-2602-1595"; the LIKE uses just the numeric portion
+      const ppno = match[1].replace(/\s/g, '-').toUpperCase();
+      return { ppno, ppnoLike: `%${ppno.replace(/^PP[-\s]/i, '')}%` };
+    },
+    sql: `
+SELECT${PRODUCTION_COLUMNS}
+FROM thirupathybright.Database_production p${PRODUCTION_JOINS}
+LEFT JOIN thirupathybright.Database_tripsheet t ON t.production_reference_id = p.id
+WHERE UPPER(p.ppno) = ? OR UPPER(p.ppno) LIKE ? OR UPPER(p.ppnoreference) = ? OR UPPER(p.ppnoreference) LIKE ?`.trim(),
+    args: params => [params.ppno, params.ppnoLike, params.ppno, params.ppnoLike],
+    format(rows, params, ctx) {
+      if (rows.length === 0) {
+        return `Production plan ${params.ppno} not found.\nPlease check the PP number and try again.`;
+      }
+      return agentReply(ctx, rows, { _isProductionQuery: true });
+    }
+  },
+
+  // ── Production list (production or tripsheet without a specific number) ──
+  // Must come BEFORE the stock SKU intent so "Pp-XXXX production pending" isn't taken as a SKU.
+  {
+    name: 'production-list',
+    description: 'Pending, completed or cancelled production, optionally for a customer',
+    examples: ['production pending', 'completed production for Poly Hose'],
+    pattern: [/\bproduction\b/i, /\btripsheet\b/i],
+    params: (match, question) => {
+      let statuses = ['pending', 'in_progress'];
+      if (/\bcompleted?\b/i.test(question))          statuses = ['completed'];
+      else if (/\bcancel(?:led)?\b/i.test(question)) statuses = ['cancelled'];
+      return { statuses, customerIds: [] };
+    },
+    async prepare(params, ctx) {
+      const customerMatch = await ctx.findCustomer();
+      if (!customerMatch) return params;
+      // Several customers match the name: ask which one first
+      const clarification = ctx.clarifyCustomer(customerMatch);
+      if (clarification) return { ...params, clarification };
+      const customerIds = customerMatch.customers.map(c => c.id);
+      console.log(`✅ Production customer filter: IDs ${customerIds.join(', ')}`);
+      return { ...params, customerIds };
+    },
+    sql: params => {
+      if (params.clarification) return null;
+      const placeholders = values => values.map(() => '?').join(', ');
+      const customerClause = params.customerIds.length > 0
+        ? ` AND p.customer_id IN (${placeholders(params.customerIds)})`
+        : '';
+      return `
+SELECT${PRODUCTION_COLUMNS}
+FROM thirupathybright.Database_production p${PRODUCTION_JOINS}
+LEFT JOIN thirupathybright.Database_tripsheet t ON t.production_reference_id = p.id
+WHERE p.status IN (${placeholders(params.statuses)})${customerClause}
+ORDER BY p.created_at DESC`.trim();
+    },
+    args: params => [...params.statuses, ...params.customerIds],
+    format(rows, params, ctx) {
+      if (params.clarification) return params.clarification;
+      if (rows.length === 0) {
+        return `No ${params.statuses.join(' / ').replace('_', ' ')} production records found.`;
+      }
+      return agentReply(ctx, rows, { _isProductionQuery: true });
+    }
+  },
+
+  // ── Stock for a SKU code (e.g. "EN1A-Black-COIL-10 stock") ──
+  {
+    name: 'sku-stock',
+    description: 'Regular, rejected and quarantine stock for a SKU code',
+    staffOnly: true,
+    examples: ['EN1A-Black-COIL-10 stock'],
+    match(question) {
+      const stripped = question.trim().replace(/^stock\s+/i, '').replace(/\s+stock$/i, '').trim();
+      const hadStockWord = stripped.length < question.trim().length;
+      // Only a SKU if the remaining text has no natural-language words
+      const hasNaturalWords = stripped.toLowerCase().split(/\s+/).some(w => NATURAL_LANGUAGE_WORDS.has(w));
+      const looksLikeSku = !hasNaturalWords && /^[a-zA-Z0-9]+([-\s][a-zA-Z0-9.]+){1,8}$/.test(stripped);
+      if ((hadStockWord && !hasNaturalWords) || looksLikeSku) {
+        return { skuKeyword: stripped };
+      }
+      return null;
+    },
+    sql: Object.fromEntries(Object.entries(STOCK_TABLES).map(([source, table]) => [source,
+      `SELECT s.*, sk.skuname FROM thirupathybright.${table} s LEFT JOIN thirupathybright.Database_sku sk ON s.sku_id = sk.id WHERE LOWER(sk.skuname) LIKE LOWER(?)`
+    ])),
+    args: params => [`%${params.skuKeyword}%`],
+    format(results, params, ctx) {
+      // Tag each row with its source so the formatter can separate them
+      const combined = Object.entries(results).flatMap(([source, rows]) =>
+        rows.map(r => ({ ...r, _stockSource: source }))
+      );
+      if (combined.length === 0) {
+        return `No stock found for "${params.skuKeyword}".\nPlease check the SKU code and try again.`;
+      }
+      return { reply: agentReply(ctx, combined, { _isStockQuery: true }), rows: combined };
+    }
+  }
+];
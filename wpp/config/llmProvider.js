@@ -0,0 +1,306 @@
+// LLM Provider - One chat-completion interface for every AI feature
+// Adapters: Sarvam, any OpenAI-compatible endpoint (OpenAI, llama.cpp server, vLLM...),
+// Ollama's native API, and a deterministic mock for tests.
+//
+// Configuration (later sources override earlier ones):
+//   1. Defaults below (no secrets)
+//   2. JSON file: LLM_CONFIG_FILE, or llm_config.json in the project root
+//   3. Environment variables (see applyEnv)
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = process.env.LLM_CONFIG_FILE || path.join(__dirname, '..', '..', 'llm_config.json');
+
+const DEFAULT_CONFIG = {
+  // Provider used by features that don't name one
+  provider: 'sarvam',
+  timeoutMs: 60000,
+  retries: 2,
+  retryDelayMs: 1000,
+  providers: {
+    sarvam: { type: 'sarvam', url: 'https://api.sarvam.ai/v1/chat/completions', apiKey: '', model: 'sarvam-m', requiresApiKey: true },
+    openai: { type: 'openai', url: 'https://api.openai.com/v1/chat/completions', apiKey: '', model: 'gpt-4o-mini', requiresApiKey: true },
+    // llama.cpp "llama-server" (or any local OpenAI-compatible server)
+    local: { type: 'openai', url: 'http://127.0.0.1:8080/v1/chat/completions', apiKey: '', model: 'local' },
+    ollama: { type: 'ollama', url: 'http://127.0.0.1:11434/api/chat', model: 'llama3.1' },
+    mock: { type: 'mock', model: 'mock', responses: [] }
+  },
+  // Per-feature overrides: { provider, model, timeoutMs, retries, temperature }
+  features: {
+    chat: {},
+    sql: { temperature: 0 }
+  }
+};
+
+let config = null;
+// Responses set by tests at runtime (checked before the configured mock responses)
+let mockResponses = [];
+
+// Errors worth another attempt: timeouts, network failures, rate limits, server errors
+function isRetryable(error) {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return true;
+}
+
+function httpError(providerName, status, body) {
+  const error = new Error(`${providerName} API error: ${status} - ${String(body).substring(0, 300)}`);
+  error.status = status;
+  return error;
+}
+
+// Chain-of-thought some models (sarvam-m, deepseek/qwen reasoning) wrap in <think> tags
+function stripThinking(text) {
+  return String(text || '').replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+}
+
+async function postJson(providerName, url, headers, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw httpError(providerName, response.status, await response.text());
+  }
+  return response.json();
+}
+
+// Adapters: (providerConfig, request) -> { text, usage }
+const ADAPTERS = {
+  async sarvam(provider, request) {
+    const data = await postJson(provider.name, provider.url, {
+      'api-subscription-key': provider.apiKey
+    }, {
+      model: request.model,
+      messages: request.messages,
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(request.maxTokens && { max_tokens: request.maxTokens })
+    }, request.timeoutMs);
+    return { text: data.choices?.[0]?.message?.content, usage: data.usage || null };
+  },
+
+  async openai(provider, request) {
+    const headers = provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {};
+    const data = await postJson(provider.name, provider.url, headers, {
+      model: request.model,
+      messages: request.messages,
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(request.maxTokens && { max_tokens: request.maxTokens })
+    }, request.timeoutMs);
+    return { text: data.choices?.[0]?.message?.content, usage: data.usage || null };
+  },
+
+  async ollama(provider, request) {
+    const options = {};
+    if (request.temperature !== undefined) options.temperature = request.temperature;
+    if (request.maxTokens) options.num_predict = request.maxTokens;
+    const data = await postJson(provider.name, provider.url, {}, {
+      model: request.model,
+      messages: request.messages,
+      stream: false,
+      options
+    }, request.timeoutMs);
+    return {
+      text: data.message?.content,
+      usage: { prompt_tokens: data.prompt_eval_count, completion_tokens: data.eval_count }
+    };
+  },
+
+  // Same input, same output: first matching { match, text } wins, matched against the
+  // last user message; otherwise a fixed reply per feature
+  async mock(provider, request) {
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    const content = lastUser ? lastUser.content : '';
+    const rules = [...mockResponses, ...(provider.responses || [])];
+
+    for (const rule of rules) {
+      if (rule.feature && rule.feature !== request.feature) continue;
+      if (!rule.match || new RegExp(rule.match, 'i').test(content)) {
+        return { text: rule.text, usage: null };
+      }
+    }
+
+    if (request.feature === 'sql') {
+      return { text: 'SELECT id, customer_name FROM thirupathybright.mastercustomer LIMIT 5', usage: null };
+    }
+    return { text: `Mock reply to: ${content.split('\n').pop().substring(0, 200)}`, usage: null };
+  }
+};
+
+class LLMProvider {
+  // Environment overrides (kept flat so they are easy to set in a service file)
+  static applyEnv(cfg) {
+    const env = process.env;
+    const setProvider = (name, fields) => {
+      cfg.providers[name] = cfg.providers[name] || {};
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== '') cfg.providers[name][key] = value;
+      }
+    };
+
+    if (env.LLM_PROVIDER) cfg.provider = env.LLM_PROVIDER;
+    if (env.LLM_TIMEOUT_MS) cfg.timeoutMs = Number(env.LLM_TIMEOUT_MS);
+    if (env.LLM_RETRIES) cfg.retries = Number(env.LLM_RETRIES);
+
+    setProvider('sarvam', { apiKey: env.SARVAM_API_KEY, url: env.SARVAM_API_URL, model: env.SARVAM_MODEL });
+    setProvider('openai', {
+      apiKey: env.OPENAI_API_KEY,
+      url: env.OPENAI_BASE_URL && `${env.OPENAI_BASE_URL.replace(/\/$/, '')}/chat/completions`,
+      model: env.OPENAI_MODEL
+    });
+    setProvider('local', { url: env.LOCAL_LLM_URL, model: env.LOCAL_LLM_MODEL, apiKey: env.LOCAL_LLM_API_KEY });
+    setProvider('ollama', { url: env.OLLAMA_URL, model: env.OLLAMA_MODEL });
+
+    // LLM_CHAT_PROVIDER / LLM_CHAT_MODEL, LLM_SQL_PROVIDER / LLM_SQL_MODEL, ...
+    for (const feature of Object.keys(cfg.features)) {
+      const prefix = `LLM_${feature.toUpperCase()}_`;
+      if (env[`${prefix}PROVIDER`]) cfg.features[feature].provider = env[`${prefix}PROVIDER`];
+      if (env[`${prefix}MODEL`]) cfg.features[feature].model = env[`${prefix}MODEL`];
+    }
+    return cfg;
+  }
+
+  // Load (once) and return the merged configuration
+  static getConfig() {
+    if (config) return config;
+
+    const cfg = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    if (fs.existsSync(CONFIG_FILE)) {
+      try {
+        const fileConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        const { providers = {}, features = {}, ...rest } = fileConfig;
+        Object.assign(cfg, rest);
+        for (const [name, provider] of Object.entries(providers)) {
+          cfg.providers[name] = { ...cfg.providers[name], ...provider };
+        }
+        for (const [name, feature] of Object.entries(features)) {
+          cfg.features[name] = { ...cfg.features[name], ...feature };
+        }
+        console.log(`✅ LLM config loaded from ${CONFIG_FILE}`);
+      } catch (error) {
+        console.error(`❌ Error reading ${CONFIG_FILE}:`, error.message);
+      }
+    }
+
+    config = this.applyEnv(cfg);
+    return config;
+  }
+
+  // Forget the loaded configuration (next call re-reads file and environment)
+  static reload() {
+    config = null;
+    return this.getConfig();
+  }
+
+  // Resolve provider, model and limits for a feature ("chat", "sql", ...)
+  static resolve(feature = 'chat', overrides = {}) {
+    const cfg = this.getConfig();
+    const featureConfig = { ...(cfg.features[feature] || {}), ...overrides };
+    const providerName = featureConfig.provider || cfg.provider;
+    const provider = cfg.providers[providerName];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${providerName}" for feature "${feature}"`);
+    }
+    if (!ADAPTERS[provider.type]) {
+      throw new Error(`Unknown LLM provider type "${provider.type}" (provider "${providerName}")`);
+    }
+    if (provider.requiresApiKey && !provider.apiKey) {
+      throw new Error(`No API key configured for LLM provider "${providerName}"`);
+    }
+
+    return {
+      provider: { ...provider, name: providerName },
+      model: featureConfig.model || provider.model,
+      timeoutMs: featureConfig.timeoutMs || provider.timeoutMs || cfg.timeoutMs,
+      retries: featureConfig.retries ?? provider.retries ?? cfg.retries,
+      retryDelayMs: cfg.retryDelayMs,
+      temperature: featureConfig.temperature
+    };
+  }
+
+  /**
+   * Send a chat completion
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} [options]
+   * @param {string} [options.feature] - Feature name used to pick provider/model ("chat", "sql")
+   * @param {string} [options.provider] - Override the provider for this call
+   * @param {string} [options.model] - Override the model for this call
+   * @param {number} [options.temperature]
+   * @param {number} [options.maxTokens]
+   * @returns {Promise<{ text: string, provider: string, model: string, usage: Object|null, attempts: number }>}
+   */
+  static async chat(messages, options = {}) {
+    const feature = options.feature || 'chat';
+    const overrides = {};
+    for (const key of ['provider', 'model', 'temperature', 'timeoutMs']) {
+      if (options[key] !== undefined) overrides[key] = options[key];
+    }
+    const target = this.resolve(feature, overrides);
+    const adapter = ADAPTERS[target.provider.type];
+    const request = {
+      feature,
+      messages,
+      model: target.model,
+      temperature: target.temperature,
+      maxTokens: options.maxTokens,
+      timeoutMs: target.timeoutMs
+    };
+
+    let attempt = 0;
+    while (true) {
+      attempt++;
+      const started = Date.now();
+      try {
+        const result = await adapter(target.provider, request);
+        console.log(`✅ [LLM] ${feature} via ${target.provider.name}/${target.model} in ${Date.now() - started}ms`);
+        return {
+          text: stripThinking(result.text),
+          provider: target.provider.name,
+          model: target.model,
+          usage: result.usage,
+          attempts: attempt
+        };
+      } catch (caught) {
+        let error = caught;
+        if (caught.name === 'TimeoutError') {
+          error = new Error(`${target.provider.name} did not answer within ${target.timeoutMs}ms`);
+          error.name = 'TimeoutError';
+        }
+        if (attempt > target.retries || !isRetryable(error)) {
+          console.error(`❌ [LLM] ${feature} via ${target.provider.name} failed after ${attempt} attempt(s): ${error.message}`);
+          throw error;
+        }
+        const delay = target.retryDelayMs * Math.pow(2, attempt - 1);
+        console.warn(`⚠️ [LLM] ${feature} via ${target.provider.name} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Tests: make the mock provider answer with these rules ({ match, text, feature })
+  static setMockResponses(rules = []) {
+    mockResponses = rules;
+  }
+
+  // Provider/model per feature, without secrets (for status pages and logs)
+  static describe() {
+    const cfg = this.getConfig();
+    const features = {};
+    for (const feature of Object.keys(cfg.features)) {
+      const featureConfig = cfg.features[feature];
+      const providerName = featureConfig.provider || cfg.provider;
+      const provider = cfg.providers[providerName] || {};
+      features[feature] = {
+        provider: providerName,
+        type: provider.type,
+        model: featureConfig.model || provider.model,
+        url: provider.url
+      };
+    }
+    return { timeoutMs: cfg.timeoutMs, retries: cfg.retries, features };
+  }
+}
+
+module.exports = LLMProvider;
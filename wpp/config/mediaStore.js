@@ -0,0 +1,168 @@
+// Media Store - Attachments of queued WhatsApp messages (images, documents, voice notes)
+// Each queued message with an attachment gets its own file in queue_media/, next to
+// message_queue.json, so queued media survives a restart. The queue item keeps a small
+// descriptor ({ type, file, filename, mimetype, size, voiceNote }) and the file is deleted
+// with the item.
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_DIR = path.join(__dirname, '..', 'queue_media');
+
+// What WhatsApp accepts, and the size limits it applies
+const MEDIA_TYPES = {
+  image: {
+    mimetypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxBytes: 5 * 1024 * 1024
+  },
+  document: {
+    mimetypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/csv',
+      'text/plain'
+    ],
+    maxBytes: 50 * 1024 * 1024
+  },
+  audio: {
+    mimetypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr'],
+    maxBytes: 16 * 1024 * 1024
+  }
+};
+
+// Files younger than this are never pruned: they may be about to be queued
+const PRUNE_GRACE_MS = 60 * 1000;
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+class MediaStore {
+  // Initialize media directory if it doesn't exist
+  static init() {
+    if (!fs.existsSync(MEDIA_DIR)) {
+      fs.mkdirSync(MEDIA_DIR, { recursive: true });
+      console.log('📁 Created queue_media directory');
+    }
+  }
+
+  static get MEDIA_TYPES() {
+    return MEDIA_TYPES;
+  }
+
+  // 'image' | 'document' | 'audio' for a mimetype (parameters like "; codecs=opus" ignored)
+  static typeOf(mimetype) {
+    const base = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    return Object.keys(MEDIA_TYPES).find(type => MEDIA_TYPES[type].mimetypes.includes(base)) || null;
+  }
+
+  /**
+   * The attachment of a send request, or null when there is none.
+   * Accepts a multipart upload in the `file` field (multer), or JSON
+   * `media: { data: "<base64>", filename, mimetype }`. `voiceNote` sends audio as a voice note.
+   * A multer temp file is always deleted once read.
+   * @returns {{ type: string, buffer: Buffer, filename: string, mimetype: string,
+   *   size: number, voiceNote: boolean } | null}
+   */
+  static readAttachment(req) {
+    const body = req.body || {};
+    const voiceNote = body.voiceNote === true || body.voiceNote === 'true';
+    let attachment = null;
+
+    if (req.file) {
+      try {
+        attachment = {
+          buffer: fs.readFileSync(req.file.path),
+          filename: req.file.originalname,
+          mimetype: req.file.mimetype
+        };
+      } finally {
+        fs.unlink(req.file.path, () => {});
+      }
+    } else if (body.media) {
+      const { data, filename, mimetype } = body.media;
+      if (!data || !mimetype) {
+        throw new Error('media needs data (base64) and mimetype');
+      }
+      attachment = {
+        buffer: Buffer.from(String(data).replace(/^data:[^,]*,/, ''), 'base64'),
+        filename: filename || 'attachment',
+        mimetype
+      };
+    }
+
+    if (!attachment) return null;
+
+    const type = this.typeOf(attachment.mimetype);
+    if (!type) {
+      const allowed = Object.values(MEDIA_TYPES).flatMap(t => t.mimetypes);
+      throw new Error(`Unsupported attachment type ${attachment.mimetype}. Allowed: ${allowed.join(', ')}`);
+    }
+    if (attachment.buffer.length === 0) {
+      throw new Error('Attachment is empty');
+    }
+    if (attachment.buffer.length > MEDIA_TYPES[type].maxBytes) {
+      throw new Error(`${type} attachments can be at most ${formatSize(MEDIA_TYPES[type].maxBytes)}`);
+    }
+
+    return {
+      ...attachment,
+      type,
+      filename: path.basename(attachment.filename),
+      size: attachment.buffer.length,
+      voiceNote: type === 'audio' && voiceNote
+    };
+  }
+
+  // Store an attachment for one queued message; returns the descriptor kept on the queue item
+  static save(attachment) {
+    this.init();
+    const file = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}${path.extname(attachment.filename)}`;
+    fs.writeFileSync(path.join(MEDIA_DIR, file), attachment.buffer);
+    return {
+      type: attachment.type,
+      file,
+      filename: attachment.filename,
+      mimetype: attachment.mimetype,
+      size: attachment.size,
+      voiceNote: attachment.voiceNote
+    };
+  }
+
+  // Descriptor -> attachment with its buffer (throws if the file is gone)
+  static load(media) {
+    return { ...media, buffer: fs.readFileSync(path.join(MEDIA_DIR, path.basename(media.file))) };
+  }
+
+  static remove(media) {
+    if (!media || !media.file) return;
+    try {
+      fs.unlinkSync(path.join(MEDIA_DIR, path.basename(media.file)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing queued media:', error.message);
+      }
+    }
+  }
+
+  // Delete files no queue item refers to (left behind by a crash); returns the number deleted
+  static prune(queue) {
+    if (!fs.existsSync(MEDIA_DIR)) return 0;
+    const referenced = new Set(queue.filter(item => item.media).map(item => item.media.file));
+    let deleted = 0;
+    for (const file of fs.readdirSync(MEDIA_DIR)) {
+      const filePath = path.join(MEDIA_DIR, file);
+      if (referenced.has(file) || Date.now() - fs.statSync(filePath).mtimeMs < PRUNE_GRACE_MS) continue;
+      fs.unlinkSync(filePath);
+      deleted++;
+    }
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} unused queued media file(s)`);
+    }
+    return deleted;
+  }
+}
+
+module.exports = MediaStore;
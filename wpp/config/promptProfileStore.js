@@ -0,0 +1,248 @@
+// Prompt Profile Store - Versioned system prompts bound to WhatsApp sessions
+// Each profile (e.g. sales, dispatch, HR) keeps every saved version of its prompt and
+// one active version; rolling back makes an older version active again. A session's AI
+// mode uses the active version of the profile bound to it, or the default prompt.
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = path.join(__dirname, '..', 'prompt_profiles.json');
+
+// Versions kept per profile (the active one is never dropped)
+const MAX_VERSIONS = 50;
+
+// Used by sessions without a profile (provider and model come from LLMProvider config)
+const DEFAULT_PROMPT = `You are an AI assistant for Thirupathybright Industries with DIRECT DATABASE ACCESS.
+
+CAPABILITIES:
+- Real-time access to company database
+- Automatic SQL query generation for orders, customers, dispatches, invoices, weightments
+- You will receive actual data from the database - present it clearly and concisely
+
+WHEN PRESENTING ORDER INFORMATION, SHOW ONLY:
+
+Order Number: [order_number]
+Status: [status]
+Material Status: [material_status] (only for pending/in_progress)
+
+PO Number: [po_number]
+PO Date: [po_date]
+Expected Delivery Date: [expected_date] (only for pending/in_progress)
+
+Customer Name: [customer_name]
+
+Material: [material]
+Quantity: [quantity_kg] kg
+Rate: [rate]
+Payment Terms: [payment_terms]
+Delivery Address: [delivery_address]
+
+Current Status:
+Total Dispatched: [total_dispatched] kg
+Remaining: [remaining_qty] kg
+
+(If dispatches exist, list each dispatch with weight and completion date)
+
+STATUS-BASED RULES:
+- PENDING: Show "Production is yet to begin" if material_status is empty
+- IN_PROGRESS: Show material status, expected date, dispatch progress, remaining quantity
+- COMPLETED: Show dispatch details with dates (DO NOT show material status or expected date)
+
+Keep responses simple and concise. No extra formatting, emojis, or verbose explanations.`;
+
+function emptyStore() {
+  return { profiles: {}, bindings: {} };
+}
+
+class PromptProfileStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(emptyStore(), null, 2));
+      console.log('📄 Created prompt_profiles.json file');
+    }
+  }
+
+  static read() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+      return { profiles: data.profiles || {}, bindings: data.bindings || {} };
+    } catch (error) {
+      console.error('Error reading prompt_profiles.json:', error);
+      return emptyStore();
+    }
+  }
+
+  static write(data) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Error writing prompt_profiles.json:', error);
+    }
+  }
+
+  static get DEFAULT_PROMPT() {
+    return DEFAULT_PROMPT;
+  }
+
+  // Profiles without their version history, with the sessions bound to each
+  static listProfiles() {
+    const { profiles, bindings } = this.read();
+    return Object.values(profiles)
+      .map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        description: profile.description,
+        activeVersion: profile.activeVersion,
+        versionCount: profile.versions.length,
+        prompt: this.getVersion(profile, profile.activeVersion).prompt,
+        sessions: Object.keys(bindings).filter(sessionId => bindings[sessionId] === profile.id),
+        updatedAt: profile.updatedAt
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A profile with its versions.
+   * @returns {{ id: string, name: string, description: string, activeVersion: number,
+   *   versions: { version: number, prompt: string, note: string, createdBy: string|null,
+   *   createdAt: string }[], createdAt: string, updatedAt: string } | null}
+   */
+  static getProfile(profileId) {
+    return this.read().profiles[profileId] || null;
+  }
+
+  static getVersion(profile, version) {
+    return profile.versions.find(v => v.version === Number(version)) || null;
+  }
+
+  static validatePrompt(prompt) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error('Prompt cannot be empty');
+    }
+    return prompt.trim();
+  }
+
+  static createProfile({ name, description = '', prompt, createdBy = null }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Profile name is required');
+    }
+    const text = this.validatePrompt(prompt);
+    const data = this.read();
+    const trimmedName = String(name).trim();
+    if (Object.values(data.profiles).some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+      throw new Error(`A profile named "${trimmedName}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: `prompt_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: trimmedName,
+      description: String(description || '').trim(),
+      activeVersion: 1,
+      versions: [{ version: 1, prompt: text, note: 'Created', createdBy, createdAt: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    data.profiles[profile.id] = profile;
+    this.write(data);
+    console.log(`📝 Prompt profile "${profile.name}" created`);
+    return profile;
+  }
+
+  // Save a new version of the prompt and make it active
+  static saveVersion(profileId, { prompt, note = '', createdBy = null, name, description }) {
+    const text = this.validatePrompt(prompt);
+    const data = this.read();
+    const profile = data.profiles[profileId];
+    if (!profile) {
+      throw new Error('Prompt profile not found');
+    }
+
+    const now = new Date().toISOString();
+    const version = Math.max(...profile.versions.map(v => v.version)) + 1;
+    profile.versions.push({ version, prompt: text, note: String(note || '').trim(), createdBy, createdAt: now });
+    profile.activeVersion = version;
+    if (name && String(name).trim()) profile.name = String(name).trim();
+    if (typeof description === 'string') profile.description = description.trim();
+    profile.updatedAt = now;
+
+    // Drop the oldest versions beyond the cap
+    if (profile.versions.length > MAX_VERSIONS) {
+      profile.versions = profile.versions.slice(-MAX_VERSIONS);
+    }
+
+    this.write(data);
+    console.log(`📝 Prompt profile "${profile.name}" saved as v${version}`);
+    return profile;
+  }
+
+  // Make an earlier version active again (history is kept)
+  static rollback(profileId, version) {
+    const data = this.read();
+    const profile = data.profiles[profileId];
+    if (!profile) {
+      throw new Error('Prompt profile not found');
+    }
+    if (!this.getVersion(profile, version)) {
+      throw new Error(`Version ${version} not found`);
+    }
+    profile.activeVersion = Number(version);
+    profile.updatedAt = new Date().toISOString();
+    this.write(data);
+    console.log(`↩️ Prompt profile "${profile.name}" rolled back to v${version}`);
+    return profile;
+  }
+
+  // Delete a profile; sessions bound to it go back to the default prompt
+  static deleteProfile(profileId) {
+    const data = this.read();
+    if (!data.profiles[profileId]) return false;
+    delete data.profiles[profileId];
+    for (const [sessionId, boundId] of Object.entries(data.bindings)) {
+      if (boundId === profileId) delete data.bindings[sessionId];
+    }
+    this.write(data);
+    return true;
+  }
+
+  // Bind a session to a profile (null for the default prompt)
+  static bindSession(sessionId, profileId) {
+    const data = this.read();
+    if (profileId) {
+      if (!data.profiles[profileId]) {
+        throw new Error('Prompt profile not found');
+      }
+      data.bindings[sessionId] = profileId;
+    } else {
+      delete data.bindings[sessionId];
+    }
+    this.write(data);
+    return profileId || null;
+  }
+
+  static getBindings() {
+    return this.read().bindings;
+  }
+
+  /**
+   * The prompt a session's AI mode answers with.
+   * @param {string} [sessionId]
+   * @returns {{ profileId: string|null, name: string, version: number|null, prompt: string }}
+   */
+  static resolvePrompt(sessionId) {
+    const { profiles, bindings } = this.read();
+    const profile = sessionId ? profiles[bindings[sessionId]] : null;
+    const active = profile ? this.getVersion(profile, profile.activeVersion) : null;
+    if (!active) {
+      return { profileId: null, name: 'Default', version: null, prompt: DEFAULT_PROMPT };
+    }
+    return { profileId: profile.id, name: profile.name, version: active.version, prompt: active.prompt };
+  }
+}
+
+PromptProfileStore.init();
+
+module.exports = PromptProfileStore;
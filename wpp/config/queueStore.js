@@ -1,6 +1,7 @@
 // JSON-based Queue Storage
 const fs = require('fs');
 const path = require('path');
+const MediaStore = require('./mediaStore');
 
 const QUEUE_FILE = path.join(__dirname, '..', 'message_queue.json');
 
@@ -34,13 +35,17 @@ class QueueStore {
   }
 
   // Add message to queue
-  static addMessage(phone, message, feature = null) {
+  // client: { id, name } of the API client that submitted it (null for the dashboard and internal senders)
+  // media: descriptor from MediaStore.save; message is then the caption
+  static addMessage(phone, message, feature = null, client = null, media = null) {
     const queue = this.readQueue();
     const queueItem = {
       id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       phone,
       message,
       feature,
+      client,
+      media,
       timestamp: Date.now(),
       status: 'pending',
       createdAt: new Date().toISOString()
@@ -84,14 +89,35 @@ class QueueStore {
     return false;
   }
 
-  // Delete message from queue
+  // Delete message from queue (and its attachment)
   static deleteMessage(messageId) {
     const queue = this.readQueue();
     const filtered = queue.filter(item => item.id !== messageId);
     this.writeQueue(filtered);
+    queue.filter(item => item.id === messageId).forEach(item => MediaStore.remove(item.media));
     return true;
   }
 
+  // Remove the pending messages an API client submitted; returns the removed items
+  static removePendingForClient(clientId) {
+    const queue = this.readQueue();
+    const removed = queue.filter(item => item.status === 'pending' && item.client && item.client.id === clientId);
+    if (removed.length > 0) {
+      this.writeQueue(queue.filter(item => !removed.includes(item)));
+      removed.forEach(item => MediaStore.remove(item.media));
+    }
+    return removed;
+  }
+
+  // Pending messages per API client id
+  static countPendingByClient() {
+    const counts = {};
+    for (const item of this.getPendingMessages()) {
+      if (item.client) counts[item.client.id] = (counts[item.client.id] || 0) + 1;
+    }
+    return counts;
+  }
+
   // Get queue length
   static getQueueLength() {
     return this.getPendingMessages().length;
@@ -112,6 +138,8 @@ class QueueStore {
     });
 
     this.writeQueue(filtered);
+    queue.filter(item => !filtered.includes(item)).forEach(item => MediaStore.remove(item.media));
+    MediaStore.prune(filtered);
     return queue.length - filtered.length; // Return number of deleted items
   }
 
@@ -129,6 +157,7 @@ class QueueStore {
 
   // Clear entire queue
   static clearAll() {
+    this.readQueue().forEach(item => MediaStore.remove(item.media));
     this.writeQueue([]);
     return true;
   }
@@ -136,5 +165,6 @@ class QueueStore {
 
 // Initialize on module load
 QueueStore.init();
+MediaStore.prune(QueueStore.readQueue());
 
 module.exports = QueueStore;
@@ -0,0 +1,192 @@
+// Result Context - The last result set shown to each user, for follow-up questions
+// "the second one", "that order", "those invoices" are resolved against the records the
+// user just saw, so the next query can be restricted to exactly those ids.
+// Kept in memory only: a restart simply forgets the previous answer.
+const RowLevelSecurity = require('./rowLevelSecurity');
+
+const TTL_MS = 30 * 60 * 1000;
+const MAX_CONVERSATIONS = 500;
+// Records remembered per answer (lists longer than this are only referable as a whole)
+const MAX_ITEMS = 50;
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+// What a follow-up can point at
+const NOUNS = 'one|order|dispatch|despatch|invoice|customer|record|item|entry|row';
+
+// A question naming its own order/dispatch/tripsheet/plan number is a new question
+// ("ORD-2506-0738", "order no 2506-0738", "dispatch 10452"; "order no. 2" is still a position)
+const EXPLICIT_ID = /\b(ORD|DSP|TS|PP|INV)[-\s]?\d|\b(?:order|dispatch|despatch|invoice)\s*(?:no\.?|number|#)?\s*\d{3,}/i;
+
+// Day-of-month context: "on 15th", "15th march", "the 2nd of June" are dates, not positions
+// ("may" is left out: "may I see the 2nd one")
+const MONTHS = 'jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec|' +
+  'january|february|march|april|june|july|august|september|october|november|december';
+const DATE_CONTEXT = new RegExp(`\\b(?:${MONTHS}|month|date|dated|week|today|yesterday|tomorrow)\\b`);
+const DATE_PREPOSITION = /\b(?:on|from|to|since|until|till|before|after|by|between|and)\s+(?:the\s+)?$/;
+
+// conversation key -> { question, items, total, savedAt }
+const contexts = new Map();
+
+class ResultContext {
+  // Ids worth remembering from one result row
+  static extractItem(row) {
+    const item = {};
+    if (row.order_number) item.orderNumber = String(row.order_number);
+    // "id" is the order id only on order rows; dispatch rows carry order_no_id
+    if (row.order_no_id) item.orderId = row.order_no_id;
+    else if (row.order_number && row.id) item.orderId = row.id;
+    if (row.customer_id) item.customerId = row.customer_id;
+    // A mastercustomer row: its own id is the customer id
+    else if (row.customer_name && row.id && !item.orderNumber && !row.despatchno) item.customerId = row.id;
+    if (row.customer_name) item.customerName = String(row.customer_name);
+    const despatchNo = row.despatchno || row.despatch_no;
+    if (despatchNo) item.despatchNo = String(despatchNo);
+    return Object.keys(item).length > 0 ? item : null;
+  }
+
+  /**
+   * Remember the rows of an answer for the next question.
+   * Rows without order, customer or dispatch ids (stock, production) clear the context.
+   * @param {string} key - Conversation key (user JID or phone number)
+   * @param {string} question - Question that produced the rows
+   * @param {Object[]} rows - Result rows, in the order they were shown
+   */
+  static remember(key, question, rows) {
+    if (!key) return;
+    const items = (rows || []).slice(0, MAX_ITEMS).map(row => this.extractItem(row));
+    if (items.length === 0 || items.some(item => !item)) {
+      contexts.delete(key);
+      return;
+    }
+
+    contexts.delete(key);
+    contexts.set(key, { question, items, total: rows.length, savedAt: Date.now() });
+    // Drop the least recently used conversation
+    if (contexts.size > MAX_CONVERSATIONS) {
+      contexts.delete(contexts.keys().next().value);
+    }
+  }
+
+  static get(key) {
+    const entry = contexts.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.savedAt > TTL_MS) {
+      contexts.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  static clear(key) {
+    contexts.delete(key);
+  }
+
+  // 1-based position the question points at, -1 for "the last one", or null
+  static findPosition(question) {
+    const text = question.toLowerCase();
+    const ordinalWord = Object.keys(ORDINAL_WORDS).join('|');
+
+    // "the second one", "second order", "the first" (but not "the first 10 orders")
+    let match = text.match(new RegExp(`\\b(?:the\\s+(${ordinalWord})\\b(?!\\s+\\d)|(${ordinalWord})\\s+(?:${NOUNS})\\b)`));
+    if (match) return ORDINAL_WORDS[match[1] || match[2]];
+
+    // "2nd one", "the 3rd order", "the 2nd" - only without a date around it
+    match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)\\b(\\s+(?:${NOUNS})\\b)?`));
+    if (match && !DATE_CONTEXT.test(text) && !DATE_PREPOSITION.test(text.slice(0, match.index))) {
+      const afterThe = /\bthe\s+$/.test(text.slice(0, match.index));
+      if (match[2] || afterThe) return Number(match[1]);
+    }
+
+    // "#2", "no. 2", "number 2", "item 2"
+    match = text.match(/(?:#|\bno\.?\s*|\bnumber\s+|\bitem\s+)(\d{1,2})\b/);
+    if (match) return Number(match[1]);
+
+    if (new RegExp(`\\b(?:the\\s+)?last\\s+(?:${NOUNS})\\b|\\bthe\\s+last\\b(?!\\s+\\d)`).test(text)) return -1;
+    return null;
+  }
+
+  // True if the question points back at the previous answer without a position
+  // ("it"/"its"/"their" are left out: "ORD-1 and its dispatches" refers to its own subject)
+  static isReference(question) {
+    const text = question.toLowerCase();
+    return new RegExp(`\\b(?:that|this|same)\\s+(?:${NOUNS})\\b`).test(text) ||
+      /\b(those|these|them|above)\b/.test(text);
+  }
+
+  // Order predicate restricting a query to the selected records (null if they carry no order/customer ids)
+  static buildOrderPredicate(items) {
+    const unique = field => [...new Set(items.map(item => item[field]).filter(v => v !== undefined))];
+    if (items.every(item => item.orderNumber)) {
+      return RowLevelSecurity.inList('order_number', unique('orderNumber'));
+    }
+    if (items.every(item => item.orderId)) {
+      return RowLevelSecurity.inList('id', unique('orderId'));
+    }
+    if (items.every(item => item.customerId)) {
+      return RowLevelSecurity.inList('customer_id', unique('customerId'));
+    }
+    return null;
+  }
+
+  static describeItem(item) {
+    const parts = [];
+    if (item.orderNumber) parts.push(`order ${item.orderNumber}`);
+    if (item.orderId) parts.push(`order id ${item.orderId}`);
+    if (item.despatchNo) parts.push(`dispatch ${item.despatchNo}`);
+    if (item.customerName) parts.push(`customer ${item.customerName}`);
+    if (item.customerId) parts.push(`customer id ${item.customerId}`);
+    return parts.join(', ');
+  }
+
+  /**
+   * Resolve a follow-up question against the user's previous answer.
+   * @param {string} key - Conversation key
+   * @param {string} question - The new question
+   * @returns {{ items: Object[], previousQuestion: string, orderPredicate: string|null, hint: string } | null}
+   *   - null when it is not a follow-up
+   */
+  static resolve(key, question) {
+    if (!key || !question || EXPLICIT_ID.test(question)) return null;
+    const entry = this.get(key);
+    if (!entry) return null;
+
+    let position = this.findPosition(question);
+    let items;
+    if (position !== null) {
+      if (position === -1) {
+        // Only the first MAX_ITEMS rows are kept, so "the last one" of a longer list is unknown
+        if (entry.total > entry.items.length) return null;
+        position = entry.items.length;
+      }
+      // Out of range: let the question be answered on its own
+      if (position < 1 || position > entry.items.length) return null;
+      items = [entry.items[position - 1]];
+    } else if (this.isReference(question)) {
+      // "that order" after a one-row answer, or "them"/"those" after a list
+      items = entry.items;
+    } else {
+      return null;
+    }
+
+    const lines = items.map((item, i) =>
+      `${position !== null ? position : i + 1}. ${this.describeItem(item)}`
+    );
+    const hint = `The question refers to the previous answer (to "${entry.question}").
+Records it refers to:
+${lines.join('\n')}
+Answer only about these records.`;
+
+    return {
+      items,
+      previousQuestion: entry.question,
+      orderPredicate: this.buildOrderPredicate(items),
+      hint
+    };
+  }
+}
+
+module.exports = ResultContext;
@@ -0,0 +1,236 @@
+// Row-Level Security - Restricts generated SQL to a set of orders
+// Every reference to an order table (FROM, JOIN, subquery, CTE, UNION branch) is
+// replaced with a filtered derived table, so the restriction does not depend on
+// the LLM remembering a WHERE clause. The rewritten AST is what gets executed.
+// The filter is a predicate on Database_orderregister (e.g. the user's marketing
+// persons, or the orders a follow-up question refers to). For a customer account,
+// the customer master and production tables are restricted to its customer ids too.
+const { Parser } = require('node-sql-parser');
+
+const parser = new Parser();
+const PARSER_OPTIONS = { database: 'MySQL' };
+const DEFAULT_DB = 'thirupathybright';
+
+// MySQL string literal that stays a literal with or without NO_BACKSLASH_ESCAPES
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+// Tables whose rows belong to an order, and how each is scoped by the order predicate.
+// Keys are lower-case; table names are matched case-insensitively.
+const SCOPED_TABLES = {
+  database_orderregister: (db, orderPredicate) =>
+    orderPredicate,
+  database_despatch: (db, orderPredicate) =>
+    `order_no_id IN (SELECT id FROM ${db}.Database_orderregister WHERE ${orderPredicate})`,
+  database_weightment: (db, orderPredicate) =>
+    `despatch_no IN (SELECT despatchno FROM ${db}.Database_despatch WHERE order_no_id IN ` +
+    `(SELECT id FROM ${db}.Database_orderregister WHERE ${orderPredicate}))`,
+  database_despatchinvoice: (db, orderPredicate) =>
+    `despatch_no IN (SELECT despatchno FROM ${db}.Database_despatch WHERE order_no_id IN ` +
+    `(SELECT id FROM ${db}.Database_orderregister WHERE ${orderPredicate}))`
+};
+
+// Tables scoped only when the query runs for a customer account, by its customer ids
+const CUSTOMER_TABLES = {
+  mastercustomer: (db, customerIds) =>
+    RowLevelSecurity.inList('id', customerIds),
+  database_production: (db, customerIds) =>
+    RowLevelSecurity.inList('customer_id', customerIds),
+  database_tripsheet: (db, customerIds) =>
+    `production_reference_id IN (SELECT id FROM ${db}.Database_production WHERE ` +
+    `${RowLevelSecurity.inList('customer_id', customerIds)})`
+};
+
+function has(tables, table) {
+  return Object.prototype.hasOwnProperty.call(tables, table);
+}
+
+class RowLevelSecurity {
+  // True if the table name is one that must be scoped
+  // scope: { orderPredicate, customerIds } (see applyScope)
+  static isScopedTable(table, scope) {
+    if (typeof table !== 'string') return false;
+    const name = table.toLowerCase();
+    return (!!scope.orderPredicate && has(SCOPED_TABLES, name)) ||
+      (!!scope.customerIds && has(CUSTOMER_TABLES, name));
+  }
+
+  // A table reference in FROM/JOIN lists (column references carry a "type")
+  static isTableRef(node) {
+    return !Array.isArray(node) && typeof node.table === 'string' && !node.type;
+  }
+
+  static quoteIdentifier(name) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+  }
+
+  // "column IN ('a', 'b')" with every value quoted as a string literal
+  static inList(column, values) {
+    return `${column} IN (${values.map(quote).join(', ')})`;
+  }
+
+  // Parsed "SELECT * FROM db.table WHERE <scope>" for a table reference
+  static buildScopedSelect(item, scope) {
+    const db = this.quoteIdentifier(item.db || DEFAULT_DB);
+    const name = item.table.toLowerCase();
+    const predicate = has(SCOPED_TABLES, name)
+      ? SCOPED_TABLES[name](db, scope.orderPredicate)
+      : CUSTOMER_TABLES[name](db, scope.customerIds);
+    return parser.astify(`SELECT * FROM ${db}.${this.quoteIdentifier(item.table)} WHERE ${predicate}`, PARSER_OPTIONS);
+  }
+
+  // Build "(SELECT * FROM db.table WHERE <scope>) AS alias" in place of a table reference
+  static buildScopedFromItem(item, scope) {
+    const template = parser.astify('SELECT * FROM (SELECT 1) AS scoped', PARSER_OPTIONS);
+    const scoped = template.from[0];
+    scoped.expr.ast = this.buildScopedSelect(item, scope);
+
+    // Keep the original alias (or the table name, so "Database_orderregister.col" still resolves)
+    scoped.as = item.as || item.table;
+    if (item.join) scoped.join = item.join;
+    if (item.on) scoped.on = item.on;
+    if (item.using) scoped.using = item.using;
+    return scoped;
+  }
+
+  // Walk any AST node and replace every scoped table reference, wherever it appears
+  // (FROM lists, parenthesised joins, subqueries, CTEs, UNION branches)
+  static scopeNode(node, context) {
+    if (!node || typeof node !== 'object') return node;
+
+    if (this.isTableRef(node)) {
+      // Subqueries in the ON clause are user SQL too
+      if (node.on) node.on = this.scopeNode(node.on, context);
+      if (!this.isScopedTable(node.table, context.scope)) return node;
+
+      context.scopedTables.add(node.table.toLowerCase());
+      // The generated derived table is not walked again
+      return this.buildScopedFromItem(node, context.scope);
+    }
+
+    if (Array.isArray(node)) {
+      for (let i = 0; i < node.length; i++) node[i] = this.scopeNode(node[i], context);
+      return node;
+    }
+
+    for (const key of Object.keys(node)) {
+      node[key] = this.scopeNode(node[key], context);
+    }
+    return node;
+  }
+
+  // Canonical SQL text of a WHERE clause (ASTs differ in incidental fields after a round trip)
+  static whereSql(where) {
+    const select = parser.astify('SELECT * FROM scoped', PARSER_OPTIONS);
+    select.where = where;
+    return parser.sqlify(select, PARSER_OPTIONS);
+  }
+
+  // Independent check on the SQL that will actually run: every scoped table must be
+  // read by a SELECT whose WHERE is exactly its scope predicate
+  static verifyScoped(node, scope, select = null) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.verifyScoped(child, scope, select));
+      return;
+    }
+    if (node.type === 'select') select = node;
+
+    if (this.isTableRef(node) && this.isScopedTable(node.table, scope)) {
+      const expected = this.buildScopedSelect(node, scope);
+      const scopedOk = select &&
+        Array.isArray(select.from) && select.from.length === 1 && select.from[0] === node &&
+        this.whereSql(select.where) === this.whereSql(expected.where);
+      if (!scopedOk) {
+        throw new Error(`Query could not be verified for data access restrictions (${node.table})`);
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      this.verifyScoped(node[key], scope, select);
+    }
+  }
+
+  /**
+   * Restrict a SELECT to the orders matching a predicate and, for a customer account,
+   * its customer records and production.
+   * @param {string} sql - Query to run (may contain ? placeholders)
+   * @param {Object} scope
+   * @param {string} [scope.orderPredicate] - Condition on Database_orderregister columns,
+   *   with values already quoted (build it with inList)
+   * @param {Array<string|number>} [scope.customerIds] - Customer account ids (non-empty)
+   * @returns {{ sql: string, scopedTables: string[] }} - Rewritten SQL to execute
+   * @throws {Error} if the query cannot be parsed or is not a single SELECT
+   */
+  static applyScope(sql, scope) {
+    if (scope.customerIds && scope.customerIds.length === 0) {
+      throw new Error('Row-level security needs at least one customer id');
+    }
+    let ast;
+    try {
+      ast = parser.astify(sql, PARSER_OPTIONS);
+    } catch (error) {
+      // Unparseable SQL can't be checked, so it never runs for restricted users
+      throw new Error(`Query could not be verified for data access restrictions: ${error.message}`);
+    }
+
+    if (Array.isArray(ast)) {
+      if (ast.length !== 1) throw new Error('Only a single SELECT statement is allowed');
+      ast = ast[0];
+    }
+    if (!ast || ast.type !== 'select') {
+      throw new Error('Only SELECT queries are allowed');
+    }
+
+    const context = {
+      scope,
+      scopedTables: new Set()
+    };
+    ast = this.scopeNode(ast, context);
+
+    // Always run the re-generated SQL: comments (including MySQL /*! ... */
+    // executable comments) are dropped, so nothing unchecked reaches the server
+    const scopedSql = parser.sqlify(ast, PARSER_OPTIONS);
+    this.verifyScoped(parser.astify(scopedSql, PARSER_OPTIONS), scope);
+
+    return {
+      sql: scopedSql,
+      scopedTables: [...context.scopedTables]
+    };
+  }
+
+  // Restrict a SELECT to the orders matching a predicate (see applyScope)
+  static applyOrderFilter(sql, orderPredicate) {
+    return this.applyScope(sql, { orderPredicate });
+  }
+
+  // Order predicate for a user's marketing persons
+  static marketingPersonPredicate(marketingPersons) {
+    if (!Array.isArray(marketingPersons) || marketingPersons.length === 0) {
+      throw new Error('Row-level security needs at least one marketing person');
+    }
+    return this.inList('marketing_person', marketingPersons);
+  }
+
+  // Order predicate for a customer account
+  static customerPredicate(customerIds) {
+    if (!Array.isArray(customerIds) || customerIds.length === 0) {
+      throw new Error('Row-level security needs at least one customer id');
+    }
+    return this.inList('customer_id', customerIds);
+  }
+
+  /**
+   * Restrict a SELECT to the given marketing persons.
+   * @param {string} sql - Query to run (may contain ? placeholders)
+   * @param {string[]} marketingPersons - Allowed marketing persons (must not be empty)
+   * @returns {{ sql: string, scopedTables: string[] }} - Rewritten SQL to execute
+   * @throws {Error} if the query cannot be parsed or is not a single SELECT
+   */
+  static applyMarketingPersonFilter(sql, marketingPersons) {
+    return this.applyOrderFilter(sql, this.marketingPersonPredicate(marketingPersons));
+  }
+}
+
+module.exports = RowLevelSecurity;
@@ -0,0 +1,123 @@
+// Schema Cache - Database schema and its AI description, kept in memory and on disk
+// Shared by every process that uses the SQL agent: a refresh written by one
+// process is picked up by the others on their next read.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SCHEMA_FILE = path.join(__dirname, '..', 'schema_cache.json');
+
+// In-memory copy and the file mtime it was read at
+let cache = null;
+let cacheMtime = 0;
+
+class SchemaCache {
+  // Fingerprint of table/column definitions, used to detect column changes
+  static fingerprint(schema) {
+    return crypto.createHash('sha1').update(JSON.stringify(schema.tables)).digest('hex');
+  }
+
+  // Column-level differences between two schemas, e.g. "+Database_sku.hsn_code"
+  static diff(oldSchema, newSchema) {
+    const changes = [];
+    const oldTables = (oldSchema && oldSchema.tables) || {};
+    const newTables = newSchema.tables || {};
+
+    for (const tableName of new Set([...Object.keys(oldTables), ...Object.keys(newTables)])) {
+      const oldCols = new Map((oldTables[tableName]?.columns || []).map(c => [c.name, c]));
+      const newCols = new Map((newTables[tableName]?.columns || []).map(c => [c.name, c]));
+
+      for (const [name, col] of newCols) {
+        if (!oldCols.has(name)) changes.push(`+${tableName}.${name}`);
+        else if (oldCols.get(name).type !== col.type) changes.push(`~${tableName}.${name} (${oldCols.get(name).type} -> ${col.type})`);
+      }
+      for (const name of oldCols.keys()) {
+        if (!newCols.has(name)) changes.push(`-${tableName}.${name}`);
+      }
+    }
+    return changes;
+  }
+
+  // Read the cached entry (memory first, reloading if another process rewrote the file)
+  static read() {
+    try {
+      if (!fs.existsSync(SCHEMA_FILE)) return cache;
+      const mtime = fs.statSync(SCHEMA_FILE).mtimeMs;
+      if (!cache || mtime > cacheMtime) {
+        cache = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+        cacheMtime = mtime;
+      }
+    } catch (error) {
+      console.error('❌ Error reading schema_cache.json:', error.message);
+    }
+    return cache;
+  }
+
+  // Write the entry to memory and disk
+  static write(entry) {
+    cache = entry;
+    try {
+      fs.writeFileSync(SCHEMA_FILE, JSON.stringify(entry, null, 2));
+      cacheMtime = fs.statSync(SCHEMA_FILE).mtimeMs;
+    } catch (error) {
+      console.error('❌ Error writing schema_cache.json:', error.message);
+    }
+    return entry;
+  }
+
+  // Store a freshly built schema and description
+  // descriptionVersion: format of the description, so a cache built by older code is not reused
+  static save({ schema, description, descriptionVersion, fingerprint, changes = [] }) {
+    const now = new Date().toISOString();
+    return this.write({
+      fingerprint,
+      schema,
+      description,
+      descriptionVersion,
+      changes,
+      builtAt: now,
+      checkedAt: now,
+      stale: false
+    });
+  }
+
+  // Schema re-read from the database and unchanged: extend the cache
+  static touch() {
+    const entry = this.read();
+    if (!entry) return null;
+    return this.write({ ...entry, checkedAt: new Date().toISOString(), stale: false });
+  }
+
+  // Force the next read to re-check the database (e.g. after an unknown column error)
+  static invalidate(reason) {
+    const entry = this.read();
+    if (!entry || entry.stale) return;
+    console.log(`🔄 Schema cache invalidated: ${reason}`);
+    this.write({ ...entry, stale: true });
+  }
+
+  // True if the entry should be served without touching the database
+  static isFresh(entry, ttlMs) {
+    return !!entry && !entry.stale && Date.now() - new Date(entry.checkedAt).getTime() < ttlMs;
+  }
+
+  // Summary for the admin endpoints (without the full schema)
+  static getStatus(ttlMs) {
+    const entry = this.read();
+    if (!entry) return { cached: false };
+    return {
+      cached: true,
+      fresh: this.isFresh(entry, ttlMs),
+      stale: entry.stale,
+      fingerprint: entry.fingerprint,
+      descriptionVersion: entry.descriptionVersion || null,
+      tables: Object.keys(entry.schema.tables).length,
+      builtAt: entry.builtAt,
+      checkedAt: entry.checkedAt,
+      ttlMs,
+      changes: entry.changes
+    };
+  }
+}
+
+module.exports = SchemaCache;
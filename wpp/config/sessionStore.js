@@ -63,6 +63,7 @@ class SessionStore {
         helpticket_enabled: false,
         ai_mode_enabled: false,
         ncr_enabled: false,
+        order_updates_enabled: false,
         last_ot_reply: {},  // Track last OT reply per user: { "phoneNumber": timestamp }
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -133,6 +134,9 @@ class SessionStore {
         sessions[sessionIndex].ncr_enabled = Boolean(assignments.ncr_enabled);
         console.log(`   ncr_enabled: ${oldVal} -> ${sessions[sessionIndex].ncr_enabled}`);
       }
+      if ('order_updates_enabled' in assignments) {
+        sessions[sessionIndex].order_updates_enabled = Boolean(assignments.order_updates_enabled);
+      }
 
       sessions[sessionIndex].updated_at = new Date().toISOString();
 
@@ -164,7 +168,8 @@ class SessionStore {
       'delegation': 'delegation_enabled',
       'helpticket': 'helpticket_enabled',
       'ai_mode': 'ai_mode_enabled',
-      'ncr': 'ncr_enabled'
+      'ncr': 'ncr_enabled',
+      'order_updates': 'order_updates_enabled'
     };
 
     const field = featureMap[featureName];
@@ -186,7 +191,8 @@ class SessionStore {
       'delegation': 'delegation_enabled',
       'helpticket': 'helpticket_enabled',
       'ai_mode': 'ai_mode_enabled',
-      'ncr': 'ncr_enabled'
+      'ncr': 'ncr_enabled',
+      'order_updates': 'order_updates_enabled'
     };
 
     const field = featureMap[featureName];
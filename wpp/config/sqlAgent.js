@@ -1,10 +1,29 @@
 // SQL Agent using LangChain for Natural Language to SQL
 const mysql = require('mysql2/promise');
 const DATABASES = require('./sqlAuthenticator');
+const RowLevelSecurity = require('./rowLevelSecurity');
+const ResultContext = require('./resultContext');
+const CustomerClarification = require('./customerClarification');
+const IntentRegistry = require('./intentRegistry');
+const SQLValidator = require('./sqlValidator');
+const SchemaCache = require('./schemaCache');
+const LLMProvider = require('./llmProvider');
 
 // Create connection pool
 let pool = null;
 
+// Schema refresh in progress (concurrent questions share it)
+let schemaRefresh = null;
+
+// MySQL errors that mean the cached schema no longer matches the database
+const SCHEMA_ERRORS = new Set(['ER_BAD_FIELD_ERROR', 'ER_NO_SUCH_TABLE']);
+const DEFAULT_SCHEMA_TTL_MS = 15 * 60 * 1000;
+// Bump when buildSchemaDescription changes, so cached descriptions in the old format are rebuilt
+const SCHEMA_DESCRIPTION_VERSION = 1;
+
+// Customers returned per keyword lookup (more than this and the list is cut short)
+const CUSTOMER_LOOKUP_LIMIT = 20;
+
 class SQLAgent {
   static init() {
     try {
@@ -25,7 +44,7 @@ class SQLAgent {
     }
   }
 
-  // Get database schema information
+  // Get database schema information (one information_schema query for all allowed tables)
   static async getDatabaseSchema() {
     try {
       const schema = {
@@ -33,34 +52,30 @@ class SQLAgent {
         tables: {}
       };
 
-      // Get all tables
-      const tables = [
-        'Database_orderregister',
-        'mastercustomer',
-        'Database_despatch',
-        'Database_weightment',
-        'Database_despatchinvoice',
-        'Database_sku',
-        'Database_stockregister',
-        'Database_rejectedstock',
-        'Database_quarantinestock',
-        'Database_grade',
-        'Database_condition',
-        'Database_shape',
-        'Database_size',
-        'Database_production',
-        'Database_tripsheet'
-      ];
+      // Get all tables the agent is allowed to query
+      const tables = SQLValidator.ALLOWED_TABLES;
+
+      const [columns] = await pool.query(
+        `SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_KEY, COLUMN_DEFAULT
+         FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = ? AND TABLE_NAME IN (?)
+         ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+        [schema.database, tables]
+      );
 
       for (const tableName of tables) {
-        const [columns] = await pool.execute(`DESCRIBE thirupathybright.${tableName}`);
+        const tableColumns = columns.filter(col => col.TABLE_NAME.toLowerCase() === tableName.toLowerCase());
+        if (tableColumns.length === 0) {
+          console.warn(`⚠️ Table ${tableName} not found in ${schema.database}`);
+          continue;
+        }
         schema.tables[tableName] = {
-          columns: columns.map(col => ({
-            name: col.Field,
-            type: col.Type,
-            nullable: col.Null === 'YES',
-            key: col.Key,
-            default: col.Default
+          columns: tableColumns.map(col => ({
+            name: col.COLUMN_NAME,
+            type: col.COLUMN_TYPE,
+            nullable: col.IS_NULLABLE === 'YES',
+            key: col.COLUMN_KEY,
+            default: col.COLUMN_DEFAULT
           }))
         };
       }
@@ -72,38 +87,132 @@ class SQLAgent {
     }
   }
 
+  // Get the schema and its AI description from the cache
+  // The database is only re-read when the cache is older than the TTL, was invalidated,
+  // or a refresh is forced; the description is rebuilt only if the columns or its format changed.
+  // Returns { schema, description, fingerprint, ... } or null if no schema is available.
+  static async getSchema({ forceRefresh = false } = {}) {
+    const ttlMs = DATABASES['default'].schemaCacheTtlMs || DEFAULT_SCHEMA_TTL_MS;
+    const cached = SchemaCache.read();
+    if (!forceRefresh && SchemaCache.isFresh(cached, ttlMs) &&
+        cached.descriptionVersion === SCHEMA_DESCRIPTION_VERSION) {
+      return cached;
+    }
+
+    if (!schemaRefresh) {
+      schemaRefresh = this.refreshSchema(cached).finally(() => {
+        schemaRefresh = null;
+      });
+    }
+    return schemaRefresh;
+  }
+
+  static async refreshSchema(cached) {
+    const schema = await this.getDatabaseSchema();
+    if (!schema) {
+      // Keep answering with the last known schema while the database can't be described
+      return cached;
+    }
+
+    const fingerprint = SchemaCache.fingerprint(schema);
+    const sameColumns = !!cached && cached.fingerprint === fingerprint;
+    if (sameColumns && cached.descriptionVersion === SCHEMA_DESCRIPTION_VERSION) {
+      console.log('✅ Database schema unchanged');
+      return SchemaCache.touch();
+    }
+
+    const changes = cached && !sameColumns ? SchemaCache.diff(cached.schema, schema) : [];
+    if (sameColumns) {
+      console.log('🔄 Schema description format changed, rebuilding it');
+    } else if (cached) {
+      console.log(`🔄 Database columns changed: ${changes.join(', ')}`);
+    }
+    console.log(`📚 Schema cached (${Object.keys(schema.tables).length} tables)`);
+
+    return SchemaCache.save({
+      schema,
+      description: this.buildSchemaDescription(schema),
+      descriptionVersion: SCHEMA_DESCRIPTION_VERSION,
+      fingerprint,
+      changes
+    });
+  }
+
+  // Cache status for the admin endpoints
+  static getSchemaStatus() {
+    return SchemaCache.getStatus(DATABASES['default'].schemaCacheTtlMs || DEFAULT_SCHEMA_TTL_MS);
+  }
+
   // Execute SQL query with safety checks
-  static async executeQuery(sql, params = []) {
+  // options.marketingPersons: restrict order data to these marketing persons (row-level security)
+  // options.orderScope: order predicate from a follow-up question (ResultContext)
+  // options.schema: result of getDatabaseSchema(), enables column checks in the validator
+  // options.customerIds: a customer account - only its orders, customer records and production,
+  //   and only the customer-facing tables
+  static async executeQuery(sql, params = [], options = {}) {
     try {
-      // Safety check - only allow SELECT queries; block any write/DDL keywords
-      const normalizedSQL = sql.trim().toUpperCase();
-      if (!normalizedSQL.startsWith('SELECT')) {
-        throw new Error('Only SELECT queries are allowed');
+      const orderFilters = [];
+      if (options.marketingPersons && options.marketingPersons.length > 0) {
+        orderFilters.push(RowLevelSecurity.marketingPersonPredicate(options.marketingPersons));
       }
-      const forbiddenKeywords = ['INSERT', 'UPDATE', 'DELETE', 'DROP', 'CREATE', 'ALTER', 'TRUNCATE', 'REPLACE', 'MERGE', 'CALL', 'EXEC', 'GRANT', 'REVOKE'];
-      for (const kw of forbiddenKeywords) {
-        const re = new RegExp(`\\b${kw}\\b`);
-        if (re.test(normalizedSQL)) {
-          throw new Error(`Query contains forbidden keyword: ${kw}`);
+      if (options.orderScope) {
+        orderFilters.push(options.orderScope);
+      }
+      if (options.customerIds) {
+        orderFilters.push(RowLevelSecurity.customerPredicate(options.customerIds));
+      }
+      if (orderFilters.length > 0) {
+        const orderPredicate = orderFilters.length === 1 ? orderFilters[0] : orderFilters.map(p => `(${p})`).join(' AND ');
+        const scoped = RowLevelSecurity.applyScope(sql, {
+          orderPredicate,
+          ...(options.customerIds && { customerIds: options.customerIds })
+        });
+        if (scoped.scopedTables.length > 0) {
+          console.log(`🔒 Order filter applied to: ${scoped.scopedTables.join(', ')}`);
         }
+        sql = scoped.sql;
       }
 
+      // Safety check - single SELECT over allowed tables, with a row cap and execution time limit
+      const dbConfig = DATABASES['default'];
+      const validated = SQLValidator.validate(sql, {
+        schema: options.schema,
+        maxRows: dbConfig.maxRows,
+        timeoutMs: dbConfig.queryTimeoutMs,
+        ...(options.customerIds && { tables: SQLValidator.CUSTOMER_TABLES })
+      });
+      sql = validated.sql;
+
       console.log(`🔍 Executing SQL: ${sql}`);
       if (params.length > 0) {
         console.log(`📋 Parameters:`, params);
       }
 
-      const [rows] = await pool.execute(sql, params);
+      let [rows] = await pool.execute(sql, params);
+
+      // The validator fetches one row past the cap to detect a cut-off result
+      const truncated = rows.length > validated.maxRows;
+      if (truncated) {
+        rows = rows.slice(0, validated.maxRows);
+        console.log(`✂️ Result capped at ${validated.maxRows} rows`);
+      }
 
       console.log(`✅ Query returned ${rows.length} rows`);
 
       return {
         success: true,
         rows: rows,
-        count: rows.length
+        count: rows.length,
+        truncated,
+        // The SQL as run (after row-level security and validation), for the audit log
+        executedSql: sql
       };
     } catch (error) {
       console.error('❌ SQL execution error:', error);
+      if (SCHEMA_ERRORS.has(error.code)) {
+        // The prompt was built from a schema that no longer matches the database
+        SchemaCache.invalidate(error.code);
+      }
       return {
         success: false,
         error: error.message,
@@ -114,12 +223,17 @@ class SQLAgent {
   }
 
   // Look up customer IDs from mastercustomer by keyword (case-insensitive)
-  static async lookupCustomerIds(keyword) {
+  // marketingPersons: only customers with orders of these marketing persons, so a restricted
+  // user is never shown other teams' customer names
+  static async lookupCustomerIds(keyword, marketingPersons = null) {
     try {
-      const [rows] = await pool.execute(
-        `SELECT id, customer_name FROM thirupathybright.mastercustomer WHERE LOWER(customer_name) LIKE LOWER(?) LIMIT 20`,
-        [`%${keyword}%`]
-      );
+      let sql = 'SELECT id, customer_name FROM thirupathybright.mastercustomer WHERE LOWER(customer_name) LIKE LOWER(?)';
+      const params = [`%${keyword}%`];
+      if (marketingPersons && marketingPersons.length > 0) {
+        sql += ` AND id IN (SELECT customer_id FROM thirupathybright.Database_orderregister WHERE marketing_person IN (${marketingPersons.map(() => '?').join(', ')}))`;
+        params.push(...marketingPersons);
+      }
+      const [rows] = await pool.execute(`${sql} LIMIT ${CUSTOMER_LOOKUP_LIMIT}`, params);
       console.log(`🔍 Customer lookup for "${keyword}": found ${rows.length} match(es):`, rows.map(r => r.customer_name));
       return rows;
     } catch (error) {
@@ -128,9 +242,22 @@ class SQLAgent {
     }
   }
 
+  // mastercustomer rows for the given ids (unknown ids are simply missing)
+  static async getCustomersByIds(ids) {
+    if (ids.length === 0) return [];
+    const [rows] = await pool.execute(
+      `SELECT id, customer_name FROM thirupathybright.mastercustomer WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    return rows;
+  }
+
   // Find customer matches by trying each word of the question against the database
-  // Returns { keyword, customers } for the first word that matches any customer
-  static async findCustomerInQuestion(question) {
+  // Returns { keyword, customers, limited } for the first word that matches any customer,
+  // narrowed by the words after it ("Bright Steel" keeps only names containing both);
+  // limited is true when the lookup hit its row limit
+  // marketingPersons: restrict the candidates to these marketing persons' customers
+  static async findCustomerInQuestion(question, marketingPersons = null) {
     // Words that are definitely not customer names - skip these
     const skipWords = new Set([
       'give', 'me', 'all', 'show', 'list', 'get', 'find', 'fetch', 'what',
@@ -145,25 +272,52 @@ class SQLAgent {
       'stock', 'sku', 'inventory', 'closing', 'opening', 'inward', 'outward',
     ]);
 
-    const words = question.trim().split(/\s+/);
+    const words = question.trim().split(/\s+/).map(word => word.replace(/[^a-zA-Z0-9]/g, ''));
 
-    for (const word of words) {
-      const clean = word.replace(/[^a-zA-Z0-9]/g, '');
+    for (let i = 0; i < words.length; i++) {
+      const clean = words[i];
       // Skip short words and known non-customer words
       if (clean.length < 2 || skipWords.has(clean.toLowerCase())) {
         continue;
       }
       // Try this word against the database
-      const customers = await this.lookupCustomerIds(clean);
+      let customers = await this.lookupCustomerIds(clean, marketingPersons);
       if (customers.length > 0) {
-        return { keyword: clean, customers };
+        const limited = customers.length >= CUSTOMER_LOOKUP_LIMIT;
+        let keyword = clean;
+        for (const next of words.slice(i + 1)) {
+          if (next.length < 2 || skipWords.has(next.toLowerCase())) break;
+          const narrowed = customers.filter(c => String(c.customer_name).toLowerCase().includes(next.toLowerCase()));
+          if (narrowed.length === 0) break;
+          customers = narrowed;
+          keyword += ` ${next}`;
+        }
+        return { keyword, customers, limited: limited && keyword === clean };
       }
     }
     return null;
   }
 
+  // Reply asking which of several matching customers the user meant
+  // (the question is kept and answered once they pick one)
+  static askCustomer(conversationKey, question, match) {
+    console.log(`❓ Customer "${match.keyword}" matches ${match.customers.length} customers, asking which one`);
+    return {
+      success: true,
+      query: null,
+      data: [],
+      count: 0,
+      error: null,
+      intent: 'customer-clarification',
+      _directReply: CustomerClarification.ask(conversationKey, question, match)
+    };
+  }
+
   // Generate SQL query using AI
-  static async queryFromNaturalLanguage(userQuestion, apiConfig, marketingPersons = null) {
+  // options.conversationKey: remembers this answer so the user's next question can refer to it
+  // options.customerAccount: { customers: [{ id, customer_name }] } when a customer asks about
+  //   their own account (CustomerAccountStore); every query is restricted to it
+  static async queryFromNaturalLanguage(userQuestion, marketingPersons = null, options = {}) {
     try {
       // Handle both single string and array input
       let mpArray = [];
@@ -173,409 +327,96 @@ class SQLAgent {
 
       const hasFilter = mpArray.length > 0;
       const filterLog = hasFilter ? ` [Marketing Persons: ${mpArray.join(', ')}]` : '';
+      // Every query below (fast paths included) is rewritten to the user's marketing persons
+      const queryOptions = hasFilter ? { marketingPersons: mpArray } : {};
       console.log(`🤖 Processing natural language query: "${userQuestion}"${filterLog}`);
 
-      // ── Bar type / grand total stock fast-path ──
-      const hasBlackBar  = /black\s*bar/i.test(userQuestion);
-      const hasBrightBar = /bright\s*bar/i.test(userQuestion);
-      const hasBoth      = hasBlackBar && hasBrightBar;
-      // "total stock", "all stock", "grand total" without bar type = grand total
-      const isGrandTotal = !hasBlackBar && !hasBrightBar &&
-        /\b(total|grand|all)\b.*\bstock\b|\bstock\b.*\b(total|grand|all)\b/i.test(userQuestion);
-
-      if (hasBlackBar || hasBrightBar || isGrandTotal) {
-        const sumQty = rows => rows.reduce((acc, r) => acc + parseFloat(r.closing_qty || 0), 0);
-
-        // Helper: fetch totals for one bar flag across all 3 tables
-        const fetchBarTotals = async (barFlag) => {
-          const [regRes, rejRes, quarRes] = await Promise.all([
-            this.executeQuery(
-              `SELECT COALESCE(s.closing_qty, 0) AS closing_qty FROM thirupathybright.Database_stockregister s LEFT JOIN thirupathybright.Database_sku sk ON s.sku_id = sk.id WHERE sk.is_blackbar = ?`,
-              [barFlag]
-            ),
-            this.executeQuery(
-              `SELECT COALESCE(r.closing_qty, 0) AS closing_qty FROM thirupathybright.Database_rejectedstock r LEFT JOIN thirupathybright.Database_sku sk ON r.sku_id = sk.id WHERE sk.is_blackbar = ?`,
-              [barFlag]
-            ),
-            this.executeQuery(
-              `SELECT COALESCE(q.closing_qty, 0) AS closing_qty FROM thirupathybright.Database_quarantinestock q LEFT JOIN thirupathybright.Database_sku sk ON q.sku_id = sk.id WHERE sk.is_blackbar = ?`,
-              [barFlag]
-            )
-          ]);
-          return {
-            reg:  sumQty(regRes.rows),
-            rej:  sumQty(rejRes.rows),
-            quar: sumQty(quarRes.rows)
-          };
-        };
-
-        let out = '';
-
-        if (isGrandTotal || hasBoth) {
-          // Fetch both bar types in parallel
-          console.log(`⚡ Grand total (Black Bar + Bright Bar) stock fast-path`);
-          const [black, bright] = await Promise.all([fetchBarTotals(1), fetchBarTotals(0)]);
-
-          const blackTotal  = black.reg  + black.rej  + black.quar;
-          const brightTotal = bright.reg + bright.rej + bright.quar;
-          const grandTotal  = blackTotal + brightTotal;
-
-          out  = `Total Stock Summary:\n`;
-          out += '─'.repeat(30) + '\n\n';
-          out += `Black Bar:\n`;
-          out += `  Regular Stock    : ${black.reg.toLocaleString()}\n`;
-          out += `  Rejected Stock   : ${black.rej.toLocaleString()}\n`;
-          out += `  Quarantine Stock : ${black.quar.toLocaleString()}\n`;
-          out += `  Sub-Total        : ${blackTotal.toLocaleString()}\n\n`;
-          out += `Bright Bar:\n`;
-          out += `  Regular Stock    : ${bright.reg.toLocaleString()}\n`;
-          out += `  Rejected Stock   : ${bright.rej.toLocaleString()}\n`;
-          out += `  Quarantine Stock : ${bright.quar.toLocaleString()}\n`;
-          out += `  Sub-Total        : ${brightTotal.toLocaleString()}\n\n`;
-          out += '─'.repeat(30) + '\n';
-          out += `Grand Total        : ${grandTotal.toLocaleString()}\n`;
-
-        } else {
-          // Single bar type
-          const barFlag = hasBlackBar ? 1 : 0;
-          const barLabel = hasBlackBar ? 'Black Bar' : 'Bright Bar';
-          console.log(`⚡ ${barLabel} total stock fast-path`);
-          const t = await fetchBarTotals(barFlag);
-          const total = t.reg + t.rej + t.quar;
-
-          out  = `${barLabel} Stock Summary:\n`;
-          out += '─'.repeat(30) + '\n\n';
-          out += `Regular Stock    : ${t.reg.toLocaleString()}\n`;
-          out += `Rejected Stock   : ${t.rej.toLocaleString()}\n`;
-          out += `Quarantine Stock : ${t.quar.toLocaleString()}\n`;
-          out += '─'.repeat(30) + '\n';
-          out += `Total Stock      : ${total.toLocaleString()}\n`;
-        }
-
-        return {
-          success: true,
-          query: 'bartype-stock',
-          data: [],
-          count: 0,
-          error: null,
-          _directReply: out
-        };
+      // A customer only ever sees their own account: no lookups of other customers' names
+      const account = options.customerAccount || null;
+      const accountMatch = account ? { keyword: 'your account', customers: account.customers } : null;
+      if (account) {
+        queryOptions.customerIds = account.customers.map(c => c.id);
+        console.log(`🔒 Customer account: ${account.customers.map(c => c.customer_name).join(', ')}`);
       }
 
-      // ── RM Tank pending fast-path ──
-      // Triggers on: "rm tank", "rm tank pending", "available tripsheet", "loading pending",
-      // "tripsheet pending loading", "rm pending", "rm available" etc.
-      const isRmTankQuery =
-        /\brm\s*tank\b/i.test(userQuestion) ||
-        /\brm\s*(pending|available)\b/i.test(userQuestion) ||
-        /\bavailable\s*tripsheet\b/i.test(userQuestion) ||
-        /\btripsheet\s*(pending|available)\b/i.test(userQuestion) ||
-        /\bpending\s*(rm|raw\s*material|loading)\b/i.test(userQuestion) ||
-        /\bloading\s*pending\b/i.test(userQuestion);
-
-      if (isRmTankQuery) {
-        console.log(`⚡ RM Tank pending fast-path triggered`);
-
-        const rmTankSQL = `
-SELECT
-    ts.tripsheetno                                      AS tripsheet_number,
-    CONCAT(
-        gr.name, '-',
-        cond.name, '-',
-        sh.name, '-',
-        sz.name
-    )                                                   AS raw_sku,
-    prod.quantity_kg                                    AS qty,
-    cust.customer_name                                  AS customer_name
-FROM thirupathybright.Database_tripsheet ts
-INNER JOIN thirupathybright.Database_production prod
-    ON ts.production_reference_id = prod.id
-LEFT JOIN thirupathybright.Database_productionapproval pa
-    ON pa.production_id = prod.id
-INNER JOIN thirupathybright.mastercustomer cust
-    ON prod.customer_id = cust.id
-INNER JOIN thirupathybright.Database_grade gr
-    ON prod.grade_id = gr.id
-INNER JOIN thirupathybright.Database_condition cond
-    ON prod.condition_id = cond.id
-INNER JOIN thirupathybright.Database_shape sh
-    ON prod.shape_id = sh.id
-INNER JOIN thirupathybright.Database_size sz
-    ON prod.raw_metal_size_id = sz.id
-WHERE ts.status = 'completed'
-  AND ts.id NOT IN (
-      SELECT ls.tripsheetno_id
-      FROM thirupathybright.Database_loadingsupervisor ls
-      WHERE ls.status != 'pending'
-  )
-ORDER BY ts.created_at DESC`.trim();
-
-        const rmResult = await this.executeQuery(rmTankSQL);
-
-        if (!rmResult.success) {
-          return {
-            success: false,
-            query: rmTankSQL,
-            data: [],
-            count: 0,
-            error: rmResult.error,
-            _directReply: `Unable to fetch RM tank pending data. Please try again.`
-          };
-        }
-
-        return {
-          success: true,
-          query: rmTankSQL,
-          data: rmResult.rows,
-          count: rmResult.count,
-          error: null,
-          _isRmTankQuery: true
-        };
+      // The answer to "which customer did you mean?": continue the question that asked it
+      let customerChoice = null;
+      const clarified = CustomerClarification.resolve(options.conversationKey, userQuestion);
+      if (clarified && clarified.ambiguous) {
+        return this.askCustomer(options.conversationKey, clarified.question, {
+          keyword: userQuestion.trim(),
+          customers: clarified.customers
+        });
       }
-
-      // ── Tripsheet number fast-path (e.g. "TS-2602-001 production plan") ──
-      // Also handles "tripsheet production pending" — queries production via tripsheet join.
-      const tsnoMatch = userQuestion.match(/\b(TS[-\s]\d{4}[-\s]\d+)\b/i);
-      const isTripsheetQuery = /\btripsheet\b/i.test(userQuestion);
-
-      if (tsnoMatch) {
-        const tsno = tsnoMatch[1].replace(/\s/g, '-').toUpperCase();
-        const tsnoLike = `%${tsno.replace(/^TS[-\s]/i, '')}%`;
-        console.log(`⚡ Tripsheet number fast-path for tripsheetno: "${tsno}"`);
-
-        const tsSQL = `
-SELECT
-  p.id, p.ppno, p.ppnoreference, p.status AS production_status,
-  p.quantity_kg, p.expected_date, p.length, p.notes, p.customer_id,
-  p.grade_id, p.condition_id, p.shape_id, p.finish_metal_size_id,
-  p.created_at, p.updated_at,
-  c.customer_name,
-  CONCAT(g.name, ' - ', cond.name, ' - ', sh.name, ' - ', sz.name) AS sku,
-  t.tripsheetno AS tripsheetno,
-  t.status AS tripsheet_status
-FROM thirupathybright.Database_tripsheet t
-JOIN thirupathybright.Database_production p ON t.production_reference_id = p.id
-LEFT JOIN thirupathybright.mastercustomer c ON p.customer_id = c.id
-LEFT JOIN thirupathybright.Database_grade g ON p.grade_id = g.id
-LEFT JOIN thirupathybright.Database_condition cond ON p.condition_id = cond.id
-LEFT JOIN thirupathybright.Database_shape sh ON p.shape_id = sh.id
-LEFT JOIN thirupathybright.Database_size sz ON p.finish_metal_size_id = sz.id
-WHERE UPPER(t.tripsheetno) = ? OR UPPER(t.tripsheetno) LIKE ?`.trim();
-
-        const tsResult = await this.executeQuery(tsSQL, [tsno, tsnoLike]);
-
-        if (!tsResult.success || tsResult.count === 0) {
-          return {
-            success: true,
-            query: tsSQL,
-            data: [],
-            count: 0,
-            error: null,
-            _directReply: `Tripsheet ${tsno} not found.\nPlease check the tripsheet number and try again.`
-          };
-        }
-
-        return {
-          success: tsResult.success,
-          query: tsSQL,
-          data: tsResult.rows,
-          count: tsResult.count,
-          error: tsResult.error,
-          _isProductionQuery: true,
-          _statusContext: userQuestion
-        };
+      if (clarified) {
+        console.log(`👥 Customer chosen for "${clarified.question}": ${clarified.names.join(', ')}`);
+        userQuestion = clarified.question;
+        customerChoice = { keyword: clarified.keyword, customers: clarified.customers };
+      }
+      // Callers show the continued question instead of the "2" the user typed
+      const answered = customerChoice ? { question: `${userQuestion} (${clarified.names.join(', ')})` } : {};
+
+      // The customer named in the question; when it matches several and the user can be
+      // asked, clarifyCustomer() returns the question to send back instead
+      const findCustomer = async () => accountMatch || customerChoice ||
+        this.findCustomerInQuestion(userQuestion, hasFilter ? mpArray : null);
+      const canClarify = match =>
+        !account && !customerChoice && !!options.conversationKey && CustomerClarification.isAmbiguous(match);
+      const clarifyCustomer = match =>
+        canClarify(match) ? this.askCustomer(options.conversationKey, userQuestion, match)._directReply : null;
+
+      // "the second one", "that order", "its invoice": answer from the previous result set
+      const followUp = customerChoice ? null : ResultContext.resolve(options.conversationKey, userQuestion);
+      if (followUp) {
+        console.log(`↩️ Follow-up on "${followUp.previousQuestion}": ${followUp.items.length} record(s)`);
+      } else {
+        // A new question: the previous list is no longer what "the second one" means
+        ResultContext.clear(options.conversationKey);
       }
 
-      // (Tripsheet keyword without a specific number falls through to the production fast-path below)
-
-      // ── PP number fast-path (e.g. "Pp-2602-1595 production plan data") ──
-      // Matches PP-YYYY-NNNN or PP YYYY NNNN patterns and queries production by ppno.
-      const ppnoMatch = userQuestion.match(/\b(PP[-\s]\d{4}[-\s]\d+)\b/i);
-      if (ppnoMatch) {
-        // Normalise to "PP-2602-1595" form
-        const ppno = ppnoMatch[1].replace(/\s/g, '-').toUpperCase();
-        // Also build a LIKE pattern using just the numeric portion (handles any prefix casing/spacing)
-        const ppnoLike = `%${ppno.replace(/^PP[-\s]/i, '')}%`;
-        console.log(`⚡ PP number fast-path for ppno: "${ppno}"`);
-
-        const ppSQL = `
-SELECT
-  p.id, p.ppno, p.ppnoreference, p.status AS production_status,
-  p.quantity_kg, p.expected_date, p.length, p.notes, p.customer_id,
-  p.grade_id, p.condition_id, p.shape_id, p.finish_metal_size_id,
-  p.created_at, p.updated_at,
-  c.customer_name,
-  CONCAT(g.name, ' - ', cond.name, ' - ', sh.name, ' - ', sz.name) AS sku,
-  t.tripsheetno AS tripsheetno,
-  t.status AS tripsheet_status
-FROM thirupathybright.Database_production p
-LEFT JOIN thirupathybright.mastercustomer c ON p.customer_id = c.id
-LEFT JOIN thirupathybright.Database_grade g ON p.grade_id = g.id
-LEFT JOIN thirupathybright.Database_condition cond ON p.condition_id = cond.id
-LEFT JOIN thirupathybright.Database_shape sh ON p.shape_id = sh.id
-LEFT JOIN thirupathybright.Database_size sz ON p.finish_metal_size_id = sz.id
-LEFT JOIN thirupathybright.Database_tripsheet t ON t.production_reference_id = p.id
-WHERE UPPER(p.ppno) = ? OR UPPER(p.ppno) LIKE ? OR UPPER(p.ppnoreference) = ? OR UPPER(p.ppnoreference) LIKE ?`.trim();
-
-        const ppResult = await this.executeQuery(ppSQL, [ppno, ppnoLike, ppno, ppnoLike]);
-
-        // If not found, return a clear direct reply instead of falling through to AI
-        if (!ppResult.success || ppResult.count === 0) {
+      // ── Commands and common lookups (order/dispatch/invoice numbers, stock, production) ──
+      // Answered from the intent registry with fixed SQL, without an LLM round-trip
+      if (!followUp) {
+        const answer = await IntentRegistry.run(userQuestion, {
+          agent: this,
+          execute: (sql, params) => this.executeQuery(sql, params, queryOptions),
+          findCustomer,
+          clarifyCustomer,
+          audience: account ? 'customer' : 'staff'
+        });
+        if (answer) {
+          if (answer.success && answer.rows.length > 0) {
+            ResultContext.remember(options.conversationKey, userQuestion, answer.rows);
+          }
           return {
-            success: true,
-            query: ppSQL,
-            data: [],
-            count: 0,
-            error: null,
-            _directReply: `Production plan ${ppno} not found.\nPlease check the PP number and try again.`
+            success: answer.success,
+            query: answer.query,
+            executedSql: answer.executedSql,
+            data: answer.rows,
+            count: answer.rows.length,
+            error: answer.error,
+            intent: answer.intent,
+            ...answered,
+            _directReply: answer.reply
           };
         }
-
-        return {
-          success: ppResult.success,
-          query: ppSQL,
-          data: ppResult.rows,
-          count: ppResult.count,
-          error: ppResult.error,
-          _isProductionQuery: true,
-          _statusContext: userQuestion
-        };
       }
 
-      // ── Production query fast-path ──
-      // Triggers when the question is about production OR tripsheet (without a specific number).
-      // Must run BEFORE stock fast-path so "Pp-XXXX production pending" doesn't get grabbed as a SKU.
-      const isProductionQuery = /\bproduction\b/i.test(userQuestion) || isTripsheetQuery;
-
-      if (isProductionQuery) {
-        console.log(`⚡ Production fast-path triggered`);
-
-        // Determine which statuses the user wants
-        const wantsCompleted  = /\bcompleted?\b/i.test(userQuestion);
-        const wantsCancelled  = /\bcancel(?:led)?\b/i.test(userQuestion);
-        let statusClause;
-        if (wantsCompleted)       statusClause = `p.status = 'completed'`;
-        else if (wantsCancelled)  statusClause = `p.status = 'cancelled'`;
-        else                      statusClause = `p.status IN ('pending', 'in_progress')`;
-
-        // Build customer filter if pre-resolved
-        let prodCustomerClause = '';
-        const prodCustomerMatch = await this.findCustomerInQuestion(userQuestion);
-        if (prodCustomerMatch) {
-          const idList = prodCustomerMatch.customers.map(c => c.id).join(', ');
-          prodCustomerClause = ` AND p.customer_id IN (${idList})`;
-          console.log(`✅ Production customer filter: IDs ${idList}`);
-        }
-
-        const prodSQL = `
-SELECT
-  p.id, p.ppno, p.ppnoreference, p.status AS production_status,
-  p.quantity_kg, p.expected_date, p.length, p.notes, p.customer_id,
-  p.grade_id, p.condition_id, p.shape_id, p.finish_metal_size_id,
-  p.created_at, p.updated_at,
-  c.customer_name,
-  CONCAT(g.name, ' - ', cond.name, ' - ', sh.name, ' - ', sz.name) AS sku,
-  t.tripsheetno AS tripsheetno,
-  t.status AS tripsheet_status
-FROM thirupathybright.Database_production p
-LEFT JOIN thirupathybright.mastercustomer c ON p.customer_id = c.id
-LEFT JOIN thirupathybright.Database_grade g ON p.grade_id = g.id
-LEFT JOIN thirupathybright.Database_condition cond ON p.condition_id = cond.id
-LEFT JOIN thirupathybright.Database_shape sh ON p.shape_id = sh.id
-LEFT JOIN thirupathybright.Database_size sz ON p.finish_metal_size_id = sz.id
-LEFT JOIN thirupathybright.Database_tripsheet t ON t.production_reference_id = p.id
-WHERE ${statusClause}${prodCustomerClause}
-ORDER BY p.created_at DESC`.trim();
-
-        const prodResult = await this.executeQuery(prodSQL);
-
-        return {
-          success: prodResult.success,
-          query: prodSQL,
-          data: prodResult.rows,
-          count: prodResult.count,
-          error: prodResult.error,
-          _isProductionQuery: true,
-          _statusContext: userQuestion
-        };
-      }
-
-      // ── Stock query fast-path ──
-      // Strip "stock" from start or end, then check if the remainder is a SKU-like code.
-      // A SKU looks like: EN1A-Black-COIL-10  (letters/digits separated by dashes, no common words).
-      // Natural language sentences like "What is the stock" must NOT trigger this path.
-      const naturalLanguageWords = new Set([
-        'what', 'whats', 'how', 'show', 'list', 'give', 'get', 'find', 'fetch',
-        'tell', 'is', 'are', 'the', 'a', 'an', 'of', 'for', 'in', 'all', 'me',
-        'check', 'any', 'current', 'available', 'total', 'remaining',
-        // order-related words — prevent order queries from hitting stock fast-path
-        'order', 'orders', 'pending', 'completed', 'progress', 'inprogress',
-        'dispatch', 'dispatches', 'invoice', 'invoices', 'status', 'customer',
-        // production-related words — prevent production queries from hitting stock fast-path
-        'production', 'plan', 'data', 'number', 'pp', 'tripsheet', 'ts',
-        // company name words — "Poly Hose India Pvt Ltd" should NOT be a SKU
-        'pvt', 'ltd', 'private', 'limited', 'india', 'industries', 'company',
-        'corp', 'corporation', 'enterprises', 'solutions', 'services', 'group',
-        'hose', 'pipe', 'steel', 'metals', 'forging', 'casting', 'engineering',
-      ]);
-      const stripped = userQuestion.trim().replace(/^stock\s+/i, '').replace(/\s+stock$/i, '').trim();
-      const hadStockWord = stripped.length < userQuestion.trim().length;
-      // Only treat as SKU fast-path if stripped text has no natural-language words
-      const strippedWords = stripped.toLowerCase().split(/\s+/);
-      const hasNaturalWords = strippedWords.some(w => naturalLanguageWords.has(w));
-      const looksLikeSku = !hasNaturalWords && /^[a-zA-Z0-9]+([-\s][a-zA-Z0-9.]+){1,8}$/.test(stripped);
-
-      if ((hadStockWord && !hasNaturalWords) || looksLikeSku) {
-        const skuKeyword = stripped;
-        console.log(`⚡ Stock fast-path for SKU keyword: "${skuKeyword}"`);
-
-        // Query all three stock tables in parallel
-        const likeParam = [`%${skuKeyword}%`];
-        const [regRes, rejRes, quarRes] = await Promise.all([
-          this.executeQuery(
-            `SELECT s.*, sk.skuname FROM thirupathybright.Database_stockregister s LEFT JOIN thirupathybright.Database_sku sk ON s.sku_id = sk.id WHERE LOWER(sk.skuname) LIKE LOWER(?)`,
-            likeParam
-          ),
-          this.executeQuery(
-            `SELECT r.*, sk.skuname FROM thirupathybright.Database_rejectedstock r LEFT JOIN thirupathybright.Database_sku sk ON r.sku_id = sk.id WHERE LOWER(sk.skuname) LIKE LOWER(?)`,
-            likeParam
-          ),
-          this.executeQuery(
-            `SELECT q.*, sk.skuname FROM thirupathybright.Database_quarantinestock q LEFT JOIN thirupathybright.Database_sku sk ON q.sku_id = sk.id WHERE LOWER(sk.skuname) LIKE LOWER(?)`,
-            likeParam
-          )
-        ]);
-
-        // Tag each row with its source so the formatter can separate them
-        const tag = (rows, source) => rows.map(r => ({ ...r, _stockSource: source }));
-        const combined = [
-          ...tag(regRes.rows,  'regular'),
-          ...tag(rejRes.rows,  'rejected'),
-          ...tag(quarRes.rows, 'quarantine')
-        ];
-
-        return {
-          success: true,
-          query: 'combined-stock',
-          data: combined,
-          count: combined.length,
-          error: null,
-          _isStockQuery: true
-        };
-      }
-
-      // Get database schema
-      const schema = await this.getDatabaseSchema();
-      if (!schema) {
+      // Get database schema and its description for AI (cached)
+      const cachedSchema = await this.getSchema();
+      if (!cachedSchema) {
         throw new Error('Failed to get database schema');
       }
-
-      // Build schema description for AI
-      const schemaDescription = this.buildSchemaDescription(schema);
+      const { schema, description: schemaDescription } = cachedSchema;
 
       // Pre-lookup customer IDs by checking each word against the database
+      // (a follow-up already knows its records; "second" or "one" are not customers;
+      // a customer account has its own section below)
       let customerIdFilter = '';
-      const customerMatch = await this.findCustomerInQuestion(userQuestion);
+      const customerMatch = followUp || account ? null : await findCustomer();
+      if (customerMatch && canClarify(customerMatch)) {
+        return this.askCustomer(options.conversationKey, userQuestion, customerMatch);
+      }
       if (customerMatch) {
         const { keyword, customers } = customerMatch;
         const idList = customers.map(c => c.id).join(', ');
@@ -594,26 +435,43 @@ Do NOT use LIKE on customer_name - use the customer_id IN filter instead.`;
       if (hasFilter) {
         if (mpArray.length === 1) {
           // Single marketing person - use = operator
-          marketingPersonFilter = `\n\nCRITICAL SECURITY FILTER:
+          marketingPersonFilter = `\n\nMARKETING PERSON FILTER:
 You MUST add this WHERE clause to ALL queries involving Database_orderregister:
 WHERE marketing_person = '${mpArray[0].replace(/'/g, "''")}'
 
 This user can ONLY see orders assigned to marketing person: ${mpArray[0]}
-Always include this filter in your SQL queries. This is a security requirement.`;
+Always include this filter in your SQL queries. It is also enforced when the query runs.`;
         } else {
           // Multiple marketing persons - use IN operator
           const quotedList = mpArray.map(mp => `'${mp.replace(/'/g, "''")}'`).join(', ');
-          marketingPersonFilter = `\n\nCRITICAL SECURITY FILTER:
+          marketingPersonFilter = `\n\nMARKETING PERSON FILTER:
 You MUST add this WHERE clause to ALL queries involving Database_orderregister:
 WHERE marketing_person IN (${quotedList})
 
 This user can ONLY see orders assigned to these marketing persons: ${mpArray.join(', ')}
-Always include this filter in your SQL queries. This is a security requirement.`;
+Always include this filter in your SQL queries. It is also enforced when the query runs.`;
         }
       }
 
+      let customerAccountFilter = '';
+      if (account) {
+        const idList = queryOptions.customerIds.join(', ');
+        customerAccountFilter = `\n\nCUSTOMER ACCOUNT:
+The user is our customer ${account.customers.map(c => c.customer_name).join(', ')} (customer IDs: ${idList}).
+Only answer about their own orders, dispatches, invoices and production.
+You MUST filter orders using: o.customer_id IN (${idList})
+Stock, SKU and internal tables are not available to them. This is also enforced when the query runs.`;
+      }
+
+      let followUpContext = '';
+      if (followUp) {
+        followUpContext = `\n\nFOLLOW-UP CONTEXT:
+${followUp.hint}${followUp.orderPredicate ? `
+Restrict Database_orderregister to: ${followUp.orderPredicate} (also enforced when the query runs)` : ''}`;
+      }
+
       // Build AI prompt
-      const systemPrompt = `You are a SQL expert for Thirupathybright Industries database.${marketingPersonFilter}${customerIdFilter}
+      const systemPrompt = `You are a SQL expert for Thirupathybright Industries database.${marketingPersonFilter}${customerAccountFilter}${customerIdFilter}${followUpContext}
 
 DATABASE SCHEMA:
 ${schemaDescription}
@@ -640,7 +498,7 @@ IMPORTANT RULES:
    - Total dispatched weight
    - Remaining quantity to dispatch
    - Dispatch count
-9. Use LIMIT to prevent large result sets (max 50 rows)
+9. Only use LIMIT when the user asks for a specific number of rows (e.g. "top 10"); results are capped automatically
 10. CUSTOMER NAME FILTERING: If a customer_id IN filter is provided above, use that. Otherwise if the
     question mentions a company name, use: c.customer_name LIKE '%KEYWORD%' (case-insensitive).
 11. STOCK QUERIES - when the user asks about stock, inventory, closing stock, or SKU:
@@ -684,28 +542,11 @@ Return ONLY valid SQL query, nothing else. No explanations, no markdown, just SQ
 
       const userPrompt = `Generate SQL query for: ${userQuestion}`;
 
-      // Call Sarvam AI
-      const response = await fetch(apiConfig.API_URL, {
-        method: 'POST',
-        headers: {
-          'api-subscription-key': apiConfig.API_KEY,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: apiConfig.MODEL,
-          messages: [
-            { role: 'user', content: systemPrompt + '\n\n' + userPrompt }
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`AI API error: ${response.status} - ${errorText}`);
-      }
-
-      const data = await response.json();
-      let sqlQuery = data.choices?.[0]?.message?.content?.trim();
+      // SQL generation uses its own feature config (usually a cheaper, deterministic model)
+      const completion = await LLMProvider.chat([
+        { role: 'user', content: systemPrompt + '\n\n' + userPrompt }
+      ], { feature: 'sql' });
+      let sqlQuery = completion.text;
 
       if (!sqlQuery) {
         throw new Error('No SQL query generated');
@@ -714,19 +555,31 @@ Return ONLY valid SQL query, nothing else. No explanations, no markdown, just SQ
       // Clean up the SQL query (remove markdown code blocks if present)
       sqlQuery = sqlQuery.replace(/```sql\n?/g, '').replace(/```\n?/g, '').trim();
 
-      // Strip any LIMIT clause the AI added — we always fetch all rows
-      sqlQuery = sqlQuery.replace(/\bLIMIT\s+\d+\b/gi, '').trim().replace(/;\s*$/, '');
+      // A trailing semicolon is fine; the validator caps the row count
+      sqlQuery = sqlQuery.replace(/;\s*$/, '');
 
       console.log(`📝 Generated SQL:\n${sqlQuery}`);
 
-      // Execute the query
-      const result = await this.executeQuery(sqlQuery);
+      // Execute the query (row-level security and the follow-up scope are enforced here, not by the prompt)
+      const result = await this.executeQuery(sqlQuery, [], {
+        ...queryOptions,
+        schema,
+        ...(followUp && followUp.orderPredicate && { orderScope: followUp.orderPredicate })
+      });
+
+      if (result.success && result.count > 0) {
+        ResultContext.remember(options.conversationKey, userQuestion, result.rows);
+      }
 
       return {
         success: result.success,
         query: sqlQuery,
+        executedSql: result.executedSql,
         data: result.rows,
         count: result.count,
+        truncated: result.truncated,
+        followUp: !!followUp,
+        ...answered,
         error: result.error
       };
 
@@ -1072,6 +925,12 @@ COMMON QUERIES:
     return context;
   }
 
+  // Plain-text reply built by formatResultForAI, or null when the result goes through the AI
+  static directReply(result) {
+    const match = this.formatResultForAI(result).match(/\[DIRECT_REPLY:\n([\s\S]*?)\]$/);
+    return match ? match[1].trim() : null;
+  }
+
   // Close database pool
   static async close() {
     try {
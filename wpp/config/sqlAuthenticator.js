@@ -11,7 +11,12 @@ const DATABASES = {
     'PORT': '3306',
     'connectionLimit': 10,
     'waitForConnections': true,
-    'queueLimit': 0
+    'queueLimit': 0,
+    // SQL agent limits (MAX_EXECUTION_TIME hint and row cap for generated queries)
+    'queryTimeoutMs': 10000,
+    'maxRows': 1000,
+    // How long the cached schema is used before the columns are re-checked
+    'schemaCacheTtlMs': 15 * 60 * 1000
   }
 };
 
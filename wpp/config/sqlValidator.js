@@ -0,0 +1,282 @@
+// SQL Validator - AST checks for queries the SQL agent is about to run
+// Only a single SELECT over the thirupathybright allow-list gets through. The
+// re-generated SQL (not the original text) is what runs, with a row cap and a
+// MAX_EXECUTION_TIME hint added.
+const { Parser } = require('node-sql-parser');
+
+const parser = new Parser();
+const PARSER_OPTIONS = { database: 'MySQL' };
+const DATABASE = 'thirupathybright';
+
+// Tables the agent may read (the schema shown to the AI plus those used by fast paths)
+const ALLOWED_TABLES = [
+  'Database_orderregister',
+  'mastercustomer',
+  'Database_despatch',
+  'Database_weightment',
+  'Database_despatchinvoice',
+  'Database_sku',
+  'Database_stockregister',
+  'Database_rejectedstock',
+  'Database_quarantinestock',
+  'Database_grade',
+  'Database_condition',
+  'Database_shape',
+  'Database_size',
+  'Database_production',
+  'Database_tripsheet',
+  'Database_loadingsupervisor',
+  'Database_productionapproval'
+];
+
+// The part of the allow-list a customer account may read: its orders and what hangs
+// off them (stock, staff and approval tables stay internal)
+const CUSTOMER_TABLES = [
+  'Database_orderregister',
+  'mastercustomer',
+  'Database_despatch',
+  'Database_weightment',
+  'Database_despatchinvoice',
+  'Database_grade',
+  'Database_condition',
+  'Database_shape',
+  'Database_size',
+  'Database_production',
+  'Database_tripsheet'
+];
+
+// Functions that can stall the server, touch files/locks or leak server details
+const BANNED_FUNCTIONS = new Set([
+  'SLEEP', 'BENCHMARK', 'LOAD_FILE',
+  'GET_LOCK', 'RELEASE_LOCK', 'RELEASE_ALL_LOCKS', 'IS_FREE_LOCK', 'IS_USED_LOCK',
+  'MASTER_POS_WAIT', 'SOURCE_POS_WAIT', 'WAIT_FOR_EXECUTED_GTID_SET', 'WAIT_UNTIL_SQL_THREAD_AFTER_GTIDS',
+  'USER', 'CURRENT_USER', 'SESSION_USER', 'SYSTEM_USER', 'DATABASE', 'SCHEMA', 'VERSION', 'CONNECTION_ID',
+  'SYS_EVAL', 'SYS_EXEC'
+]);
+
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.code = 'SQL_VALIDATION';
+  return error;
+}
+
+// Identifier text (quoted qualifiers come back as { type, value })
+function identifier(value) {
+  if (typeof value === 'string') return value;
+  return typeof value?.value === 'string' ? value.value : null;
+}
+
+// Column name of a column_ref ("x", or { expr: { value: "x" } } for some forms)
+function columnName(ref) {
+  if (typeof ref.column === 'string') return ref.column;
+  return ref.column?.expr?.value ?? null;
+}
+
+// Function name of a function node ("DATE_FORMAT", "schema.func" -> "FUNC")
+function functionName(node) {
+  const parts = node.name?.name;
+  if (Array.isArray(parts) && parts.length > 0) return String(parts[parts.length - 1].value).toUpperCase();
+  return typeof node.name === 'string' ? node.name.toUpperCase() : '';
+}
+
+class SQLValidator {
+  static get ALLOWED_TABLES() {
+    return ALLOWED_TABLES;
+  }
+
+  static get CUSTOMER_TABLES() {
+    return CUSTOMER_TABLES;
+  }
+
+  // Lower-cased table name -> Set of lower-cased columns, from SQLAgent.getDatabaseSchema()
+  static buildColumnIndex(schema) {
+    if (!schema || !schema.tables) return null;
+    const index = new Map();
+    for (const [tableName, tableInfo] of Object.entries(schema.tables)) {
+      index.set(tableName.toLowerCase(), new Set(tableInfo.columns.map(col => col.name.toLowerCase())));
+    }
+    return index;
+  }
+
+  // Collect table references, CTE names, output aliases, columns and functions in one pass
+  static collect(node, found) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.collect(child, found));
+      return;
+    }
+
+    if (node.type === 'select') {
+      if (node.into && (node.into.keyword || node.into.expr)) {
+        throw validationError('SELECT ... INTO is not allowed');
+      }
+      if (node.locking_read) {
+        throw validationError(`Locking reads (${node.locking_read}) are not allowed`);
+      }
+      (node.with || []).forEach(cte => {
+        const name = cte.name?.value ?? cte.name;
+        if (typeof name === 'string') found.cteNames.add(name.toLowerCase());
+      });
+      if (Array.isArray(node.columns)) {
+        node.columns.forEach(col => {
+          if (typeof col.as === 'string') found.outputAliases.add(col.as.toLowerCase());
+        });
+      }
+    }
+
+    if (node.type === 'var') {
+      throw validationError('Variables are not allowed in queries');
+    }
+    if (node.type === 'function' && BANNED_FUNCTIONS.has(functionName(node))) {
+      throw validationError(`Function ${functionName(node)}() is not allowed`);
+    }
+    if (node.type === 'column_ref') {
+      found.columns.push(node);
+    } else if (typeof node.table === 'string' && !node.type) {
+      found.tables.push(node);
+    } else if (node.expr && node.expr.ast && typeof node.as === 'string') {
+      // Derived table: its columns are whatever the subquery selects
+      found.derivedAliases.add(node.as.toLowerCase());
+    }
+
+    for (const key of Object.keys(node)) {
+      this.collect(node[key], found);
+    }
+  }
+
+  static checkTables(found, tables = ALLOWED_TABLES) {
+    const allowed = new Map(tables.map(t => [t.toLowerCase(), t]));
+    // alias (or table name) -> Set of base tables it may refer to
+    const aliases = new Map();
+    const addAlias = (alias, table) => {
+      if (!aliases.has(alias)) aliases.set(alias, new Set());
+      aliases.get(alias).add(table);
+    };
+
+    for (const ref of found.tables) {
+      const table = ref.table.toLowerCase();
+      if (ref.db && ref.db.toLowerCase() !== DATABASE) {
+        throw validationError(`Cross-schema access is not allowed (${ref.db}.${ref.table})`);
+      }
+      if (!ref.db && found.cteNames.has(table)) continue;
+      if (!allowed.has(table)) {
+        throw validationError(`Table ${ref.table} is not available to the SQL agent`);
+      }
+      addAlias(table, table);
+      if (typeof ref.as === 'string') addAlias(ref.as.toLowerCase(), table);
+    }
+    return aliases;
+  }
+
+  static checkColumns(found, aliases, columnIndex) {
+    if (!columnIndex) return;
+
+    const allColumns = new Set();
+    for (const columns of columnIndex.values()) columns.forEach(c => allColumns.add(c));
+
+    for (const ref of found.columns) {
+      const column = columnName(ref);
+      if (!column || column === '*') continue;
+      const lower = column.toLowerCase();
+
+      const db = identifier(ref.db);
+      const table = identifier(ref.table);
+      if (db && db.toLowerCase() !== DATABASE) {
+        throw validationError(`Cross-schema access is not allowed (${db}.${table})`);
+      }
+
+      const qualifier = table ? table.toLowerCase() : null;
+      const baseTables = qualifier ? aliases.get(qualifier) : null;
+
+      if (baseTables && !found.derivedAliases.has(qualifier) && !found.cteNames.has(qualifier)) {
+        const known = [...baseTables].some(t => !columnIndex.has(t) || columnIndex.get(t).has(lower));
+        if (!known) throw validationError(`Unknown column ${table}.${column}`);
+        continue;
+      }
+      if (qualifier && !baseTables && !found.derivedAliases.has(qualifier) && !found.cteNames.has(qualifier)) {
+        throw validationError(`Unknown table or alias ${table}`);
+      }
+      // Unqualified (or from a derived table / CTE): must be a real column or an alias defined in the query
+      if (!allColumns.has(lower) && !found.outputAliases.has(lower)) {
+        throw validationError(`Unknown column ${column}`);
+      }
+    }
+  }
+
+  // Cap the row count of the outermost query. A smaller LIMIT from the query is kept;
+  // the cap itself is fetched as maxRows + 1 so the caller can tell the result was cut.
+  static applyRowCap(ast, maxRows) {
+    let last = ast;
+    while (last._next) last = last._next;
+
+    const fetchRows = maxRows + 1;
+    const limit = last.limit;
+    if (!limit || !Array.isArray(limit.value) || limit.value.length === 0) {
+      last.limit = { seperator: '', value: [{ type: 'number', value: fetchRows }] };
+      return;
+    }
+
+    // "LIMIT offset, count" keeps the count second; "LIMIT count [OFFSET n]" keeps it first
+    const countIndex = limit.seperator === ',' ? 1 : 0;
+    const count = limit.value[countIndex];
+    if (!count || count.type !== 'number' || count.value > maxRows) {
+      limit.value[countIndex] = { type: 'number', value: fetchRows };
+    }
+  }
+
+  /**
+   * Validate a query and return the SQL to execute.
+   * @param {string} sql - Query text (may contain ? placeholders)
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - Result of SQLAgent.getDatabaseSchema(), enables column checks
+   * @param {number} [options.maxRows] - Row cap (default 1000)
+   * @param {number} [options.timeoutMs] - MAX_EXECUTION_TIME hint (default 10000)
+   * @param {string[]} [options.tables] - Narrower allow-list (e.g. CUSTOMER_TABLES)
+   * @returns {{ sql: string, maxRows: number }}
+   * @throws {Error} with code 'SQL_VALIDATION' when the query is rejected
+   */
+  static validate(sql, options = {}) {
+    const maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    let ast;
+    try {
+      ast = parser.astify(sql, PARSER_OPTIONS);
+    } catch (error) {
+      throw validationError(`Query could not be parsed: ${error.message.split('\n')[0]}`);
+    }
+
+    if (Array.isArray(ast)) {
+      if (ast.length !== 1) throw validationError('Only a single SELECT statement is allowed');
+      ast = ast[0];
+    }
+    if (!ast || ast.type !== 'select') {
+      throw validationError('Only SELECT queries are allowed');
+    }
+
+    const found = {
+      tables: [],
+      columns: [],
+      cteNames: new Set(),
+      derivedAliases: new Set(),
+      outputAliases: new Set()
+    };
+    this.collect(ast, found);
+    const aliases = this.checkTables(found, options.tables);
+    this.checkColumns(found, aliases, this.buildColumnIndex(options.schema));
+
+    this.applyRowCap(ast, maxRows);
+    // Optimizer hint on the outermost SELECT; comments from the original text are gone
+    ast.options = [...(ast.options || []), `/*+ MAX_EXECUTION_TIME(${Math.floor(timeoutMs)}) */`];
+
+    return {
+      sql: parser.sqlify(ast, PARSER_OPTIONS),
+      maxRows
+    };
+  }
+}
+
+module.exports = SQLValidator;
@@ -0,0 +1,97 @@
+// User Role Store - Dashboard roles for the users in the wpp.users table
+// read-only: view sessions, queue and stats
+// operator:  also send messages, start/logout sessions, change assignments, scan QR codes
+// admin:     also delete sessions, manage users and roles, inspect the database
+// Accounts whose email is configured as ADMIN_EMAIL (see AuthConfig) become admin; everyone
+// else is read-only until an admin promotes them.
+const fs = require('fs');
+const path = require('path');
+const AuthConfig = require('./authConfig');
+
+const STORE_FILE = path.join(__dirname, '..', 'user_roles.json');
+
+const ROLES = ['read-only', 'operator', 'admin'];
+const DEFAULT_ROLE = 'read-only';
+
+class UserRoleStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ users: {} }, null, 2));
+      console.log('📄 Created user_roles.json file');
+    }
+  }
+
+  static read() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      return JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')).users || {};
+    } catch (error) {
+      console.error('Error reading user_roles.json:', error);
+      return {};
+    }
+  }
+
+  static write(users) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify({ users }, null, 2));
+    } catch (error) {
+      console.error('Error writing user_roles.json:', error);
+    }
+  }
+
+  static get ROLES() {
+    return ROLES;
+  }
+
+  static isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  // True if `role` is at least `required` (read-only < operator < admin)
+  static hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+  }
+
+  static hasAdmin() {
+    return Object.values(this.read()).some(user => user.role === 'admin');
+  }
+
+  // Stored role, or null for a user that has never been given one
+  static getRole(userId) {
+    const user = this.read()[userId];
+    return user ? user.role : null;
+  }
+
+  static setRole(userId, role) {
+    if (!this.isValidRole(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    const users = this.read();
+    if (users[userId] && users[userId].role === 'admin' && role !== 'admin' &&
+        Object.values(users).filter(user => user.role === 'admin').length === 1) {
+      throw new Error('Cannot remove the last admin');
+    }
+    users[userId] = { role, updatedAt: new Date().toISOString() };
+    this.write(users);
+    console.log(`👤 User ${userId} role set to ${role}`);
+    return role;
+  }
+
+  // Role for a user logging in: their stored role, or admin (configured admin email) /
+  // read-only for a new one. While no admin exists, the configured admin is promoted even
+  // if they already had a role, so an existing deployment can be taken over safely.
+  static resolveRole(userId, email) {
+    const role = this.getRole(userId);
+    const configuredAdmin = AuthConfig.isAdminEmail(email);
+    if (configuredAdmin && role !== 'admin' && !this.hasAdmin()) {
+      return this.setRole(userId, 'admin');
+    }
+    if (role) return role;
+    return this.setRole(userId, configuredAdmin ? 'admin' : DEFAULT_ROLE);
+  }
+}
+
+module.exports = UserRoleStore;
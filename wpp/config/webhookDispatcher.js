@@ -0,0 +1,159 @@
+// Webhook Dispatcher - Signs and posts queued webhook deliveries, retrying failures
+// Every request carries:
+//   X-Webhook-Event:     message.received | message.status | connection.update | webhook.test
+//   X-Webhook-Delivery:  delivery id (the same on every retry, for de-duplication)
+//   X-Webhook-Timestamp: unix seconds
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+// A 2xx response is a success. Network errors, timeouts, 408, 429 and 5xx are retried with
+// growing delays; any other status fails the delivery at once.
+const crypto = require('crypto');
+const WebhookStore = require('./webhookStore');
+
+const REQUEST_TIMEOUT_MS = 10000;
+// Delay before each retry; the delivery fails after the last one
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+// Messages we sent, remembered so their status updates can name the queue item and feature
+const MAX_TRACKED_MESSAGES = 5000;
+
+const trackedMessages = new Map();
+let isProcessing = false;
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Features a session is assigned to, from its SessionStore record ({ ot_message_enabled: true, ... })
+function enabledFeatures(sessionRecord) {
+  if (!sessionRecord) return [];
+  return Object.keys(sessionRecord)
+    .filter(key => key.endsWith('_enabled') && sessionRecord[key])
+    .map(key => key.slice(0, -'_enabled'.length));
+}
+
+class WebhookDispatcher {
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it whose session/feature filters match.
+   * @param {string} event - one of WebhookStore.EVENTS
+   * @param {Object} data - event details
+   * @param {Object} context - { sessionId, sessionNumber, sessionRecord, features? }
+   *   features overrides the session's assigned features (e.g. the feature a message was sent for)
+   */
+  static emit(event, data, { sessionId, sessionNumber = null, sessionRecord = null, features = null }) {
+    try {
+      const eventFeatures = features || enabledFeatures(sessionRecord);
+      const subscribers = WebhookStore.getSubscribers(event).filter(webhook =>
+        (webhook.sessions.length === 0 || webhook.sessions.includes(sessionId)) &&
+        (webhook.features.length === 0 || webhook.features.some(feature => eventFeatures.includes(feature)))
+      );
+      if (subscribers.length === 0) return;
+
+      const payload = {
+        event,
+        timestamp: new Date().toISOString(),
+        sessionId,
+        sessionNumber,
+        features: eventFeatures,
+        data
+      };
+      WebhookStore.enqueue(subscribers.map(webhook => ({ webhookId: webhook.id, event, payload })));
+      setImmediate(() => this.processDeliveries());
+    } catch (error) {
+      // A webhook problem must never break message handling
+      console.error('❌ Webhook emit error:', error.message);
+    }
+  }
+
+  // Post one delivery; returns { ok, status, error }
+  static async send(webhook, delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'WPP-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      if (response.ok) {
+        return { ok: true, status: response.status, error: null };
+      }
+      const text = await response.text().catch(() => '');
+      return { ok: false, status: response.status, error: `HTTP ${response.status} ${text.substring(0, 200)}`.trim() };
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+      return { ok: false, status: null, error: message };
+    }
+  }
+
+  // Post a webhook.test event right away (not queued, not retried)
+  static sendTest(webhook) {
+    return this.send(webhook, {
+      id: `test_${Date.now()}`,
+      event: 'webhook.test',
+      payload: { event: 'webhook.test', timestamp: new Date().toISOString(), data: { message: 'Test delivery' } }
+    });
+  }
+
+  // Attempt every due delivery, one at a time
+  static async processDeliveries() {
+    if (isProcessing) return;
+    isProcessing = true;
+
+    try {
+      for (const delivery of WebhookStore.getDue()) {
+        const webhook = WebhookStore.getWebhook(delivery.webhookId);
+        if (!webhook) {
+          WebhookStore.recordAttempt(delivery.id, { ok: false, status: null, error: 'Webhook deleted', retryAt: null });
+          continue;
+        }
+        // Disabled webhooks keep their deliveries until they are enabled again
+        if (!webhook.enabled) continue;
+
+        const outcome = await this.send(webhook, delivery);
+        let retryAt = null;
+        if (!outcome.ok && (outcome.status === null || isRetryableStatus(outcome.status)) &&
+            delivery.attempts < RETRY_DELAYS_MS.length) {
+          retryAt = Date.now() + RETRY_DELAYS_MS[delivery.attempts];
+        }
+        WebhookStore.recordAttempt(delivery.id, { ...outcome, retryAt });
+
+        if (outcome.ok) {
+          console.log(`🪝 ${delivery.event} delivered to "${webhook.name}"`);
+        } else {
+          console.log(`⚠️ Webhook "${webhook.name}" ${delivery.event} failed (attempt ${delivery.attempts + 1}): ${outcome.error}` +
+            (retryAt ? `, retrying at ${new Date(retryAt).toLocaleTimeString()}` : ', giving up'));
+        }
+      }
+    } catch (error) {
+      console.error('❌ Webhook processing error:', error.message);
+    } finally {
+      isProcessing = false;
+    }
+  }
+
+  // Remember a message we sent (WhatsApp message id -> { queueId, feature, client, phone })
+  static trackOutgoing(messageId, info) {
+    if (!messageId) return;
+    trackedMessages.set(messageId, info);
+    if (trackedMessages.size > MAX_TRACKED_MESSAGES) {
+      trackedMessages.delete(trackedMessages.keys().next().value);
+    }
+  }
+
+  static getOutgoing(messageId) {
+    return trackedMessages.get(messageId) || null;
+  }
+}
+
+module.exports = WebhookDispatcher;
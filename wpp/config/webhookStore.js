@@ -0,0 +1,282 @@
+// Webhook Store - Outbound webhooks and their delivery queue
+// A webhook posts WhatsApp events to another system (helpdesk, HR check-in, ERP):
+// - message.received:  a customer sent a message to one of our numbers
+// - message.status:    a message we sent was delivered / read (or failed)
+// - connection.update: a number connected, is reconnecting or was logged out
+// It can be limited to some sessions and/or to sessions assigned to some features.
+// Deliveries wait in the store until they succeed or run out of retries, so they
+// survive a restart; the last deliveries are kept as history.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_FILE = path.join(__dirname, '..', 'webhooks.json');
+
+const EVENTS = ['message.received', 'message.status', 'connection.update'];
+const MAX_HISTORY = 200;
+// Pending deliveries kept at most (oldest dropped first), so a dead endpoint cannot fill the disk
+const MAX_PENDING = 5000;
+
+function emptyStore() {
+  return { webhooks: {}, pending: [], history: [] };
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Webhook with its secret masked, for listing
+function toPublic(webhook) {
+  return { ...webhook, secret: `${webhook.secret.slice(0, 10)}…` };
+}
+
+class WebhookStore {
+  // Initialize store file if it doesn't exist
+  static init() {
+    if (!fs.existsSync(STORE_FILE)) {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(emptyStore(), null, 2));
+      console.log('📄 Created webhooks.json file');
+    }
+  }
+
+  static read() {
+    try {
+      if (!fs.existsSync(STORE_FILE)) {
+        this.init();
+      }
+      const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+      return { webhooks: data.webhooks || {}, pending: data.pending || [], history: data.history || [] };
+    } catch (error) {
+      console.error('Error reading webhooks.json:', error);
+      return emptyStore();
+    }
+  }
+
+  static write(data) {
+    try {
+      fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.error('Error writing webhooks.json:', error);
+    }
+  }
+
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  // Checked settings for create and update
+  static validateSettings({ name, url, events, sessions = [], features = [] }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Webhook name is required');
+    }
+    let parsed;
+    try {
+      parsed = new URL(String(url));
+    } catch (error) {
+      throw new Error('URL is not valid');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('URL must start with http:// or https://');
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('Choose at least one event');
+    }
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event: ${unknown.join(', ')}. Valid: ${EVENTS.join(', ')}`);
+    }
+    if (!Array.isArray(sessions) || !Array.isArray(features)) {
+      throw new Error('sessions and features must be lists');
+    }
+    return {
+      name: String(name).trim(),
+      url: parsed.toString(),
+      events: [...new Set(events)],
+      sessions: [...new Set(sessions.map(String))],
+      features: [...new Set(features.map(String))]
+    };
+  }
+
+  static listWebhooks() {
+    return Object.values(this.read().webhooks)
+      .map(toPublic)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Webhook with its secret (for signing), or null
+  static getWebhook(webhookId) {
+    return this.read().webhooks[webhookId] || null;
+  }
+
+  // Enabled webhooks (with secrets) subscribed to an event
+  static getSubscribers(event) {
+    return Object.values(this.read().webhooks).filter(w => w.enabled && w.events.includes(event));
+  }
+
+  /**
+   * Create a webhook.
+   * @returns {Object} the webhook with its full secret (shown once; listing masks it)
+   */
+  static createWebhook(settings, createdBy = null) {
+    const data = this.read();
+    const webhook = {
+      id: `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      ...this.validateSettings(settings),
+      secret: generateSecret(),
+      enabled: true,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      stats: { delivered: 0, failed: 0, lastStatus: null, lastError: null, lastDeliveredAt: null }
+    };
+    data.webhooks[webhook.id] = webhook;
+    this.write(data);
+    console.log(`🪝 Webhook "${webhook.name}" created -> ${webhook.url}`);
+    return webhook;
+  }
+
+  static updateWebhook(webhookId, settings) {
+    const data = this.read();
+    const webhook = data.webhooks[webhookId];
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    Object.assign(webhook, this.validateSettings(settings));
+    if (typeof settings.enabled === 'boolean') webhook.enabled = settings.enabled;
+    this.write(data);
+    return toPublic(webhook);
+  }
+
+  static rotateSecret(webhookId) {
+    const data = this.read();
+    const webhook = data.webhooks[webhookId];
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    webhook.secret = generateSecret();
+    this.write(data);
+    console.log(`🪝 Webhook "${webhook.name}" secret rotated`);
+    return webhook;
+  }
+
+  // Delete a webhook and drop its pending deliveries
+  static deleteWebhook(webhookId) {
+    const data = this.read();
+    if (!data.webhooks[webhookId]) return false;
+    delete data.webhooks[webhookId];
+    data.pending = data.pending.filter(d => d.webhookId !== webhookId);
+    this.write(data);
+    return true;
+  }
+
+  // Queue deliveries: [{ webhookId, event, payload }]
+  static enqueue(deliveries) {
+    if (deliveries.length === 0) return;
+    const data = this.read();
+    const now = Date.now();
+    for (const delivery of deliveries) {
+      data.pending.push({
+        id: `delivery_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        ...delivery,
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: new Date(now).toISOString()
+      });
+    }
+    if (data.pending.length > MAX_PENDING) {
+      const dropped = data.pending.length - MAX_PENDING;
+      data.pending = data.pending.slice(dropped);
+      console.warn(`⚠️ Webhook queue full, dropped the ${dropped} oldest deliveries`);
+    }
+    this.write(data);
+  }
+
+  // Deliveries due for an attempt
+  static getDue(now = Date.now()) {
+    return this.read().pending.filter(d => d.nextAttemptAt <= now);
+  }
+
+  static getPendingCount() {
+    return this.read().pending.length;
+  }
+
+  /**
+   * Record an attempt.
+   * @param {Object} outcome - { ok: boolean, status: number|null, error: string|null,
+   *   retryAt: number|null } retryAt null means no more attempts
+   */
+  static recordAttempt(deliveryId, outcome) {
+    const data = this.read();
+    const delivery = data.pending.find(d => d.id === deliveryId);
+    if (!delivery) return;
+    delivery.attempts += 1;
+    delivery.lastError = outcome.error;
+
+    const webhook = data.webhooks[delivery.webhookId];
+    if (webhook) {
+      webhook.stats.lastStatus = outcome.status;
+      webhook.stats.lastError = outcome.ok ? null : outcome.error;
+    }
+
+    if (!outcome.ok && outcome.retryAt) {
+      delivery.nextAttemptAt = outcome.retryAt;
+      this.write(data);
+      return;
+    }
+
+    // Delivered, or given up
+    data.pending = data.pending.filter(d => d.id !== deliveryId);
+    if (webhook) {
+      if (outcome.ok) {
+        webhook.stats.delivered += 1;
+        webhook.stats.lastDeliveredAt = new Date().toISOString();
+      } else {
+        webhook.stats.failed += 1;
+      }
+    }
+    data.history.unshift({
+      id: delivery.id,
+      webhookId: delivery.webhookId,
+      webhookName: webhook ? webhook.name : null,
+      event: delivery.event,
+      success: outcome.ok,
+      status: outcome.status,
+      error: outcome.error,
+      attempts: delivery.attempts,
+      createdAt: delivery.createdAt,
+      finishedAt: new Date().toISOString(),
+      // Kept so a failed delivery can be sent again
+      payload: outcome.ok ? null : delivery.payload
+    });
+    data.history = data.history.slice(0, MAX_HISTORY);
+    this.write(data);
+  }
+
+  // Queue a failed delivery from the history again
+  static retryFailed(deliveryId) {
+    const data = this.read();
+    const failed = data.history.find(d => d.id === deliveryId && !d.success && d.payload);
+    if (!failed) {
+      throw new Error('Failed delivery not found');
+    }
+    if (!data.webhooks[failed.webhookId]) {
+      throw new Error('The webhook was deleted');
+    }
+    data.history = data.history.filter(d => d.id !== deliveryId);
+    this.write(data);
+    this.enqueue([{ webhookId: failed.webhookId, event: failed.event, payload: failed.payload }]);
+  }
+
+  // Recent deliveries (newest first) and the ones still waiting
+  static getDeliveries(limit = 50) {
+    const { pending, history } = this.read();
+    return {
+      pending: pending.slice(0, limit).map(({ payload, ...rest }) => rest),
+      history: history.slice(0, limit).map(({ payload, ...rest }) => ({ ...rest, canRetry: !!payload }))
+    };
+  }
+}
+
+WebhookStore.init();
+
+module.exports = WebhookStore;
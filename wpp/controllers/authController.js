@@ -2,11 +2,23 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const db = require('../config/db');
+const AuthConfig = require('../config/authConfig');
+const UserRoleStore = require('../config/userRoleStore');
 
 // Register Controller
 exports.register = async (req, res) => {
   const { name, email, password } = req.body;
 
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Email and password are required' });
+  }
+
+  // The configured admin email becomes the first admin; after that an admin registers users (see routes/auth.js)
+  const role = !UserRoleStore.hasAdmin() && AuthConfig.isAdminEmail(email) ? 'admin' : (req.body.role || 'read-only');
+  if (!UserRoleStore.isValidRole(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${UserRoleStore.ROLES.join(', ')}` });
+  }
+
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -17,7 +29,8 @@ exports.register = async (req, res) => {
         if (err) {
           return res.status(500).json({ message: 'Register failed', error: err.message });
         }
-        res.json({ message: 'Registered successfully' });
+        UserRoleStore.setRole(result.insertId, role);
+        res.json({ message: 'Registered successfully', role });
       }
     );
   } catch (error) {
@@ -41,8 +54,9 @@ exports.login = (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: user.id, name: user.name || 'Guest' }, 'secret_key', {
-      expiresIn: '7d',
+    const role = UserRoleStore.resolveRole(user.id, user.email);
+    const token = jwt.sign({ id: user.id, name: user.name || 'Guest', role }, AuthConfig.getJwtSecret(), {
+      expiresIn: AuthConfig.getTokenExpiresIn(),
     });
 
     return res.json({
@@ -51,7 +65,8 @@ exports.login = (req, res) => {
       user: {
         id: user.id,
         name: user.name || 'Guest',
-        email: user.email
+        email: user.email,
+        role
       }
     });
   });
@@ -136,4 +151,48 @@ exports.updateSystemPrompt = (req, res) => {
       });
     }
   );
-};
\ No newline at end of file
+};
+
+// Current user (the dashboards use the role to hide actions they cannot take)
+exports.me = (req, res) => {
+  res.json({
+    status: 'success',
+    user: { id: req.user.id, name: req.user.name, role: req.user.role }
+  });
+};
+
+// List users with their roles (admin)
+exports.listUsers = (req, res) => {
+  db.query('SELECT id, name, email FROM users ORDER BY id', (err, results) => {
+    if (err) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch users',
+        error: err.message
+      });
+    }
+
+    res.json({
+      status: 'success',
+      roles: UserRoleStore.ROLES,
+      users: results.map(user => ({ ...user, role: UserRoleStore.getRole(user.id) || 'read-only' }))
+    });
+  });
+};
+
+// Change a user's role (admin)
+exports.setUserRole = (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const { role } = req.body;
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid user id' });
+  }
+
+  try {
+    UserRoleStore.setRole(userId, role);
+    res.json({ status: 'success', message: `Role set to ${role}` });
+  } catch (error) {
+    res.status(400).json({ status: 'error', message: error.message });
+  }
+};
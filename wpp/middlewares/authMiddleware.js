@@ -1,40 +1,53 @@
 // middlewares/authMiddleware.js
 const jwt = require('jsonwebtoken');
+const AuthConfig = require('../config/authConfig');
+const UserRoleStore = require('../config/userRoleStore');
+const ApiClientStore = require('../config/apiClientStore');
+
+// Decoded token with the user's current role (so a role change applies at once), or null
+const verifyToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, AuthConfig.getJwtSecret());
+    return { ...decoded, role: UserRoleStore.getRole(decoded.id) || 'read-only' };
+  } catch (error) {
+    return null;
+  }
+};
 
 const authMiddleware = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
-    
+
     if (!authHeader) {
-      return res.status(401).json({ 
+      return res.status(401).json({
         status: 'error',
-        message: 'No authorization header found' 
+        message: 'No authorization header found'
       });
     }
 
     const token = authHeader.split(' ')[1];
-    
+
     if (!token) {
-      return res.status(401).json({ 
+      return res.status(401).json({
         status: 'error',
-        message: 'No token provided' 
+        message: 'No token provided'
       });
     }
 
-    jwt.verify(token, 'secret_key', (err, decoded) => {
-      if (err) {
-        return res.status(403).json({ 
-          status: 'error',
-          message: 'Invalid or expired token' 
-        });
-      }
-      
-      // Set the user info in the request object
-      req.user = decoded;
-      next();
-    });
+    const user = verifyToken(token);
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    // Set the user info in the request object
+    req.user = user;
+    next();
   } catch (error) {
-    return res.status(401).json({ 
+    return res.status(401).json({
       status: 'error',
       message: 'Authentication failed',
       error: error.message
@@ -42,4 +55,49 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+// Valid token and at least the given role: 'read-only' < 'operator' < 'admin'
+const requireRole = (role) => (req, res, next) => {
+  authMiddleware(req, res, () => {
+    if (!UserRoleStore.hasRole(req.user.role, role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `This action requires the ${role} role`
+      });
+    }
+    next();
+  });
+};
+
+// Machine-to-machine senders pass their key in the X-API-Key header (req.apiClient is set);
+// without the header a dashboard login with at least the given role is required
+const requireApiClientOrRole = (role) => (req, res, next) => {
+  const key = req.headers['x-api-key'];
+  if (!key) {
+    return requireRole(role)(req, res, next);
+  }
+  const client = ApiClientStore.authenticate(key);
+  if (!client) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or revoked API key'
+    });
+  }
+  req.apiClient = client;
+  next();
+};
+
+// Socket.IO: clients connect with io({ auth: { token } })
+const socketAuth = (socket, next) => {
+  const user = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+  if (!user) {
+    return next(new Error('Unauthorized'));
+  }
+  socket.data.user = user;
+  next();
+};
+
+module.exports = authMiddleware;
+module.exports.verifyToken = verifyToken;
+module.exports.requireRole = requireRole;
+module.exports.requireApiClientOrRole = requireApiClientOrRole;
+module.exports.socketAuth = socketAuth;
@@ -0,0 +1,66 @@
+// Dashboard login helpers - load before a page's own script
+// The token comes from login.html; API calls and the Socket.IO feed carry it, and an
+// expired or missing token sends the user back to the login page.
+const AUTH_ROLES = ['read-only', 'operator', 'admin'];
+
+function authToken() {
+  return localStorage.getItem('token');
+}
+
+function authRole() {
+  return localStorage.getItem('userRole') || 'read-only';
+}
+
+// True if the logged-in user has at least the given role
+function hasRole(required) {
+  return AUTH_ROLES.indexOf(authRole()) >= AUTH_ROLES.indexOf(required);
+}
+
+function logoutUser() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('userId');
+  localStorage.removeItem('userName');
+  localStorage.removeItem('userEmail');
+  localStorage.removeItem('userRole');
+  window.location.href = 'login.html';
+}
+
+// fetch() with the Authorization header
+async function apiFetch(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${authToken()}` }
+  });
+  if (res.status === 401) {
+    logoutUser();
+  }
+  return res;
+}
+
+// Socket.IO connection that logs out when the server rejects the token
+function authSocket() {
+  const socket = io({ auth: { token: authToken() } });
+  socket.on('connect_error', (err) => {
+    if (err.message === 'Unauthorized') logoutUser();
+  });
+  return socket;
+}
+
+// Refresh the role (an admin may have changed it) and show who is logged in
+async function loadCurrentUser() {
+  const res = await apiFetch('/auth/me');
+  const data = await res.json();
+  if (data.status === 'success') {
+    localStorage.setItem('userRole', data.user.role);
+    localStorage.setItem('userName', data.user.name);
+  }
+  const el = document.getElementById('currentUser');
+  if (el) {
+    el.textContent = `${localStorage.getItem('userName') || 'User'} (${authRole()})`;
+  }
+  return data.user;
+}
+
+if (!authToken()) {
+  window.location.href = 'login.html';
+}
@@ -3,13 +3,31 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const authMiddleware = require('../middlewares/authMiddleware');  // Add this line
+const { requireRole } = authMiddleware;
+const UserRoleStore = require('../config/userRoleStore');
+const AuthConfig = require('../config/authConfig');
+
+// Only admins register users. Before any admin exists, only the configured admin email
+// (ADMIN_EMAIL) may register, so the first caller on the network can't claim admin.
+const registerGuard = (req, res, next) => {
+  if (UserRoleStore.hasAdmin()) return requireRole('admin')(req, res, next);
+  if (AuthConfig.isAdminEmail((req.body || {}).email)) return next();
+  return res.status(403).json({
+    message: 'Registration is closed until the admin account exists. Register with the email set in ADMIN_EMAIL.'
+  });
+};
 
 // Public routes (no auth required)
-router.post('/register', authController.register);
+router.post('/register', registerGuard, authController.register);
 router.post('/login', authController.login);
 
 // Protected routes (auth required)
+router.get('/me', authMiddleware, authController.me);
 router.get('/system-prompt', authMiddleware, authController.getSystemPrompt);
 router.post('/system-prompt', authMiddleware, authController.updateSystemPrompt);
 
+// User management (admin)
+router.get('/users', requireRole('admin'), authController.listUsers);
+router.post('/users/:id/role', requireRole('admin'), authController.setUserRole);
+
 module.exports = router;
\ No newline at end of file